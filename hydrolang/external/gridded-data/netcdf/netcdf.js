@@ -9,6 +9,8 @@ import * as divisors from "../../../modules/visualize/divisors.js";
 let netcdfLibraries = null;
 let isNetCDFLoaded = false;
 
+const isNode = typeof process !== 'undefined' && !!process.versions?.node;
+
 /**
  * Loads NetCDF-related libraries and dependencies
  * @method load
@@ -31,8 +33,17 @@ async function load(options = {}) {
     console.log('Loading NetCDF libraries...');
 
     let libraries = [];
-
-    if (includeJS) {
+    let netcdfjs = null;
+
+    if (includeJS && isNode) {
+      // Node.js has no document to inject scripts into, so the npm package is used instead
+      try {
+        const netcdfModule = await import(/* webpackIgnore: true */ 'netcdfjs');
+        netcdfjs = netcdfModule.NetCDFReader || netcdfModule.default || netcdfModule;
+      } catch (error) {
+        throw new Error('Install netcdfjs (npm install netcdfjs) to read NetCDF files in Node.js');
+      }
+    } else if (includeJS) {
       // Load NetCDF.js library
       const netcdfJS = divisors.createScript({
         params: {
@@ -43,7 +54,7 @@ async function load(options = {}) {
       libraries.push(netcdfJS);
     }
 
-    if (includeGeo) {
+    if (includeGeo && !isNode) {
       // Load additional geospatial libraries for NetCDF
       const geoLibs = [
         divisors.createScript({
@@ -73,7 +84,7 @@ async function load(options = {}) {
     // Create library interface
     const globalObj = typeof window !== 'undefined' ? window : globalThis;
     netcdfLibraries = {
-      netcdfjs: globalObj.netcdfjs || null,
+      netcdfjs: netcdfjs || globalObj.netcdfjs || null,
       geotiff: globalObj.GeoTIFF || null,
       proj4: globalObj.proj4 || null,
       loadedAt: new Date()
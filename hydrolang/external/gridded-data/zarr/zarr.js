@@ -9,6 +9,8 @@ import * as divisors from "../../../modules/visualize/divisors.js";
 let zarrLibraries = null;
 let isZarrLoaded = false;
 
+const isNode = typeof process !== 'undefined' && !!process.versions?.node;
+
 /**
  * Loads zarrita Zarr library
  * @method load
@@ -22,23 +24,41 @@ async function load(options = {}) {
   }
 
   try {
-    // Load zarrita from CDN
-    const zarr = await import('https://cdn.jsdelivr.net/npm/zarrita/+esm');
-
-    // Load numcodecs for decompression
-    const numcodecs = await import('https://cdn.jsdelivr.net/npm/numcodecs/+esm');
-
-    // Load fzstd for Zstd decompression (common in Zarr v3 or modern datasets)
-    const fzstd = await import('https://cdn.jsdelivr.net/npm/fzstd/+esm');
-
-    // Load pako for Zlib support (useful for some Zarr stores)
+    let zarr, numcodecs, fzstd;
     let pako = (typeof window !== 'undefined' && window.pako) || globalThis.pako;
-    if (!pako) {
+
+    if (isNode) {
+      // Node.js cannot import https: modules, so the npm packages are used instead
       try {
-        const pakoModule = await import('https://cdn.skypack.dev/pako');
-        pako = pakoModule.default || pakoModule;
-      } catch (e) {
-        console.warn('Failed to load pako for Zarr:', e);
+        zarr = await import(/* webpackIgnore: true */ 'zarrita');
+      } catch (error) {
+        throw new Error('Install zarrita (npm install zarrita) to read Zarr stores in Node.js');
+      }
+      // numcodecs comes with zarrita; fzstd and pako are only needed for raw chunk decoding
+      numcodecs = await import(/* webpackIgnore: true */ 'numcodecs').catch(() => null);
+      fzstd = await import(/* webpackIgnore: true */ 'fzstd').catch(() => null);
+      if (!pako) {
+        const pakoModule = await import(/* webpackIgnore: true */ 'pako').catch(() => null);
+        pako = pakoModule && (pakoModule.default || pakoModule);
+      }
+    } else {
+      // Load zarrita from CDN
+      zarr = await import('https://cdn.jsdelivr.net/npm/zarrita/+esm');
+
+      // Load numcodecs for decompression
+      numcodecs = await import('https://cdn.jsdelivr.net/npm/numcodecs/+esm');
+
+      // Load fzstd for Zstd decompression (common in Zarr v3 or modern datasets)
+      fzstd = await import('https://cdn.jsdelivr.net/npm/fzstd/+esm');
+
+      // Load pako for Zlib support (useful for some Zarr stores)
+      if (!pako) {
+        try {
+          const pakoModule = await import('https://cdn.skypack.dev/pako');
+          pako = pakoModule.default || pakoModule;
+        } catch (e) {
+          console.warn('Failed to load pako for Zarr:', e);
+        }
       }
     }
 
@@ -52,8 +72,8 @@ async function load(options = {}) {
 
     // Expose globally for compatibility with some utils
     const globalObj = typeof window !== 'undefined' ? window : globalThis;
-    if (!globalObj.numcodecs) globalObj.numcodecs = numcodecs;
-    if (!globalObj.fzstd) globalObj.fzstd = fzstd;
+    if (!globalObj.numcodecs && numcodecs) globalObj.numcodecs = numcodecs;
+    if (!globalObj.fzstd && fzstd) globalObj.fzstd = fzstd;
     if (!globalObj.pako && pako) globalObj.pako = pako;
 
     isZarrLoaded = true;
@@ -64,7 +84,7 @@ async function load(options = {}) {
 
   } catch (error) {
     console.error('Failed to load zarrita or dependencies:', error);
-    throw new Error('Unable to load zarrita library');
+    throw new Error(`Unable to load zarrita library: ${error.message}`);
   }
 }
 
@@ -0,0 +1,29 @@
+import Hydrolang from "./hydro.js";
+
+/**
+ * Headless entry point for Node.js (scripts, servers, CI pipelines).
+ * Loads the data and analyze modules only and persists the cache to disk,
+ * since neither the DOM (visualize, map) nor IndexedDB exist outside the browser.
+ * @class
+ * @namespace HydrolangNode
+ * @param {Object} [config] - Same options as Hydrolang, plus:
+ * @param {string} [config.cacheDir='.hydrolang-cache'] - Directory used by the filesystem cache
+ * @param {string|Object} [config.cacheBackend] - Use 'memory' for a cache that is never written to disk
+ * @returns {Object} creates a new headless instance of the library.
+ * @example
+ * import HydrolangNode from "hydrolang/hydro-node.js";
+ * const hydro = new HydrolangNode({ cacheDir: "./cache" });
+ * const flows = await hydro.data.retrieve({ params: { source: "usgs", datatype: "instant-values", normalize: true }, args: { sites: "01646500" } });
+ * hydro.analyze.stats.mean({ data: flows[0].values });
+ */
+class HydrolangNode extends Hydrolang {
+  constructor(config = {}) {
+    super({
+      includeVisuals: false,
+      cacheDir: ".hydrolang-cache",
+      ...config,
+    });
+  }
+}
+
+export default HydrolangNode;
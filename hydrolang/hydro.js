@@ -24,10 +24,25 @@ class Hydrolang {
     // Attach datasources to data module
     this.datasources = datasources;
 
+    // config.proxy restricts and orders the CORS proxies used by sources that need one (see data.proxy)
+    if (config.proxy) {
+      this.data.proxy.configure(config.proxy);
+    }
+
     // Cache system initialization
     // If config.cache is explicitly false, we DO NOT instantiate the real cache
     if (config.cache !== false) {
-      this.cache = new HydroLangCache();
+      // Storage backend: config.cacheBackend ('indexeddb' | 'memory' | 'filesystem' or a backend object).
+      // Defaults to IndexedDB in the browser and to the filesystem (config.cacheDir) in Node.js
+      // config.cachePolicies sets per-source TTL / pinning / stale-while-revalidate, e.g.
+      // { nws: { maxAge: '15min', staleWhileRevalidate: '1H' }, aorc: { maxAge: Infinity } }
+      this.cache = new HydroLangCache({
+        backend: config.cacheBackend || (config.cacheDir ? 'filesystem' : undefined),
+        directory: config.cacheDir,
+        policies: config.cachePolicies,
+        eviction: config.cacheEviction,
+        maxCacheSize: config.cacheMaxSize
+      });
       this._initCache();
     } else {
       // Create a dummy no-op cache object to prevent crashes in wrapped modules
@@ -55,7 +70,8 @@ class Hydrolang {
     }
 
     // Only load visual modules if requested (after cache is ready/mocked)
-    if (config.includeVisuals) {
+    // They render into the DOM, so they are never loaded in headless environments
+    if (config.includeVisuals && typeof window !== 'undefined') {
       this._loadVisualModules();
     }
   }
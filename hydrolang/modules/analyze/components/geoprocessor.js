@@ -4,9 +4,13 @@
  * @name geoprocessor
  */
 import geospatial from "../../../external/gridded-data/geospatial/geospatial.js";
+import { writeCOG, imageToCOG, tiffGeoreference } from "../../data/utils/cog.js";
+import { RemoteCOG, openCOG } from "../../data/utils/cog-reader.js";
 
 /**
  * Geoprocessor module for raster data analysis using GeoTIFF.
+ * Raster outputs are cloud-optimized GeoTIFFs (tiled, DEFLATE compressed, with overviews) on the input's grid.
+ * Inputs can also be remote COGs, given as { url, bbox } (or window); only the tiles covering the area are downloaded.
  * @class
  * @name geoprocessor
  */
@@ -83,11 +87,28 @@ export default class geoprocessor {
     // Internal Helpers
     // ============================================================
 
+    /**
+     * Reads a remote COG input into GeoTIFF bytes; other inputs are returned unchanged.
+     * A remote input is a RemoteCOG or { url, bbox, crs, window, overview, resolution } plus RemoteCOG options
+     * (bbox is in EPSG:4326 unless crs is given, resolution in the COG's CRS units).
+     * @private
+     */
+    static async _fromRemote(input) {
+        if (input instanceof RemoteCOG) return input.toCOG();
+        const remote = input && typeof input === 'object' && typeof input.url === 'string' &&
+            !input.values && !(input.buffer instanceof ArrayBuffer) && !(input.arrayBuffer instanceof ArrayBuffer);
+        if (!remote) return input;
+        const cog = await openCOG(input.url, { source: 'geoprocessor', ...input });
+        const { window, bbox, crs, overview, resolution } = input;
+        return cog.toCOG({ window, bbox, crs, overview, resolution });
+    }
+
     /**
      * @private
      */
     static async _openFromArrayBuffer(input) {
         await this._ensureLibraries();
+        input = await this._fromRemote(input);
 
         // Handle fallback object (if previous step failed to write GeoTIFF)
         if (input && input._isGeorasterObject) {
@@ -208,73 +229,69 @@ export default class geoprocessor {
     }
 
     /**
+     * Writes bands as a cloud-optimized GeoTIFF.
+     * `options` are writeCOG options, usually the input's georeferencing from _georeference.
      * @private
      */
     static async _toGeoTIFF(bands, width, height, options = {}) {
-        await this._ensureLibraries();
-        const GeoTIFF = geospatial.libraries.GeoTIFF;
-
         try {
-            // Check if input is valid
-            if (!width || !height) {
-                console.error("Invalid dimensions for _toGeoTIFF:", { width, height });
-                throw new Error("Width and height must be defined for GeoTIFF creation");
-            }
-
-            // 1. Try modern writeArrayBuffer (available in recent versions)
-            // Ensure width/height are explicit numbers
             const w = Number(width);
             const h = Number(height);
 
-            if (Number.isNaN(w) || Number.isNaN(h)) {
-                console.error("Dimensions resulted in NaN:", { width, height, w, h });
-                throw new Error("Invalid numeric dimensions for GeoTIFF");
-            }
-
-            if (GeoTIFF && typeof GeoTIFF.writeArrayBuffer === 'function') {
-                // Determine format based on first band
-                let sampleFormat = 3; // default Float
-                let bitsPerSample = 32;
-
-                if (bands[0] instanceof Uint8Array) {
-                    sampleFormat = 1; // UInt
-                    bitsPerSample = 8;
-                } else if (bands[0] instanceof Int16Array) {
-                    sampleFormat = 2; // Int
-                    bitsPerSample = 16;
-                } else if (bands[0] instanceof Int32Array) {
-                    sampleFormat = 2; // Int
-                    bitsPerSample = 32;
-                } else if (bands[0] instanceof Float64Array) {
-                    sampleFormat = 3; // Float
-                    bitsPerSample = 64;
-                }
-
-                const metadata = {
-                    width: w,
-                    height: h,
-                    ImageWidth: w,
-                    ImageLength: h,
-                    BitsPerSample: Array(bands.length).fill(bitsPerSample),
-                    SampleFormat: Array(bands.length).fill(sampleFormat),
-                    SamplesPerPixel: bands.length,
-                    PlanarConfiguration: 1,
-                    ...options // Merge additional GeoTIFF keys (ModelTiepoint, GeoKeyDirectory, etc.)
-                };
-                return await GeoTIFF.writeArrayBuffer(bands, metadata);
+            if (!w || !h || Number.isNaN(w) || Number.isNaN(h)) {
+                console.error("Invalid dimensions for _toGeoTIFF:", { width, height });
+                throw new Error("Width and height must be defined for GeoTIFF creation");
             }
 
-            throw new Error("No GeoTIFF writing method available. GeoTIFF.writeArrayBuffer is required.");
-
-            throw new Error("No GeoTIFF writing method available.");
+            return await writeCOG(bands, w, h, options);
 
         } catch (e) {
-            console.warn("GeoTIFF write failed or not available. returning raw object for fallback.", e);
+            console.warn("GeoTIFF write failed. returning raw object for fallback.", e);
             // Fallback: return proper georaster-like object
             return this._toGeorasterObject(bands, width, height, options);
         }
     }
 
+    /**
+     * Georeferencing of an input image (tiepoint, pixel scale or transformation, and GeoKeys) for
+     * writing a result on the same grid. `window` ([x0, y0, x1, y1] in pixels) moves the origin to
+     * the window's corner; `noData` also keeps the input's NoData, for results in the input's units.
+     * @private
+     */
+    static _georeference(image, { window, noData = false } = {}) {
+        const options = tiffGeoreference(image);
+        if (!noData) delete options.noData;
+        if (window) {
+            const [x0, y0] = window;
+            if (options.ModelTransformation) {
+                const m = options.ModelTransformation.slice();
+                m[3] += m[0] * x0 + m[1] * y0;
+                m[7] += m[4] * x0 + m[5] * y0;
+                options.ModelTransformation = m;
+            } else if (options.ModelTiepoint && options.ModelPixelScale) {
+                const [i, j, k, x, y, z] = options.ModelTiepoint;
+                const [sx, sy] = options.ModelPixelScale;
+                options.ModelTiepoint = [0, 0, k, x + (x0 - i) * sx, y - (y0 - j) * sy, z];
+            }
+        }
+        return options;
+    }
+
+    /**
+     * Re-encodes a GeoTIFF written by GDAL as a cloud-optimized GeoTIFF, keeping its georeferencing and NoData.
+     * The GDAL output is returned unchanged if it cannot be read.
+     * @private
+     */
+    static async _asCOG(buffer) {
+        try {
+            const { image } = await this._openFromArrayBuffer(buffer);
+            return await imageToCOG(image);
+        } catch (e) {
+            console.warn("COG encoding of GDAL output failed; returning it as written.", e);
+            return buffer;
+        }
+    }
+
     /**
      * @private
      */
@@ -509,7 +526,7 @@ export default class geoprocessor {
             out[p] = fn(...vals);
         }
 
-        const resultBuffer = await this._toGeoTIFF([out], width, height);
+        const resultBuffer = await this._toGeoTIFF([out], width, height, this._georeference(image));
 
         return resultBuffer;
     }
@@ -555,7 +572,7 @@ export default class geoprocessor {
         }
 
         const w = img1.getWidth(), h = img1.getHeight();
-        const buffer = await this._toGeoTIFF([out], w, h);
+        const buffer = await this._toGeoTIFF([out], w, h, this._georeference(img1));
         return buffer;
     }
 
@@ -575,6 +592,12 @@ export default class geoprocessor {
      *   args: { cellSize: 30 },
      *   data: [{ buffer: demBuffer }]
      * });
+     * @example
+     * // Remote COG: only the tiles covering the bbox are downloaded
+     * await hydro.analyze.geoprocessor.slope({
+     *   args: {},
+     *   data: { url: 'https://prd-tnm.s3.amazonaws.com/StagedProducts/Elevation/13/TIFF/current/n42w092/USGS_13_n42w092.tif', bbox: [-91.6, 41.6, -91.5, 41.7] }
+     * });
      */
     /**
      * Calculates Slope using GDAL.
@@ -582,7 +605,7 @@ export default class geoprocessor {
     static async slope({ args, data }) {
         try {
             // data is ArrayBuffer. Do NOT transfer it as it is reused.
-            return await this._runWorker('slope', args, { buffer: data });
+            return await this._asCOG(await this._runWorker('slope', args, { buffer: await this._fromRemote(data) }));
         } catch (e) { throw new Error(`GDAL Slope Error: ${e.message}`); }
     }
 
@@ -591,7 +614,7 @@ export default class geoprocessor {
      */
     static async aspect({ args, data }) {
         try {
-            return await this._runWorker('aspect', args, { buffer: data });
+            return await this._asCOG(await this._runWorker('aspect', args, { buffer: await this._fromRemote(data) }));
         } catch (e) { throw new Error(`GDAL Aspect Error: ${e.message}`); }
     }
 
@@ -620,7 +643,7 @@ export default class geoprocessor {
    */
     static async tri({ args, data }) {
         try {
-            return await this._runWorker('TRI', args, { buffer: data });
+            return await this._asCOG(await this._runWorker('TRI', args, { buffer: await this._fromRemote(data) }));
         } catch (e) { throw new Error(`GDAL TRI Error: ${e.message}`); }
     }
 
@@ -645,7 +668,7 @@ export default class geoprocessor {
    */
     static async tpi({ args, data }) {
         try {
-            return await this._runWorker('TPI', args, { buffer: data });
+            return await this._asCOG(await this._runWorker('TPI', args, { buffer: await this._fromRemote(data) }));
         } catch (e) { throw new Error(`GDAL TPI Error: ${e.message}`); }
     }
 
@@ -670,7 +693,7 @@ export default class geoprocessor {
    */
     static async roughness({ args, data }) {
         try {
-            return await this._runWorker('roughness', args, { buffer: data });
+            return await this._asCOG(await this._runWorker('roughness', args, { buffer: await this._fromRemote(data) }));
         } catch (e) { throw new Error(`GDAL Roughness Error: ${e.message}`); }
     }
 
@@ -727,7 +750,7 @@ export default class geoprocessor {
      */
     static async hillshade({ args, data }) {
         try {
-            return await this._runWorker('hillshade', args, { buffer: data });
+            return await this._asCOG(await this._runWorker('hillshade', args, { buffer: await this._fromRemote(data) }));
         } catch (e) { throw new Error(`GDAL Hillshade Error: ${e.message}`); }
     }
 
@@ -741,7 +764,7 @@ export default class geoprocessor {
      */
     static async clipGeo({ args, data }) {
         try {
-            return await this._runWorker('clipGeo', args, { buffer: data });
+            return await this._asCOG(await this._runWorker('clipGeo', args, { buffer: await this._fromRemote(data) }));
         } catch (e) { throw new Error(`GDAL Clip Error: ${e.message}`); }
     }
 
@@ -777,7 +800,7 @@ export default class geoprocessor {
             out[i] = (dem[i] >= min && dem[i] <= max) ? 1 : 0;
         }
 
-        return await this._toGeoTIFF([out], image.getWidth(), image.getHeight());
+        return await this._toGeoTIFF([out], image.getWidth(), image.getHeight(), { ...this._georeference(image), resampling: 'nearest' });
     }
 
     // ============================================================
@@ -883,22 +906,7 @@ export default class geoprocessor {
         const out = await this._runWorker('flowDirection', args, { dem, width: w, height: h });
 
         // Encode result back to GeoTIFF (Preserve Metadata)
-        const fileDirectory = image.getFileDirectory ? image.getFileDirectory() : {};
-        const geoKeys = {
-            ModelTiepoint: fileDirectory.ModelTiepoint,
-            ModelPixelScale: fileDirectory.ModelPixelScale,
-            ModelTransformation: fileDirectory.ModelTransformation,
-            GeoKeyDirectory: fileDirectory.GeoKeyDirectory,
-            GeoAsciiParams: fileDirectory.GeoAsciiParams,
-            GTModelTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTModelTypeGeoKey : undefined,
-            GTRasterTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTRasterTypeGeoKey : undefined,
-            GeographicTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GeographicTypeGeoKey : undefined,
-            ProjectedCSTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().ProjectedCSTypeGeoKey : undefined
-        };
-        const options = {};
-        for (const k in geoKeys) if (geoKeys[k] !== undefined) options[k] = geoKeys[k];
-
-        return await this._toGeoTIFF([out], w, h, options);
+        return await this._toGeoTIFF([out], w, h, this._georeference(image));
     }
 
     /**
@@ -954,28 +962,7 @@ export default class geoprocessor {
         const acc = await this._runWorker('flowAccumulation', args, { dem, width: w, height: h });
 
         // 3. Encode result back to GeoTIFF (Preserve Metadata)
-        const fileDirectory = image.getFileDirectory ? image.getFileDirectory() : {};
-
-        // Extract relevant GeoKeys to preserve geolocation
-        const geoKeys = {
-            ModelTiepoint: fileDirectory.ModelTiepoint,
-            ModelPixelScale: fileDirectory.ModelPixelScale,
-            ModelTransformation: fileDirectory.ModelTransformation,
-            GeoKeyDirectory: fileDirectory.GeoKeyDirectory,
-            GeoAsciiParams: fileDirectory.GeoAsciiParams,
-            GTModelTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTModelTypeGeoKey : undefined,
-            GTRasterTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTRasterTypeGeoKey : undefined,
-            GeographicTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GeographicTypeGeoKey : undefined,
-            ProjectedCSTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().ProjectedCSTypeGeoKey : undefined
-        };
-
-        // Filter undefined keys
-        const options = {};
-        for (const k in geoKeys) {
-            if (geoKeys[k] !== undefined) options[k] = geoKeys[k];
-        }
-
-        return await this._toGeoTIFF([acc], w, h, options);
+        return await this._toGeoTIFF([acc], w, h, this._georeference(image));
     }
 
     /**
@@ -1044,22 +1031,7 @@ export default class geoprocessor {
         const mask = await this._runWorker('watershed', args, { dem, width: w, height: h });
 
         // Encode result back to GeoTIFF (Preserve Metadata)
-        const fileDirectory = image.getFileDirectory ? image.getFileDirectory() : {};
-        const geoKeys = {
-            ModelTiepoint: fileDirectory.ModelTiepoint,
-            ModelPixelScale: fileDirectory.ModelPixelScale,
-            ModelTransformation: fileDirectory.ModelTransformation,
-            GeoKeyDirectory: fileDirectory.GeoKeyDirectory,
-            GeoAsciiParams: fileDirectory.GeoAsciiParams,
-            GTModelTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTModelTypeGeoKey : undefined,
-            GTRasterTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTRasterTypeGeoKey : undefined,
-            GeographicTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GeographicTypeGeoKey : undefined,
-            ProjectedCSTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().ProjectedCSTypeGeoKey : undefined
-        };
-        const options = {};
-        for (const k in geoKeys) if (geoKeys[k] !== undefined) options[k] = geoKeys[k];
-
-        return await this._toGeoTIFF([mask], w, h, options);
+        return await this._toGeoTIFF([mask], w, h, this._georeference(image));
     }
 
     /**
@@ -1086,22 +1058,7 @@ export default class geoprocessor {
         const out = await this._runWorker('streamExtract', args, { dem, width: w, height: h });
 
         // Encode result back to GeoTIFF (Preserve Metadata)
-        const fileDirectory = image.getFileDirectory ? image.getFileDirectory() : {};
-        const geoKeys = {
-            ModelTiepoint: fileDirectory.ModelTiepoint,
-            ModelPixelScale: fileDirectory.ModelPixelScale,
-            ModelTransformation: fileDirectory.ModelTransformation,
-            GeoKeyDirectory: fileDirectory.GeoKeyDirectory,
-            GeoAsciiParams: fileDirectory.GeoAsciiParams,
-            GTModelTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTModelTypeGeoKey : undefined,
-            GTRasterTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTRasterTypeGeoKey : undefined,
-            GeographicTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GeographicTypeGeoKey : undefined,
-            ProjectedCSTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().ProjectedCSTypeGeoKey : undefined
-        };
-        const options = {};
-        for (const k in geoKeys) if (geoKeys[k] !== undefined) options[k] = geoKeys[k];
-
-        return await this._toGeoTIFF([out], w, h, options);
+        return await this._toGeoTIFF([out], w, h, this._georeference(image));
     }
 
     /**
@@ -1127,22 +1084,7 @@ export default class geoprocessor {
         const filled = await this._runWorker('fillSinks', args, { dem, width: w, height: h });
 
         // Encode result back to GeoTIFF (Preserve Metadata)
-        const fileDirectory = image.getFileDirectory ? image.getFileDirectory() : {};
-        const geoKeys = {
-            ModelTiepoint: fileDirectory.ModelTiepoint,
-            ModelPixelScale: fileDirectory.ModelPixelScale,
-            ModelTransformation: fileDirectory.ModelTransformation,
-            GeoKeyDirectory: fileDirectory.GeoKeyDirectory,
-            GeoAsciiParams: fileDirectory.GeoAsciiParams,
-            GTModelTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTModelTypeGeoKey : undefined,
-            GTRasterTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GTRasterTypeGeoKey : undefined,
-            GeographicTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().GeographicTypeGeoKey : undefined,
-            ProjectedCSTypeGeoKey: image.getGeoKeys ? image.getGeoKeys().ProjectedCSTypeGeoKey : undefined
-        };
-        const options = {};
-        for (const k in geoKeys) if (geoKeys[k] !== undefined) options[k] = geoKeys[k];
-
-        return await this._toGeoTIFF([filled], w, h, options);
+        return await this._toGeoTIFF([filled], w, h, this._georeference(image, { noData: true }));
     }
 
 
@@ -1306,7 +1248,7 @@ export default class geoprocessor {
             outputs.push(out);
         }
 
-        return await this._toGeoTIFF(outputs, w, h);
+        return await this._toGeoTIFF(outputs, w, h, this._georeference(image));
     }
 
 
@@ -1394,7 +1336,7 @@ export default class geoprocessor {
             flatBands.push(bands[i]);
         }
 
-        return await this._toGeoTIFF(flatBands, width, height);
+        return await this._toGeoTIFF(flatBands, width, height, this._georeference(image, { window: args.window, noData: true }));
     }
 
     // [DEPRECATED] Old JS-based clip removed in favor of GDAL WASM version (see above).
@@ -1450,7 +1392,7 @@ export default class geoprocessor {
     static async reproject({ args, data }) {
         try {
             // Pass buffer to worker
-            return await this._runWorker('reproject', args, { buffer: data });
+            return await this._asCOG(await this._runWorker('reproject', args, { buffer: await this._fromRemote(data) }));
         } catch (e) {
             console.error("Worker Reprojection Failed:", e);
             throw new Error(`Worker Reprojection Error: ${e.message}`);
@@ -157,34 +157,58 @@ export default class stats {
   }
 
   /**
-   * Identifies gaps in data.
+   * Identifies gaps in data. Values flagged by quality control (see hydro.data.transform qualityControl)
+   * are counted as gaps when their flag is listed in gapFlags.
    * @method datagaps
    * @memberof stats
-   * @param {Object} params - Not used by this function.
+   * @param {Object} params - Contains: flags (optional per-value QC flags), gapFlags (flags counted as gaps, default [4, 9]).
    * @param {Object} args - Not used by this function.
-   * @param {Array} data - Contains: 1d-JS array with data as [data].
+   * @param {Array|Object} data - Contains: 1d-JS array with data as [data], or a quality-controlled object with data and qualityFlags.
    * @returns {Number} Number of gaps in data.
    * @example
-   * hydro.analyze.stats.datagaps({data: [1, NaN, 3, undefined]});
+   * hydro.analyze.stats.datagaps({data: [1, NaN, 3, undefined, null]});
+   * @example
+   * hydro.analyze.stats.datagaps({data: qcData}); // counts values flagged fail (4) or missing (9)
    */
 
-  static datagaps({ params, args, data } = {}) {
-    var arr = data,
+  static datagaps({ params = {}, args, data } = {}) {
+    var { values: arr, flags } = stats.qcvalues({ params, data }),
       or,
       gap = 0;
+    const gapFlags = params.gapFlags || [4, 9];
 
-    if (typeof arr[0] != "object") {
+    if (typeof arr[0] != "object" || arr[0] === null) {
       or = arr.slice();
     } else {
       or = arr[1].slice();
     }
     for (var i = 0; i < or.length; i++) {
-      if (or[i] === undefined || Number.isNaN(or[i]) || or[i] === false) {
+      if (or[i] === undefined || or[i] === null || Number.isNaN(or[i]) || or[i] === false ||
+        (flags && gapFlags.includes(flags[i]))) {
         gap++;
       }
     }
 
-    return console.log(`Total amount of gaps in data: ${gap}.`);
+    console.log(`Total amount of gaps in data: ${gap}.`);
+    return gap;
+  }
+
+  /**
+   * Unwraps quality-controlled data ({ data, qualityFlags }) and TimeSeries objects into plain values and per-value flags.
+   * @ignore
+   */
+
+  static qcvalues({ params = {}, data } = {}) {
+    if (data && data.type === "TimeSeries" && Array.isArray(data.values)) {
+      return { values: data.values, flags: params.flags || data.qualityFlags };
+    }
+    if (data && !Array.isArray(data) && Array.isArray(data.data)) {
+      const values = data.data.map((d) =>
+        d && typeof d === "object" && !Array.isArray(d) ? d.value : d
+      );
+      return { values, flags: params.flags || data.qualityFlags };
+    }
+    return { values: data, flags: params.flags };
   }
 
   /**
@@ -197,9 +221,11 @@ export default class stats {
    * @param {Object} options - Function options
    * @param {Object} [options.params] - Parameters
    * @param {Array} [options.params.gapValues] - Values to treat as gaps (default: [undefined, null, NaN, false, -9999, 9999])
+   * @param {Array<number>} [options.params.flags] - Per-value QC flags; values whose flag is in gapFlags are treated as gaps
+   * @param {Array<number>} [options.params.gapFlags] - QC flags treated as gaps (default: [4, 9], fail and missing)
    * @param {Object} [options.args] - Arguments
    * @param {string} [options.args.method] - Fill method: 'interpolate', 'mean', 'median' (default: 'interpolate')
-   * @param {Array} options.data - Data array (1D or 2D with [time, values])
+   * @param {Array|Object} options.data - Data array (1D or 2D with [time, values]), or quality-controlled data with qualityFlags
    * @returns {Array} Data with gaps removed or filled
    * 
    * @example
@@ -234,6 +260,17 @@ export default class stats {
   static gapremoval({ params = {}, args = {}, data } = {}) {
     let gapValues = params.gapValues || [undefined, null, NaN, false, -9999, 9999];
 
+    // Values flagged by quality control become NaN gaps before filling
+    const { values, flags } = stats.qcvalues({ params, data });
+    if (Array.isArray(flags) && Array.isArray(values)) {
+      const gapFlags = params.gapFlags || [4, 9];
+      const mask = (arr) => arr.map((v, i) => (gapFlags.includes(flags[i]) ? NaN : v));
+      data = typeof values[0] !== 'object' || values[0] === null ? mask(values) : [values[0], mask(values[1])];
+      gapValues = [...gapValues, NaN];
+    } else {
+      data = values;
+    }
+
     // Robust parsing: convert string numbers in gapValues array
     if (Array.isArray(gapValues)) {
       gapValues = gapValues.map(v => (typeof v === 'string' && !Number.isNaN(Number(v))) ? Number(v) : v);
@@ -362,11 +399,16 @@ export default class stats {
   }
 
   /**
-   * Fills data gaps (either time missig or data missing). Unfinished.
+   * Fills data gaps (either time missig or data missing). Unfinished for time gaps;
+   * quality-controlled data (or params.flags) is filled through gapremoval.
    * @ignore
    */
 
-  static gapfiller({ params, args, data } = {}) {
+  static gapfiller({ params = {}, args, data } = {}) {
+    if (params.type !== "time" && (params.flags || (data && !Array.isArray(data) && data.qualityFlags))) {
+      return stats.gapremoval({ params, args, data });
+    }
+
     var or = Array.isArray(data) ? data.slice() : [],
       datetr = [];
 
@@ -1382,6 +1424,113 @@ export default class stats {
     return temp;
   }
 
+  /**
+   * Computes summary statistics in a single pass over streamed data, without holding it in memory.
+   * Accepts the async iterables of row batches returned by retrieve/upload with stream: true, any (async) iterable
+   * of numbers, rows or batches, or a plain array. Moments are accumulated incrementally, so results match
+   * mean, variance, stddev, skewness and kurtosis on the full series; the median needs all values and is not reported.
+   * @method streamstats
+   * @memberof stats
+   * @async
+   * @param {Object} params - Contains: onProgress (optional, called with the number of rows read after each batch).
+   * @param {Object} args - Contains: columns (names or indexes of the columns to summarize; defaults to every column holding numbers),
+   * nodata (values skipped as missing, e.g. [-9999]).
+   * @param {AsyncIterable|Iterable} data - Rows (objects or arrays), numbers, or batches of either.
+   * @returns {Promise<Object>} { column: { count, missing, min, max, sum, mean, variance, stddev, skewness, kurtosis } },
+   * or the summary itself when the data holds plain numbers.
+   * @example
+   * const rows = await hydro.data.retrieve({
+   *   params: { source: 'usgs', datatype: 'instant-values', type: 'tab', stream: true },
+   *   args: { format: 'rdb', sites: '05454500', parameterCd: '00060', startDT: '2010-01-01', endDT: '2020-12-31' }
+   * });
+   * const summary = await hydro.analyze.stats.streamstats({ args: { columns: ['69928_00060'] }, data: rows });
+   */
+  static async streamstats({ params = {}, args = {}, data } = {}) {
+    const nodata = args.nodata || [];
+    const accumulators = new Map();
+    let rowsRead = 0;
+
+    const accumulator = (key) => {
+      if (!accumulators.has(key)) {
+        accumulators.set(key, { count: 0, missing: 0, min: Infinity, max: -Infinity, sum: 0, mean: 0, m2: 0, m3: 0, m4: 0 });
+      }
+      return accumulators.get(key);
+    };
+
+    // Running central moments (Terriberry's update of Welford's algorithm)
+    const add = (key, value) => {
+      const acc = accumulator(key);
+      const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+      if (!Number.isFinite(number) || nodata.includes(number)) {
+        acc.missing++;
+        return;
+      }
+      const n1 = acc.count;
+      const n = ++acc.count;
+      const delta = number - acc.mean;
+      const deltaN = delta / n;
+      const deltaN2 = deltaN * deltaN;
+      const term = delta * deltaN * n1;
+      acc.mean += deltaN;
+      acc.m4 += term * deltaN2 * (n * n - 3 * n + 3) + 6 * deltaN2 * acc.m2 - 4 * deltaN * acc.m3;
+      acc.m3 += term * deltaN * (n - 2) - 3 * deltaN * acc.m2;
+      acc.m2 += term;
+      acc.sum += number;
+      if (number < acc.min) acc.min = number;
+      if (number > acc.max) acc.max = number;
+    };
+
+    let columns = args.columns ? [].concat(args.columns) : null;
+    const addRow = (row) => {
+      rowsRead++;
+      if (!isRow(row)) {
+        add('value', row);
+        return;
+      }
+      // Without args.columns, the numeric columns of the first row are summarized
+      if (!columns) {
+        columns = Object.keys(row).filter(key => typeof row[key] === 'number');
+      }
+      for (const column of columns) add(column, row[column]);
+    };
+
+    const isRow = (entry) => entry !== null && typeof entry === 'object' && !(entry instanceof Date);
+    const isBatch = (item) => Array.isArray(item) && item.some(isRow);
+    for await (const item of data) {
+      if (isBatch(item)) {
+        for (const row of item) addRow(row);
+      } else if (Array.isArray(item) && columns === null && item.every(entry => typeof entry === 'number' || entry === null)) {
+        // A batch of plain numbers
+        for (const value of item) addRow(value);
+      } else {
+        addRow(item);
+      }
+      if (typeof params.onProgress === 'function') params.onProgress(rowsRead);
+    }
+
+    const summaries = {};
+    for (const [key, acc] of accumulators) {
+      const n = acc.count;
+      const variance = n ? acc.m2 / n : 0;
+      const stddev = Math.sqrt(variance);
+      summaries[key] = {
+        count: n,
+        missing: acc.missing,
+        min: n ? acc.min : null,
+        max: n ? acc.max : null,
+        sum: acc.sum,
+        mean: n ? acc.mean : 0,
+        variance,
+        stddev,
+        skewness: n > 2 ? (n / ((n - 1) * (n - 2))) * (acc.m3 / Math.pow(stddev, 3)) : null,
+        kurtosis: n > 3
+          ? ((n * (n + 1)) / ((n - 1) * (n - 2) * (n - 3))) * (acc.m4 / Math.pow(stddev, 4)) - (3 * Math.pow(n - 1, 2)) / ((n - 2) * (n - 3))
+          : null,
+      };
+    }
+    return accumulators.size === 1 && accumulators.has('value') ? summaries.value : summaries;
+  }
+
   /***************************/
   /*****Statistic Tests ****/
   /***************************/
@@ -1,27 +1,75 @@
 import * as datasources from "./datasources.js";
 import stats from "../analyze/components/stats.js";
-import { cachedFetch } from "./utils/data-cache.js";
+import { cachedFetch, generateSimpleCacheKey, isCacheHit } from "./utils/data-cache.js";
 import {
   GRIDDED_SOURCES,
   processGriddedSource,
   applyDataScaling,
   convertDataUnits,
   aggregateTemporal,
+  aggregateSpatial,
   applyQualityControl,
   calculateStatistics,
   formatData,
   loadGridDataLibrary,
+  normalizeResponse,
+  TimeSeries,
+  fetchWithRetry,
+  fetchAllPages,
+  runPool,
+  ProvenanceLog,
+  createProvenanceRecord,
+  findSourceConfig,
+  addSource,
+  listDatatypes,
+  registerNormalizer,
+  unregisterNormalizer,
+  buildCatalog,
+  searchCatalog,
+  describeSource,
+  CredentialStore,
+  trackSecret,
+  redactSecrets,
+  resolveProxies,
+  fetchThroughProxies,
+  applyProxy,
+  configureProxies,
+  getProxyConfig,
+  resetProxyConfig,
+  DelimitedTextStream,
+  parseDelimitedStream,
+  isAsyncIterable,
+  parseWaterML,
+  writeWaterML,
+  parseXML,
+  soapBody,
+  toFeatureCollection,
+  readShapefile,
+  writeShapefile,
+  readGeoPackage,
+  writeGeoPackage,
+  readGeoParquet,
+  toUint8Array,
+  isParquet,
+  readParquet,
+  readParquetBatches,
+  writeParquet,
+  isArrow,
+  readArrow,
+  readArrowBatches,
+  writeArrow,
+  formatTable,
+  GeoTIFFDataSource,
 } from "./utils/index.js";
 
-//import fxparserMin from "./fxparser.min.js";
+// Provenance records of every retrieval in this session (see data.provenance)
+const provenanceLog = new ProvenanceLog();
 
-//import XMLParser from './fxparser.min.js'
-//import  {XMLParser} from "./fxparser.min.js";
-
-//Workaround for DOM manipulation using a web worker environment
-
-
-// 'https://cdnjs.cloudflare.com/ajax/libs/fast-xml-parser/4.5.1/fxparser.min.js'
+// API keys of keyed datasources, encrypted in the cache backend (see data.credentials)
+const credentialStore = new CredentialStore({
+  cache: () => globalThis.hydro?.cache || globalThis._hydroCache,
+  passphrase: () => ((typeof window !== 'undefined' && window.hydroConfig) || globalThis.hydro?.config)?.credentialPassphrase
+});
 
 /**
  * Module for dealing with data retrieval, transformation, upload, and download operations.
@@ -41,10 +89,24 @@ import {
  * @param {Object} options.params - Parameters for the request
  * @param {string} options.params.source - Data source identifier (e.g., 'usgs', 'nldi', 'nws')
  * @param {string} options.params.datatype - Type of data to retrieve (varies by source)
- * @param {string} [options.params.type] - Response format ('json', 'xml', 'csv', 'soap') - defaults to source's default
+ * @param {string} [options.params.type] - Response format ('json', 'xml', 'csv', 'soap', 'parquet', 'arrow') - defaults to source's default. Parquet and Arrow IPC responses (also recognized by their content type) are read into HydroLang columns (see params.tableOptions)
  * @param {boolean} [options.params.transform] - Whether to apply data transformation
  * @param {boolean} [options.params.placeHolder] - Whether to use placeholder data
- * @param {string} [options.params.keyname] - API key parameter name for authenticated sources
+ * @param {string} [options.params.keyname] - API key for authenticated sources, passed under the source's keyname (e.g. params.token for noaa). Defaults to the key stored with data.credentials.set; a missing key of a source that requires one is an error
+ * @param {string} [options.params.proxyServer] - Name of the proxy to try first for sources that need one (see data.proxy for the allow-list, order and per-source overrides)
+ * @param {boolean} [options.params.normalize] - Return an array of canonical TimeSeries objects (site, variable, units, timestamps, values, qualifiers, provenance) instead of the raw response. Supported for usgs, noaa, eauk, meteostat, wqp, nws, dwd (MOSMIX), nasapower, openmeteo, waterOneFlow and any WaterML 1.1/2.0 response
+ * @param {boolean} [options.params.provenance] - Resolve to { data, provenance } where provenance records the resolved endpoint, proxy, redacted headers, response SHA-256 and time (an array of per-page records with paginate). The record is also added to the session log (see data.provenance); set `provenance: true` in the Hydrolang config to log every point-source retrieval without changing return values
+ * @param {string} [options.params.cacheId] - Name for the cache entry of this request (used with cache: true)
+ * @param {Object|number|boolean} [options.params.retry] - Retry policy for 408/425/429/5xx responses and network errors: { retries: 3, baseDelay: 500, factor: 2, maxDelay: 30000, jitter: true, retryOn: [...] }, a number of retries, or false. Retry-After headers are honoured. Defaults to the Hydrolang config option retry. Per-host limits come from the datasource's requirements.rateLimit ({ requestsPerSecond, concurrency })
+ * @param {AbortSignal} [options.params.signal] - Cancels the request, including queued and backoff waits
+ * @param {boolean} [options.params.paginate=false] - Fetch every page of datatypes that declare a `pagination` style (offset, page, cursor, next link or Link header) and merge the results into one response
+ * @param {number} [options.params.maxRecords=100000] - With paginate, stop once this many records are collected; the result is truncated with a warning
+ * @param {number} [options.params.maxPages=1000] - With paginate, stop after this many pages
+ * @param {Function} [options.params.onProgress] - With paginate, called after each page with { page, records, total }
+ * @param {boolean} [options.params.stream=false] - Parse csv/tab (USGS RDB) responses incrementally: resolves to an async iterable of row batches instead of one string. Comment lines and the RDB type row are skipped and columns are typed (see params.streamOptions). Parquet and Arrow responses are decoded one row group or record batch at a time
+ * @param {Object} [options.params.streamOptions] - Parser options for stream: { delimiter, header, comment, types, dates, timezone, missing, output: 'objects'|'arrays', batchSize }
+ * @param {Object} [options.params.tableOptions] - Reader options for parquet/arrow: { columns: names to read, filters: { column: { min, max } | [values] | value }, output: 'columns'|'objects'|'table' }. Parquet row groups whose statistics exclude a filter are not decoded
+ * @param {Object} [options.params.xmlOptions] - With process, parser options for xml/soap responses: { namespaces: 'keep'|'strip'|'expand', arrays, parseValues }
  * @param {Object} options.args - Arguments specific to the data source endpoint
  * @param {Object} [options.data] - Additional data payload (for POST requests)
  * @returns {Promise<Object|string>} Promise resolving to retrieved data in specified format
@@ -66,6 +128,63 @@ import {
  * });
  * 
  * @example
+ * // Same call, normalized to TimeSeries objects shared by all point sources
+ * const [flow] = await hydro.data.retrieve({
+ *   params: { source: 'usgs', datatype: 'instant-values', normalize: true },
+ *   args: { format: 'json', sites: '05454500', startDT: '2020-01-01', endDT: '2020-01-07' }
+ * });
+ * console.log(flow.site.name, flow.units, flow.timestamps[0], flow.values[0]);
+ *
+ * @example
+ * // Keep a provenance record alongside the data
+ * const { data, provenance } = await hydro.data.retrieve({
+ *   params: { source: 'usgs', datatype: 'instant-values', provenance: true },
+ *   args: { format: 'json', sites: '05454500', startDT: '2020-01-01', endDT: '2020-01-07' }
+ * });
+ * console.log(provenance.request.url, provenance.response.sha256);
+ *
+ * @example
+ * // Read a multi-year 15-minute USGS RDB file batch by batch
+ * const rows = await hydro.data.retrieve({
+ *   params: { source: 'usgs', datatype: 'instant-values', type: 'tab', stream: true },
+ *   args: { format: 'rdb', sites: '05454500', parameterCd: '00060', startDT: '2010-01-01', endDT: '2020-12-31' }
+ * });
+ * for await (const batch of rows) {
+ *   console.log(rows.columns, batch.length, batch[0].datetime);
+ * }
+ *
+ * @example
+ * // Read one reach's July flows from a yearly Parquet archive; row groups outside the filters are not decoded
+ * hydro.data.registerSource('flowarchive', {
+ *   requirements: { needProxy: false, requireskey: false },
+ *   info: { returnFormats: 'parquet', About: 'Hourly reach streamflow, one Parquet file per year' },
+ *   hourly: { endpoint: 'https://data.example.org/streamflow/{year}.parquet', params: {}, methods: { type: 'parquet', method: 'GET' } }
+ * });
+ * const flows = await hydro.data.retrieve({
+ *   params: {
+ *     source: 'flowarchive', datatype: 'hourly',
+ *     tableOptions: { columns: ['time', 'streamflow'], filters: { feature_id: 5781915, time: { min: '2015-07-01', max: '2015-07-31T23:00:00Z' } } }
+ *   },
+ *   args: { year: 2015 }
+ * });
+ * // [['time', '2015-07-01T00:00:00.000Z', ...], ['streamflow', 12.4, ...]]
+ * const meanFlow = hydro.analyze.stats.mean({ data: flows[1].slice(1) });
+ *
+ * @example
+ * // Collect every page of a NOAA CDO query (1000 results per call)
+ * const allDays = await hydro.data.retrieve({
+ *   params: {
+ *     source: 'noaa',
+ *     datatype: 'daily-summaries',
+ *     token: 'YOUR_NOAA_TOKEN',
+ *     paginate: true,
+ *     maxRecords: 20000,
+ *     onProgress: ({ page, records, total }) => console.log(`page ${page}: ${records}/${total ?? '?'}`)
+ *   },
+ *   args: { stationid: 'GHCND:USW00094728', startdate: '2020-01-01', enddate: '2020-12-31' }
+ * });
+ *
+ * @example
  * // Retrieve NLDI basin boundary data
  * const basinData = await hydro.data.retrieve({
  *   params: {
@@ -176,357 +295,691 @@ async function retrieve({ params, args, data } = {}) {
   let placeHolder = params.placeHolder || false;
   let trans = params.transform || false;
 
-  try {
-    // Check if this is a gridded data source
-    const griddedConfig = GRIDDED_SOURCES[source];
-    if (griddedConfig) {
-      // Run preprocessing if needed (e.g., NLDI lookup for NWM)
-      if (griddedConfig.preProcess) {
-        const result = await griddedConfig.preProcess(params, args, dataType);
-        args = result.args;
-      }
+  // Check if this is a gridded data source
+  const griddedConfig = GRIDDED_SOURCES[source];
+  if (griddedConfig) {
+    // Run preprocessing if needed (e.g., NLDI lookup for NWM)
+    if (griddedConfig.preProcess) {
+      const result = await griddedConfig.preProcess(params, args, dataType);
+      args = result.args;
+    }
 
-      // Use the new generic processor (pass datasources, not params)
-      // Pass process flag if present
-      if (params.process !== true) {
-        args.process = false;
-      }
-      return processGriddedSource(source, dataType, args, datasources);
+    // Use the new generic processor (pass datasources, not params)
+    // Pass process flag if present
+    if (params.process !== true) {
+      args.process = false;
     }
+    return processGriddedSource(source, dataType, args, datasources);
+  }
 
-    // Resolve source configuration robustly (handling named vs default exports)
-    // Resolve source configuration robustly (handling named vs default exports)
-    //const sourceModule = datasources[source] || (datasources.default ? datasources.default[source] : undefined);
-
-    // Safety check for wrapped modules (nested default)
-    // We unwrap .default until we find a likely configuration object (has 'datasets' or 'sourceType')
-    // We need to find the object that actually HAS the sourceType function.
-    let sourceModule = datasources[source];
-
-    // Check main object, then .default, then .default.default using a helper
-    const findConfig = (obj) => {
-      if (!obj) return null;
-      if (typeof obj.sourceType === 'function') return obj;
-      if (obj.default) return findConfig(obj.default);
-      // Fallback for objects that might have datasets but sourceType is on global export
-      if (obj.datasets) return obj;
-      // Fallback for standard datasources (like usgs, nws) that have requirements and info
-      if (obj.requirements && obj.info) return obj;
-      return null;
-    };
+  // Built-in and registered sources share one configuration schema (see utils/source-registry.js)
+  const sourceConfig = findSourceConfig(datasources, source);
+  if (!sourceConfig) {
+    return Promise.reject(new Error(`No data source found for source '${source}' and type '${dataType}'.`));
+  }
 
-    // Try finding it starting from datasources[source]
-    let sourceConfig = findConfig(datasources[source]);
+  // Sources that build endpoints from the arguments (resolveEndpoint) may not declare every datatype
+  let dataSource = sourceConfig[dataType] || sourceConfig.datasets?.[dataType];
+  if (!dataSource && typeof sourceConfig.resolveEndpoint === 'function') {
+    dataSource = { methods: { type: 'json' } };
+  }
 
-    // If not found, try starting from datasources.default (if it exists)
-    if (!sourceConfig && datasources.default) {
-      sourceConfig = findConfig(datasources.default[source]);
-    }
+  if (!dataSource) {
+    return Promise.reject(new Error(`No configuration found for source '${source}' and datatype '${dataType}'.`));
+  }
 
-    // For other datasources, check if they exist
-    // Use the resolved sourceConfig to check for the dataType
-    // sourceConfig might be the datasource object itself (like usgs.js default export)
-    // or it might be the module namespace
-    let dataSource;
-    if (sourceConfig) {
-      dataSource = sourceConfig[dataType];
-      // If not found directly, it might be in datasets (for gridded sources masquerading as direct, like chirps/ecmwf)
-      if (!dataSource && sourceConfig.datasets) {
-        dataSource = sourceConfig.datasets[dataType];
-      }
-    }
+  // Keep the request arguments for provenance; endpoint templating below removes consumed keys
+  const requestArgs = { ...args };
 
-    if (!dataSource && !sourceConfig && !GRIDDED_SOURCES[source]) {
-      return Promise.reject(new Error(`No data source found for source '${source}' and type '${dataType}'.`));
-    }
+  let endpoint = typeof sourceConfig.resolveEndpoint === 'function'
+    ? sourceConfig.resolveEndpoint(args, dataType)
+    : dataSource.endpoint;
 
-    // Fallback if we have sourceConfig but couldn't resolve specific dataSource yet
-    // (This happens for dynamic sources like chirps/ecmwf where methods are looked up later or custom logic used)
-    if (!dataSource && (source === 'chirps' || source === 'ecmwf' || source === 'dwd' || source === 'nldas')) {
-      // Create dummy dataSource to pass the check, endpoint calculation handles it later
-      dataSource = { methods: { type: 'json' } };
-    }
+  if (!endpoint) {
+    throw new Error(`Endpoint resolution failed for source '${source}'. resolveEndpoint returned null or undefined.`);
+  }
 
-    if (!dataSource) {
-      return Promise.reject(new Error(`No configuration found for source '${source}' and datatype '${dataType}'.`));
-    }
+  let type = params.type || dataSource.methods.type;
 
-    let endpoint =
-      source === "waterOneFlow" || source === "hisCentral" || source === "mitigation_dt" || source === "flooddamage_dt" || source === "nldas" || source === "dwd" || source === "chirps" || source === "ecmwf"
-        ? (source === "nldas" ? sourceConfig.sourceType(args.dataset, dataType, args) : (source === "dwd" || source === "chirps" || source === "ecmwf" ? sourceConfig.sourceType(args, dataType) : sourceConfig.sourceType(args.sourceType, dataType)))
-        : dataSource.endpoint;
+  // Proxies for this request: params.proxyServer first, then the configured order (see data.proxy).
+  // Sources without requirements.needProxy go direct unless a per-source override routes them
+  const proxyChain = resolveProxies(source, {
+    requested: params.proxyServer,
+    needProxy: !!sourceConfig.requirements?.needProxy
+  });
+  // Endpoint of the proxy that answered (recorded in provenance)
+  let proxy = proxyChain[0]?.endpoint || "";
+
+  let headers = {
+    "content-type": (() => {
+      if (type === "json") {
+        return "application/json";
+      } else if (type === "xml" || type === "soap") {
+        return "text/xml; charset=utf-8";
+      } else if (type === "csv" || type === "tab") {
+        return "application/text";
+      } else if (type === "netcdf" || type === "tiff" || type === "image" || type === "blob" || type === "binary" || type === "parquet" || type === "arrow") {
+        // If we are POSTing to get a binary file (like ECMWF), we usually send JSON params.
+        if (dataSource.methods.method === 'POST') {
+          return "application/json";
+        }
+        return "application/octet-stream";
+      } else {
+        return "application/json"; // Default
+      }
+    })(),
+  };
 
-    if (!endpoint) {
-      throw new Error(`Endpoint resolution failed for source '${source}'. sourceType returned null or undefined.`);
+  if (type === "soap") {
+    headers["SOAPAction"] = sourceConfig.action + dataType;
+  }
+
+  // API keys come from params[keyname] or the credential store and go where the source expects them
+  const { keyname, requireskey, keylocation = 'header' } = sourceConfig.requirements || {};
+  let apiKey = null;
+  if (keyname) {
+    // Query and body keys may also be passed as a request argument
+    apiKey = params[keyname] || (keylocation !== 'header' ? args[keyname] : null) || await credentialStore.get(source);
+    if (apiKey) {
+      trackSecret(apiKey);
+    } else if (requireskey) {
+      throw new Error(`Datasource '${source}' requires an API key ('${keyname}'). Set it with hydro.data.credentials.set('${source}', key) or pass params['${keyname}'].`);
     }
+  }
+  if (apiKey && keylocation === 'header') {
+    headers[keyname] = apiKey;
+  }
 
-    let type = params.type || dataSource.methods.type;
+  endpoint = endpoint.replace(/{(\w+)}/g, (match, key) => {
+    const value = args[key];
+    delete args[key];
+    return value;
+  });
 
-    // Check if proxy is needed based on datasource requirements
-    // Use the robust sourceConfig resolved earlier, not datasources[source] which might be undefined for default exports
-    let proxy = "";
-    const needsProxy = (sourceConfig.requirements && sourceConfig.requirements.needProxy) ||
-      (datasources[source] && datasources[source].requirements && datasources[source].requirements.needProxy);
+  // Body keys travel with the request arguments (JSON body for POST, query string for GET);
+  // query keys are appended once the query string is built
+  if (apiKey && keylocation !== 'header') {
+    args = { ...args };
+    delete args[keyname];
+    if (keylocation === 'body') args[keyname] = apiKey;
+  }
 
-    if (needsProxy) {
-      // Use specified proxy or default to researchverse
-      const proxyName = params.proxyServer || "local-proxy";
 
-      const proxiesContainer = datasources.proxies || (datasources.default && datasources.default.proxies);
+  let fetchOptions = {
+    method: dataSource.methods.method || 'GET',
+    headers: headers,
+  };
+  if (params.signal) {
+    fetchOptions.signal = params.signal;
+  }
 
-      if (!proxiesContainer) {
-        throw new Error("Proxies configuration not found in datasources.");
+  if (fetchOptions.method === 'POST') {
+    if (type === 'json' || type === 'binary') {
+      // If content-type is json, stringify args
+      if (headers['content-type'] && headers['content-type'].includes('application/json')) {
+        fetchOptions.body = JSON.stringify(args);
+      } else {
+        // Fallback if binary but not json header (unlikely given logic above)
+        fetchOptions.body = JSON.stringify(args);
       }
-
-      console.log(`[Proxy Debug] Requested: ${proxyName}`);
-      console.log(`[Proxy Debug] Available: ${Object.keys(proxiesContainer).join(', ')}`);
-
-      proxy = proxiesContainer[proxyName]?.endpoint || proxiesContainer["local-proxy"].endpoint;
-      console.log(`[Proxy Debug] Resolved: ${proxy}`);
+    } else if (type === 'soap' || type === 'xml') {
+      fetchOptions.body = Object.keys(args).length
+        ? datasources.default.envelope(dataSource.body(args))
+        : datasources.default.envelope(dataSource.body());
     }
-
-    let headers = {
-      "content-type": (() => {
-        if (type === "json") {
-          return "application/json";
-        } else if (type === "xml" || type === "soap") {
-          return "text/xml; charset=utf-8";
-        } else if (type === "csv" || type === "tab") {
-          return "application/text";
-        } else if (type === "netcdf" || type === "tiff" || type === "image" || type === "blob" || type === "binary") {
-          // If we are POSTing to get a binary file (like ECMWF), we usually send JSON params.
-          if (dataSource.methods.method === 'POST') {
-            return "application/json";
-          }
-          return "application/octet-stream";
-        } else {
-          return "application/json"; // Default
+  } else if (fetchOptions.method === 'GET') {
+    // Merge preset parameters from datasource with user-provided args
+    // Start with preset params from datasource definition
+    const mergedParams = {};
+
+    if (dataSource.params) {
+      // Add all preset parameters that have non-null values
+      for (const [key, value] of Object.entries(dataSource.params)) {
+        if (value !== null && value !== undefined) {
+          mergedParams[key] = value;
         }
-      })(),
-    };
+      }
 
-    if (type === "soap") {
-      headers["SOAPAction"] = datasources.default[source]?.action + dataType;
+      // Override with user-provided args (for params that were null)
+      for (const [key, value] of Object.entries(args)) {
+        if (value !== null && value !== undefined) {
+          mergedParams[key] = value;
+        }
+      }
+    } else {
+      // If no preset params, just use args as before
+      Object.assign(mergedParams, args);
     }
 
-    let keyname = sourceConfig.requirements?.keyname || datasources[source]?.requirements?.keyname;
-    if (keyname && params[keyname]) {
-      headers[keyname] = params[keyname];
-    } else if (keyname) {
-      console.warn("info: please verify the keyname of the source.");
+    // Only add query string if we have parameters
+    if (Object.keys(mergedParams).length > 0) {
+      const queryString = new URLSearchParams(mergedParams).toString();
+      endpoint += `?${queryString}`;
     }
+  }
 
-    endpoint = endpoint.replace(/{(\w+)}/g, (match, key) => {
-      const value = args[key];
-      delete args[key];
-      return value;
-    });
+  if (apiKey && keylocation === 'query') {
+    endpoint += `${endpoint.includes('?') ? '&' : '?'}${new URLSearchParams({ [keyname]: apiKey })}`;
+  }
 
+  // Determine whether to use cache
+  // Cache is DISABLED by default - must explicitly opt-in with cache: true
+  let globalCache = false;
+  const hydroConfig = (typeof window !== 'undefined' && window.hydroConfig) || globalThis.hydro?.config;
+  if (hydroConfig && hydroConfig.cache !== undefined) {
+    globalCache = hydroConfig.cache;
+  }
+  const useCache = params.cache === true || globalCache === true;
+
+  // Retry policy (params.retry, else config.retry) and the rate limits declared by the datasource
+  const retry = params.retry ?? hydroConfig?.retry;
+  const rateLimit = sourceConfig.requirements?.rateLimit;
+
+  // Cache keys are derived from this call's context (source/datatype/cacheId) and the URL.
+  // The API key and callbacks are left out since the context params are stored with the cached entry
+  let cacheContext = null;
+  if (useCache) {
+    const cacheParams = Object.fromEntries(Object.entries(params)
+      .filter(([name, value]) => name !== keyname && name !== 'signal' && typeof value !== 'function'));
+    cacheContext = { source, dataType, params: cacheParams, cacheId: params.cacheId, retry, rateLimit };
+  }
 
-    let fetchOptions = {
-      method: dataSource.methods.method || 'GET',
-      headers: headers,
-    };
+  // Provenance is recorded per request (params.provenance) or for the whole session (config.provenance)
+  const returnProvenance = params.provenance === true;
+  const recordProvenance = returnProvenance || hydroConfig?.provenance === true;
+  let provenanceRecord = null;
+
+  // Execute Request
+  const send = async (url, options, context = cacheContext) => {
+    const executeRequest = useCache
+      ? (target, init) => cachedFetch(target, init, context)
+      : (target, init) => fetchWithRetry(target, init, { retry, rateLimit, fetch });
+    const result = await fetchThroughProxies(url, options, { proxies: proxyChain, fetch: executeRequest });
+    proxy = result.proxy;
+    return result.response;
+  };
 
-    if (fetchOptions.method === 'POST') {
-      if (type === 'json' || type === 'binary') {
-        // If content-type is json, stringify args
-        if (headers['content-type'] && headers['content-type'].includes('application/json')) {
-          fetchOptions.body = JSON.stringify(args);
-        } else {
-          // Fallback if binary but not json header (unlikely given logic above)
-          fetchOptions.body = JSON.stringify(args);
+  const recordRequest = async (url, options, response, context = cacheContext) => provenanceLog.add(await createProvenanceRecord({
+    source,
+    datatype: dataType,
+    params,
+    args: requestArgs,
+    method: options.method,
+    url,
+    proxy,
+    headers: options.headers,
+    body: options.body,
+    secretNames: keyname ? [keyname] : [],
+    secretValues: apiKey ? [apiKey] : [],
+    cacheKey: context ? generateSimpleCacheKey(context, applyProxy(proxy, url)) : null
+  }, response, { fromCache: isCacheHit(response) }));
+
+  // Delimited text read batch by batch (params.stream) instead of as one string
+  if (params.stream === true && params.normalize) {
+    throw new Error('params.stream cannot be combined with params.normalize; normalize needs the whole response');
+  }
+  const streamDelimited = (body) => parseDelimitedStream(body, {
+    ...(type === 'tab' ? { delimiter: '\t' } : {}),
+    ...params.streamOptions
+  });
+
+  // Parquet and Arrow IPC bodies are read into columns (or row batches with params.stream) and skip the processing below
+  const columnarTypes = ['parquet', 'arrow'];
+  let columnar = false;
+  const readColumnarResponse = (body) => {
+    columnar = true;
+    return readColumnar(body, params.tableOptions, params.stream === true);
+  };
+
+  // Paged datatypes: fetch every page and hand the merged body to the processing below as one JSON response
+  const paginate = params.paginate === true && !!dataSource.pagination;
+  if (params.paginate === true && !dataSource.pagination) {
+    console.warn(`Pagination is not declared for '${source}' '${dataType}'; retrieving a single page`);
+  }
+  const pageRecords = [];
+  let pageCount = 0;
+  const request = paginate
+    ? fetchAllPages({
+      url: endpoint,
+      fetchOptions,
+      pagination: dataSource.pagination,
+      maxRecords: params.maxRecords,
+      maxPages: params.maxPages,
+      onProgress: params.onProgress,
+      fetchPage: async (url, options) => {
+        // A user cacheId names the first page; later pages get their own entries
+        const pageContext = useCache && params.cacheId && pageCount
+          ? { ...cacheContext, cacheId: `${params.cacheId}-page${pageCount + 1}` }
+          : cacheContext;
+        pageCount++;
+        let response = await send(url, options, pageContext);
+        if (recordProvenance) pageRecords.push(await recordRequest(url, options, response, pageContext));
+        // Cached pages come back as bytes
+        if (typeof response.json !== 'function') {
+          response = new Response(response, { headers: { 'content-type': 'application/json' } });
         }
-      } else if (type === 'soap' || type === 'xml') {
-        fetchOptions.body = Object.keys(args).length
-          ? datasources.default.envelope(dataSource.body(args))
-          : datasources.default.envelope(dataSource.body());
+        return response;
       }
-    } else if (fetchOptions.method === 'GET') {
-      // Merge preset parameters from datasource with user-provided args
-      // Start with preset params from datasource definition
-      const mergedParams = {};
-
-      if (dataSource.params) {
-        // Add all preset parameters that have non-null values
-        for (const [key, value] of Object.entries(dataSource.params)) {
-          if (value !== null && value !== undefined) {
-            mergedParams[key] = value;
+    }).then(({ body }) => new Response(JSON.stringify(body), {
+      status: 200,
+      headers: { 'content-type': 'application/json' }
+    }))
+    : send(endpoint, fetchOptions);
+
+  return request
+    .then(async (response) => {
+      if (recordProvenance) {
+        // Paginated retrievals keep one record per page request
+        provenanceRecord = paginate ? pageRecords : await recordRequest(endpoint, fetchOptions, response);
+      }
+
+      // Handle non-Response objects (ArrayBuffer from cachedFetch)
+      if (typeof response.text !== 'function') {
+        if (columnarTypes.includes(type) && (response instanceof ArrayBuffer || ArrayBuffer.isView(response))) {
+          return readColumnarResponse(response);
+        }
+        if (params.stream === true && (response instanceof ArrayBuffer || ArrayBuffer.isView(response))) {
+          return streamDelimited(response);
+        }
+        if (response instanceof ArrayBuffer || response.byteLength !== undefined) {
+          const text = new TextDecoder().decode(response);
+          // If we expect JSON, try to parse it
+          if (params.datatype === 'json' || dataSource.methods.type === 'json') {
+            return JSON.parse(text);
           }
+          return text;
         }
+        return response;
+      }
 
-        // Override with user-provided args (for params that were null)
-        for (const [key, value] of Object.entries(args)) {
-          if (value !== null && value !== undefined) {
-            mergedParams[key] = value;
-          }
+      // Check if response is a valid Response object (it might be raw data from cache)
+      const isResponseObj = response && typeof response.ok !== 'undefined' && typeof response.headers !== 'undefined';
+
+      if (!isResponseObj) {
+        // It's raw data (likely ArrayBuffer/Blob from cache)
+        if (columnarTypes.includes(type)) {
+          return readColumnarResponse(response);
         }
-      } else {
-        // If no preset params, just use args as before
-        Object.assign(mergedParams, args);
+        if (type === 'json' && typeof response === 'string') {
+          try { return JSON.parse(response); } catch (e) { return response; }
+        }
+        // Wrap raw data if specific binary type requested
+        if (['blob', 'netcdf', 'grib2', 'tiff', 'image'].includes(type)) {
+          return new Blob([response]);
+        }
+        return response;
       }
 
-      // Only add query string if we have parameters
-      if (Object.keys(mergedParams).length > 0) {
-        const queryString = new URLSearchParams(mergedParams).toString();
-        endpoint += `?${queryString}`;
+      if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(`HTTP error ${response.status} fetching ${redactSecrets(endpoint)}: ${errorData}`);
       }
-    }
 
+      if (columnarTypes.includes(type) || /parquet|apache\.arrow/.test(response.headers.get('content-type') || '')) {
+        return readColumnarResponse(await response.arrayBuffer());
+      }
 
-    // Determine whether to use cache
-    // Cache is DISABLED by default - must explicitly opt-in with cache: true
-    let globalCache = false;
-    if (typeof window !== 'undefined' && window.hydroConfig && window.hydroConfig.cache !== undefined) {
-      globalCache = window.hydroConfig.cache;
-    }
-    const useCache = params.cache === true || globalCache === true;
-
-    // Execute Request
-    const executeRequest = useCache ? cachedFetch : fetch;
-
-    return executeRequest(proxy + endpoint, fetchOptions)
-      .then(async (response) => {
-        // DEBUG: Log raw response
-        if (typeof response.clone === 'function') {
-          const clone = response.clone();
-          try {
-            const text = await clone.text();
-            console.log(`[Retrieve Debug] Raw response from ${proxy + endpoint}:`, text.substring(0, 500)); // Log first 500 chars
-          } catch (err) {
-            console.log(`[Retrieve Debug] Failed to read raw response:`, err);
-          }
-        } else {
-          console.log(`[Retrieve Debug] Response from ${proxy + endpoint} is not a standard Response object (no clone method).`);
+      if (params.stream === true) {
+        const contentType = response.headers.get('content-type') || '';
+        if (['csv', 'tab'].includes(type) || /csv|tab-separated|text\/plain/.test(contentType)) {
+          return streamDelimited(response);
         }
+        console.warn(`params.stream applies to csv/tab, parquet and arrow responses; reading the '${type}' response from ${source} whole`);
+      }
 
-        // Handle non-Response objects (ArrayBuffer from cachedFetch)
-        if (typeof response.text !== 'function') {
-          if (response instanceof ArrayBuffer || response.byteLength !== undefined) {
-            const text = new TextDecoder().decode(response);
-            // If we expect JSON, try to parse it
-            if (params.datatype === 'json' || dataSource.methods.type === 'json') {
-              return JSON.parse(text);
-            }
-            return text;
-          }
-          return response;
+      // If process is not explicitly true, return raw text or blob based on content type
+      if (params.process !== true) {
+        const contentType = response.headers.get('content-type');
+        if (contentType && (contentType.includes('application/json') || contentType.includes('text/'))) {
+          return response.text();
+        } else {
+          return response.blob();
         }
+      }
 
-        // Check if response is a valid Response object (it might be raw data from cache)
-        const isResponseObj = response && typeof response.ok !== 'undefined' && typeof response.headers !== 'undefined';
+      // Logic for handling response types
+      // Priority: 1. User specified type, 2. Datasource default type, 3. Content-Type detection
+      let targetType = type || dataSource.methods.type || 'unknown';
 
-        if (!isResponseObj) {
-          // It's raw data (likely ArrayBuffer/Blob from cache)
-          if (type === 'json' && typeof response === 'string') {
-            try { return JSON.parse(response); } catch (e) { return response; }
-          }
-          // Wrap raw data if specific binary type requested
-          if (['blob', 'netcdf', 'grib2', 'tiff', 'image'].includes(type)) {
-            return new Blob([response]);
-          }
-          return response;
+      // Force blob for known binary types
+      if (['netcdf', 'grib2', 'tiff', 'image', 'blob', 'zip', 'tar', 'kmz', 'zarr', 'binary'].includes(targetType)) {
+        if (typeof response.blob === 'function') {
+          return response.blob();
+        } else if (typeof response.arrayBuffer === 'function') {
+          return response.arrayBuffer().then(buf => new Blob([buf]));
         }
+        return new Blob([response]); // Fallback
+      }
 
-        if (!response.ok) {
-          const errorData = await response.text();
-          throw new Error(`HTTP error ${response.status} fetching ${endpoint}: ${errorData}`);
+      if (targetType === 'json') {
+        // Safety check: if content indicates binary/image preventing JSON parse error
+        const ct = response.headers.get('content-type');
+        if (ct && (ct.includes('image/') || ct.includes('application/octet-stream') || ct.includes('application/x-tar') || ct.includes('application/zip'))) {
+          if (typeof response.blob === 'function') return response.blob();
+          return response.arrayBuffer().then(buf => new Blob([buf]));
         }
+        return response.json();
+      }
 
-        // If process is not explicitly true, return raw text or blob based on content type
-        if (params.process !== true) {
-          const contentType = response.headers.get('content-type');
-          if (contentType && (contentType.includes('application/json') || contentType.includes('text/'))) {
-            return response.text();
-          } else {
-            return response.blob();
-          }
-        }
+      if (['xml', 'soap', 'csv', 'tab', 'kml'].includes(targetType)) {
+        return response.text();
+      }
 
-        // Logic for handling response types
-        // Priority: 1. User specified type, 2. Datasource default type, 3. Content-Type detection
-        let targetType = type || dataSource.methods.type || 'unknown';
+      // Dynamic detection if type is unknown or generic
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('application/json')) {
+        return response.json();
+      } else if (contentType.includes('text/') || contentType.includes('xml') || contentType.includes('application/vnd.google-earth.kml+xml')) {
+        return response.text();
+      } else {
+        // Default to blob for anything else (likely binary) to avoid JSON parse errors
+        return response.blob();
+      }
+    })
+    .then(async (responseData) => {
+      // Streams are handed to the caller unread, and columnar tables as they were read
+      if (responseData instanceof DelimitedTextStream || columnar) {
+        return responseData;
+      }
 
-        // Force blob for known binary types
-        if (['netcdf', 'grib2', 'tiff', 'image', 'blob', 'zip', 'tar', 'kmz', 'zarr', 'binary'].includes(targetType)) {
-          if (typeof response.blob === 'function') {
-            return response.blob();
-          } else if (typeof response.arrayBuffer === 'function') {
-            return response.arrayBuffer().then(buf => new Blob([buf]));
-          }
-          return new Blob([response]); // Fallback
-        }
+      // Response parser declared by the datatype or the source
+      const parser = dataSource.parse || sourceConfig.parse;
+      if (parser) {
+        responseData = await parser(responseData, { source, datatype: dataType, args: requestArgs, params });
+      }
 
-        if (targetType === 'json') {
-          // Safety check: if content indicates binary/image preventing JSON parse error
-          const ct = response.headers.get('content-type');
-          if (ct && (ct.includes('image/') || ct.includes('application/octet-stream') || ct.includes('application/x-tar') || ct.includes('application/zip'))) {
-            if (typeof response.blob === 'function') return response.blob();
-            return response.arrayBuffer().then(buf => new Blob([buf]));
-          }
-          return response.json();
-        }
+      // Canonical TimeSeries output, independent of the source's response shape
+      if (params.normalize) {
+        return normalizeResponse(source, responseData, { datatype: dataType, args: requestArgs, url: redactSecrets(endpoint) });
+      }
 
-        if (['xml', 'soap', 'csv', 'tab', 'kml'].includes(targetType)) {
-          return response.text();
-        }
+      // If process is not explicitly true, return raw data
+      if (params.process !== true) {
+        return responseData;
+      }
 
-        // Dynamic detection if type is unknown or generic
-        const contentType = response.headers.get('content-type') || '';
-        if (contentType.includes('application/json')) {
-          return response.json();
-        } else if (contentType.includes('text/') || contentType.includes('xml') || contentType.includes('application/vnd.google-earth.kml+xml')) {
-          return response.text();
-        } else {
-          // Default to blob for anything else (likely binary) to avoid JSON parse errors
-          return response.blob();
+      if ((type === "soap" || type === "xml" || type === "kml") && typeof responseData === "string") {
+        try {
+          // SOAP responses are returned from inside the envelope's Body
+          const parsed = parseXML(responseData, params.xmlOptions);
+          return type === "soap" ? soapBody(parsed) : parsed;
+        } catch (xmlError) {
+          throw new Error(`Error parsing ${type.toUpperCase()} response from ${redactSecrets(endpoint)}: ${xmlError.message}`);
         }
-      })
-      .then((responseData) => {
-        // If process is not explicitly true, return raw data
-        if (params.process !== true) {
-          return responseData;
+      } else if (type === "tab" || type === "CSV") {
+        return JSON.stringify(responseData);
+      } else if (trans) {
+        if (source === "usgs") {
+          return transform({
+            params: { save: 'value' },
+            args: { keep: '["datetime", "value"]', type: 'ARR' },
+            data: lowercasing(responseData)
+          });
+        } else if (trans === "eval") {
+          return eval(responseData); // Use eval cautiously
         }
+      } else {
+        return lowercasing(responseData);
+      }
+    })
+    .then((result) => returnProvenance ? { data: result, provenance: provenanceRecord } : result)
+    .catch((error) => {
+      // Request errors (retries, pagination, proxies) may quote the URL with a query key in it
+      error.message = redactSecrets(error.message);
+      throw error;
+    });
+}
+
+
+/**
+ * Normalize an already retrieved response into canonical TimeSeries objects.
+ * Equivalent to retrieve({ params: { normalize: true } }) for data obtained earlier or from a file.
+ *
+ * @function normalize
+ * @memberof data
+ * @async
+ * @param {Object} options - Configuration object
+ * @param {Object} options.params - Contains: source (datasource name), datatype (optional)
+ * @param {Object} [options.args] - Request arguments (used for site details and provenance)
+ * @param {Object|string|Blob} options.data - Raw response from the datasource
+ * @returns {Promise<Array<TimeSeries>>} Normalized time series
+ *
+ * @example
+ * const raw = await hydro.data.retrieve({ params: { source: 'meteostat', datatype: 'dailydata-station', 'x-rapidapi-key': KEY }, args: { station: '10382', start: '2020-01-01', end: '2020-01-31' } });
+ * const series = await hydro.data.normalize({ params: { source: 'meteostat' }, args: { station: '10382' }, data: raw });
+ * const precip = series.find(s => s.variable.code === 'prcp');
+ * hydro.visualize.draw({ params: { type: 'chart' }, data: precip });
+ */
+async function normalize({ params = {}, args = {}, data } = {}) {
+  if (!params.source) {
+    throw new Error('normalize requires params.source');
+  }
+  if (Array.isArray(data) && data.every(item => TimeSeries.isTimeSeries(item))) {
+    return data.map(item => TimeSeries.from(item));
+  }
+  return normalizeResponse(params.source, data, { datatype: params.datatype ?? null, args });
+}
+
+/**
+ * Retrieve many sites, tiles or periods from one datasource with a bounded job queue.
+ * Every element of `args` is passed to retrieve with the shared params. Failures are reported per item
+ * instead of rejecting the whole batch. With a batchId, progress and results of finished items are kept in
+ * the HydroLang cache so an interrupted batch resumes where it stopped when called again with the same batchId.
+ *
+ * @function retrieveBatch
+ * @memberof data
+ * @async
+ * @param {Object} options - Configuration object
+ * @param {Object} options.params - retrieve params shared by every item, plus:
+ * @param {number} [options.params.concurrency=4] - Items retrieved at the same time (per-host rate limits still apply)
+ * @param {string} [options.params.batchId] - Persist progress under this id so the batch can be resumed
+ * @param {boolean} [options.params.resume=true] - With batchId, reuse finished items from a previous run; false starts over
+ * @param {boolean} [options.params.keepProgress=false] - Keep the stored progress after every item succeeded
+ * @param {boolean} [options.params.merge=false] - Concatenate the results of all successful items into `data` (with normalize, one TimeSeries collection)
+ * @param {boolean} [options.params.stopOnError=false] - Stop starting new items after the first failure
+ * @param {Function} [options.params.onItem] - Called as each item finishes with { index, status, error, completed, failed, total }
+ * @param {AbortSignal} [options.params.signal] - Cancels in-flight requests; unstarted items are reported as skipped
+ * @param {Array<Object>} options.args - One args object per item
+ * @returns {Promise<Object>} { batchId, total, succeeded, failed, skipped, items: [{ index, args, status, data, error, resumed }], data }
+ *
+ * @example
+ * const batch = await hydro.data.retrieveBatch({
+ *   params: { source: 'usgs', datatype: 'daily-values', normalize: true, concurrency: 6, batchId: 'iowa-gauges', merge: true },
+ *   args: gaugeIds.map(sites => ({ format: 'json', sites, startDT: '2020-01-01', endDT: '2020-12-31' }))
+ * });
+ * batch.items.filter(item => item.status === 'failed').forEach(item => console.warn(item.args.sites, item.error));
+ * console.log(`${batch.succeeded}/${batch.total} gauges, ${batch.data.length} series`);
+ */
+async function retrieveBatch({ params = {}, args = [], data } = {}) {
+  if (!Array.isArray(args)) {
+    throw new Error('retrieveBatch requires args to be an array with one args object per item');
+  }
+  const {
+    concurrency = 4,
+    batchId,
+    resume = true,
+    keepProgress = false,
+    merge = false,
+    stopOnError = false,
+    onItem,
+    ...itemParams
+  } = params;
+
+  const total = args.length;
+  const items = args.map((itemArgs, index) => ({ index, args: itemArgs, status: 'pending', data: undefined, error: null, resumed: false }));
+  const itemKey = (item) => JSON.stringify(item.args ?? {});
+
+  // Stored progress: one state variable plus one variable per finished item
+  const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
+  const store = batchId && cacheInstance ? cacheInstance : null;
+  if (batchId && !store) {
+    console.warn(`Cache not initialized; batch '${batchId}' progress will not be saved`);
+  }
+  // Separate namespaces so no batch id can name another batch's item (e.g. batch 'a_0' and item 0 of batch 'a')
+  const stateKey = `batch:${batchId}`;
+  const resultKey = (index) => `batch-item:${batchId}:${index}`;
+  const state = { batchId, total, items: items.map(item => ({ index: item.index, key: itemKey(item), status: 'pending', error: null })), updatedAt: null };
+
+  if (store && resume) {
+    const saved = await store.getVariable(stateKey);
+    for (const savedItem of saved?.value?.items || []) {
+      const item = items[savedItem.index];
+      if (!item || savedItem.status !== 'succeeded' || savedItem.key !== itemKey(item)) continue;
+      const stored = await store.getVariable(resultKey(item.index));
+      if (!stored) continue;
+      item.data = reviveBatchResult(stored);
+      item.status = 'succeeded';
+      item.resumed = true;
+      state.items[item.index].status = 'succeeded';
+    }
+  }
 
-        if (type === "soap") {
-          try {
-            //DOM Parser workaround
-            // const parser = new DOMParser();
-            // const xmlDoc = parser.parseFromString(responseData, "text/xml");
+  const saveState = () => {
+    if (!store) return Promise.resolve();
+    state.updatedAt = new Date().toISOString();
+    return store.storeVariable(stateKey, state).catch(error => console.warn(`Could not save batch progress: ${error.message}`));
+  };
+
+  const counts = () => ({
+    completed: items.filter(item => item.status === 'succeeded').length,
+    failed: items.filter(item => item.status === 'failed').length,
+    total
+  });
 
-            // const parser = new XMLParser();
-            // console.log(parser)
-            // const xmlDoc = parser.parse(responseData);
+  const pending = items.filter(item => item.status === 'pending');
+  if (pending.length < total) {
+    console.log(`Batch '${batchId}': resuming with ${total - pending.length} of ${total} items already retrieved`);
+  }
+  let stopped = false;
+
+  await runPool(pending.length, async (position) => {
+    const item = pending[position];
+    try {
+      // retrieve consumes endpoint template arguments, so every call gets its own copy
+      item.data = await retrieve({ params: itemParams, args: { ...item.args }, data });
+      item.status = 'succeeded';
+      if (store) await storeBatchResult(store, resultKey(item.index), item.data);
+    } catch (error) {
+      item.status = 'failed';
+      item.error = error.message;
+      if (stopOnError) stopped = true;
+    }
+    state.items[item.index].status = item.status;
+    state.items[item.index].error = item.error;
+    await saveState();
+    onItem?.({ index: item.index, status: item.status, error: item.error, ...counts() });
+  }, { concurrency, signal: params.signal, shouldStop: () => stopped });
+
+  items.forEach(item => {
+    if (item.status === 'pending') item.status = 'skipped';
+  });
+  const { completed: succeeded, failed } = counts();
+  const skipped = total - succeeded - failed;
 
-            return responseData
+  if (store && succeeded === total && !keepProgress) {
+    await Promise.all([stateKey, ...items.map(item => resultKey(item.index))].map(key => store.deleteVariable(key)));
+  } else if (store) {
+    await saveState();
+  }
+  if (failed || skipped) {
+    console.warn(`Batch${batchId ? ` '${batchId}'` : ''}: ${succeeded} succeeded, ${failed} failed, ${skipped} skipped of ${total}`);
+  }
 
-            //let j = xml2json(xmlDoc);
-            // return xmlDoc["soap:Envelope"]?.["soap:Body"] || j; // Handle cases where soap:Body might not exist
-          } catch (xmlError) {
-            throw new Error(`Error parsing SOAP response from ${endpoint}: ${xmlError.message}`);
-          }
-        } else if (type === "xml" || type === "tab" || type === "CSV") {
-          return JSON.stringify(responseData);
-        } else if (trans) {
-          if (source === "usgs") {
-            return transform({
-              params: { save: 'value' },
-              args: { keep: '["datetime", "value"]', type: 'ARR' },
-              data: lowercasing(responseData)
-            });
-          } else if (trans === "eval") {
-            return eval(responseData); // Use eval cautiously
-          }
-        } else {
-          return lowercasing(responseData);
-        }
+  const result = { batchId: batchId ?? null, total, succeeded, failed, skipped, items };
+  if (merge) {
+    result.data = items
+      .filter(item => item.status === 'succeeded')
+      .flatMap(item => {
+        const value = itemParams.provenance === true ? item.data.data : item.data;
+        return Array.isArray(value) ? value : [value];
       });
-  } finally {
-    // Context will be cleaned up by next request or kept for subsequent calls
-    // Don't delete here - cachedFetch needs it for caching
   }
+  return result;
 }
 
+/**
+ * Store one batch item result as a cache variable (binary results are kept as bytes)
+ * @ignore
+ */
+async function storeBatchResult(store, key, value) {
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    await store.storeVariable(key, await value.arrayBuffer(), { format: 'blob', variableType: 'binary', contentType: value.type });
+  } else if (value instanceof ArrayBuffer) {
+    await store.storeVariable(key, value, { format: 'binary', variableType: 'binary' });
+  } else {
+    await store.storeVariable(key, value);
+  }
+}
+
+/**
+ * Rebuild a stored batch item result (Blobs and TimeSeries)
+ * @ignore
+ */
+function reviveBatchResult(stored) {
+  const { value, metadata } = stored;
+  if (metadata.format === 'blob') return new Blob([value], { type: metadata.contentType || '' });
+  if (Array.isArray(value) && value.length && value.every(item => TimeSeries.isTimeSeries(item))) {
+    return value.map(item => TimeSeries.from(item));
+  }
+  return TimeSeries.isTimeSeries(value) ? TimeSeries.from(value) : value;
+}
+
+/**
+ * Register a datasource so it can be used with retrieve, retrieveBatch and normalize like a built-in one.
+ * The config is validated against the datasource schema (see utils/source-registry.js) and rejected with
+ * a list of every problem found. Names of the gridded sources (aorc, mrms, ...) cannot be used, since
+ * retrieve resolves those before the registry.
+ *
+ * @function registerSource
+ * @memberof data
+ * @param {string} name - Name used as params.source
+ * @param {Object} config - Datasource config
+ * @param {Object} [config.requirements] - { needProxy, requireskey, keyname, keylocation, rateLimit: { requestsPerSecond, concurrency } }; keyname is the header (or query/body field with keylocation 'query'/'body') carrying the key from params[keyname] or data.credentials
+ * @param {Object} [config.info] - Description shown with the source ({ returnFormats, MoreInfo, About }) and an optional institution attributed in exported files
+ * @param {Function} [config.resolveEndpoint] - (args, dataType) => URL, for endpoints built from the arguments
+ * @param {Function} [config.parse] - (data, { source, datatype, args, params }) => parsed data, applied to every response
+ * @param {Function} [config.normalizer] - (data, { source, datatype, args }) => TimeSeries-like object(s), used by params.normalize
+ * @param {Object} config[datatype] - { endpoint, params, methods: { type, method }, pagination, parse } for every datatype
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace an already registered source, including its normalizer
+ * @returns {Array<string>} The datatypes of the registered source
+ *
+ * @example
+ * hydro.data.registerSource('mesonet', {
+ *   requirements: { needProxy: false, requireskey: true, keyname: 'x-api-key', rateLimit: { requestsPerSecond: 2 } },
+ *   info: { returnFormats: 'json', About: 'State mesonet observations' },
+ *   observations: {
+ *     endpoint: 'https://api.example-mesonet.org/v1/stations/{station}/observations',
+ *     params: { start: null, end: null, limit: 500, offset: null },
+ *     methods: { type: 'json', method: 'GET' },
+ *     pagination: { style: 'offset', pageSize: 500, itemsPath: 'data' }
+ *   },
+ *   normalizer: (raw, { args }) => ({
+ *     site: { id: args.station },
+ *     variable: { code: 'tair', name: 'Air temperature' },
+ *     units: 'degC',
+ *     timestamps: raw.data.map(d => d.time),
+ *     values: raw.data.map(d => d.tair)
+ *   })
+ * });
+ * const [tair] = await hydro.data.retrieve({
+ *   params: { source: 'mesonet', datatype: 'observations', 'x-api-key': KEY, normalize: true, paginate: true },
+ *   args: { station: 'AMES', start: '2024-06-01', end: '2024-06-30' }
+ * });
+ */
+function registerSource(name, config, options = {}) {
+  if (Object.prototype.hasOwnProperty.call(GRIDDED_SOURCES, name)) {
+    throw new Error(`Invalid datasource '${name}': '${name}' is a gridded source and cannot be registered`);
+  }
+  addSource(datasources.default, name, config, options);
+  if (config.normalizer) {
+    registerNormalizer(name, config.normalizer);
+  } else {
+    // A replaced source must not keep the adapter written for its old responses
+    unregisterNormalizer(name);
+  }
+  return listDatatypes(config);
+}
 
 /**
  * Get a raw cached file for manual processing
@@ -660,7 +1113,7 @@ const transformVariable = (variableName, variableData, source, params, args) =>
     processedData = applyDataScaling(processedData, variableName, datasources, 'prism');
   }
 
-  // Apply unit conversions if requested
+  // Apply unit conversions if requested (source units come from the datasource variables config)
   if (args?.units) {
     processedData = convertDataUnits(processedData, variableName, args.units, source, datasources);
   }
@@ -677,7 +1130,7 @@ const transformVariable = (variableName, variableData, source, params, args) =>
 
   // Apply quality control filters
   if (args?.qualityControl) {
-    processedData = applyQualityControl(processedData, args.qualityControl);
+    processedData = applyQualityControl(processedData, args.qualityControl, variableName, source, datasources);
   }
 
   // Apply statistical transformations
@@ -713,9 +1166,17 @@ const transformVariable = (variableName, variableData, source, params, args) =>
  * @param {boolean} [options.args.parse] - Whether to parse strings to numbers/dates/booleans
  * @param {string} [options.args.mode] - Processing mode: 'flatten', 'flatten-objects'
  * @param {number} [options.args.pick] - Pick specific row index from 2D array
+ * @param {string} [options.args.namespaces='keep'] - XML2JSON: 'keep' prefixed names, 'strip' prefixes or 'expand' them to '{uri}name'
+ * @param {string[]} [options.args.arrays] - XML2JSON: element names that are always returned as arrays
+ * @param {boolean} [options.args.parseValues=false] - XML2JSON: convert numeric and boolean text and attributes
  * @param {boolean} [options.args.attachNames=true] - Whether to attach column names to arrays
- * @param {Object|Array} options.data - Input data object to be transformed
- * @returns {Object|Array|string} Transformed data in the specified format
+ * @param {string|Object} [options.args.units] - Target units for gridded data (e.g. 'mm/h', 'degC'), or a map of variable name to units
+ * @param {Object} [options.args.temporalAggregation] - Resampling for gridded data: { method: 'sum'|'mean'|'min'|'max'|'count', interval: 'daily'|'monthly'|'water-year'|'6H'|..., timezone, minCoverage }
+ * @param {Object} [options.args.qualityControl] - QC tests for gridded data: { range: { min, max }, spike: { threshold }, rateOfChange: { maxRate }, flatline: { suspectCount }, missing: { sentinels }, mask }. Flags (QARTOD: 1 pass, 2 not evaluated, 3 suspect, 4 fail, 9 missing) are returned in qualityFlags
+ * @param {Object} [options.args.spatialAggregation] - Spatial aggregation for gridded data: { factor } for block coarsening, { geometry: Polygon|Feature } for an area-weighted basin value, or { geometry: FeatureCollection, statistics, idProperty } for zonal statistics
+ * @param {Object|Array|AsyncIterable} options.data - Input data object to be transformed. An async iterable of row batches
+ *   (retrieve or upload with stream: true) is transformed batch by batch
+ * @returns {Object|Array|string|AsyncIterable} Transformed data in the specified format (an async iterable of transformed batches for streamed input)
  * 
  * @example
  * // Extract specific data from nested object and convert to array
@@ -771,8 +1232,9 @@ const transformVariable = (variableName, variableData, source, params, args) =>
  * // Convert XML string to JSON
  * const jsonData = hydro.data.transform({
  *   args: { type: 'XML2JSON' },
- *   data: '<root><item>value1</item><item>value2</item></root>'
+ *   data: '<root><item id="1">value1</item><item id="2"><![CDATA[a < b]]></item></root>'
  * });
+ * // Result: { root: { item: [{ '@id': '1', '#text': 'value1' }, { '@id': '2', '#cdata': 'a < b' }] } }
  * 
  * @example
  * // Pick specific row from 2D array and flatten
@@ -787,21 +1249,45 @@ const transformVariable = (variableName, variableData, source, params, args) =>
  *   ]
  * });
  * // Result: [100.5, 95.3] (numeric values from first row, excluding header)
+ *
+ * @example
+ * // Keep two columns of a streamed RDB response and write them out as CSV, one batch at a time
+ * const rows = await hydro.data.retrieve({
+ *   params: { source: 'usgs', datatype: 'instant-values', type: 'tab', stream: true },
+ *   args: { format: 'rdb', sites: '05454500', startDT: '2015-01-01', endDT: '2020-12-31' }
+ * });
+ * let csv = '';
+ * for await (const chunk of hydro.data.transform({ args: { keep: ['datetime', 'site_no'], type: 'CSV' }, data: rows })) {
+ *   csv += chunk;
+ * }
+ *
+ * @example
+ * // Convert AORC precipitation (kg/m²) to inches and temperature (K) to Celsius
+ * const converted = hydro.data.transform({
+ *   params: { source: 'aorc' },
+ *   args: { units: { APCP_surface: 'in', TMP_2maboveground: 'degC' } },
+ *   data: { APCP_surface: precipSeries, TMP_2maboveground: tempSeries }
+ * });
+ *
+ * @example
+ * // Hourly AORC precipitation to daily totals in local time, requiring 90% of hours per day
+ * const daily = hydro.data.transform({
+ *   params: { source: 'aorc' },
+ *   args: {
+ *     temporalAggregation: { method: 'sum', interval: 'daily', timezone: 'America/Chicago', minCoverage: 0.9 }
+ *   },
+ *   data: hourlyPrecip
+ * });
+ *
+ * @example
+ * // Area-weighted basin-mean precipitation from an AORC grid time series
+ * const basinPrecip = hydro.data.transform({
+ *   params: { source: 'aorc' },
+ *   args: { spatialAggregation: { geometry: basinPolygon, method: 'mean' } },
+ *   data: aorcGridSeries
+ * });
  */
 function transform({ params, args, data } = {}) {
-  function deepClone(value) {
-    if (value === null || typeof value !== 'object') return value;
-    if (value instanceof Date) return new Date(value.getTime());
-    if (Array.isArray(value)) return value.map(deepClone);
-    const result = {};
-    for (const key in value) {
-      if (Object.prototype.hasOwnProperty.call(value, key)) {
-        result[key] = deepClone(value[key]);
-      }
-    }
-    return result;
-  }
-
   const convertToNumberIfPossible = (value) => {
     if (typeof value === 'string' && !isNaN(value) && value.trim() !== '') {
       return Number(value);
@@ -894,6 +1380,15 @@ function transform({ params, args, data } = {}) {
 
 
 
+  // Streamed rows are transformed one batch at a time
+  if (isAsyncIterable(data)) {
+    return (async function* () {
+      for await (const batch of data) {
+        yield transform({ params, args, data: batch });
+      }
+    })();
+  }
+
   // Start transforming
   console.log('[transform] Original input data:', data);
   data = deepClone(data);
@@ -1124,7 +1619,8 @@ function transform({ params, args, data } = {}) {
       let line = '';
       for (const index in arr[i]) {
         if (line !== '') line += ',';
-        line += `"${arr[i][index]}"`;
+        const value = arr[i][index];
+        line += `"${value instanceof Date ? value.toISOString() : value}"`;
       }
       str += line + '\r\n';
     }
@@ -1136,16 +1632,8 @@ function transform({ params, args, data } = {}) {
   }
 
   else if (type === 'XML2JSON') {
-    const XMLJSon = (data) => {
-      const json = {};
-      for (const res of data.matchAll(/(?:<(\w*)(?:\s[^>]*)*>)((?:(?!<\1).)*)(?:<\/\1>)|<(\w*)(?:\s*)*\/>/gm)) {
-        const key = res[1] || res[3],
-          value = res[2] && XMLJSon(res[2]);
-        json[key] = value && Object.keys(value).length ? value : res[2] || null;
-      }
-      return json;
-    };
-    return XMLJSon(data);
+    const { namespaces, arrays, parseValues } = args;
+    return parseXML(data, { namespaces, arrays, parseValues });
   }
 
   else if (type) {
@@ -1165,18 +1653,45 @@ function transform({ params, args, data } = {}) {
  * @async
  * @param {Object} options - Configuration object for file upload
  * @param {Object} options.params - Parameters for upload configuration
- * @param {string} options.params.type - File type to accept ('CSV', 'JSON', 'KML')
- * @param {Object} [options.args] - Additional arguments (currently unused)
+ * @param {string} options.params.type - File type to accept ('CSV', 'TSV', 'JSON', 'XML', 'KML', 'Parquet', 'Arrow', 'Shapefile', 'GeoPackage', 'GeoParquet')
+ * @param {boolean} [options.params.stream=false] - For CSV/TSV, resolve to an async iterable of row batches that is parsed as it is read;
+ *   for Parquet and Arrow, an async iterable of row batches decoded one row group or record batch at a time
+ * @param {Object} [options.args] - CSV/TSV parser options: { delimiter, header, comment, types, dates, timezone, missing, output, batchSize }
+ *   (without stream, comment lines are read as data, empty cells stay '' and dates stay text unless set, and header: true
+ *   heads every column with its name, column1, column2, ... when the file has no header row)
+ * @param {Object} [options.args] - Parquet/Arrow reader options: { columns, filters: { column: { min, max } | [values] | value },
+ *   output: 'columns'|'objects'|'table' }
+ * @param {Object} [options.args] - XML parser options: { namespaces, arrays, parseValues }
+ * @param {Object} [options.args] - Vector layer options: { layer, encoding, reproject } (layer name for multi-layer zips and GeoPackages,
+ *   .dbf encoding override, reproject=false to keep projected coordinates)
  * @param {Object} [options.data] - Additional data (currently unused)
- * @returns {Promise<Array|Object|string>} Promise resolving to parsed file content
+ * @returns {Promise<Array|Object|string>} Promise resolving to parsed file content. CSV and TSV files resolve to one array per column,
+ *   headed by the column name when the file has a header row; Parquet and Arrow files resolve to one array per column headed by
+ *   the column name. Vector layers resolve to a GeoJSON
+ *   FeatureCollection, or an object of FeatureCollections by layer name when a file holds several layers and no layer is given
  * 
  * @example
  * // Upload and parse CSV file
  * const csvData = await hydro.data.upload({
  *   params: { type: 'CSV' }
  * });
- * // Returns array of arrays with numeric conversion for numeric columns
- * // Example result: [['Date', 'Flow', 'Stage'], ['2023-01-01', 100.5, 2.1], ...]
+ * // Returns one array per column, headed by the column name, with numeric columns converted
+ * // Example result: [['Date', '2023-01-01', ...], ['Flow', 100.5, ...], ['Stage', 2.1, ...]]
+ * // A file without a header row gives bare columns ('1,2\n3,4' gives [[1, 3], [2, 4]]),
+ * // or [['column1', 1, 3], ['column2', 2, 4]] with args: { header: true }
+ *
+ * @example
+ * // Summarize a large CSV without holding it in memory
+ * const rows = await hydro.data.upload({ params: { type: 'CSV', stream: true } });
+ * const summary = await hydro.analyze.stats.streamstats({ args: { columns: ['Flow'] }, data: rows });
+ *
+ * @example
+ * // Upload a Parquet or Feather file, keeping two columns of the records after 2015
+ * const table = await hydro.data.upload({
+ *   params: { type: 'Parquet' },
+ *   args: { columns: ['time', 'streamflow'], filters: { time: { min: '2015-01-01' } } }
+ * });
+ * const feather = await hydro.data.upload({ params: { type: 'Arrow' } });
  * 
  * @example
  * // Upload and parse JSON file
@@ -1191,11 +1706,43 @@ function transform({ params, args, data } = {}) {
  *   params: { type: 'KML' }
  * });
  * // Returns raw KML content as string
+ *
+ * @example
+ * // Upload an XML file as JSON
+ * const xmlData = await hydro.data.upload({
+ *   params: { type: 'XML' },
+ *   args: { namespaces: 'strip' }
+ * });
+ *
+ * @example
+ * // Upload a zipped shapefile (.shp, .shx, .dbf, .prj) as GeoJSON
+ * const basins = await hydro.data.upload({ params: { type: 'Shapefile' } });
+ *
+ * @example
+ * // Upload one layer of a GeoPackage, or a GeoParquet file
+ * const gauges = await hydro.data.upload({ params: { type: 'GeoPackage' }, args: { layer: 'gauges' } });
+ * const reaches = await hydro.data.upload({ params: { type: 'GeoParquet' } });
  */
 async function upload({ params, args, data } = {}) {
+  // Binary vector formats, read into GeoJSON FeatureCollections
+  const vectorReaders = {
+    Shapefile: { accept: ".zip", read: readShapefile },
+    SHP: { accept: ".zip", read: readShapefile },
+    GeoPackage: { accept: ".gpkg", read: readGeoPackage },
+    GPKG: { accept: ".gpkg", read: readGeoPackage },
+    GeoParquet: { accept: ".parquet,.geoparquet", read: readGeoParquet }
+  };
+  const vectorReader = vectorReaders[params.type];
+
+  // Columnar tables, read into HydroLang columns
+  const columnarAccept = {
+    Parquet: ".parquet",
+    Arrow: ".arrow,.arrows,.feather,.ipc"
+  };
+
   const fileInput = document.createElement("input");
   fileInput.type = "file";
-  fileInput.accept = params.type;
+  fileInput.accept = vectorReader ? vectorReader.accept : columnarAccept[params.type] || params.type;
 
   let ret = null;
 
@@ -1208,32 +1755,57 @@ async function upload({ params, args, data } = {}) {
     });
   };
 
-  const isNumeric = (value) => {
-    return /^-?\d+\.?\d*$/.test(value);
-  };
-
   const handleFileSelect = async (event) => {
     const file = event.target.files[0];
-    const content = await getFileContent(file);
 
-    if (params.type === "CSV") {
-      const rows = content.split(/\r\n|\n/).map((row) => {
-        return row.split(",").map((value) => value.replace(/^"|"$/g, ""));
-      });
+    if (params.type === "CSV" || params.type === "TSV") {
+      // Parsed from the file stream, so large files are never read into one string
+      const delimiter = params.type === "TSV" ? { delimiter: "\t" } : {};
+      if (params.stream) {
+        ret = parseDelimitedStream(file, { ...delimiter, ...args });
+        return;
+      }
 
-      const columns = rows[0].map((_, i) => rows.map((row) => row[i]));
-      ret = [];
-      columns.forEach((column, i) => {
-        if (column.every(isNumeric)) {
-          ret.push(column.map((value) => parseFloat(value)));
-        } else {
-          ret.push(column);
-        }
+      // One array per column: '#' lines are data, empty cells stay '' and dates stay text unless args say otherwise.
+      // Columns start with their name when the file has a header row; args.header === true names every column (column1, ...)
+      const { header, ...options } = args || {};
+      const rows = parseDelimitedStream(file, {
+        ...delimiter,
+        comment: false,
+        missing: [],
+        dates: false,
+        ...options,
+        header: header === true || header === undefined ? "auto" : header,
+        output: "arrays"
+      });
+      const { columns, rows: records } = await rows.collect();
+      const named = header === true || Array.isArray(header) || rows.hasHeader;
+      const blank = options.missing ? null : "";
+      ret = columns.map((name, i) => {
+        const values = records.map((row) => row[i] ?? blank);
+        return named ? [name, ...values] : values;
       });
+      return;
+    }
+
+    if (columnarAccept[params.type]) {
+      ret = await readColumnar(file, args, params.stream === true);
+      return;
+    }
 
-    } else if (params.type === "JSON") {
+    if (vectorReader) {
+      ret = await vectorReader.read(file, args);
+      return;
+    }
+
+    const content = await getFileContent(file);
+
+    if (params.type === "JSON") {
       ret = JSON.parse(content);
 
+    } else if (params.type === "XML") {
+      ret = parseXML(content, args);
+
     } else if (params.type === "KML") {
       ret = content
     }
@@ -1256,6 +1828,7 @@ async function upload({ params, args, data } = {}) {
 /**
  * Download data in various formats to the user's local file system.
  * Automatically transforms data using the transform function and creates a downloadable file.
+ * In Node.js the binary formats (Parquet, Arrow, NetCDF, COG/GeoTIFF, Shapefile, GeoPackage) are written to the file name instead.
  * 
  * @function download
  * @memberof data
@@ -1264,9 +1837,36 @@ async function upload({ params, args, data } = {}) {
  * @param {Object} [options.params] - Parameters for download configuration
  * @param {string} [options.params.fileName] - Name for the downloaded file (without extension)
  * @param {Object} options.args - Arguments for download format and transformation
- * @param {string} options.args.type - Download format ('CSV', 'JSON')
+ * @param {string} options.args.type - Download format ('CSV', 'JSON', 'Parquet', 'Arrow', 'WaterML', 'NetCDF', 'COG' or 'GeoTIFF', 'GeoJSON', 'Shapefile', 'GeoPackage')
  * @param {string[]} [options.args.keep] - Column headers to keep (for CSV)
- * @param {Object|Array|Promise} options.data - Data to download (can be a Promise)
+ * @param {string} [options.args.version='1.1'] - WaterML version, '1.1' or '2.0'
+ * @param {string} [options.args.source] - Datasource of NetCDF data (e.g. 'aorc'); its variable metadata sets long_name and units
+ * @param {string} [options.args.dtype='float'] - NetCDF data variable type, 'float' or 'double'
+ * @param {number} [options.args.fillValue=-9999] - NetCDF _FillValue for missing values
+ * @param {string|Object} [options.args.packing] - Store NetCDF values as 'short', 'byte' or 'int' with scale_factor/add_offset
+ *   ({ type, scaleFactor, addOffset }; computed from the value range when omitted)
+ * @param {Object} [options.args.attributes] - Extra NetCDF global attributes
+ * @param {string} [options.args.compression='DEFLATE'] - COG tile compression, 'DEFLATE', 'LZW' or 'NONE'; Parquet page compression, 'GZIP' (default) or 'NONE'
+ * @param {number} [options.args.rowGroupSize=100000] - Rows per Parquet row group
+ * @param {string} [options.args.format='file'] - Arrow IPC 'file' (.arrow, also read as Feather v2) or 'stream' (.arrows)
+ * @param {number} [options.args.batchSize=65536] - Rows per Arrow record batch
+ * @param {boolean} [options.args.dates=true] - Store Parquet/Arrow columns of ISO 8601 strings as UTC timestamps
+ * @param {Object} [options.args.metadata] - Parquet key-value or Arrow schema metadata
+ * @param {number} [options.args.tileSize=256] - COG tile size in pixels
+ * @param {boolean} [options.args.overviews=true] - Write COG overviews
+ * @param {number} [options.args.noData] - COG NoData value (-9999 for grids from gridded sources)
+ * @param {boolean} [options.args.cog=true] - Set to false to save GeoTIFF bytes as they are instead of re-encoding them as a COG
+ * @param {string} [options.args.name] - Layer name for Shapefile and GeoPackage (defaults to the file name)
+ * @param {number|string} [options.args.crs=4326] - CRS of the coordinates for Shapefile (.prj) and GeoPackage, e.g. 4326 or 'EPSG:5070'
+ * @param {Object|Array|Promise} options.data - Data to download (can be a Promise). WaterML expects TimeSeries objects (retrieve/normalize output);
+ *   NetCDF expects gridded source output (point series, grids or { timestamp, grid } series, or an array of them on one grid)
+ *   and writes a CF-1.8 NetCDF classic file; NetCDF bytes from retrieve with args.type 'NetCDF' are saved as they are.
+ *   COG accepts the same grids (one band per time step, which must be on evenly spaced coordinates) or GeoTIFF bytes such as
+ *   3DEP/PRISM downloads and geoprocessor outputs, and writes a tiled, compressed GeoTIFF with overviews.
+ *   Parquet and Arrow accept columns headed by their names (upload and retrieve output), { columns, data } tables, row objects,
+ *   or TimeSeries, which are written as one long table of site, variable, timestamp, value and units.
+ *   GeoJSON, Shapefile and GeoPackage accept GeoJSON (FeatureCollection, Feature, geometry or arrays of them) or a Leaflet layer such as map.draw output.
+ *   Shapefiles with mixed geometry types are split into one layer per type inside the zip
  * @returns {Promise<void>} Promise that resolves when download is initiated
  * 
  * @example
@@ -1289,6 +1889,52 @@ async function upload({ params, args, data } = {}) {
  *   data: stationData
  * });
  * // Downloads file as 'station_info.json'
+ *
+ * @example
+ * // Save normalized series from many stations as one compact Parquet table
+ * const series = await hydro.data.retrieve({
+ *   params: { source: 'usgs', datatype: 'instant-values', normalize: true },
+ *   args: { format: 'json', sites: '05454500,05453520,05455100', parameterCd: '00060', startDT: '2015-01-01', endDT: '2020-12-31' }
+ * });
+ * await hydro.data.download({ params: { fileName: 'iowa_flows' }, args: { type: 'Parquet' }, data: series });
+ * await hydro.data.download({ params: { fileName: 'iowa_flows' }, args: { type: 'Arrow' }, data: series });
+ * // Downloads 'iowa_flows.parquet' and 'iowa_flows.arrow'
+ *
+ * @example
+ * // Download normalized series as WaterML 2.0
+ * const series = await hydro.data.retrieve({
+ *   params: { source: 'usgs', datatype: 'daily-values', normalize: true },
+ *   args: { format: 'json', sites: '05454500', startDT: '2020-01-01', endDT: '2020-12-31' }
+ * });
+ * await hydro.data.download({ params: { fileName: 'iowa_river' }, args: { type: 'WaterML', version: '2.0' }, data: series });
+ * // Downloads file as 'iowa_river.xml'
+ *
+ * @example
+ * // Save an AORC precipitation subset as CF NetCDF for xarray or Panoply
+ * const grid = await hydro.data.retrieve({
+ *   params: { source: 'aorc', datatype: 'grid-data' },
+ *   args: { dataset: 'aorc-v1.1', variables: ['APCP_surface'], bbox: [-92, 41, -91, 42], startDate: '2020-06-01T00:00:00Z' }
+ * });
+ * await hydro.data.download({ params: { fileName: 'aorc_precip' }, args: { type: 'NetCDF', source: 'aorc', packing: 'short' }, data: grid });
+ * // Downloads file as 'aorc_precip.nc'
+ *
+ * @example
+ * // Save a 3DEP DEM and its slope as cloud-optimized GeoTIFFs
+ * const dem = await hydro.data.retrieve({
+ *   params: { source: 'threedep', datatype: 'grid-data' },
+ *   args: { bbox: [-105.5, 40.0, -105.0, 40.5], resolution: 30 }
+ * });
+ * const slope = await hydro.analyze.geoprocessor.slope({ data: dem });
+ * await hydro.data.download({ params: { fileName: 'dem' }, args: { type: 'COG', compression: 'LZW' }, data: dem });
+ * await hydro.data.download({ params: { fileName: 'slope' }, args: { type: 'COG' }, data: slope });
+ * // Downloads 'dem.tif' and 'slope.tif'
+ *
+ * @example
+ * // Save vectorized polygons as a zipped shapefile and as a GeoPackage layer
+ * const polygons = await hydro.analyze.geoprocessor.vectorize({ data: [{ buffer: maskBuffer }] });
+ * await hydro.data.download({ params: { fileName: 'flood_extent' }, args: { type: 'Shapefile' }, data: polygons });
+ * await hydro.data.download({ params: { fileName: 'flood_extent' }, args: { type: 'GeoPackage', name: 'extent' }, data: polygons });
+ * // Downloads 'flood_extent.zip' and 'flood_extent.gpkg'
  * 
  * @example
  * // Download with auto-generated filename
@@ -1301,6 +1947,9 @@ async function upload({ params, args, data } = {}) {
 async function download({ params, args, data } = {}) {
   let { type } = args;
   let blob = null;
+  // Binary formats are saved with saveBytes, which also writes files in Node.js
+  let bytes = null;
+  let mimeType = null;
   let exportfilename = null;
   const { fileName } = params || generateDateString();
 
@@ -1324,6 +1973,62 @@ async function download({ params, args, data } = {}) {
       type: "text/json",
     });
     exportfilename = `${fileName}.json`;
+
+    //columnar tables are written from HydroLang columns, { columns, data } tables, row objects or TimeSeries
+  } else if (type === "Parquet") {
+    bytes = await writeParquet(await data, {
+      rowGroupSize: args.rowGroupSize,
+      compression: args.compression,
+      dates: args.dates,
+      metadata: args.metadata
+    });
+    mimeType = "application/vnd.apache.parquet";
+    exportfilename = `${fileName}.parquet`;
+  } else if (type === "Arrow") {
+    const stream = args.format === "stream";
+    bytes = writeArrow(await data, { format: args.format, batchSize: args.batchSize, dates: args.dates, metadata: args.metadata });
+    mimeType = stream ? "application/vnd.apache.arrow.stream" : "application/vnd.apache.arrow.file";
+    exportfilename = `${fileName}.${stream ? "arrows" : "arrow"}`;
+
+    //WaterML documents are written from TimeSeries objects
+  } else if (type === "WaterML") {
+    blob = new Blob([writeWaterML(await data, { version: args.version, noDataValue: args.noDataValue })], {
+      type: "application/xml",
+    });
+    exportfilename = `${fileName}.xml`;
+
+    //NetCDF files are written as CF-1.8 classic format from gridded source output
+  } else if (type === "NetCDF") {
+    const content = await data;
+    bytes = content instanceof ArrayBuffer || ArrayBuffer.isView(content) ? content : formatData(content, args, args.source, datasources);
+    mimeType = "application/x-netcdf";
+    exportfilename = `${fileName}.nc`;
+
+    //GeoTIFFs are written as COGs from grids, or re-encoded from GeoTIFF bytes
+  } else if (type === "COG" || type === "GeoTIFF") {
+    const content = await data;
+    const raw = content?.arrayBuffer instanceof ArrayBuffer ? content.arrayBuffer : content;
+    const isBytes = raw instanceof ArrayBuffer || ArrayBuffer.isView(raw);
+    bytes = isBytes && args.cog === false ? raw
+      : isBytes ? await new GeoTIFFDataSource({ sourceName: args.source || "download" }).toCOG(raw, args)
+        : await formatData(content, { ...args, type: "COG" }, args.source, datasources);
+    mimeType = "image/tiff; application=geotiff; profile=cloud-optimized";
+    exportfilename = `${fileName}.tif`;
+
+    //vector layers are written from GeoJSON or Leaflet layers
+  } else if (type === "GeoJSON") {
+    blob = new Blob([JSON.stringify(toFeatureCollection(await data))], {
+      type: "application/geo+json",
+    });
+    exportfilename = `${fileName}.geojson`;
+  } else if (type === "Shapefile") {
+    bytes = await writeShapefile(await data, { name: args.name || fileName, crs: args.crs });
+    mimeType = "application/zip";
+    exportfilename = `${fileName}.zip`;
+  } else if (type === "GeoPackage") {
+    bytes = writeGeoPackage(await data, { name: args.name || fileName, crs: args.crs });
+    mimeType = "application/geopackage+sqlite3";
+    exportfilename = `${fileName}.gpkg`;
   }
 
   //if XML file is required for loading. Needs improvement.
@@ -1333,6 +2038,10 @@ async function download({ params, args, data } = {}) {
     exportfilename = 'export.xml';
   };*/
 
+  if (bytes) {
+    return saveBytes(bytes, exportfilename, mimeType);
+  }
+
   //after the data has been transformed, create a new download file and link. No name is given but "export".
   if (navigator.msSaveOrOpenBlob) {
     navigator.msSaveOrOpenBlob(blob, exportfilename);
@@ -1349,6 +2058,41 @@ async function download({ params, args, data } = {}) {
 /****** Helper functions **********/
 /**********************************/
 
+/**
+ * Read Parquet or Arrow IPC bytes into HydroLang columns (or the output chosen in options),
+ * or into an async iterable of row batches when streaming
+ * @ignore
+ */
+async function readColumnar(input, options = {}, stream = false) {
+  const bytes = await toUint8Array(input);
+  const parquet = isParquet(bytes);
+  if (!parquet && !isArrow(bytes)) {
+    throw new Error('Expected a Parquet file or an Arrow IPC file or stream');
+  }
+  if (stream) {
+    return parquet ? readParquetBatches(bytes, options) : readArrowBatches(bytes, options);
+  }
+  const table = await (parquet ? readParquet(bytes, options) : readArrow(bytes, options));
+  return formatTable(table, options.output);
+}
+
+/**
+ * Save bytes to a file: browser download, or a file write in Node.js
+ * @ignore
+ */
+async function saveBytes(bytes, filename, type) {
+  if (typeof document !== 'undefined') {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([bytes], { type }));
+    a.download = filename;
+    a.click();
+    a.remove();
+  } else {
+    const fs = await import(/* webpackIgnore: true */ 'node:fs/promises');
+    await fs.writeFile(filename, bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes);
+  }
+}
+
 /**
  * Recursively searches for arrays with specific key names in nested objects.
  * Useful for extracting data from complex nested JSON structures returned by APIs.
@@ -1442,14 +2186,19 @@ function lowercasing(obj) {
 /**
  * Recursively converts XML document format to JSON format.
  * Handles XML attributes, text content, and nested elements.
+ * XML strings are parsed without DOMParser, so this also works inside Web Workers.
  * 
  * @function xml2json
  * @memberof data
- * @param {Document|Element} xml - Parsed XML document or element from DOMParser
+ * @param {string|Document|Element} xml - XML string, or a parsed XML document or element from DOMParser
  * @returns {Object|string|null} Object representation of XML structure, or null if error occurs
  * 
  * @example
- * // Convert XML to JSON
+ * // Convert an XML string to JSON
+ * const jsonResult = hydro.data.xml2json(xmlString);
+ * 
+ * @example
+ * // Convert a DOM document to JSON
  * const parser = new DOMParser();
  * const xmlDoc = parser.parseFromString(xmlString, "text/xml");
  * const jsonResult = hydro.data.xml2json(xmlDoc);
@@ -1464,6 +2213,10 @@ function lowercasing(obj) {
  */
 function xml2json(xml) {
   try {
+    if (typeof xml === "string") {
+      return parseXML(xml);
+    }
+
     let obj = {};
 
     // Handle attributes
@@ -1515,6 +2268,23 @@ function xml2json(xml) {
 }
 
 
+/**
+ * Deep clones plain objects, arrays and dates so transformations never mutate the input.
+ * @ignore
+ */
+function deepClone(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(deepClone);
+  const result = {};
+  for (const key in value) {
+    if (Object.prototype.hasOwnProperty.call(value, key)) {
+      result[key] = deepClone(value[key]);
+    }
+  }
+  return result;
+}
+
 /**
  * Generates a timestamp-based string for file naming.
  * Creates a formatted date string in YY.MM.DD.HH:MM format.
@@ -1561,6 +2331,75 @@ function generateDateString() {
 /*** End of Helper functions **/
 /**********************************/
 
+/**
+ * Datasource discovery built from the info, info.coverage, endpoint-info and variables blocks of every
+ * datasource, including sources added with registerSource.
+ *
+ * @namespace catalog
+ * @memberof data
+ */
+export const catalog = {
+  /**
+   * Find datasources for a variable, area, period and resolution, best candidates first.
+   * Sources whose declared coverage misses the area or period are left out; sources without coverage
+   * metadata stay in the results with `unknown` match details and a lower score.
+   *
+   * @function search
+   * @memberof data.catalog
+   * @param {Object} [query]
+   * @param {string} [query.variable] - Variable or synonym ('precipitation', 'rainfall', 'discharge', 'temperature')
+   * @param {Array<number>} [query.bbox] - [west, south, east, north] in degrees
+   * @param {string|Date} [query.start] - Period start
+   * @param {string|Date} [query.end] - Period end (defaults to now when start is given)
+   * @param {string} [query.resolution] - Wanted temporal resolution ('15min', '1H', 'daily', 'monthly')
+   * @param {boolean} [query.requiresKey] - false to leave out sources that need an API key
+   * @param {number} [query.limit] - Maximum number of candidates
+   * @returns {Array<Object>} [{ source, score, match: { variable, spatial, temporal, resolution }, coverage: { region, bbox, start, end, resolutions, latency }, auth, datatypes, variables, about, examples }]
+   *
+   * @example
+   * const candidates = hydro.data.catalog.search({
+   *   variable: 'precipitation',
+   *   bbox: [-96.6, 40.4, -90.1, 43.5], // Iowa
+   *   start: '2015-01-01',
+   *   end: '2020-12-31',
+   *   resolution: 'daily'
+   * });
+   * const [best] = candidates;
+   * console.log(best.source, best.coverage.latency, best.auth.requiresKey);
+   * const data = await hydro.data.retrieve(best.examples[0]);
+   */
+  search(query = {}) {
+    return searchCatalog(buildCatalog(datasources), query);
+  },
+
+  /**
+   * Catalog entries of every datasource
+   *
+   * @function list
+   * @memberof data.catalog
+   * @returns {Array<Object>}
+   */
+  list() {
+    return buildCatalog(datasources);
+  },
+
+  /**
+   * Catalog entry of one datasource
+   *
+   * @function describe
+   * @memberof data.catalog
+   * @param {string} source - Datasource name
+   * @returns {Object}
+   */
+  describe(source) {
+    const config = findSourceConfig(datasources, source);
+    if (!config) {
+      throw new Error(`No data source found for source '${source}'.`);
+    }
+    return describeSource(source, config);
+  }
+};
+
 // Cache management - simple list and get by key
 /**
  * Cache management API - simple interface
@@ -1586,7 +2425,7 @@ export const cache = {
    * });
    */
   async list(options = {}) {
-    const cacheInstance = globalThis._hydroCache;
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
     if (!cacheInstance) {
       console.warn('Cache not initialized');
       return [];
@@ -1645,7 +2484,7 @@ export const cache = {
    * await hydro.data.cache.clear();
    */
   async clear() {
-    const cacheInstance = globalThis._hydroCache;
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
     if (!cacheInstance) {
       console.warn('Cache not initialized');
       return false;
@@ -1664,7 +2503,7 @@ export const cache = {
    * // {totalSize: 104857600, totalEntries: 42, sizeFormatted: '100 MB', ...}
    */
   async stats() {
-    const cacheInstance = globalThis._hydroCache;
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
     if (!cacheInstance) {
       console.warn('Cache not initialized');
       return { totalSize: 0, totalEntries: 0, sizeFormatted: '0 B' };
@@ -1709,8 +2548,7 @@ export const cache = {
     if (!cacheInstance) return null;
 
     // Generate key from params
-    globalThis._hydroCacheContext = { params: { args } };
-    const key = cacheInstance.generateCacheKey('', params);
+    const key = cacheInstance.generateCacheKey('', { ...params, args });
 
     const cached = await cacheInstance.get(key);
     if (!cached) return null;
@@ -1750,8 +2588,494 @@ export const cache = {
       };
     }
     return await cacheInstance.getStats();
+  },
+
+  /**
+   * Set the cache policy for a source or a source/datatype pair.
+   * Datatype policies override source policies, which override the cache-wide defaults.
+   *
+   * @function setPolicy
+   * @memberof data.cache
+   * @param {string} target - Source ('nws') or source/datatype ('nws/forecast')
+   * @param {Object|null} policy - Policy, or null to remove it
+   * @param {number|string} [policy.maxAge] - Time to live in ms or as a duration ('15min', '6H', '30D'); Infinity never expires
+   * @param {number|string} [policy.staleWhileRevalidate] - Window past maxAge in which the cached copy is returned while a fresh one is fetched in the background
+   * @param {boolean} [policy.pinned] - Never expire or evict entries of this target
+   * @param {number} [policy.maxFileSize] - Largest payload cached for this target, in bytes
+   * @returns {Object|null} Normalized policy
+   *
+   * @example
+   * hydro.data.cache.setPolicy('nws', { maxAge: '15min', staleWhileRevalidate: '1H' });
+   * hydro.data.cache.setPolicy('aorc', { maxAge: Infinity });
+   */
+  setPolicy(target, policy) {
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
+    if (!cacheInstance?.setPolicy) {
+      console.warn('Cache not initialized');
+      return null;
+    }
+    return cacheInstance.setPolicy(target, policy);
+  },
+
+  /**
+   * Get the effective cache policy for a source and datatype
+   *
+   * @function getPolicy
+   * @memberof data.cache
+   * @param {string} source - Data source
+   * @param {string} [datatype] - Data type
+   * @returns {Object|null} { maxAge, staleWhileRevalidate, pinned, maxFileSize }
+   *
+   * @example
+   * hydro.data.cache.getPolicy('nws', 'forecast');
+   */
+  getPolicy(source, datatype) {
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
+    return cacheInstance?.getPolicy ? cacheInstance.getPolicy(source, datatype) : null;
+  },
+
+  /**
+   * Choose the eviction order used when the cache is over its size limit
+   *
+   * @function setEviction
+   * @memberof data.cache
+   * @param {string} strategy - 'lru' (least recently used) or 'lfu' (least frequently used)
+   *
+   * @example
+   * hydro.data.cache.setEviction('lfu');
+   */
+  setEviction(strategy) {
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
+    if (!cacheInstance?.setEviction) {
+      console.warn('Cache not initialized');
+      return;
+    }
+    cacheInstance.setEviction(strategy);
+  },
+
+  /**
+   * Pin a cached entry so it is never expired or evicted
+   *
+   * @function pin
+   * @memberof data.cache
+   * @param {string} cacheKey - Key of the entry (chunked entries pin all their chunks)
+   * @returns {Promise<boolean>} True if the entry exists
+   *
+   * @example
+   * await hydro.data.cache.pin('aorc/precipitation/my-storm');
+   */
+  async pin(cacheKey) {
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
+    return cacheInstance?.pin ? cacheInstance.pin(cacheKey) : false;
+  },
+
+  /**
+   * Remove the pin from a cached entry
+   *
+   * @function unpin
+   * @memberof data.cache
+   * @param {string} cacheKey - Key of the entry
+   * @returns {Promise<boolean>} True if the entry exists
+   */
+  async unpin(cacheKey) {
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
+    return cacheInstance?.unpin ? cacheInstance.unpin(cacheKey) : false;
+  },
+
+  /**
+   * Storage usage against the browser quota (navigator.storage.estimate) and the effective cache limit
+   *
+   * @function estimate
+   * @memberof data.cache
+   * @returns {Promise<Object|null>} { cacheSize, usage, quota, limit } in bytes
+   *
+   * @example
+   * const { cacheSize, quota, limit } = await hydro.data.cache.estimate();
+   */
+  async estimate() {
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
+    return cacheInstance?.estimateStorage ? cacheInstance.estimateStorage() : null;
+  },
+
+  /**
+   * Package cached entries into a portable ZIP bundle (manifest.json + one payload per entry).
+   * Chunked files are exported with all of their chunks.
+   *
+   * @function export
+   * @memberof data.cache
+   * @param {Object} [options] - Selection options
+   * @param {Array<string>} [options.keys] - Cache keys to export
+   * @param {string} [options.source] - Export every entry of a source (e.g., 'aorc', '3dep')
+   * @param {string} [options.dataType] - Restrict to a datatype
+   * @param {boolean} [options.includeVariables=false] - Include runtime variables and saved datasets
+   * @param {string} [options.filename] - Save the bundle: triggers a browser download, or writes the file in Node.js
+   * @returns {Promise<Blob>} Bundle as a zip Blob
+   *
+   * @example
+   * // Instructor: bundle the prepared AORC data for the class
+   * await hydro.data.cache.export({ source: 'aorc', filename: 'lab-aorc.zip' });
+   */
+  async export(options = {}) {
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
+    if (!cacheInstance?.exportEntries) {
+      throw new Error('Cache not available');
+    }
+    const { filename, ...selection } = options;
+    const bytes = await cacheInstance.exportEntries(selection);
+    const blob = new Blob([bytes], { type: 'application/zip' });
+
+    if (filename) {
+      await saveBytes(bytes, filename, 'application/zip');
+    }
+    return blob;
+  },
+
+  /**
+   * Restore entries from a bundle created with cache.export
+   *
+   * @function import
+   * @memberof data.cache
+   * @param {File|Blob|ArrayBuffer|Uint8Array|string} file - Bundle contents, or a file path in Node.js
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.overwrite=true] - Replace entries that already exist
+   * @param {boolean} [options.preserveTimestamps=false] - Keep original cache times instead of treating entries as freshly cached
+   * @param {boolean} [options.pin=false] - Pin imported entries so they are never expired or evicted
+   * @returns {Promise<Object>} { imported, skipped, keys }
+   *
+   * @example
+   * // Student: load the bundle once, then work offline
+   * const [file] = document.querySelector('#bundle').files;
+   * await hydro.data.cache.import(file, { pin: true });
+   */
+  async import(file, options = {}) {
+    const cacheInstance = globalThis.hydro?.cache || globalThis._hydroCache;
+    if (!cacheInstance?.importEntries) {
+      throw new Error('Cache not available');
+    }
+    let input = file;
+    if (typeof file === 'string') {
+      const fs = await import(/* webpackIgnore: true */ 'node:fs/promises');
+      input = await fs.readFile(file);
+    }
+    return cacheInstance.importEntries(input, options);
+  }
+};
+
+/**
+ * Provenance of retrieved data for reproducible workflows.
+ * Records are collected by retrieve when params.provenance (or the Hydrolang config option provenance) is true.
+ *
+ * @namespace provenance
+ * @memberof data
+ */
+export const provenance = {
+  /**
+   * Provenance records collected in this session
+   *
+   * @function list
+   * @memberof data.provenance
+   * @returns {Array<Object>} Records with source, params, args, request (url, proxy, headers) and response (status, bytes, sha256, fromCache)
+   *
+   * @example
+   * hydro.data.provenance.list().forEach(r => console.log(r.request.url, r.response.sha256));
+   */
+  list() {
+    return provenanceLog.list();
+  },
+
+  /**
+   * Forget all records of this session
+   *
+   * @function clear
+   * @memberof data.provenance
+   */
+  clear() {
+    provenanceLog.clear();
+  },
+
+  /**
+   * Build a replayable manifest of every retrieval in this session.
+   * Credentials (the source keyname and any key/token/secret-like header or query parameter) are redacted.
+   *
+   * @function export
+   * @memberof data.provenance
+   * @param {Object} [options] - Export options
+   * @param {string} [options.filename] - Save the manifest as JSON: triggers a browser download, or writes the file in Node.js
+   * @returns {Promise<Object>} Manifest { format, version, createdAt, environment, records }
+   *
+   * @example
+   * await hydro.data.provenance.export({ filename: 'analysis-provenance.json' });
+   */
+  async export(options = {}) {
+    const manifest = provenanceLog.toManifest();
+    if (options.filename) {
+      await saveBytes(new TextEncoder().encode(JSON.stringify(manifest, null, 2)), options.filename, 'application/json');
+    }
+    return manifest;
+  },
+
+  /**
+   * Re-run every request of a manifest and compare response hashes with the recorded ones.
+   * With the cache enabled, identical bytes are served from the cache when the entry still exists.
+   *
+   * @function replay
+   * @memberof data.provenance
+   * @param {Object|string} manifest - Manifest object, its JSON text, or a file path in Node.js
+   * @param {Object} [options] - Replay options
+   * @param {boolean} [options.cache=true] - Use the cache (falls back to the network on misses); false always refetches
+   * @param {Object} [options.secrets] - Values for redacted credentials, by header or parameter name
+   * @returns {Promise<Object>} { identical, changed, failed, results: [{ id, url, status, expected, actual, data }] }
+   *
+   * @example
+   * const report = await hydro.data.provenance.replay(manifest, { cache: false, secrets: { 'x-api-key': KEY } });
+   * report.results.filter(r => r.status === 'changed').forEach(r => console.warn('Upstream changed:', r.url));
+   */
+  async replay(manifest, options = {}) {
+    let input = manifest;
+    if (typeof manifest === 'string' && !manifest.trim().startsWith('{')) {
+      const fs = await import(/* webpackIgnore: true */ 'node:fs/promises');
+      input = await fs.readFile(manifest, 'utf8');
+    }
+    const useCache = options.cache !== false;
+
+    return ProvenanceLog.replay(input, {
+      secrets: options.secrets,
+      fetch: (url, fetchOptions, record) => {
+        if (!useCache) return fetch(url, fetchOptions);
+        return cachedFetch(url, fetchOptions, {
+          source: record.source,
+          dataType: record.datatype,
+          params: record.params,
+          cacheId: record.params?.cacheId
+        });
+      }
+    });
+  }
+};
+
+/**
+ * API keys for datasources that require one (requirements.requireskey).
+ * Keys are encrypted with AES-GCM and persisted in the cache backend, then injected by retrieve into the
+ * header, query string or body declared by the source (requirements.keylocation). Stored keys are never
+ * listed or exported with the cache, and known key values are redacted from logs, errors and provenance.
+ * Set `credentialPassphrase` in the Hydrolang config (or HYDROLANG_CREDENTIAL_PASSPHRASE in Node.js) to
+ * derive the encryption key from a passphrase; the filesystem cache backend requires one.
+ *
+ * @namespace credentials
+ * @memberof data
+ */
+export const credentials = {
+  /**
+   * Store the API key of a datasource
+   *
+   * @function set
+   * @memberof data.credentials
+   * @param {string} source - Datasource name (params.source)
+   * @param {string} key - API key
+   * @returns {Promise<Object>} { source, persisted } - persisted is false when the cache is disabled (session only)
+   *
+   * @example
+   * await hydro.data.credentials.set('noaa', NOAA_TOKEN);
+   * const stations = await hydro.data.retrieve({ params: { source: 'noaa', datatype: 'availablestations' }, args: { locationid: 'FIPS:19' } });
+   */
+  async set(source, key) {
+    return credentialStore.set(source, key);
+  },
+
+  /**
+   * Check whether a key is stored for a datasource
+   *
+   * @function has
+   * @memberof data.credentials
+   * @param {string} source - Datasource name
+   * @returns {Promise<boolean>}
+   */
+  async has(source) {
+    return credentialStore.has(source);
+  },
+
+  /**
+   * Remove the stored key of a datasource
+   *
+   * @function delete
+   * @memberof data.credentials
+   * @param {string} source - Datasource name
+   * @returns {Promise<boolean>} Whether a key was stored
+   */
+  async delete(source) {
+    return credentialStore.delete(source);
+  },
+
+  /**
+   * Datasources with a stored key (names only, never the keys)
+   *
+   * @function list
+   * @memberof data.credentials
+   * @returns {Promise<Array<string>>}
+   */
+  async list() {
+    return credentialStore.list();
+  },
+
+  /**
+   * Derive the encryption key from a passphrase. The first passphrase protects the store from then on;
+   * keys stored before are re-encrypted with it.
+   *
+   * @function unlock
+   * @memberof data.credentials
+   * @param {string} passphrase
+   * @returns {Promise<boolean>}
+   *
+   * @example
+   * // Node.js with the filesystem cache backend
+   * await hydro.data.credentials.unlock(process.env.HYDRO_PASSPHRASE);
+   */
+  async unlock(passphrase) {
+    return credentialStore.unlock(passphrase);
+  },
+
+  /**
+   * Forget decrypted keys held in memory (stored keys are kept)
+   *
+   * @function lock
+   * @memberof data.credentials
+   */
+  lock() {
+    credentialStore.lock();
+  },
+
+  /**
+   * Remove every stored key
+   *
+   * @function clear
+   * @memberof data.credentials
+   * @returns {Promise<number>} Number of keys removed
+   */
+  async clear() {
+    return credentialStore.clear();
+  }
+};
+
+/**
+ * Proxy configuration for sources that cannot be requested directly from the browser (requirements.needProxy).
+ * Controls which proxies may be contacted (allow-list), the order they are tried in, per-source overrides and
+ * whether failing proxies fall back to the next one. Run hydrolang/proxy-server.js to host a proxy yourself.
+ * The same options can be given as `proxy` in the Hydrolang config.
+ *
+ * @namespace proxy
+ * @memberof data
+ */
+export const proxy = {
+  /**
+   * Update the proxy configuration; omitted options keep their current value
+   *
+   * @function configure
+   * @memberof data.proxy
+   * @param {Object} options - Proxy options
+   * @param {Object} [options.proxies] - Proxies to add, { name: endpoint }; the target URL is appended to the endpoint,
+   *   or replaces a `{url}` placeholder URL-encoded. null removes a proxy
+   * @param {Array<string>} [options.order] - Proxy names in the order they are tried
+   * @param {Array<string>|null} [options.allow] - Proxy names or origins that may be contacted (null allows all)
+   * @param {Object} [options.sources] - Per-source override { source: name | [names] | false }; false requests the source directly
+   * @param {boolean} [options.fallback] - false uses only the first proxy and disables the proxy fallback of cached requests
+   * @returns {Object} The resulting configuration
+   *
+   * @example
+   * // Only use the institution's proxy, never third-party ones
+   * hydro.data.proxy.configure({
+   *   proxies: { campus: 'http://localhost:8787/' },
+   *   order: ['campus'],
+   *   allow: ['campus'],
+   *   sources: { usgs: false },
+   *   fallback: false
+   * });
+   */
+  configure(options) {
+    return configureProxies(options);
+  },
+
+  /**
+   * Current proxy configuration
+   *
+   * @function get
+   * @memberof data.proxy
+   * @returns {Object} { proxies, order, allow, sources, fallback }
+   */
+  get() {
+    return getProxyConfig();
+  },
+
+  /**
+   * Proxies a request of a source would go through, in the order they are tried
+   *
+   * @function resolve
+   * @memberof data.proxy
+   * @param {string} source - Datasource name
+   * @param {string} [proxyServer] - Proxy requested with params.proxyServer
+   * @returns {Array<Object>} [{ name, endpoint }] - empty when the source is requested directly
+   */
+  resolve(source, proxyServer) {
+    const sourceConfig = findSourceConfig(datasources, source);
+    return resolveProxies(source, { requested: proxyServer, needProxy: !!sourceConfig?.requirements?.needProxy });
+  },
+
+  /**
+   * Restore the default order and remove the allow-list and per-source overrides
+   *
+   * @function reset
+   * @memberof data.proxy
+   * @returns {Object} The resulting configuration
+   */
+  reset() {
+    return resetProxyConfig();
+  }
+};
+
+/**
+ * WaterML 1.1 (CUAHSI WaterOneFlow, USGS NWIS) and WaterML 2.0 / OGC TimeseriesML reading and writing.
+ * Documents are read into the same TimeSeries objects that retrieve returns with normalize: true.
+ *
+ * @namespace waterml
+ * @memberof data
+ */
+export const waterml = {
+  /**
+   * Read a WaterML document into TimeSeries objects (site metadata, variable, units, qualifiers and values)
+   *
+   * @function parse
+   * @memberof data.waterml
+   * @async
+   * @param {string|Blob|ArrayBuffer} input - WaterML 1.1 or 2.0 document; SOAP responses from waterOneFlow are accepted as is
+   * @returns {Promise<Array<TimeSeries>>} One series per WaterML 1.1 values block or WaterML 2.0 observation
+   *
+   * @example
+   * const xml = await hydro.data.retrieve({
+   *   params: { source: 'waterOneFlow', datatype: 'GetValuesObject', proxyServer: 'local-proxy' },
+   *   args: { sourceType: 'USGS Daily Values', location: 'NWISDV:05454500', variable: 'NWISDV:00060/DataType=Mean', startDate: '2020-01-01', endDate: '2020-01-31' }
+   * });
+   * const [flow] = await hydro.data.waterml.parse(xml);
+   * console.log(flow.site.name, flow.units, flow.values.length);
+   */
+  async parse(input) {
+    const text = typeof input === 'string' ? input : new TextDecoder().decode(await (input.arrayBuffer ? input.arrayBuffer() : input));
+    return parseWaterML(text);
+  },
+
+  /**
+   * Write TimeSeries objects as a WaterML document
+   *
+   * @function write
+   * @memberof data.waterml
+   * @param {TimeSeries|Array<TimeSeries>} series - Series to write (TimeSeries objects or their JSON form)
+   * @param {Object} [options]
+   * @param {string} [options.version='1.1'] - '1.1' or '2.0'
+   * @param {number} [options.noDataValue=-9999] - Value written for nulls in WaterML 1.1
+   * @returns {string} XML document
+   */
+  write(series, options = {}) {
+    return writeWaterML(series, options);
   }
 };
 
-export { retrieve, transform, download, upload, recursiveSearch, xml2json, getFile, saveFile };
-export default { retrieve, transform, download, upload, recursiveSearch, xml2json, getFile, saveFile, cache };
+export { retrieve, retrieveBatch, registerSource, normalize, transform, download, upload, recursiveSearch, xml2json, getFile, saveFile };
+export default { retrieve, retrieveBatch, registerSource, normalize, transform, download, upload, recursiveSearch, xml2json, getFile, saveFile, cache, provenance, catalog, credentials, proxy, waterml };
@@ -147,8 +147,19 @@ export default {
     needProxy: true,
     requireskey: true,
     keyname: "api_key",
+    // AEMET OpenData throttles at roughly 50 requests per minute per key
+    rateLimit: { requestsPerSecond: 0.8, concurrency: 1 },
   },
   info: {
+    coverage: {
+      region: "Spain",
+      bbox: [-18.2, 27.6, 4.4, 43.8],
+      start: null,
+      end: null,
+      resolutions: ["1H", "1D"],
+      latency: "PT1H",
+      variables: ["temperature", "precipitation", "wind"]
+    },
     returnFormats: "json",
     MoreInfo: "https://opendata.aemet.es/dist/index.html",
     About: "AEMET: API REST from the Spanish Meteorological Service. Requires API key."
@@ -222,7 +222,9 @@ function sourceType(args, dataType) {
 }
 
 export default {
-    sourceType, // Export the function to be used by data.js
+    sourceType,
+    // Endpoint hook used by retrieve
+    resolveEndpoint: sourceType,
 
     // Default configs for discovery/docs (optional but good for 'info')
     "global-daily": {
@@ -253,6 +255,15 @@ export default {
     },
 
     info: {
+        coverage: {
+            region: "Global land 50S-50N",
+            bbox: [-180, -50, 180, 50],
+            start: "1981-01-01",
+            end: null,
+            resolutions: ["1D", "5D", "1M"],
+            latency: "P21D",
+            variables: ["precipitation"]
+        },
         returnFormats: "netcdf, tiff, bil, png",
         MoreInfo: "https://www.chc.ucsb.edu/data/chirps",
         About: "CHIRPS incorporates 0.05° resolution satellite imagery with in-situ station data to create gridded rainfall time series for trend analysis and seasonal drought monitoring."
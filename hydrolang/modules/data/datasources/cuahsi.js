@@ -66,6 +66,10 @@ const waterOneFlow = {
     "NLDAS Hourly NOAH Data"
   ],
   action: "http://www.cuahsi.org/his/1.1/ws/",
+  // Endpoint hook used by retrieve: the HIS service is chosen through args.sourceType
+  resolveEndpoint(args, dataType) {
+    return this.sourceType(args.sourceType, dataType);
+  },
   sourceType: (type) => {
     var val = "";
 
@@ -490,6 +494,9 @@ const waterOneFlow = {
 const hisCentral = {
   //The request parameters passed into hisCentral endpoint are compliant with SOAP 1.1
   action: "http://hiscentral.cuahsi.org/20100205/",
+  resolveEndpoint(args, dataType) {
+    return this.sourceType(args.sourceType, dataType);
+  },
   sourceType: (type) => {
     typeof type === undefined ? (type = "") : null;
     return `https://hiscentral.cuahsi.org/webservices/hiscentral.asmx`;
@@ -731,7 +738,14 @@ const hydroShare = {
     },
     methods: {
       type: "json",
-      method: "POST",
+      // Listing is a GET; a POST to this endpoint creates a resource (see resource_create)
+      method: "GET",
+    },
+    // Paged Django REST responses: { count, next, previous, results }
+    pagination: {
+      style: "next",
+      nextPath: "next",
+      itemsPath: "results",
     },
   },
 
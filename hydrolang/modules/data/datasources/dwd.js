@@ -55,6 +55,16 @@ export default {
     },
 
     info: {
+        coverage: {
+            // Forecasts (ICON, MOSMIX) and recent radar composites
+            region: "Germany",
+            bbox: [5.8, 47.2, 15.1, 55.1],
+            start: null,
+            end: null,
+            resolutions: ["5min", "1H"],
+            latency: "PT15M",
+            variables: ["precipitation", "temperature", "wind", "radar"]
+        },
         returnFormats: "grib2, netcdf, kmz, binary",
         MoreInfo: "https://opendata.dwd.de/readme.txt",
         About: "Deutscher Wetterdienst (DWD) Open Data Server. Provides raw model data (ICON), MOSMIX forecasts, and Radar composites.",
@@ -147,6 +157,11 @@ export default {
         }
     },
 
+    // Endpoint hook used by retrieve
+    resolveEndpoint(args, dataType) {
+        return this.sourceType(args, dataType);
+    },
+
     /**
      * Generates the dynamic endpoint based on the data type and arguments.
      * @param {Object} args - Arguments for the request
@@ -139,6 +139,15 @@ export default {
     requireskey: false,
   },
   info: {
+    coverage: {
+      region: "England",
+      bbox: [-6.5, 49.8, 1.8, 55.9],
+      start: null,
+      end: null,
+      resolutions: ["15min", "1D"],
+      latency: "PT1H",
+      variables: ["water level", "streamflow", "precipitation", "groundwater"]
+    },
     returnFormats: "json",
     MoreInfo: "https://environment.data.gov.uk/apiportal",
     About: "Data gov uk: provides API for free datasets from the UK and other parts of the world. The service does not require an API key, but, size limitations should be considered when downloading data."
@@ -61,6 +61,11 @@
  */
 
 const defaultExport = {
+  // Endpoint hook used by retrieve
+  resolveEndpoint(args, dataType) {
+    return this.sourceType(args, dataType);
+  },
+
   /**
    * Generates the URL/Endpoint for ECMWF data based on user arguments.
    * @param {Object} args - Arguments for the request
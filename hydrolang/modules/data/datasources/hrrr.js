@@ -405,6 +405,10 @@ export default {
   },
 
   info: {
+    // NOMADS keeps the latest runs only, analyses included
+    coverage: {
+      forecast: true
+    },
     returnFormats: "grib2",
     MoreInfo: "https://rapidrefresh.noaa.gov/hrrr/",
     About: "High Resolution Rapid Refresh (HRRR) provides high-resolution (3km) weather forecasts and analysis data for the Continental United States. Available in GRIB2 format with 1-hour temporal resolution."
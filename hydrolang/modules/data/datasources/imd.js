@@ -70,6 +70,7 @@ export default {
         needProxy: true,
         requireskey: true,
         keyname: "api-key",
+        keylocation: "query",
     },
 
     info: {
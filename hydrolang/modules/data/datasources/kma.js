@@ -81,6 +81,7 @@ export default {
         needProxy: true,
         requireskey: true,
         keyname: "serviceKey",
+        keylocation: "query",
     },
 
     info: {
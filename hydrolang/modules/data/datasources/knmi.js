@@ -77,6 +77,15 @@ export default {
     },
 
     info: {
+        coverage: {
+            region: "Netherlands",
+            bbox: [3.2, 50.7, 7.3, 53.7],
+            start: null,
+            end: null,
+            resolutions: ["10min", "1H", "1D"],
+            latency: "PT1H",
+            variables: ["temperature", "precipitation", "wind", "radar"]
+        },
         returnFormats: "json, netcdf (via download), xml",
         MoreInfo: "https://developer.dataplatform.knmi.nl/",
         About: "KNMI Data Platform. Requires a free API key. Provides access to raw files (NetCDF, etc.), EDR query endpoints, and FDSN Seismology services.",
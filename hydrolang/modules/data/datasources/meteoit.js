@@ -119,6 +119,7 @@
     needProxy: true,
     requireskey: true,
     keyname: "token",
+    keylocation: "body",
   },
   info: {
     returnFormats: "json",
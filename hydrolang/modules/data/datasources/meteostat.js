@@ -172,8 +172,18 @@ export default {
     needProxy: true,
     requireskey: true,
     keyname: "x-api-key",
+    rateLimit: { requestsPerSecond: 2, concurrency: 2 },
   },
   info: {
+    coverage: {
+      region: "Global (stations)",
+      bbox: [-180, -90, 180, 90],
+      start: null,
+      end: null,
+      resolutions: ["1H", "1D", "1M"],
+      latency: "P1D",
+      variables: ["temperature", "precipitation", "snow", "wind", "pressure", "humidity"]
+    },
     returnFormats: "json",
     MoreInfo: "https://dev.meteostat.net/",
     About: "Meteostat data retrieval API. The API retrieves all the variables that are measured in a given station. Activation key format and name is 'x-api-key'."
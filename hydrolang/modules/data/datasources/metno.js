@@ -82,6 +82,17 @@ export default {
     },
 
     info: {
+        coverage: {
+            // Forecasts and nowcasts only
+            forecast: true,
+            region: "Global",
+            bbox: [-180, -90, 180, 90],
+            start: null,
+            end: null,
+            resolutions: ["1H"],
+            latency: "PT1H",
+            variables: ["temperature", "precipitation", "wind", "humidity", "pressure"]
+        },
         returnFormats: "json",
         MoreInfo: "https://api.met.no/weatherapi/locationforecast/2.0/documentation",
         About: "Meteorologisk institutt (Met.no) API. Provides global weather, ocean, and nowcast data in JSON format. Requires a unique User-Agent header.",
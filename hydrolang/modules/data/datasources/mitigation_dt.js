@@ -12,6 +12,11 @@
 
 export default {
 
+    // Endpoint hook used by retrieve: the community is chosen through args.sourceType
+    resolveEndpoint(args, dataType) {
+        return this.sourceType(args.sourceType, dataType);
+    },
+
     sourceType: (sourceType, dataType) => {
       let endpoint = '';
       switch (dataType) {
@@ -74,7 +74,7 @@ const MRMS_DATASETS = {
       coverage: "CONUS"
     },
     temporal: {
-      resolution: "2M", // 2-minute updates
+      resolution: "2min", // 2-minute updates
       realtime: true,
       archive: false, // MRMS is primarily real-time operational
       archiveStart: null, // No historical archive via HTTP
@@ -125,6 +125,15 @@ export default {
   },
 
   info: {
+    coverage: {
+      region: "Global",
+      bbox: [-180, -90, 180, 90],
+      start: "1981-01-01",
+      end: null,
+      resolutions: ["1H", "1D", "1M"],
+      latency: "P3D",
+      variables: ["temperature", "precipitation", "radiation", "humidity", "wind", "pressure"]
+    },
     returnFormats: "json, csv, netcdf, geotiff",
     MoreInfo: "https://power.larc.nasa.gov/docs/services/api/",
     About: "NASA POWER (Prediction of Worldwide Energy Resource) API provides global meteorology and solar energy data for multiple applications."
@@ -281,6 +281,11 @@ const NLDAS_VARIABLES = {
 };
 
 export default {
+  // Endpoint hook used by retrieve: the dataset is chosen through args.dataset
+  resolveEndpoint(args, dataType) {
+    return this.sourceType(args.dataset, dataType, args);
+  },
+
   // Dynamic endpoint construction for NLDAS NetCDF files
   sourceType: (dataset, dataType, params) => {
     // Extract dataset configuration
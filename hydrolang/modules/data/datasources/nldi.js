@@ -105,6 +105,12 @@ export default {
             type: "json",
             method: "GET",
         },
+        // Large navigations are split into feature collections linked through links[rel="next"]
+        pagination: {
+            style: "next",
+            nextPath: "links",
+            itemsPath: "features",
+        },
     },
 
     //Retrieve WSG84 geoJSON for a given COMID
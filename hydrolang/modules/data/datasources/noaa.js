@@ -61,6 +61,17 @@
  * @memberof datasources
  */
 
+// CDO returns at most 1000 results per call; offsets are 1-based and the total is in metadata.resultset
+const CDO_PAGINATION = {
+  style: "offset",
+  limitParam: "limit",
+  offsetParam: "offset",
+  pageSize: 1000,
+  firstOffset: 1,
+  itemsPath: "results",
+  totalPath: "metadata.resultset.count",
+};
+
 export default {
   // These are only written to aid users to know
   // what parameters are available
@@ -74,6 +85,7 @@ export default {
       type: "json",
       method: "GET",
     },
+    pagination: CDO_PAGINATION,
   },
 
   availablestations: {
@@ -87,6 +99,7 @@ export default {
       type: "json",
       method: "GET",
     },
+    pagination: CDO_PAGINATION,
   },
   "prec-15min": {
     endpoint:
@@ -105,6 +118,7 @@ export default {
       type: "json",
       method: "GET",
     },
+    pagination: CDO_PAGINATION,
   },
 
   "prec-hourly": {
@@ -125,6 +139,7 @@ export default {
       type: "json",
       method: "GET",
     },
+    pagination: CDO_PAGINATION,
   },
 
   "daily-summaries": {
@@ -144,6 +159,7 @@ export default {
       type: "json",
       method: "GET",
     },
+    pagination: CDO_PAGINATION,
   },
 
   "global-summary": {
@@ -163,6 +179,7 @@ export default {
       type: "json",
       method: "GET",
     },
+    pagination: CDO_PAGINATION,
   },
 
   "weather-radar-imagery": {
@@ -185,8 +202,19 @@ export default {
     needProxy: false,
     requireskey: true,
     keyname: "token",
+    // CDO web services allow 5 requests per second per token
+    rateLimit: { requestsPerSecond: 5, concurrency: 2 },
   },
   info: {
+    coverage: {
+      region: "Global (GHCN stations)",
+      bbox: [-180, -90, 180, 90],
+      start: "1763-01-01",
+      end: null,
+      resolutions: ["15min", "1H", "1D", "1M"],
+      latency: "P3D",
+      variables: ["precipitation", "temperature", "snow"]
+    },
     returnFormats: "json",
     MoreInfo: "https://www.ncdc.noaa.gov/cdo-web/webservices/v2#data",
     About: "NOAA API for data retrieval, different application types. Requires registration to get TOKEN and must be included in parameters. Must requests must be less than 1 year."
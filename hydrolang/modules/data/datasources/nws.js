@@ -170,6 +170,17 @@ export default {
         requireskey: false,
     },
     info: {
+        coverage: {
+            // Forecasts and the most recent observations only
+            forecast: true,
+            region: "United States",
+            bbox: [-180, 17, -64, 72],
+            start: null,
+            end: null,
+            resolutions: ["1H"],
+            latency: "PT1H",
+            variables: ["temperature", "precipitation", "wind", "humidity", "pressure"]
+        },
         returnFormats: "json",
         MoreInfo: "https://www.weather.gov/documentation/services-web-api#/default/obs_stations",
         About: "National Weather Service (NWS) API that allows access to forecasts, alerts, and observations and other weather data that allows JSON-LD machine data discovery."
@@ -60,6 +60,16 @@ export default {
     },
 
     info: {
+        coverage: {
+            // Historical archive from 1940 (ERA5) through the 16-day forecast
+            region: "Global",
+            bbox: [-180, -90, 180, 90],
+            start: "1940-01-01",
+            end: null,
+            resolutions: ["15min", "1H", "1D"],
+            latency: "PT1H",
+            variables: ["temperature", "precipitation", "wind", "humidity", "radiation", "soil moisture", "snow", "evapotranspiration", "pressure"]
+        },
         returnFormats: "json",
         MoreInfo: "https://open-meteo.com/",
         About: "Open-Meteo offers free weather forecasts for non-commercial use, with support for various global and regional models."
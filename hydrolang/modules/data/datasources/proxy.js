@@ -1,6 +1,9 @@
 /**
- * All proxy servers tried and working can be found here.
- * It is a trial/error to see if a specific error might be working per resource.
+ * Registry of the CORS proxy servers used by sources that declare requirements.needProxy.
+ * Which of them may be contacted, in what order and for which sources is configured with
+ * hydro.data.proxy.configure() (or `proxy` in the Hydrolang config); hydrolang/proxy-server.js
+ * is a reference proxy that can be run locally or on an institution's own server.
+ * An endpoint is a prefix the target URL is appended to, or contains `{url}` for the URL-encoded target.
  * @type {Object}
  * @name ProxyServers
  * @memberof datasources
@@ -21,7 +24,7 @@ export default {
   info: {
     returnFormats: "json",
     MoreInfo: "https://allorigins.win/",
-    About: "All proxy servers tried and working can be found here. It is a trial/error to see if a specific error might be working per resource."
+    About: "CORS proxy servers for sources that cannot be requested directly from the browser. Restrict, reorder or replace them with hydro.data.proxy.configure(), or run hydrolang/proxy-server.js."
   },
 
   "endpoint-info": {
@@ -44,6 +47,16 @@ export default {
         url: "https://waterservices.usgs.gov/nwis/iv?format=json&sites=01646500",
         exampleRequest: "http://localhost:9000/api/v1/?url=https://waterservices.usgs.gov/nwis/iv?format=json&sites=01646500"
       }
+    },
+    "self-hosted": {
+      paramFormat: {
+        url: "String - The URL to proxy"
+      },
+      infoSource: "hydrolang/proxy-server.js run with `node hydrolang/proxy-server.js --port 8787`",
+      example: {
+        url: "https://waterservices.usgs.gov/nwis/iv?format=json&sites=01646500",
+        exampleRequest: "http://localhost:8787/https://waterservices.usgs.gov/nwis/iv?format=json&sites=01646500"
+      }
     }
   }
 };
@@ -31,6 +31,15 @@ export default {
     },
 
     info: {
+        coverage: {
+            region: "Australia",
+            bbox: [112, -44, 154, -10],
+            start: "1889-01-01",
+            end: null,
+            resolutions: ["1D"],
+            latency: "P1D",
+            variables: ["precipitation", "temperature", "radiation", "evapotranspiration", "humidity"]
+        },
         returnFormats: "json, csv",
         MoreInfo: "https://www.longpaddock.qld.gov.au/silo/",
         About: "SILO provides daily climate data for Australian locations, including rainfall, temperature, and radiation."
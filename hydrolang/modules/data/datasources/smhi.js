@@ -70,6 +70,15 @@ export default {
     },
 
     info: {
+        coverage: {
+            region: "Sweden",
+            bbox: [10.5, 55.0, 24.2, 69.1],
+            start: null,
+            end: null,
+            resolutions: ["15min", "1H", "1D"],
+            latency: "PT1H",
+            variables: ["temperature", "precipitation", "wind", "streamflow", "water level"]
+        },
         returnFormats: "json",
         MoreInfo: "https://opendata.smhi.se/",
         About: "SMHI Open Data API. Provides meteorological, hydrological, and oceanographic observations and forecasts in JSON format.",
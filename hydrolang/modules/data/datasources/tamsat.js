@@ -29,6 +29,15 @@ export default {
     },
 
     info: {
+        coverage: {
+            region: "Africa",
+            bbox: [-20, -36, 52, 38],
+            start: "1983-01-01",
+            end: null,
+            resolutions: ["1D", "5D", "1M"],
+            latency: "P2D",
+            variables: ["precipitation"]
+        },
         returnFormats: "netcdf",
         MoreInfo: "http://www.tamsat.org.uk/",
         About: "TAMSAT provides daily rainfall estimates for Africa based on Meteosat thermal infrared imagery calibrated against ground-based rain gauge data."
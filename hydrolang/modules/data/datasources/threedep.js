@@ -45,6 +45,21 @@
  *   }
  * });
  *
+ * @example
+ * // 3. Read only the needed tiles of the staged 1/3 arc-second COGs (range requests, cached blocks)
+ * const demCOG = await hydro.data.retrieve({
+ *   params: {
+ *     source: 'threedep',
+ *     datatype: 'grid-data'
+ *   },
+ *   args: {
+ *     dataset: '3dep-dem',
+ *     bbox: [-91.6, 41.6, -91.5, 41.7],
+ *     resolution: 30, // picks the matching overview of the 1/3 arc-second tiles
+ *     cog: true // or a COG URL / array of URLs, e.g. 1 m project tiles
+ *   }
+ * });
+ *
  * @see https://www.usgs.gov/3d-elevation-program
  * @type {Object}
  * @name 3DEP
@@ -72,6 +87,15 @@ const THREED_EP_DATASETS = {
       pixelType: "32-bit float",
       compression: "LZ77",
       maxImageSize: 2048
+    },
+    // Staged seamless DEMs read with args.cog: 1 x 1 degree COG tiles in NAD83 (EPSG:4269)
+    cog: {
+      baseUrl: "https://prd-tnm.s3.amazonaws.com/StagedProducts/Elevation",
+      products: {
+        "1/3": "13/TIFF/current/{tile}/USGS_13_{tile}.tif (~10 m)",
+        "1": "1/TIFF/current/{tile}/USGS_1_{tile}.tif (~30 m)"
+      },
+      tileName: "North-west corner, e.g. n42w092"
     }
   }
 };
@@ -100,7 +124,9 @@ export default {
       variables: null, // Array of variable names (usually ["elevation"])
       bbox: null, // Bounding box: [west, south, east, north] in WGS84
       resolution: null, // Resolution in meters (1, 3, 5, 10, 30)
-      format: null // Output format: "geotiff", "json", "georaster"
+      format: null, // Output format: "geotiff", "json", "georaster"
+      cog: null, // true (staged tiles), a COG URL or an array of URLs: read by range requests
+      product: null // Staged product with cog: true, "1/3" or "1" arc-second
     },
     methods: {
       type: "json",
@@ -116,7 +142,8 @@ export default {
       variables: null, // Variable names (usually ["elevation"])
       latitude: null, // Latitude coordinate
       longitude: null, // Longitude coordinate
-      format: null // Output format
+      format: null, // Output format
+      cog: null // true (staged tiles), a COG URL or an array of URLs: read only the pixel
     },
     methods: {
       type: "json",
@@ -161,7 +188,9 @@ export default {
         variables: "Array - Variable names (usually ['elevation'])",
         bbox: "Array - Bounding box [west, south, east, north] in WGS84 coordinates",
         resolution: "Number - Resolution in meters (1, 3, 5, 10, 30)",
-        format: "String - Output format ('geotiff', 'json', 'georaster')"
+        format: "String - Output format ('geotiff', 'json', 'georaster')",
+        cog: "Boolean|String|Array - Read cloud-optimized GeoTIFFs with range requests: true for the staged tiles, or COG URLs",
+        product: "String - Staged product with cog: true, '1/3' (~10 m) or '1' (~30 m) arc-second"
       },
       infoSource: "https://www.usgs.gov/3d-elevation-program",
       example: {
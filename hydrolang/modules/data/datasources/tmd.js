@@ -84,6 +84,7 @@ export default {
         needProxy: true,
         requireskey: true,
         keyname: "ukey", // Requires both uid and ukey
+        keylocation: "query",
     },
 
     info: {
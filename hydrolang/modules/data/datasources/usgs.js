@@ -210,6 +210,16 @@ export default {
   },
 
   info: {
+    coverage: {
+      // Daily values reach back to the 1880s; instantaneous values start in October 2007
+      region: "United States",
+      bbox: [-180, 17, -64, 72],
+      start: "1880-01-01",
+      end: null,
+      resolutions: ["15min", "1D"],
+      latency: "PT1H",
+      variables: ["streamflow", "water level", "groundwater", "water quality"]
+    },
     returnFormats: "json",
     MoreInfo: "https://waterservices.usgs.gov/rest/IV-Service.html",
     About: "This API returns stream stages for US"
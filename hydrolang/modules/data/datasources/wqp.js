@@ -191,9 +191,20 @@ export default {
     requirements: {
         needProxy: true,
         requireskey: false,
+        // Large WQP queries are expensive server-side; keep them sequential
+        rateLimit: { requestsPerSecond: 1, concurrency: 1 },
     },
     
     info: {
+        coverage: {
+            region: "United States",
+            bbox: [-180, 17, -64, 72],
+            start: "1900-01-01",
+            end: null,
+            resolutions: [],
+            latency: "P1D",
+            variables: ["water quality", "temperature"]
+        },
         returnFormats: "json",
         MoreInfo: "https://www.waterqualitydata.us/webservices_documentation/#example-summary-service-call-geojson",
         About: "This API serves as a viewer for data quality monitoring in CONUS. In collaboration with USGS/EPA data."
@@ -117,14 +117,6 @@ export class AORCDataSource extends ZarrDataSource {
     let chunkBuffer;
     if (options.cache === true || options.params?.cache === true) {
       const { cachedFetch } = await import('./data-cache.js');
-      globalThis._hydroCacheContext = {
-        source: 'aorc',
-        dataset: this.datasetConfig.name || 'aorc-v1.1',
-        params: {
-          source: 'aorc',
-          dataset: this.datasetConfig.name || 'aorc-v1.1'
-        }
-      };
       const response = await cachedFetch(chunkUrl, {
         params: {
           source: 'aorc',
@@ -132,6 +124,13 @@ export class AORCDataSource extends ZarrDataSource {
           proxy: options.proxy || options.params?.proxy,
           process: options.process
         }
+      }, {
+        source: 'aorc',
+        dataset: this.datasetConfig.name || 'aorc-v1.1',
+        params: {
+          source: 'aorc',
+          dataset: this.datasetConfig.name || 'aorc-v1.1'
+        }
       });
       chunkBuffer = response instanceof ArrayBuffer ? response : await response.arrayBuffer();
     } else {
@@ -354,8 +353,7 @@ export class AORCDataSource extends ZarrDataSource {
     let chunkBuffer;
     if (context.params?.cache === true) {
       const { cachedFetch } = await import('./data-cache.js');
-      globalThis._hydroCacheContext = context;
-      const response = await cachedFetch(url, { params: context.params });
+      const response = await cachedFetch(url, { params: context.params }, context);
       chunkBuffer = response instanceof ArrayBuffer ? response : await response.arrayBuffer();
     } else {
       const response = await fetch(url, {
@@ -802,9 +800,9 @@ export function convertAORCToCSV(data) {
 }
 
 /**
- * Convert AORC data to NetCDF-compatible structure
+ * Convert AORC data to a CF-1.8 NetCDF file
  * @param {Object} data - AORC data
- * @returns {Object} NetCDF-compatible structure
+ * @returns {Uint8Array} NetCDF file bytes
  * @private
  */
 export function convertAORCToNetCDF(data) {
@@ -0,0 +1,941 @@
+/**
+ * Arrow IPC utilities
+ * Reader and writer for Apache Arrow IPC files (.arrow, Feather v2) and streams (.arrows).
+ * Flat columns are read: integers, floats, decimals, booleans, strings, binary, dates, times, timestamps and
+ * dictionary-encoded columns; nested columns are skipped. Message metadata is FlatBuffers, decoded here without
+ * generated code. LZ4-compressed record batches (the Feather v2 default) are read; ZSTD is not supported.
+ */
+
+import { toUint8Array } from './zip-utils.js';
+import { toColumnTable, prepareColumn, compileFilters, filterRows, tableRows } from './table-utils.js';
+
+const FILE_MAGIC = 'ARROW1';
+const CONTINUATION = 0xffffffff;
+const METADATA_V5 = 4;
+const DEFAULT_BATCH_SIZE = 65536;
+const LZ4_FRAME_MAGIC = 0x184d2204;
+
+// MessageHeader union
+const SCHEMA = 1;
+const DICTIONARY_BATCH = 2;
+const RECORD_BATCH = 3;
+
+// Type union ids, and the buffers each type has in a record batch (variadic view buffers are added when read)
+const TYPE_NAMES = {
+  1: 'Null', 2: 'Int', 3: 'FloatingPoint', 4: 'Binary', 5: 'Utf8', 6: 'Bool', 7: 'Decimal', 8: 'Date', 9: 'Time',
+  10: 'Timestamp', 11: 'Interval', 12: 'List', 13: 'Struct', 14: 'Union', 15: 'FixedSizeBinary', 16: 'FixedSizeList',
+  17: 'Map', 18: 'Duration', 19: 'LargeBinary', 20: 'LargeUtf8', 21: 'LargeList', 22: 'RunEndEncoded',
+  23: 'BinaryView', 24: 'Utf8View', 25: 'ListView', 26: 'LargeListView'
+};
+const BUFFER_COUNTS = {
+  1: 0, 2: 2, 3: 2, 4: 3, 5: 3, 6: 2, 7: 2, 8: 2, 9: 2, 10: 2, 11: 2, 12: 2, 13: 1, 15: 2,
+  16: 1, 17: 2, 18: 2, 19: 3, 20: 3, 21: 2, 22: 0, 23: 2, 24: 2, 25: 3, 26: 3
+};
+const FLAT_TYPES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 15, 18, 19, 20];
+// Milliseconds per unit of Timestamp, Date (MILLISECOND) and Time/Duration values
+const UNIT_DIVISORS = [1000n, 1n, 1000n, 1000000n];
+const UNIT_SCALES = [1000, 1, 0.001, 0.000001];
+
+/**
+ * Check whether a buffer holds an Arrow IPC file or stream
+ * @ignore
+ */
+export function isArrow(bytes) {
+  if (bytes.length >= 8 && new TextDecoder().decode(bytes.subarray(0, 6)) === FILE_MAGIC) return true;
+  if (bytes.length < 8) return false;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return view.getUint32(0, true) === CONTINUATION && view.getInt32(4, true) > 0;
+}
+
+/**
+ * A FlatBuffers table: fields are looked up through its vtable
+ * @ignore
+ */
+class FlatTable {
+  constructor(view, pos) {
+    this.view = view;
+    this.pos = pos;
+    this.vtable = pos - view.getInt32(pos, true);
+    this.vtableSize = view.getUint16(this.vtable, true);
+  }
+
+  static root(view) {
+    return new FlatTable(view, view.getUint32(0, true));
+  }
+
+  // Position of a field, or 0 when absent
+  field(id) {
+    const entry = 4 + 2 * id;
+    if (entry >= this.vtableSize) return 0;
+    const offset = this.view.getUint16(this.vtable + entry, true);
+    return offset ? this.pos + offset : 0;
+  }
+
+  uint8(id, fallback = 0) {
+    const pos = this.field(id);
+    return pos ? this.view.getUint8(pos) : fallback;
+  }
+
+  int16(id, fallback = 0) {
+    const pos = this.field(id);
+    return pos ? this.view.getInt16(pos, true) : fallback;
+  }
+
+  int32(id, fallback = 0) {
+    const pos = this.field(id);
+    return pos ? this.view.getInt32(pos, true) : fallback;
+  }
+
+  int64(id, fallback = 0) {
+    const pos = this.field(id);
+    return pos ? Number(this.view.getBigInt64(pos, true)) : fallback;
+  }
+
+  bool(id, fallback = false) {
+    const pos = this.field(id);
+    return pos ? this.view.getUint8(pos) !== 0 : fallback;
+  }
+
+  // Target of an offset field
+  target(id) {
+    const pos = this.field(id);
+    return pos ? pos + this.view.getUint32(pos, true) : 0;
+  }
+
+  table(id) {
+    const pos = this.target(id);
+    return pos ? new FlatTable(this.view, pos) : null;
+  }
+
+  string(id) {
+    const pos = this.target(id);
+    if (!pos) return null;
+    const length = this.view.getUint32(pos, true);
+    return new TextDecoder().decode(new Uint8Array(this.view.buffer, this.view.byteOffset + pos + 4, length));
+  }
+
+  // { start, length } of a vector
+  vector(id) {
+    const pos = this.target(id);
+    return pos ? { start: pos + 4, length: this.view.getUint32(pos, true) } : { start: 0, length: 0 };
+  }
+
+  tables(id) {
+    const { start, length } = this.vector(id);
+    const out = new Array(length);
+    for (let i = 0; i < length; i++) {
+      const pos = start + 4 * i;
+      out[i] = new FlatTable(this.view, pos + this.view.getUint32(pos, true));
+    }
+    return out;
+  }
+}
+
+/**
+ * Field of a schema: name, type id and parameters, dictionary encoding and children
+ * @ignore
+ */
+function readField(field) {
+  const typeId = field.uint8(2);
+  const type = field.table(3);
+  const dictionary = field.table(4);
+  const indexType = dictionary?.table(1);
+  const out = {
+    name: field.string(0) ?? '',
+    typeId,
+    typeName: TYPE_NAMES[typeId] || `type ${typeId}`,
+    children: field.tables(5).map(readField),
+    dictionary: dictionary ? { id: dictionary.int64(0), bitWidth: indexType ? indexType.int32(0) : 32, signed: indexType ? indexType.bool(1) : true } : null
+  };
+  switch (typeId) {
+    case 2: out.bitWidth = type.int32(0); out.signed = type.bool(1); break;
+    case 3: out.precision = type.int16(0); break;
+    case 7: out.precision = type.int32(0); out.scale = type.int32(1); out.bitWidth = type.int32(2, 128); break;
+    case 8: out.unit = type.int16(0, 1); break;
+    case 9: out.unit = type.int16(0, 1); out.bitWidth = type.int32(1, 32); break;
+    case 10: out.unit = type.int16(0); out.timezone = type.string(1); break;
+    case 14: out.mode = type.int16(0); break;
+    case 15: out.byteWidth = type.int32(0); break;
+    case 18: out.unit = type.int16(0, 1); break;
+    default:
+  }
+  out.flat = FLAT_TYPES.includes(typeId) && !(typeId === 3 && out.precision === 0);
+  return out;
+}
+
+/**
+ * Read the encapsulated message at an offset
+ * @returns {Object|null} { type, header, body, end }, or null at the end-of-stream marker or the end of the data
+ * @ignore
+ */
+function readMessage(bytes, pos, limit) {
+  if (pos + 4 > limit) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let length = view.getInt32(pos, true);
+  pos += 4;
+  // Streams written before Arrow 0.15 have no continuation marker
+  if (length === -1) {
+    if (pos + 4 > limit) return null;
+    length = view.getInt32(pos, true);
+    pos += 4;
+  }
+  if (length <= 0) return null;
+  const message = FlatTable.root(new DataView(bytes.buffer, bytes.byteOffset + pos, length));
+  pos += length;
+  const bodyLength = message.int64(3);
+  if (pos + bodyLength > limit) throw new Error('Truncated Arrow IPC data: a message body extends past the end of the file');
+  return { type: message.uint8(1), header: message.table(2), body: bytes.subarray(pos, pos + bodyLength), end: pos + bodyLength };
+}
+
+/**
+ * Offsets of the messages listed in a file footer vector of Blocks (offset: int64, metaDataLength: int32, bodyLength: int64)
+ * @ignore
+ */
+function blockOffsets(footer, id) {
+  const { start, length } = footer.vector(id);
+  return Array.from({ length }, (_, i) => Number(footer.view.getBigInt64(start + 24 * i, true)));
+}
+
+/**
+ * Read the schema and batches of an Arrow IPC file or stream, one record batch at a time.
+ * Files are read through their footer, which holds the schema and the offsets of the dictionary and record
+ * batches (writers such as apache-arrow JS put the schema only there); streams are read message by message.
+ * @returns {Generator<Object>} { schema } first, then { batch } for record batches, with dictionaries applied
+ * @ignore
+ */
+function* readMessages(bytes) {
+  const decoder = new TextDecoder();
+  if (bytes.length >= 4 && decoder.decode(bytes.subarray(0, 4)) === 'FEA1') {
+    throw new Error('Feather v1 files are not supported; rewrite them as Feather v2 (Arrow IPC)');
+  }
+
+  let schema = null;
+  const dictionaries = new Map();
+  const readSchema = (header) => {
+    if (header.int16(0) !== 0) throw new Error('Big-endian Arrow IPC data is not supported');
+    schema = header.tables(1).map(readField);
+    const metadata = {};
+    for (const kv of header.tables(2)) metadata[kv.string(0)] = kv.string(1);
+    return { schema, metadata };
+  };
+  const take = function* (message) {
+    if (message.type === SCHEMA) {
+      yield readSchema(message.header);
+    } else if (message.type === DICTIONARY_BATCH) {
+      if (!schema) throw new Error('Arrow IPC dictionary batch before the schema');
+      const id = message.header.int64(0);
+      const field = findDictionaryField(schema, id);
+      if (!field) return;
+      const { columns } = decodeRecordBatch(message.header.table(1), message.body, [{ ...field, dictionary: null, name: 'values' }], null);
+      const values = columns.values || [];
+      dictionaries.set(id, message.header.bool(2) && dictionaries.has(id) ? dictionaries.get(id).concat(values) : values);
+    } else if (message.type === RECORD_BATCH) {
+      if (!schema) throw new Error('Arrow IPC record batch before the schema');
+      yield { batch: message.header, body: message.body, dictionaries };
+    }
+  };
+
+  if (bytes.length >= 14 && decoder.decode(bytes.subarray(0, 6)) === FILE_MAGIC) {
+    // File layout: magic, stream, footer, int32 footer length, magic
+    const footerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getInt32(bytes.length - 10, true);
+    const footerStart = bytes.length - 10 - footerLength;
+    if (footerLength <= 0 || footerStart < 8 || decoder.decode(bytes.subarray(bytes.length - 6)) !== FILE_MAGIC) {
+      throw new Error('Truncated Arrow IPC file: the footer is missing');
+    }
+    const footer = FlatTable.root(new DataView(bytes.buffer, bytes.byteOffset + footerStart, footerLength));
+    const footerSchema = footer.table(1);
+    if (!footerSchema) throw new Error('Arrow IPC file footer has no schema');
+    yield readSchema(footerSchema);
+    for (const offset of [...blockOffsets(footer, 2), ...blockOffsets(footer, 3)]) {
+      const message = readMessage(bytes, offset, footerStart);
+      if (!message) throw new Error(`Arrow IPC file block at offset ${offset} holds no message`);
+      yield* take(message);
+    }
+    return;
+  }
+
+  for (let pos = 0, message = readMessage(bytes, pos, bytes.length); message; message = readMessage(bytes, pos, bytes.length)) {
+    pos = message.end;
+    yield* take(message);
+  }
+}
+
+/**
+ * @ignore
+ */
+function findDictionaryField(fields, id) {
+  for (const field of fields) {
+    if (field.dictionary && field.dictionary.id === id) return field;
+    const child = findDictionaryField(field.children, id);
+    if (child) return child;
+  }
+  return null;
+}
+
+/**
+ * LZ4 block decompression into a preallocated buffer
+ * @returns {number} End position in the output
+ * @ignore
+ */
+function lz4Block(input, start, end, out, pos) {
+  let i = start;
+  while (i < end) {
+    const token = input[i++];
+    let literals = token >> 4;
+    if (literals === 15) {
+      let b;
+      do {
+        b = input[i++];
+        literals += b;
+      } while (b === 255);
+    }
+    out.set(input.subarray(i, i + literals), pos);
+    pos += literals;
+    i += literals;
+    // The last sequence of a block has literals only
+    if (i >= end) break;
+    const offset = input[i] | (input[i + 1] << 8);
+    i += 2;
+    let length = token & 15;
+    if (length === 15) {
+      let b;
+      do {
+        b = input[i++];
+        length += b;
+      } while (b === 255);
+    }
+    length += 4;
+    if (!offset || offset > pos) throw new Error('Corrupt LZ4 data in Arrow record batch');
+    for (let k = 0; k < length; k++, pos++) out[pos] = out[pos - offset];
+  }
+  return pos;
+}
+
+/**
+ * LZ4 frame decompression (blocks may refer back to earlier blocks, so they share one output buffer)
+ * @ignore
+ */
+function lz4Frame(input, size) {
+  const view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+  if (view.getUint32(0, true) !== LZ4_FRAME_MAGIC) throw new Error('Corrupt LZ4 frame in Arrow record batch');
+  const flags = input[4];
+  // FLG and BD bytes, optional content size and dictionary id, header checksum
+  let i = 6 + (flags & 0x08 ? 8 : 0) + (flags & 0x01 ? 4 : 0) + 1;
+  const out = new Uint8Array(size);
+  let pos = 0;
+  for (;;) {
+    const block = view.getUint32(i, true);
+    i += 4;
+    if (block === 0) break;
+    const length = block & 0x7fffffff;
+    if (block & 0x80000000) {
+      out.set(input.subarray(i, i + length), pos);
+      pos += length;
+    } else {
+      pos = lz4Block(input, i, i + length, out, pos);
+    }
+    i += length + (flags & 0x10 ? 4 : 0);
+  }
+  return out;
+}
+
+/**
+ * Decode the selected flat columns of a record batch
+ * @param {FlatTable} batch - RecordBatch table
+ * @param {Uint8Array} body - Message body
+ * @param {Array<Object>} fields - Schema fields
+ * @param {Set<string>|null} wanted - Names of the columns to decode (all flat columns when null)
+ * @param {Map} [dictionaries]
+ * @returns {Object} { length, columns: { name: values } }
+ * @ignore
+ */
+function decodeRecordBatch(batch, body, fields, wanted, dictionaries = new Map()) {
+  const compression = batch.table(3);
+  if (compression && compression.uint8(0) !== 0) {
+    throw new Error('ZSTD-compressed Arrow IPC record batches are not supported; write the file with LZ4 or without compression');
+  }
+  const view = batch.view;
+  const nodes = batch.vector(1);
+  const buffers = batch.vector(2);
+  const variadic = batch.vector(4);
+  let node = 0;
+  let buffer = 0;
+  let variadicIndex = 0;
+  const nextNode = () => {
+    const pos = nodes.start + 16 * node++;
+    return { length: Number(view.getBigInt64(pos, true)), nullCount: Number(view.getBigInt64(pos + 8, true)) };
+  };
+  const nextBuffer = () => {
+    const pos = buffers.start + 16 * buffer++;
+    const offset = Number(view.getBigInt64(pos, true));
+    const bytes = body.subarray(offset, offset + Number(view.getBigInt64(pos + 8, true)));
+    if (!compression || !bytes.length) return bytes;
+    // Compressed buffers start with their uncompressed length; -1 marks a buffer stored as is
+    const size = Number(new DataView(bytes.buffer, bytes.byteOffset, 8).getBigInt64(0, true));
+    return size === -1 ? bytes.subarray(8) : lz4Frame(bytes.subarray(8), size);
+  };
+  // Nodes and buffers of columns that are not read
+  const skip = (field) => {
+    node++;
+    let count = field.typeId === 14 ? (field.mode === 1 ? 2 : 1) : BUFFER_COUNTS[field.typeId] ?? 0;
+    if (field.dictionary) count = 2;
+    if (field.typeId === 23 || field.typeId === 24) count += Number(view.getBigInt64(variadic.start + 8 * variadicIndex++, true));
+    buffer += count;
+    if (!field.dictionary) field.children.forEach(skip);
+  };
+
+  const length = batch.int64(0);
+  const columns = {};
+  for (const field of fields) {
+    if (!field.flat || (wanted && !wanted.has(field.name))) {
+      skip(field);
+      continue;
+    }
+    const { length: count, nullCount } = nextNode();
+    const validity = field.typeId === 1 ? null : nextBuffer();
+    const isValid = nullCount > 0 && validity && validity.length ? (i) => (validity[i >> 3] >> (i & 7)) & 1 : null;
+    let values;
+    if (field.typeId === 1) {
+      values = new Array(count).fill(null);
+    } else if (field.dictionary) {
+      const indices = readIntegers(nextBuffer(), count, field.dictionary.bitWidth, field.dictionary.signed);
+      const dictionary = dictionaries.get(field.dictionary.id);
+      if (!dictionary) throw new Error(`Arrow IPC dictionary ${field.dictionary.id} of column '${field.name}' is missing`);
+      values = new Array(count);
+      for (let i = 0; i < count; i++) values[i] = dictionary[Number(indices[i])] ?? null;
+    } else {
+      values = decodeValues(field, count, nextBuffer);
+    }
+    if (isValid) {
+      for (let i = 0; i < count; i++) if (!isValid(i)) values[i] = null;
+    }
+    columns[field.name] = values;
+  }
+  return { length, columns };
+}
+
+/**
+ * Typed view of a buffer, copied when it is not aligned for the element size
+ * @ignore
+ */
+function typedArray(Type, bytes, count) {
+  const size = Type.BYTES_PER_ELEMENT;
+  if ((bytes.byteOffset % size) === 0) return new Type(bytes.buffer, bytes.byteOffset, count);
+  return new Type(bytes.slice(0, count * size).buffer, 0, count);
+}
+
+/**
+ * Integers of a bit width as a typed array
+ * @ignore
+ */
+function readIntegers(bytes, count, bitWidth, signed) {
+  const types = signed
+    ? { 8: Int8Array, 16: Int16Array, 32: Int32Array, 64: BigInt64Array }
+    : { 8: Uint8Array, 16: Uint16Array, 32: Uint32Array, 64: BigUint64Array };
+  if (!types[bitWidth]) throw new Error(`Arrow integers of ${bitWidth} bits are not supported`);
+  return typedArray(types[bitWidth], bytes, count);
+}
+
+/**
+ * 64-bit integers as numbers when they are safe, BigInts otherwise
+ * @ignore
+ */
+const toNumber = (value) => (value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value);
+
+/**
+ * Decode the values of a flat column (nulls are applied by the caller)
+ * @ignore
+ */
+function decodeValues(field, count, nextBuffer) {
+  const values = new Array(count);
+  switch (field.typeId) {
+    case 2: {
+      const ints = readIntegers(nextBuffer(), count, field.bitWidth, field.signed);
+      for (let i = 0; i < count; i++) values[i] = field.bitWidth === 64 ? toNumber(ints[i]) : ints[i];
+      return values;
+    }
+    case 3: {
+      const floats = typedArray(field.precision === 1 ? Float32Array : Float64Array, nextBuffer(), count);
+      for (let i = 0; i < count; i++) values[i] = floats[i];
+      return values;
+    }
+    case 6: {
+      const bits = nextBuffer();
+      for (let i = 0; i < count; i++) values[i] = ((bits[i >> 3] >> (i & 7)) & 1) === 1;
+      return values;
+    }
+    case 4:
+    case 5:
+    case 19:
+    case 20: {
+      const large = field.typeId >= 19;
+      const offsets = typedArray(large ? BigInt64Array : Int32Array, nextBuffer(), count + 1);
+      const data = nextBuffer();
+      const decoder = new TextDecoder();
+      for (let i = 0; i < count; i++) {
+        const bytes = data.subarray(Number(offsets[i]), Number(offsets[i + 1]));
+        values[i] = field.typeId === 5 || field.typeId === 20 ? decoder.decode(bytes) : bytes;
+      }
+      return values;
+    }
+    case 15: {
+      const data = nextBuffer();
+      for (let i = 0; i < count; i++) values[i] = data.subarray(i * field.byteWidth, (i + 1) * field.byteWidth);
+      return values;
+    }
+    case 7: {
+      const data = nextBuffer();
+      const width = field.bitWidth / 8;
+      for (let i = 0; i < count; i++) {
+        let unscaled = 0n;
+        for (let b = width - 1; b >= 0; b--) unscaled = (unscaled << 8n) | BigInt(data[i * width + b]);
+        values[i] = Number(BigInt.asIntN(field.bitWidth, unscaled)) / 10 ** field.scale;
+      }
+      return values;
+    }
+    case 8: {
+      if (field.unit === 0) {
+        const days = typedArray(Int32Array, nextBuffer(), count);
+        for (let i = 0; i < count; i++) values[i] = new Date(days[i] * 86400000);
+      } else {
+        const ms = typedArray(BigInt64Array, nextBuffer(), count);
+        for (let i = 0; i < count; i++) values[i] = new Date(Number(ms[i]));
+      }
+      return values;
+    }
+    case 10: {
+      // Timestamps with or without a timezone are stored as UTC instants
+      const raw = typedArray(BigInt64Array, nextBuffer(), count);
+      const divisor = UNIT_DIVISORS[field.unit];
+      for (let i = 0; i < count; i++) {
+        values[i] = new Date(field.unit === 0 ? Number(raw[i]) * 1000 : Number(raw[i] / divisor));
+      }
+      return values;
+    }
+    case 9:
+    case 18: {
+      // Times of day and durations are returned in milliseconds
+      const raw = field.typeId === 9 && field.bitWidth === 32 ? typedArray(Int32Array, nextBuffer(), count) : typedArray(BigInt64Array, nextBuffer(), count);
+      for (let i = 0; i < count; i++) values[i] = Number(raw[i]) * UNIT_SCALES[field.unit];
+      return values;
+    }
+    default:
+      throw new Error(`Arrow ${field.typeName} columns are not supported`);
+  }
+}
+
+/**
+ * Parse Arrow IPC bytes and resolve the columns to read
+ * @ignore
+ */
+function openArrow(bytes, options) {
+  const messages = readMessages(bytes);
+  const first = messages.next();
+  if (first.done || !first.value.schema) throw new Error('Not an Arrow IPC file or stream: no schema message found');
+  const { schema, metadata } = first.value;
+  const find = (name) => {
+    const field = schema.find(f => f.name === name);
+    if (!field) throw new Error(`Arrow column '${name}' not found. Available: ${schema.map(f => f.name).join(', ')}`);
+    if (!field.flat) throw new Error(`Arrow ${field.typeName} column '${name}' is not supported`);
+    return field;
+  };
+  const selected = options.columns ? options.columns.map(find) : schema.filter(f => f.flat);
+  const filters = compileFilters(options.filters);
+  filters.forEach(filter => find(filter.column));
+  const wanted = new Set([...selected.map(f => f.name), ...filters.map(f => f.column)]);
+  return { messages, schema, metadata, selected, filters, wanted };
+}
+
+/**
+ * Decode record batches one at a time, keeping the rows that pass the filters
+ * @returns {Generator<Object>} { columns, data, numRows } per record batch with matching rows
+ * @ignore
+ */
+function* readBatches({ messages, schema, selected, filters, wanted }) {
+  for (const { batch, body, dictionaries } of messages) {
+    const { length, columns } = decodeRecordBatch(batch, body, schema, wanted, dictionaries);
+    const kept = filterRows(filters, columns, length);
+    if (kept && !kept.length) continue;
+    const data = {};
+    for (const field of selected) {
+      const values = columns[field.name];
+      data[field.name] = kept ? kept.map(i => values[i]) : values;
+    }
+    yield { columns: selected.map(f => f.name), data, numRows: kept ? kept.length : length };
+  }
+}
+
+/**
+ * Read an Arrow IPC file or stream into columns
+ * @param {Blob|ArrayBuffer|Uint8Array} input - Arrow IPC file (.arrow, .feather) or stream (.arrows) contents
+ * @param {Object} [options]
+ * @param {Array<string>} [options.columns] - Columns to read (all flat columns by default)
+ * @param {Object} [options.filters] - Rows to keep: { column: { min, max } }, { column: [values] } or { column: value }
+ * @returns {Promise<Object>} { columns: [names], data: { name: values }, numRows, metadata: { key: value } }
+ * @ignore
+ */
+export async function readArrow(input, options = {}) {
+  const bytes = await toUint8Array(input);
+  const reader = openArrow(bytes, options);
+  const data = Object.fromEntries(reader.selected.map(f => [f.name, []]));
+  let numRows = 0;
+  for (const group of readBatches(reader)) {
+    for (const name of group.columns) {
+      const target = data[name];
+      for (const value of group.data[name]) target.push(value);
+    }
+    numRows += group.numRows;
+  }
+  return { columns: reader.selected.map(f => f.name), data, numRows, metadata: reader.metadata };
+}
+
+/**
+ * Read an Arrow IPC file or stream as batches of row objects, one record batch at a time
+ * @param {Blob|ArrayBuffer|Uint8Array} input - Arrow IPC contents
+ * @param {Object} [options] - { columns, filters } as for readArrow
+ * @returns {AsyncGenerator<Array<Object>>}
+ * @ignore
+ */
+export async function* readArrowBatches(input, options = {}) {
+  const bytes = await toUint8Array(input);
+  for (const group of readBatches(openArrow(bytes, options))) {
+    yield tableRows(group);
+  }
+}
+
+/**
+ * FlatBuffers builder that writes objects front to back: a table is followed by the objects it references,
+ * so every offset points forward as the format requires.
+ * Tables are { table: [field by id] } with fields [type, value] ('bool', 'uint8', 'int16', 'int32', 'int64' or 'offset');
+ * referenced objects are tables, { string }, { tables: [...] } and { structs: Uint8Array } (8-byte aligned elements).
+ * @ignore
+ */
+class FlatBuilder {
+  constructor() {
+    this.bytes = new Uint8Array(1024);
+    this.length = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n > this.bytes.length) {
+      const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + n));
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    const pos = this.length;
+    this.length += n;
+    return pos;
+  }
+
+  align(n) {
+    this.reserve((n - (this.length % n)) % n);
+  }
+
+  get view() {
+    return new DataView(this.bytes.buffer);
+  }
+
+  finish(root) {
+    const pos = this.reserve(4);
+    this.view.setUint32(pos, this.object(root) - pos, true);
+    this.align(8);
+    return this.bytes.slice(0, this.length);
+  }
+
+  object(item) {
+    if (item.table) return this.table(item.table);
+    if (item.string !== undefined) return this.string(item.string);
+    if (item.tables) return this.tableVector(item.tables);
+    return this.structVector(item.structs, item.count);
+  }
+
+  table(fields) {
+    const sizes = { bool: 1, uint8: 1, int16: 2, int32: 4, int64: 8, offset: 4 };
+    // Inline fields from the largest down, each aligned to its size
+    const order = fields.map((f, id) => f && { id, size: sizes[f[0]] }).filter(Boolean).sort((a, b) => b.size - a.size);
+    const offsets = new Array(fields.length).fill(0);
+    let size = 4;
+    for (const { id, size: s } of order) {
+      size = Math.ceil(size / s) * s;
+      offsets[id] = size;
+      size += s;
+    }
+
+    this.align(2);
+    const vtable = this.reserve(4 + 2 * fields.length);
+    this.view.setUint16(vtable, 4 + 2 * fields.length, true);
+    this.view.setUint16(vtable + 2, size, true);
+    offsets.forEach((offset, id) => this.view.setUint16(vtable + 4 + 2 * id, offset, true));
+
+    this.align(8);
+    const table = this.reserve(size);
+    const view = this.view;
+    view.setInt32(table, table - vtable, true);
+    const references = [];
+    fields.forEach((field, id) => {
+      if (!field) return;
+      const [type, value] = field;
+      const pos = table + offsets[id];
+      switch (type) {
+        case 'bool':
+        case 'uint8': view.setUint8(pos, Number(value)); break;
+        case 'int16': view.setInt16(pos, value, true); break;
+        case 'int32': view.setInt32(pos, value, true); break;
+        case 'int64': view.setBigInt64(pos, BigInt(value), true); break;
+        default: references.push([pos, value]);
+      }
+    });
+    for (const [pos, value] of references) {
+      const target = this.object(value);
+      this.view.setUint32(pos, target - pos, true);
+    }
+    return table;
+  }
+
+  string(value) {
+    const bytes = new TextEncoder().encode(value);
+    this.align(4);
+    const pos = this.reserve(4 + bytes.length + 1);
+    this.view.setUint32(pos, bytes.length, true);
+    this.bytes.set(bytes, pos + 4);
+    return pos;
+  }
+
+  tableVector(tables) {
+    this.align(4);
+    const pos = this.reserve(4 + 4 * tables.length);
+    this.view.setUint32(pos, tables.length, true);
+    tables.forEach((item, i) => {
+      const element = pos + 4 + 4 * i;
+      const target = this.table(item.table);
+      this.view.setUint32(element, target - element, true);
+    });
+    return pos;
+  }
+
+  structVector(bytes, count) {
+    // The length prefix sits just before 8-byte aligned elements
+    this.align(4);
+    if ((this.length + 4) % 8) this.reserve(4);
+    const pos = this.reserve(4 + bytes.length);
+    this.view.setUint32(pos, count, true);
+    this.bytes.set(bytes, pos + 4);
+    return pos;
+  }
+}
+
+/**
+ * Pack 64-bit integer pairs (FieldNode, Buffer) into struct vector bytes
+ * @ignore
+ */
+function int64Pairs(pairs) {
+  const bytes = new Uint8Array(16 * pairs.length);
+  const view = new DataView(bytes.buffer);
+  pairs.forEach(([a, b], i) => {
+    view.setBigInt64(16 * i, BigInt(a), true);
+    view.setBigInt64(16 * i + 8, BigInt(b), true);
+  });
+  return { structs: bytes, count: pairs.length };
+}
+
+// Arrow types of the writer's column kinds
+const WRITE_TYPES = {
+  boolean: { id: 6, type: { table: [] } },
+  int32: { id: 2, type: { table: [['int32', 32], ['bool', true]] } },
+  int64: { id: 2, type: { table: [['int32', 64], ['bool', true]] } },
+  double: { id: 3, type: { table: [['int16', 2]] } },
+  string: { id: 5, type: { table: [] } },
+  timestamp: { id: 10, type: { table: [['int16', 1], ['offset', { string: 'UTC' }]] } }
+};
+
+/**
+ * Encapsulate a message: continuation marker, padded metadata length, FlatBuffers metadata and body
+ * @ignore
+ */
+function encapsulate(header, headerType, body = new Uint8Array(0)) {
+  const metadata = new FlatBuilder().finish({
+    table: [['int16', METADATA_V5], ['uint8', headerType], ['offset', header], ['int64', body.length]]
+  });
+  const padded = Math.ceil(metadata.length / 8) * 8;
+  const out = new Uint8Array(8 + padded + body.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, CONTINUATION, true);
+  view.setInt32(4, padded, true);
+  out.set(metadata, 8);
+  out.set(body, 8 + padded);
+  return { bytes: out, metaDataLength: 8 + padded, bodyLength: body.length };
+}
+
+/**
+ * Body buffers of the rows [start, end) of a prepared column
+ * @returns {Object} { node: [length, nullCount], buffers: [Uint8Array] }
+ * @ignore
+ */
+function encodeColumn(column, start, end) {
+  const count = end - start;
+  let nullCount = 0;
+  const validity = new Uint8Array(Math.ceil(count / 8));
+  for (let i = 0; i < count; i++) {
+    if (column.values[start + i] === null) nullCount++;
+    else validity[i >> 3] |= 1 << (i & 7);
+  }
+  const buffers = [nullCount ? validity : new Uint8Array(0)];
+  const value = (i) => column.values[start + i];
+
+  switch (column.kind) {
+    case 'boolean': {
+      const bits = new Uint8Array(Math.ceil(count / 8));
+      for (let i = 0; i < count; i++) if (value(i)) bits[i >> 3] |= 1 << (i & 7);
+      buffers.push(bits);
+      break;
+    }
+    case 'int32': {
+      const ints = new Int32Array(count);
+      for (let i = 0; i < count; i++) ints[i] = value(i) ?? 0;
+      buffers.push(new Uint8Array(ints.buffer));
+      break;
+    }
+    case 'double': {
+      const floats = new Float64Array(count);
+      for (let i = 0; i < count; i++) floats[i] = value(i) ?? 0;
+      buffers.push(new Uint8Array(floats.buffer));
+      break;
+    }
+    case 'int64':
+    case 'timestamp': {
+      const ints = new BigInt64Array(count);
+      for (let i = 0; i < count; i++) ints[i] = BigInt(value(i) ?? 0);
+      buffers.push(new Uint8Array(ints.buffer));
+      break;
+    }
+    default: {
+      const encoder = new TextEncoder();
+      const encoded = new Array(count);
+      const offsets = new Int32Array(count + 1);
+      for (let i = 0; i < count; i++) {
+        encoded[i] = value(i) === null ? new Uint8Array(0) : encoder.encode(value(i));
+        offsets[i + 1] = offsets[i] + encoded[i].length;
+      }
+      const data = new Uint8Array(offsets[count]);
+      encoded.forEach((bytes, i) => data.set(bytes, offsets[i]));
+      buffers.push(new Uint8Array(offsets.buffer), data);
+    }
+  }
+  return { node: [count, nullCount], buffers };
+}
+
+/**
+ * Write a flat table as an Arrow IPC file or stream.
+ * Numbers are stored as Int32 when every value is a 32-bit integer and as Float64 otherwise, BigInts as Int64,
+ * Dates and ISO 8601 strings as millisecond timestamps in UTC and other values as Utf8; every column is nullable.
+ * @param {Array|Object} table - HydroLang columns headed by their names, a { columns, data } table, row objects or TimeSeries
+ * @param {Object} [options]
+ * @param {string} [options.format='file'] - 'file' (.arrow, readable as Feather v2) or 'stream' (.arrows)
+ * @param {number} [options.batchSize=65536] - Rows per record batch
+ * @param {boolean} [options.dates=true] - Store columns of ISO 8601 strings as timestamps
+ * @param {Object} [options.metadata] - Schema metadata ({ key: string or JSON-serializable value })
+ * @returns {Uint8Array} Arrow IPC bytes
+ * @ignore
+ */
+export function writeArrow(table, options = {}) {
+  const format = options.format || 'file';
+  if (format !== 'file' && format !== 'stream') throw new Error(`Unknown Arrow IPC format '${format}'; use 'file' or 'stream'`);
+  const { columns: names, data } = toColumnTable(table);
+  const length = names.length ? data[names[0]].length : 0;
+  for (const name of names) {
+    if (data[name].length !== length) throw new Error(`Column '${name}' has ${data[name].length} values; expected ${length}`);
+  }
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const columns = names.map(name => prepareColumn(name, Array.from(data[name]), options));
+
+  const schema = {
+    table: [
+      ['int16', 0],
+      ['offset', {
+        tables: columns.map(column => ({
+          table: [
+            ['offset', { string: column.name }],
+            ['bool', true],
+            ['uint8', WRITE_TYPES[column.kind].id],
+            ['offset', WRITE_TYPES[column.kind].type],
+            undefined,
+            ['offset', { tables: [] }]
+          ]
+        }))
+      }],
+      options.metadata ? ['offset', {
+        tables: Object.entries(options.metadata).map(([key, value]) => ({
+          table: [['offset', { string: key }], ['offset', { string: typeof value === 'string' ? value : JSON.stringify(value) }]]
+        }))
+      }] : undefined
+    ]
+  };
+
+  const parts = [];
+  let offset = 0;
+  const add = (bytes) => {
+    parts.push(bytes);
+    offset += bytes.length;
+  };
+  if (format === 'file') add(new Uint8Array([...new TextEncoder().encode(FILE_MAGIC), 0, 0]));
+  add(encapsulate(schema, SCHEMA).bytes);
+
+  const blocks = [];
+  for (let start = 0; start < length; start += batchSize) {
+    const end = Math.min(start + batchSize, length);
+    const nodes = [];
+    const bufferSpans = [];
+    const pieces = [];
+    let bodyLength = 0;
+    for (const column of columns) {
+      const { node, buffers } = encodeColumn(column, start, end);
+      nodes.push(node);
+      for (const buffer of buffers) {
+        // Buffers start on 8-byte boundaries
+        bufferSpans.push([bodyLength, buffer.length]);
+        pieces.push([bodyLength, buffer]);
+        bodyLength += Math.ceil(buffer.length / 8) * 8;
+      }
+    }
+    const body = new Uint8Array(bodyLength);
+    for (const [at, buffer] of pieces) body.set(buffer, at);
+    const message = encapsulate({
+      table: [['int64', end - start], ['offset', int64Pairs(nodes)], ['offset', int64Pairs(bufferSpans)]]
+    }, RECORD_BATCH, body);
+    blocks.push([offset, message.metaDataLength, message.bodyLength]);
+    add(message.bytes);
+  }
+  // End-of-stream marker
+  add(new Uint8Array([0xff, 0xff, 0xff, 0xff, 0, 0, 0, 0]));
+
+  if (format === 'file') {
+    const blockBytes = new Uint8Array(24 * blocks.length);
+    const view = new DataView(blockBytes.buffer);
+    blocks.forEach(([at, metaDataLength, bodyLength], i) => {
+      view.setBigInt64(24 * i, BigInt(at), true);
+      view.setInt32(24 * i + 8, metaDataLength, true);
+      view.setBigInt64(24 * i + 16, BigInt(bodyLength), true);
+    });
+    const footer = new FlatBuilder().finish({
+      table: [
+        ['int16', METADATA_V5],
+        ['offset', schema],
+        ['offset', { structs: new Uint8Array(0), count: 0 }],
+        ['offset', { structs: blockBytes, count: blocks.length }]
+      ]
+    });
+    add(footer);
+    const tail = new Uint8Array(10);
+    new DataView(tail.buffer).setInt32(0, footer.length, true);
+    tail.set(new TextEncoder().encode(FILE_MAGIC), 4);
+    add(tail);
+  }
+
+  const out = new Uint8Array(offset);
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
@@ -0,0 +1,306 @@
+/**
+ * Storage backends for HydroLangCache
+ * A backend stores plain entry objects keyed by `cacheKey`; HydroLangCache owns everything else
+ * (expiry, eviction, chunking, variables). Every backend implements:
+ *   init(), get(cacheKey), put(entry), delete(cacheKey), getAll(), clear()
+ * getAll() may omit the `data` payload of entries; callers fetch it through get() when needed.
+ * Backends may also implement update(cacheKey, fields) to change metadata without rewriting the payload.
+ */
+
+/**
+ * IndexedDB backend (browser default)
+ * @ignore
+ */
+export class IndexedDBBackend {
+  constructor(options = {}) {
+    this.name = 'indexeddb';
+    this.dbName = options.dbName || 'HydroLang_DataCache';
+    this.version = options.version || 1;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) return;
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available in this environment; use the memory or filesystem cache backend');
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        // Main data store - now contains everything
+        if (!db.objectStoreNames.contains('files')) {
+          const store = db.createObjectStore('files', { keyPath: 'cacheKey' });
+          store.createIndex('url', 'url', { unique: false });
+          store.createIndex('source', 'source', { unique: false });
+          store.createIndex('dataset', 'dataset', { unique: false });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+          store.createIndex('size', 'size', { unique: false });
+          store.createIndex('format', 'format', { unique: false });
+          store.createIndex('source_dataset', ['source', 'dataset'], { unique: false });
+          store.createIndex('lastAccessed', 'lastAccessed', { unique: false });
+        }
+      };
+    });
+  }
+
+  _request(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['files'], mode);
+      const request = operation(transaction.objectStore('files'));
+      let result;
+      request.onsuccess = () => { result = request.result; };
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async get(cacheKey) {
+    return (await this._request('readonly', store => store.get(cacheKey))) || null;
+  }
+
+  async put(entry) {
+    await this._request('readwrite', store => store.put(entry));
+  }
+
+  async delete(cacheKey) {
+    await this._request('readwrite', store => store.delete(cacheKey));
+  }
+
+  async getAll() {
+    return this._request('readonly', store => store.getAll());
+  }
+
+  async clear() {
+    await this._request('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * In-memory backend for tests, workers and short-lived scripts.
+ * Entries are structured-cloned on the way in and out, matching IndexedDB semantics.
+ * @ignore
+ */
+export class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  async init() { }
+
+  async get(cacheKey) {
+    const entry = this.entries.get(cacheKey);
+    return entry ? structuredClone(entry) : null;
+  }
+
+  async put(entry) {
+    this.entries.set(entry.cacheKey, structuredClone(entry));
+  }
+
+  async update(cacheKey, fields) {
+    const entry = this.entries.get(cacheKey);
+    if (entry) Object.assign(entry, structuredClone(fields));
+  }
+
+  async delete(cacheKey) {
+    this.entries.delete(cacheKey);
+  }
+
+  async getAll() {
+    return [...this.entries.values()].map(entry => structuredClone(entry));
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Copy the bytes of a Buffer/typed array into a standalone ArrayBuffer
+ * @ignore
+ */
+function toArrayBuffer(bytes) {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+// Longest encoded cache key used as a file name; longer keys are hashed (names are limited to 255 bytes)
+const MAX_KEY_FILENAME = 200;
+
+/**
+ * Payload bytes of an entry and how they were serialized: binary data as is, strings as UTF-8 and
+ * JSON values as JSON text. Other payloads (functions, symbols, BigInts, cyclic objects) cannot be written to disk.
+ * @returns {Promise<Object>} { bytes, payload } with payload 'binary', 'string' or 'json'
+ * @ignore
+ */
+async function serializePayload(data, cacheKey) {
+  if (data instanceof ArrayBuffer) return { bytes: new Uint8Array(data), payload: 'binary' };
+  if (ArrayBuffer.isView(data)) return { bytes: new Uint8Array(data.buffer, data.byteOffset, data.byteLength), payload: 'binary' };
+  if (typeof Blob !== 'undefined' && data instanceof Blob) return { bytes: new Uint8Array(await data.arrayBuffer()), payload: 'binary' };
+  if (typeof data === 'string') return { bytes: new TextEncoder().encode(data), payload: 'string' };
+
+  let json;
+  try {
+    json = JSON.stringify(data);
+  } catch (error) {
+    throw new Error(`Cannot write the payload of cache entry '${cacheKey}' to disk: ${error.message}`);
+  }
+  if (json === undefined) {
+    throw new Error(`Cannot write a ${typeof data} payload for cache entry '${cacheKey}' to disk; store bytes, strings or JSON values`);
+  }
+  return { bytes: new TextEncoder().encode(json), payload: 'json' };
+}
+
+/**
+ * Filesystem backend for Node.js.
+ * Each entry is written as <key>.json (metadata) and <key>.bin (payload) in the cache directory, where <key> is
+ * the URI-encoded cache key, or its SHA-256 when that is too long for a file name; the metadata keeps the original key.
+ * getAll() returns metadata only so listing a large cache does not read every payload.
+ * @ignore
+ */
+export class FileSystemBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory='.hydrolang-cache'] - Cache directory, created on init
+   */
+  constructor(options = {}) {
+    this.name = 'filesystem';
+    this.directory = options.directory || '.hydrolang-cache';
+    this.fs = null;
+    this.path = null;
+    this.crypto = null;
+  }
+
+  async init() {
+    if (this.fs) return;
+
+    // Loaded lazily so bundlers targeting the browser never pull in Node built-ins
+    const [fs, path, crypto] = await Promise.all([
+      import(/* webpackIgnore: true */ 'node:fs/promises'),
+      import(/* webpackIgnore: true */ 'node:path'),
+      import(/* webpackIgnore: true */ 'node:crypto')
+    ]);
+    this.path = path;
+    this.crypto = crypto;
+    this.directory = path.resolve(this.directory);
+    await fs.mkdir(this.directory, { recursive: true });
+    this.fs = fs;
+  }
+
+  _entryPath(cacheKey, extension) {
+    let name = encodeURIComponent(cacheKey);
+    // '=' is always escaped by encodeURIComponent, so hashed names never collide with encoded keys
+    if (name.length > MAX_KEY_FILENAME) name = `=${this.crypto.createHash('sha256').update(cacheKey).digest('hex')}`;
+    return this.path.join(this.directory, `${name}.${extension}`);
+  }
+
+  async _readMetadata(file) {
+    try {
+      return JSON.parse(await this.fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async get(cacheKey) {
+    const metadata = await this._readMetadata(this._entryPath(cacheKey, 'json'));
+    if (!metadata) return null;
+
+    try {
+      const bytes = await this.fs.readFile(this._entryPath(cacheKey, 'bin'));
+      const { payload, ...fields } = metadata;
+      const data = payload === 'string' ? new TextDecoder().decode(bytes)
+        : payload === 'json' ? JSON.parse(new TextDecoder().decode(bytes))
+          : toArrayBuffer(bytes);
+      return { ...fields, data };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async put(entry) {
+    const { data, ...metadata } = entry;
+    const { bytes, payload } = await serializePayload(data, entry.cacheKey);
+
+    // Payload first so a metadata file never points at a missing payload
+    await this.fs.writeFile(this._entryPath(entry.cacheKey, 'bin'), bytes);
+    await this.fs.writeFile(this._entryPath(entry.cacheKey, 'json'), JSON.stringify({
+      ...metadata,
+      size: bytes.byteLength,
+      ...(payload === 'binary' ? {} : { payload })
+    }));
+  }
+
+  async update(cacheKey, fields) {
+    const file = this._entryPath(cacheKey, 'json');
+    const metadata = await this._readMetadata(file);
+    if (metadata) await this.fs.writeFile(file, JSON.stringify({ ...metadata, ...fields }));
+  }
+
+  async delete(cacheKey) {
+    await Promise.all(['json', 'bin'].map(ext => this.fs.rm(this._entryPath(cacheKey, ext), { force: true })));
+  }
+
+  async getAll() {
+    const files = await this.fs.readdir(this.directory);
+    const entries = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const metadata = await this._readMetadata(this.path.join(this.directory, file));
+      if (metadata) {
+        const { payload, ...fields } = metadata;
+        entries.push(fields);
+      }
+    }
+    return entries;
+  }
+
+  async clear() {
+    const files = await this.fs.readdir(this.directory);
+    await Promise.all(files
+      .filter(file => file.endsWith('.json') || file.endsWith('.bin'))
+      .map(file => this.fs.rm(this.path.join(this.directory, file), { force: true })));
+  }
+}
+
+const BACKENDS = {
+  indexeddb: IndexedDBBackend,
+  memory: MemoryBackend,
+  filesystem: FileSystemBackend
+};
+
+/**
+ * Resolve a backend from a name ('indexeddb' | 'memory' | 'filesystem'), an instance, or nothing.
+ * Without a name, IndexedDB is used where available and the filesystem otherwise (Node.js).
+ * @param {string|Object} [backend] - Backend name or object implementing the backend interface
+ * @param {Object} [options] - Options passed to the backend constructor (dbName, directory)
+ * @returns {Object} Backend instance
+ * @ignore
+ */
+export function createCacheBackend(backend, options = {}) {
+  if (backend && typeof backend === 'object') {
+    const missing = ['init', 'get', 'put', 'delete', 'getAll', 'clear'].filter(method => typeof backend[method] !== 'function');
+    if (missing.length) {
+      throw new Error(`Cache backend is missing required methods: ${missing.join(', ')}`);
+    }
+    return backend;
+  }
+
+  const name = backend || (typeof indexedDB !== 'undefined' ? 'indexeddb' : 'filesystem');
+  const Backend = BACKENDS[String(name).toLowerCase()];
+  if (!Backend) {
+    throw new Error(`Unknown cache backend '${name}'. Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return new Backend(options);
+}
@@ -0,0 +1,350 @@
+/**
+ * Datasource catalog for HydroLang
+ * Indexes the metadata each datasource already carries (info, info.coverage, endpoint-info, variables and
+ * gridded dataset spatial/temporal blocks) so sources can be searched by variable, area, period and resolution.
+ * Point sources describe their coverage in info.coverage:
+ *   { region, bbox: [west, south, east, north], start, end, resolutions: ['15min', '1D'], latency: 'PT1H', variables: [...], forecast }
+ * `end: null` means the record is ongoing; missing fields are reported as unknown rather than guessed.
+ * `forecast: true` marks forecast and nowcast feeds, which hold no more than the last few days of the past.
+ */
+
+import { parseInterval } from './time-utils.js';
+import { findSourceConfig, listDatatypes } from './source-registry.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+// Past period still served by forecast and nowcast feeds (latest runs, recent observations)
+const FORECAST_LOOKBACK_MS = 2 * MS_PER_DAY;
+const UNIT_MS = {
+  ms: 1,
+  minute: MS_PER_MINUTE,
+  hour: MS_PER_HOUR,
+  day: MS_PER_DAY,
+  month: 30.44 * MS_PER_DAY,
+  year: 365.25 * MS_PER_DAY,
+  'water-year': 365.25 * MS_PER_DAY
+};
+
+/**
+ * Canonical variable names and the terms datasources use for them
+ * @ignore
+ */
+export const VARIABLE_SYNONYMS = {
+  precipitation: ['precipitation', 'precip', 'prcp', 'ppt', 'apcp', 'rain', 'rainfall', 'prectot', 'prectotcorr', 'qpe'],
+  temperature: ['temperature', 'temp', 'tmp', 'tmax', 'tmin', 'tmean', 't2m', 'tavg'],
+  streamflow: ['streamflow', 'discharge', 'flow', 'runoff', '00060'],
+  'water level': ['water level', 'gage height', 'gauge height', 'stage', '00065'],
+  groundwater: ['groundwater', 'ground water', 'water table'],
+  snow: ['snow', 'snowfall', 'snow depth', 'snwd', 'swe', 'snow water equivalent'],
+  'soil moisture': ['soil moisture', 'soilm', 'soil water'],
+  evapotranspiration: ['evapotranspiration', 'evaporation', 'evap', 'pet'],
+  humidity: ['humidity', 'rh2m', 'relative humidity', 'spfh', 'dewpoint', 'dew point'],
+  wind: ['wind', 'ugrd', 'vgrd', 'ws2m', 'wspd'],
+  radiation: ['radiation', 'solar', 'dswrf', 'dlwrf', 'allsky', 'shortwave', 'longwave'],
+  pressure: ['pressure', 'pres', 'slp'],
+  'water quality': ['water quality', 'nutrient', 'nitrate', 'dissolved oxygen', 'turbidity', 'specific conductance'],
+  elevation: ['elevation', 'dem', 'terrain'],
+  radar: ['radar', 'reflectivity'],
+  drought: ['drought', 'spi', 'spei'],
+  soil: ['soil properties', 'soilgrids', 'clay', 'sand', 'organic carbon'],
+  flood: ['flood', 'inundation']
+};
+
+/**
+ * Canonical variables mentioned in a piece of text
+ * @ignore
+ */
+export function matchVariables(text) {
+  const haystack = ` ${String(text || '').toLowerCase().replace(/[_\-/]+/g, ' ')} `;
+  return Object.entries(VARIABLE_SYNONYMS)
+    .filter(([, terms]) => terms.some(term => new RegExp(`[^a-z]${term}(s|es)?[^a-z]`).test(haystack)))
+    .map(([name]) => name);
+}
+
+/**
+ * Canonical variable for a user query ('rainfall' -> 'precipitation'); unknown names pass through
+ * @ignore
+ */
+export function canonicalVariable(variable) {
+  const key = String(variable).trim().toLowerCase();
+  const found = Object.entries(VARIABLE_SYNONYMS).find(([name, terms]) => name === key || terms.includes(key));
+  return found ? found[0] : key;
+}
+
+/**
+ * Temporal resolution label ('15min', '1H', '1D', '1M' = month, 'daily', 'PT1H') in milliseconds.
+ * Labels other than ISO 8601 durations are read with parseInterval, the parser used for aggregation intervals
+ * @ignore
+ */
+export function resolutionMs(resolution) {
+  if (typeof resolution === 'number') return resolution;
+  if (!resolution || typeof resolution !== 'string') return null;
+  const label = resolution.trim();
+
+  const iso = label.match(/^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/i);
+  if (iso && label.length > 1) {
+    const [y, mo, w, d, h, mi] = iso.slice(1).map(value => Number(value || 0));
+    return y * UNIT_MS.year + mo * UNIT_MS.month + w * 7 * MS_PER_DAY + d * MS_PER_DAY + h * MS_PER_HOUR + mi * MS_PER_MINUTE || null;
+  }
+  if (/^sub-?hourly$/i.test(label)) return 15 * MS_PER_MINUTE;
+
+  try {
+    const { unit, n } = parseInterval(label);
+    return UNIT_MS[unit] ? n * UNIT_MS[unit] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Union of lat/lon extents found in a gridded `spatial` block (single extent or per-region extents)
+ * @ignore
+ */
+function spatialBbox(spatial) {
+  if (!spatial || typeof spatial !== 'object') return null;
+  if (spatial.latitude && spatial.longitude) {
+    return [spatial.longitude.min, spatial.latitude.min, spatial.longitude.max, spatial.latitude.max];
+  }
+  const boxes = Object.values(spatial).map(spatialBbox).filter(Boolean);
+  return boxes.length ? unionBbox(boxes) : null;
+}
+
+function unionBbox(boxes) {
+  return [
+    Math.min(...boxes.map(b => b[0])),
+    Math.min(...boxes.map(b => b[1])),
+    Math.max(...boxes.map(b => b[2])),
+    Math.max(...boxes.map(b => b[3]))
+  ];
+}
+
+function toTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Coverage of a source: info.coverage first, then the spatial/temporal blocks of its gridded datasets
+ * @ignore
+ */
+function describeCoverage(config) {
+  const declared = config.info?.coverage || {};
+  const datasets = config.datasets && typeof config.datasets === 'object' ? Object.values(config.datasets) : [];
+
+  const boxes = datasets.map(dataset => spatialBbox(dataset?.spatial)).filter(Boolean);
+  const temporals = datasets.map(dataset => dataset?.temporal).filter(Boolean);
+  // Real-time feeds without an archive only hold the last day or two
+  const starts = temporals
+    .map(t => toTime(t.start) ?? (t.realtime && t.archive === false ? Date.now() - 2 * MS_PER_DAY : null))
+    .filter(t => t !== null);
+  const ends = temporals.map(t => (t.realtime ? Date.now() : toTime(t.end)));
+  const resolutions = new Set([
+    ...(declared.resolutions || []),
+    ...temporals.map(t => t.resolution),
+    ...datasets.map(dataset => dataset?.temporalResolution)
+  ].filter(r => typeof r === 'string'));
+
+  return {
+    region: declared.region ?? datasets.map(dataset => dataset?.spatial?.coverage).find(Boolean) ?? null,
+    bbox: declared.bbox || (boxes.length ? unionBbox(boxes) : null),
+    start: declared.start ?? (starts.length ? new Date(Math.min(...starts)).toISOString() : null),
+    // null end = ongoing; a dataset without an end date keeps the source ongoing
+    end: declared.start !== undefined || declared.end !== undefined
+      ? declared.end ?? null
+      : (ends.length && ends.every(t => t !== null) ? new Date(Math.max(...ends)).toISOString() : null),
+    resolutions: [...resolutions],
+    latency: declared.latency ?? null,
+    forecast: declared.forecast === true
+  };
+}
+
+/**
+ * Variables of a source: declared (coverage.variables, variables block) and mentioned in its descriptions
+ * @ignore
+ */
+function describeVariables(config, datatypes) {
+  const declared = new Set();
+  (config.info?.coverage?.variables || []).forEach(v => declared.add(canonicalVariable(v)));
+  if (config.variables && typeof config.variables === 'object') {
+    Object.entries(config.variables).forEach(([code, meta]) => {
+      matchVariables(`${code} ${meta?.longName || ''} ${meta?.description || ''} ${meta?.category || ''}`).forEach(v => declared.add(v));
+    });
+  }
+
+  const endpointInfo = config['endpoint-info'] || {};
+  const text = [
+    config.info?.About,
+    ...datatypes,
+    ...Object.values(endpointInfo).map(entry => JSON.stringify(entry?.paramFormat || {}) + ' ' + (entry?.description || ''))
+  ].join(' ');
+  const mentioned = matchVariables(text).filter(v => !declared.has(v));
+  return { declared: [...declared], mentioned };
+}
+
+/**
+ * Example retrieve call for a datatype, from endpoint-info examples when available
+ * @ignore
+ */
+function exampleCall(name, config, datatype) {
+  const params = { source: name, datatype };
+  const keyname = config.requirements?.keyname;
+  if (keyname) params[keyname] = 'YOUR_API_KEY';
+  const example = config['endpoint-info']?.[datatype]?.example;
+  const args = {};
+  if (example && typeof example === 'object') {
+    Object.entries(example).forEach(([key, value]) => {
+      if (key !== 'exampleRequest') args[key] = value;
+    });
+  } else {
+    Object.entries(config[datatype]?.params || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) args[key] = value;
+    });
+  }
+  return { params, args };
+}
+
+/**
+ * Catalog entry of one datasource
+ * @ignore
+ */
+export function describeSource(name, config) {
+  const datatypes = listDatatypes(config).filter(datatype => config[datatype]?.endpoint || config[datatype]?.methods);
+  const requirements = config.requirements || {};
+  const variables = describeVariables(config, datatypes);
+  return {
+    source: name,
+    about: config.info?.About || null,
+    moreInfo: config.info?.MoreInfo || null,
+    returnFormats: config.info?.returnFormats || null,
+    datatypes,
+    variables: [...variables.declared, ...variables.mentioned],
+    declaredVariables: variables.declared,
+    coverage: describeCoverage(config),
+    auth: {
+      requiresKey: !!requirements.requireskey,
+      keyname: requirements.keyname || null,
+      needProxy: !!requirements.needProxy
+    },
+    examples: datatypes.slice(0, 3).map(datatype => exampleCall(name, config, datatype))
+  };
+}
+
+/**
+ * Catalog entries for every source in a registry
+ * @ignore
+ */
+export function buildCatalog(registry) {
+  const names = new Set([...Object.keys(registry.default || {}), ...Object.keys(registry)]
+    .filter(name => name !== 'default' && name !== 'proxies' && name !== 'envelope'));
+  const entries = [];
+  for (const name of names) {
+    const config = findSourceConfig(registry, name);
+    if (config) entries.push(describeSource(name, config));
+  }
+  return entries;
+}
+
+/**
+ * Fraction of box `a` covered by box `b` (0 when disjoint)
+ * @ignore
+ */
+function bboxOverlap(a, b) {
+  const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+  const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+  if (width < 0 || height < 0) return 0;
+  const area = (a[2] - a[0]) * (a[3] - a[1]);
+  return area > 0 ? (width * height) / area : 1;
+}
+
+/**
+ * Rank catalog entries against a query
+ * @param {Array<Object>} entries - Catalog entries (buildCatalog)
+ * @param {Object} [query]
+ * @param {string} [query.variable] - Variable name or synonym ('precipitation', 'rainfall', 'discharge')
+ * @param {Array<number>} [query.bbox] - [west, south, east, north] in degrees
+ * @param {string|Date} [query.start] - Period start
+ * @param {string|Date} [query.end] - Period end
+ * @param {string} [query.resolution] - Wanted temporal resolution ('daily', '1H', '15min')
+ * @param {boolean} [query.requiresKey] - false to leave out sources that need an API key
+ * @param {number} [query.limit] - Maximum number of candidates
+ * @returns {Array<Object>} Candidates sorted by score, each with match details
+ * @ignore
+ */
+export function searchCatalog(entries, query = {}) {
+  const variable = query.variable ? canonicalVariable(query.variable) : null;
+  const start = toTime(query.start);
+  const end = toTime(query.end) ?? (start !== null ? Date.now() : null);
+  const wanted = query.resolution ? resolutionMs(query.resolution) : null;
+  if (query.resolution && !wanted) {
+    throw new Error(`Unsupported resolution '${query.resolution}'; use labels such as '15min', '1H', 'daily' or 'monthly'`);
+  }
+  if (query.bbox && (!Array.isArray(query.bbox) || query.bbox.length !== 4)) {
+    throw new Error('bbox must be [west, south, east, north]');
+  }
+
+  const candidates = [];
+  for (const entry of entries) {
+    if (query.requiresKey === false && entry.auth.requiresKey) continue;
+    const match = { variable: null, spatial: 'unknown', temporal: 'unknown', resolution: 'unknown' };
+    let score = 0;
+
+    if (variable) {
+      if (entry.declaredVariables.includes(variable)) {
+        match.variable = 'declared';
+        score += 3;
+      } else if (entry.variables.includes(variable)) {
+        match.variable = 'mentioned';
+        score += 1;
+      } else {
+        continue;
+      }
+    }
+
+    const { coverage } = entry;
+    if (query.bbox && coverage.bbox) {
+      const overlap = bboxOverlap(query.bbox, coverage.bbox);
+      if (!overlap) continue;
+      match.spatial = overlap >= 0.999 ? 'full' : 'partial';
+      score += 2 * overlap;
+    }
+
+    if (start !== null && coverage.forecast) {
+      // Historical periods are out of reach of forecast feeds
+      const from = Date.now() - FORECAST_LOOKBACK_MS;
+      if (end < from) continue;
+      const span = Math.max(end - start, 1);
+      match.temporal = 'forecast';
+      score += 2 * Math.min(1, (end - Math.max(start, from)) / span);
+    } else if (start !== null && (coverage.start || coverage.end)) {
+      const from = toTime(coverage.start) ?? -Infinity;
+      const to = toTime(coverage.end) ?? Date.now();
+      const overlap = Math.min(end, to) - Math.max(start, from);
+      if (overlap < 0) continue;
+      const span = Math.max(end - start, 1);
+      match.temporal = overlap >= span ? 'full' : 'partial';
+      score += 2 * Math.min(1, overlap / span);
+    }
+
+    if (wanted && coverage.resolutions.length) {
+      const available = coverage.resolutions.map(resolutionMs).filter(Boolean);
+      if (available.some(ms => Math.abs(ms - wanted) / wanted < 0.05)) {
+        match.resolution = 'exact';
+        score += 1.5;
+      } else if (available.some(ms => ms < wanted)) {
+        // Finer data can be aggregated to the wanted resolution
+        match.resolution = 'finer';
+        score += 0.75;
+      } else {
+        match.resolution = 'coarser';
+      }
+    }
+
+    if (entry.auth.requiresKey) score -= 0.5;
+    candidates.push({ ...entry, score: Math.round(score * 100) / 100, match });
+  }
+
+  candidates.sort((a, b) => b.score - a.score || a.source.localeCompare(b.source));
+  return query.limit ? candidates.slice(0, query.limit) : candidates;
+}
@@ -0,0 +1,926 @@
+/**
+ * Cloud-optimized GeoTIFF range reader
+ * Reads the IFDs of a remote (Big)TIFF, then only the tiles or strips that a window, bbox or point
+ * needs, through HTTP range requests. Fetched byte blocks are stored as sparse chunks in the
+ * HydroLangCache, so later reads of nearby areas are served without network requests
+ */
+
+import { fetchWithRetry } from './request-scheduler.js';
+import { parseCRS } from './geometry-io.js';
+import { writeCOG } from './cog.js';
+
+// TIFF tags read from each IFD
+const TAGS = {
+  254: 'NewSubfileType',
+  256: 'ImageWidth',
+  257: 'ImageLength',
+  258: 'BitsPerSample',
+  259: 'Compression',
+  273: 'StripOffsets',
+  277: 'SamplesPerPixel',
+  278: 'RowsPerStrip',
+  279: 'StripByteCounts',
+  284: 'PlanarConfiguration',
+  317: 'Predictor',
+  322: 'TileWidth',
+  323: 'TileLength',
+  324: 'TileOffsets',
+  325: 'TileByteCounts',
+  339: 'SampleFormat',
+  33550: 'ModelPixelScale',
+  33922: 'ModelTiepoint',
+  34264: 'ModelTransformation',
+  34735: 'GeoKeyDirectory',
+  34736: 'GeoDoubleParams',
+  34737: 'GeoAsciiParams',
+  42112: 'GDAL_METADATA',
+  42113: 'GDAL_NODATA'
+};
+
+// Byte size of each TIFF field type
+const FIELD_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4, 16: 8, 17: 8, 18: 8 };
+
+// Typed array per SampleFormat (1 unsigned, 2 signed, 3 float) and BitsPerSample
+const SAMPLE_ARRAYS = {
+  1: { 8: Uint8Array, 16: Uint16Array, 32: Uint32Array },
+  2: { 8: Int8Array, 16: Int16Array, 32: Int32Array },
+  3: { 32: Float32Array, 64: Float64Array }
+};
+
+const GEOGRAPHIC_TYPE_KEY = 2048;
+const PROJECTED_TYPE_KEY = 3072;
+const MODEL_TYPE_KEY = 1024;
+const RASTER_TYPE_KEY = 1025;
+const USER_DEFINED = 32767;
+
+/**
+ * Short stable hash of a string (FNV-1a), used in cache keys
+ * @ignore
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Decode TIFF LZW (MSB-first codes with early change)
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} [expected] - Expected decoded size, used to size the output
+ * @returns {Uint8Array}
+ * @ignore
+ */
+export function lzwDecode(input, expected = 0) {
+  const prefix = new Uint16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const length = new Uint16Array(4096);
+  for (let i = 0; i < 256; i++) {
+    suffix[i] = i;
+    first[i] = i;
+    length[i] = 1;
+  }
+
+  let out = new Uint8Array(expected || input.length * 4 || 1024);
+  let pos = 0;
+  const ensure = (n) => {
+    if (pos + n <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, pos + n));
+    grown.set(out.subarray(0, pos));
+    out = grown;
+  };
+  const emit = (code) => {
+    const len = length[code];
+    ensure(len);
+    for (let i = pos + len - 1, c = code; i >= pos; i--) {
+      out[i] = suffix[c];
+      c = prefix[c];
+    }
+    pos += len;
+  };
+
+  const totalBits = input.length * 8;
+  let bitPos = 0;
+  let width = 9;
+  let next = 258;
+  let old = -1;
+  while (bitPos + width <= totalBits) {
+    const byte = bitPos >> 3;
+    const window = (input[byte] << 16) | ((input[byte + 1] ?? 0) << 8) | (input[byte + 2] ?? 0);
+    const code = (window >> (24 - (bitPos & 7) - width)) & ((1 << width) - 1);
+    bitPos += width;
+
+    if (code === 257) break;
+    if (code === 256) {
+      width = 9;
+      next = 258;
+      old = -1;
+      continue;
+    }
+    if (old === -1) {
+      if (code > 255) throw new Error(`Corrupt LZW data: code ${code} after a clear code`);
+      emit(code);
+      old = code;
+      continue;
+    }
+
+    let head;
+    if (code < next) {
+      emit(code);
+      head = first[code];
+    } else if (code === next) {
+      head = first[old];
+      emit(old);
+      ensure(1);
+      out[pos++] = head;
+    } else {
+      throw new Error(`Corrupt LZW data: code ${code} is beyond the table (${next})`);
+    }
+    if (next < 4096) {
+      prefix[next] = old;
+      suffix[next] = head;
+      first[next] = first[old];
+      length[next] = length[old] + 1;
+      next++;
+    }
+    old = code;
+    // Early change: the code width grows one entry before the table fills it
+    if (next + 1 >= (1 << width) && width < 12) width++;
+  }
+  return out.subarray(0, pos);
+}
+
+/**
+ * Decode PackBits run-length data
+ * @ignore
+ */
+function unpackBits(input, expected) {
+  const out = new Uint8Array(expected);
+  let i = 0;
+  let pos = 0;
+  while (i < input.length && pos < expected) {
+    const n = (input[i++] << 24) >> 24;
+    if (n >= 0) {
+      out.set(input.subarray(i, i + n + 1), pos);
+      i += n + 1;
+      pos += n + 1;
+    } else if (n !== -128) {
+      out.fill(input[i++], pos, Math.min(pos + 1 - n, expected));
+      pos += 1 - n;
+    }
+  }
+  return out;
+}
+
+/**
+ * Inflate zlib-wrapped DEFLATE data
+ * @ignore
+ */
+async function inflate(bytes) {
+  if (typeof DecompressionStream !== 'function') {
+    throw new Error('Reading DEFLATE-compressed tiles needs DecompressionStream (modern browsers, Node.js 20+)');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Undo the floating point predictor (3) of one tile; the output bytes are little-endian
+ * @ignore
+ */
+function undoFloatPredictor(bytes, width, rows, samples, bytesPerSample) {
+  const rowValues = width * samples;
+  const rowBytes = rowValues * bytesPerSample;
+  const out = new Uint8Array(bytes.length);
+  for (let r = 0; r < rows; r++) {
+    const row = bytes.subarray(r * rowBytes, (r + 1) * rowBytes);
+    for (let i = samples; i < rowBytes; i++) row[i] = (row[i] + row[i - samples]) & 0xff;
+    // Byte planes are stored most significant first
+    for (let i = 0; i < rowValues; i++) {
+      for (let b = 0; b < bytesPerSample; b++) {
+        out[r * rowBytes + i * bytesPerSample + b] = row[(bytesPerSample - b - 1) * rowValues + i];
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * PROJ string of the UTM zones GDAL writes most often (NAD83 269xx, WGS 84 326xx/327xx)
+ * @ignore
+ */
+function utmDefinition(epsg) {
+  const zone = epsg % 100;
+  if (zone < 1 || zone > 60) return null;
+  if (epsg >= 26901 && epsg <= 26923) return `+proj=utm +zone=${zone} +datum=NAD83 +units=m +no_defs`;
+  if (epsg >= 32601 && epsg <= 32660) return `+proj=utm +zone=${zone} +datum=WGS84 +units=m +no_defs`;
+  if (epsg >= 32701 && epsg <= 32760) return `+proj=utm +zone=${zone} +south +datum=WGS84 +units=m +no_defs`;
+  return null;
+}
+
+/**
+ * proj4 definition of a CRS from parseCRS
+ * @ignore
+ */
+function projDefinition(crs) {
+  const proj4 = globalThis.proj4;
+  if (crs.epsg && proj4.defs?.(`EPSG:${crs.epsg}`)) return `EPSG:${crs.epsg}`;
+  // Other geographic CRSs differ from WGS 84 by less than the pixel size of most rasters
+  if (crs.geographic) return 'EPSG:4326';
+  const utm = crs.epsg ? utmDefinition(crs.epsg) : null;
+  if (utm) return utm;
+  if (crs.wkt) return crs.wkt;
+  throw new Error(`No projection definition for ${crs.epsg ? `EPSG:${crs.epsg}` : 'the COG CRS'}; register it with proj4.defs`);
+}
+
+/**
+ * Lazy reader of a remote cloud-optimized GeoTIFF.
+ * Create it with openCOG (or new RemoteCOG(url).init()); the header is read on init,
+ * pixels only when a window, bbox or point is requested.
+ * @param {string} url - COG URL
+ * @param {Object} [options]
+ * @param {string} [options.fetchUrl] - URL actually requested (e.g. through a proxy); url stays the cache identity
+ * @param {Object|boolean} [options.cache] - HydroLangCache for byte blocks; defaults to hydro's cache, false disables it
+ * @param {string} [options.source='cog'] - Data source name, selects the cache policy
+ * @param {number} [options.blockSize=65536] - Size of the cached byte blocks; requests are whole blocks
+ * @param {number} [options.memoryBlocks=256] - Blocks kept in memory between reads
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {Object|number|boolean} [options.retry] - Retry policy for fetchWithRetry
+ * @param {AbortSignal} [options.signal] - Cancels pending requests
+ * @param {Function} [options.fetch] - fetch implementation
+ * @ignore
+ */
+export class RemoteCOG {
+  constructor(url, options = {}) {
+    if (!url) throw new Error('RemoteCOG needs the URL of a GeoTIFF');
+    this.url = url;
+    this.fetchUrl = options.fetchUrl || url;
+    this.source = options.source || 'cog';
+    this.blockSize = options.blockSize ?? 64 * 1024;
+    this.memoryBlocks = options.memoryBlocks ?? 256;
+    this.cache = options.cache === false ? null
+      : (typeof options.cache === 'object' && options.cache) || globalThis.hydro?.cache || null;
+    this.headers = options.headers || {};
+    this.retry = options.retry;
+    this.signal = options.signal;
+    this.fetch = options.fetch;
+    this.baseKey = `cog_${hashString(url)}`;
+    this.size = null;
+    this.images = [];
+    this.stats = { requests: 0, bytesFetched: 0, memoryHits: 0, cacheHits: 0 };
+    this._blocks = new Map();
+    this._whole = null;
+  }
+
+  /**
+   * Read the header and every IFD
+   * @returns {Promise<RemoteCOG>}
+   */
+  async init() {
+    const head = await this.read(0, 16);
+    const order = String.fromCharCode(head[0], head[1]);
+    if (order !== 'II' && order !== 'MM') throw new Error(`${this.url} is not a TIFF file`);
+    this.littleEndian = order === 'II';
+    const view = new DataView(head.buffer);
+    const version = view.getUint16(2, this.littleEndian);
+    if (version !== 42 && version !== 43) throw new Error(`${this.url} is not a TIFF file (version ${version})`);
+    this.bigTiff = version === 43;
+
+    let offset = this.bigTiff ? Number(view.getBigUint64(8, this.littleEndian)) : view.getUint32(4, this.littleEndian);
+    const seen = new Set();
+    while (offset && !seen.has(offset)) {
+      seen.add(offset);
+      const { tags, next } = await this._readIFD(offset);
+      offset = next;
+      // Transparency masks (NewSubfileType bit 2) are not pixel data
+      if ((tags.NewSubfileType?.[0] ?? 0) & 4) continue;
+      this.images.push(this._describe(tags));
+    }
+    if (!this.images.length) throw new Error(`${this.url} has no images`);
+    this.images.sort((a, b) => b.width - a.width);
+    this._georeference(this.images[0].tags);
+    return this;
+  }
+
+  /**
+   * Read a byte range, from memory, the cache or the network
+   * @param {number} offset
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   */
+  async read(offset, length) {
+    if (this._whole) return this._whole.slice(offset, offset + length);
+    const size = this.blockSize;
+    const firstBlock = Math.floor(offset / size);
+    const lastBlock = Math.floor((offset + length - 1) / size);
+    const blocks = await this._loadBlocks(firstBlock, lastBlock);
+    if (this._whole) return this._whole.slice(offset, offset + length);
+
+    const out = new Uint8Array(length);
+    for (let i = firstBlock; i <= lastBlock; i++) {
+      const block = blocks.get(i);
+      const start = Math.max(offset, i * size);
+      const end = Math.min(offset + length, (i + 1) * size);
+      if (!block || start - i * size >= block.length) break;
+      out.set(block.subarray(start - i * size, Math.min(end - i * size, block.length)), start - offset);
+    }
+    return out;
+  }
+
+  /**
+   * Blocks first..last from memory and the cache; missing runs are fetched with one range request each
+   * @ignore
+   */
+  async _loadBlocks(firstBlock, lastBlock) {
+    const blocks = new Map();
+    const missing = [];
+    for (let i = firstBlock; i <= lastBlock; i++) {
+      const inMemory = this._blocks.get(i);
+      if (inMemory) {
+        this.stats.memoryHits++;
+        this._remember(i, inMemory);
+        blocks.set(i, inMemory);
+        continue;
+      }
+      const cached = await this._cachedBlock(i);
+      if (cached) {
+        this.stats.cacheHits++;
+        this._remember(i, cached);
+        blocks.set(i, cached);
+        continue;
+      }
+      missing.push(i);
+    }
+
+    let run = 0;
+    while (run < missing.length) {
+      let end = run;
+      while (end + 1 < missing.length && missing[end + 1] === missing[end] + 1) end++;
+      await this._fetchBlocks(missing[run], missing[end], blocks);
+      if (this._whole) return blocks;
+      run = end + 1;
+    }
+    return blocks;
+  }
+
+  /**
+   * @ignore
+   */
+  async _cachedBlock(index) {
+    if (!this.cache?.getChunk) return null;
+    try {
+      const data = await this.cache.getChunk(this.baseKey, index);
+      return data ? new Uint8Array(data) : null;
+    } catch (error) {
+      console.warn(`COG block cache read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch blocks first..last with a single range request
+   * @ignore
+   */
+  async _fetchBlocks(firstBlock, lastBlock, blocks) {
+    const size = this.blockSize;
+    const start = firstBlock * size;
+    const end = this.size ? Math.min((lastBlock + 1) * size, this.size) - 1 : (lastBlock + 1) * size - 1;
+    const response = await fetchWithRetry(
+      this.fetchUrl,
+      { headers: { ...this.headers, Range: `bytes=${start}-${end}` }, signal: this.signal },
+      { retry: this.retry, fetch: this.fetch }
+    );
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} reading bytes ${start}-${end} of ${this.url}`);
+    }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    this.stats.requests++;
+    this.stats.bytesFetched += bytes.length;
+
+    if (response.status !== 206) {
+      console.warn(`${this.url} was served without range support; the whole file (${bytes.length} bytes) is kept in memory`);
+      this._whole = bytes;
+      this.size = bytes.length;
+      return;
+    }
+    const total = /\/(\d+)\s*$/.exec(response.headers?.get?.('content-range') || '');
+    if (total) this.size = Number(total[1]);
+
+    for (let i = firstBlock; i <= lastBlock; i++) {
+      const offset = (i - firstBlock) * size;
+      if (offset >= bytes.length) break;
+      const block = bytes.slice(offset, offset + size);
+      blocks.set(i, block);
+      this._remember(i, block);
+      await this._storeBlock(i, block);
+    }
+  }
+
+  /**
+   * @ignore
+   */
+  async _storeBlock(index, block) {
+    if (!this.cache?.putChunk) return;
+    const chunkStart = index * this.blockSize;
+    try {
+      await this.cache.putChunk(this.baseKey, index, block.buffer.slice(block.byteOffset, block.byteOffset + block.length), {
+        source: this.source,
+        dataType: 'cog-block',
+        url: this.url,
+        sparse: true,
+        chunkStart,
+        chunkEnd: chunkStart + block.length - 1,
+        totalChunks: this.size ? Math.ceil(this.size / this.blockSize) : undefined
+      });
+    } catch (error) {
+      console.warn(`COG block cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Keep a block in memory, dropping the least recently used beyond memoryBlocks
+   * @ignore
+   */
+  _remember(index, block) {
+    this._blocks.delete(index);
+    this._blocks.set(index, block);
+    while (this._blocks.size > this.memoryBlocks) {
+      this._blocks.delete(this._blocks.keys().next().value);
+    }
+  }
+
+  /**
+   * Read one IFD and the values of its known tags
+   * @ignore
+   */
+  async _readIFD(offset) {
+    const le = this.littleEndian;
+    const countSize = this.bigTiff ? 8 : 2;
+    const entrySize = this.bigTiff ? 20 : 12;
+    const inlineSize = this.bigTiff ? 8 : 4;
+
+    const countBytes = await this.read(offset, countSize);
+    const countView = new DataView(countBytes.buffer);
+    const count = this.bigTiff ? Number(countView.getBigUint64(0, le)) : countView.getUint16(0, le);
+    const bytes = await this.read(offset + countSize, count * entrySize + inlineSize);
+    const view = new DataView(bytes.buffer);
+
+    const tags = {};
+    for (let i = 0; i < count; i++) {
+      const at = i * entrySize;
+      const name = TAGS[view.getUint16(at, le)];
+      if (!name) continue;
+      const type = view.getUint16(at + 2, le);
+      const n = this.bigTiff ? Number(view.getBigUint64(at + 4, le)) : view.getUint32(at + 4, le);
+      const valueSize = (FIELD_SIZE[type] || 1) * n;
+      let values;
+      let valuesAt;
+      if (valueSize <= inlineSize) {
+        values = view;
+        valuesAt = at + (this.bigTiff ? 12 : 8);
+      } else {
+        const pointer = this.bigTiff ? Number(view.getBigUint64(at + 12, le)) : view.getUint32(at + 8, le);
+        values = new DataView((await this.read(pointer, valueSize)).buffer);
+        valuesAt = 0;
+      }
+      tags[name] = this._fieldValues(values, valuesAt, type, n);
+    }
+    const next = this.bigTiff ? Number(view.getBigUint64(count * entrySize, le)) : view.getUint32(count * entrySize, le);
+    return { tags, next };
+  }
+
+  /**
+   * @ignore
+   */
+  _fieldValues(view, at, type, count) {
+    const le = this.littleEndian;
+    if (type === 2) {
+      let text = '';
+      for (let i = 0; i < count; i++) text += String.fromCharCode(view.getUint8(at + i));
+      return text.replace(/\0+$/, '');
+    }
+    const values = new Array(count);
+    const size = FIELD_SIZE[type] || 1;
+    for (let i = 0; i < count; i++) {
+      const p = at + i * size;
+      switch (type) {
+        case 3: values[i] = view.getUint16(p, le); break;
+        case 8: values[i] = view.getInt16(p, le); break;
+        case 4: case 13: values[i] = view.getUint32(p, le); break;
+        case 9: values[i] = view.getInt32(p, le); break;
+        case 5: values[i] = view.getUint32(p, le) / view.getUint32(p + 4, le); break;
+        case 10: values[i] = view.getInt32(p, le) / view.getInt32(p + 4, le); break;
+        case 11: values[i] = view.getFloat32(p, le); break;
+        case 12: values[i] = view.getFloat64(p, le); break;
+        case 16: case 18: values[i] = Number(view.getBigUint64(p, le)); break;
+        case 17: values[i] = Number(view.getBigInt64(p, le)); break;
+        case 6: values[i] = view.getInt8(p); break;
+        default: values[i] = view.getUint8(p);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Layout of one image; strips are handled as full-width tiles
+   * @ignore
+   */
+  _describe(tags) {
+    const width = tags.ImageWidth[0];
+    const height = tags.ImageLength[0];
+    const tiled = Boolean(tags.TileWidth);
+    const bits = tags.BitsPerSample?.[0] ?? 1;
+    const format = tags.SampleFormat?.[0] ?? 1;
+    return {
+      tags,
+      width,
+      height,
+      tiled,
+      tileWidth: tiled ? tags.TileWidth[0] : width,
+      tileHeight: tiled ? tags.TileLength[0] : Math.min(tags.RowsPerStrip?.[0] ?? height, height),
+      samples: tags.SamplesPerPixel?.[0] ?? 1,
+      bits,
+      format,
+      compression: tags.Compression?.[0] ?? 1,
+      predictor: tags.Predictor?.[0] ?? 1,
+      planar: tags.PlanarConfiguration?.[0] ?? 1,
+      offsets: tags.TileOffsets || tags.StripOffsets,
+      byteCounts: tags.TileByteCounts || tags.StripByteCounts,
+      ArrayType: SAMPLE_ARRAYS[format]?.[bits] || null
+    };
+  }
+
+  /**
+   * Pixel grid, CRS and NoData from the full resolution image
+   * @ignore
+   */
+  _georeference(tags) {
+    const scale = tags.ModelPixelScale;
+    const tiepoint = tags.ModelTiepoint;
+    const matrix = tags.ModelTransformation;
+    if (matrix) {
+      if (matrix[1] || matrix[4]) console.warn(`${this.url} is rotated; the rotation terms are ignored`);
+      this.origin = [matrix[3], matrix[7]];
+      this.pixelSize = [matrix[0], matrix[5]];
+    } else if (scale && tiepoint) {
+      this.origin = [tiepoint[3] - tiepoint[0] * scale[0], tiepoint[4] + tiepoint[1] * scale[1]];
+      this.pixelSize = [scale[0], -scale[1]];
+    } else {
+      this.origin = null;
+      this.pixelSize = null;
+    }
+
+    const keys = {};
+    const directory = tags.GeoKeyDirectory;
+    if (directory) {
+      for (let i = 4; i + 3 < directory.length && i < 4 + directory[3] * 4; i += 4) {
+        // Only SHORT keys stored in the directory itself are needed here
+        if (directory[i + 1] === 0) keys[directory[i]] = directory[i + 3];
+      }
+    }
+    this.geoKeys = keys;
+    // PixelIsPoint rasters reference pixel centers
+    if (this.origin && keys[RASTER_TYPE_KEY] === 2) {
+      this.origin = [this.origin[0] - this.pixelSize[0] / 2, this.origin[1] - this.pixelSize[1] / 2];
+    }
+
+    const projected = keys[PROJECTED_TYPE_KEY];
+    const geographic = keys[GEOGRAPHIC_TYPE_KEY];
+    let epsg = null;
+    if (projected && projected !== USER_DEFINED) epsg = projected;
+    else if (keys[MODEL_TYPE_KEY] !== 1 && geographic && geographic !== USER_DEFINED) epsg = geographic;
+    else if (keys[MODEL_TYPE_KEY] === 2) epsg = 4326;
+    this.crs = epsg ? parseCRS(epsg) : { epsg: null, wkt: null, geographic: keys[MODEL_TYPE_KEY] === 2 };
+
+    const noData = tags.GDAL_NODATA !== undefined ? parseFloat(tags.GDAL_NODATA) : NaN;
+    this.noData = Number.isNaN(noData) ? null : noData;
+  }
+
+  /**
+   * Pixel size of an image (0 = full resolution), signed like the geotransform
+   * @param {number} [overview=0]
+   * @returns {Array<number>} [x, y]
+   */
+  imagePixelSize(overview = 0) {
+    if (!this.pixelSize) throw new Error(`${this.url} is not georeferenced`);
+    const main = this.images[0];
+    const image = this.images[overview];
+    return [this.pixelSize[0] * main.width / image.width, this.pixelSize[1] * main.height / image.height];
+  }
+
+  /**
+   * Index of the coarsest image whose pixels are no larger than `resolution` (in CRS units)
+   * @param {number} [resolution]
+   * @returns {number}
+   */
+  selectOverview(resolution) {
+    if (!resolution || !this.pixelSize) return 0;
+    let best = 0;
+    this.images.forEach((_, i) => {
+      if (Math.abs(this.imagePixelSize(i)[0]) <= resolution * (1 + 1e-9)) best = i;
+    });
+    return best;
+  }
+
+  /**
+   * Resolve the overview index from { overview, resolution }
+   * @ignore
+   */
+  _overview(options = {}) {
+    if (options.overview !== undefined && options.overview !== null) {
+      const index = options.overview;
+      if (!Number.isInteger(index) || index < 0 || index >= this.images.length) {
+        throw new Error(`Overview ${index} does not exist; ${this.url} has ${this.images.length - 1} overviews`);
+      }
+      return index;
+    }
+    return this.selectOverview(options.resolution);
+  }
+
+  /**
+   * Decode one tile or strip into a typed array (chunky samples when planar configuration is 1)
+   * @ignore
+   */
+  async _decodeTile(image, bytes, rows) {
+    const spp = image.planar === 1 ? image.samples : 1;
+    const bytesPerSample = image.bits / 8;
+    const expected = image.tileWidth * rows * spp * bytesPerSample;
+    let data;
+    switch (image.compression) {
+      case 1: data = bytes; break;
+      case 5: data = lzwDecode(bytes, expected); break;
+      case 8: case 32946: data = await inflate(bytes); break;
+      case 32773: data = unpackBits(bytes, expected); break;
+      default:
+        throw new Error(`TIFF compression ${image.compression} is not supported (use NONE, LZW, DEFLATE or PackBits)`);
+    }
+    let buffer = new Uint8Array(expected);
+    buffer.set(data.subarray(0, Math.min(data.length, expected)));
+
+    if (image.predictor === 3) {
+      buffer = undoFloatPredictor(buffer, image.tileWidth, rows, spp, bytesPerSample);
+    } else if (!this.littleEndian && bytesPerSample > 1) {
+      for (let i = 0; i < buffer.length; i += bytesPerSample) {
+        for (let a = i, b = i + bytesPerSample - 1; a < b; a++, b--) {
+          const t = buffer[a];
+          buffer[a] = buffer[b];
+          buffer[b] = t;
+        }
+      }
+    }
+    const values = new image.ArrayType(buffer.buffer);
+    if (image.predictor === 2) {
+      const rowValues = image.tileWidth * spp;
+      for (let r = 0; r < rows; r++) {
+        for (let i = r * rowValues + spp; i < (r + 1) * rowValues; i++) values[i] += values[i - spp];
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Read a pixel window of one image.
+   * Parts of the window outside the image, and sparse tiles, are filled with NoData (0 without it).
+   * @param {Array<number>} window - [x0, y0, x1, y1] in pixels of the chosen image, end exclusive
+   * @param {Object} [options]
+   * @param {number} [options.overview] - Image index (0 = full resolution)
+   * @param {number} [options.resolution] - Target pixel size in CRS units, picks the overview
+   * @param {Array<number>} [options.samples] - Band indexes to read (all by default)
+   * @returns {Promise<Object>} { data: [typed array per band], width, height, bbox, resolution, overview, noData, crs }
+   */
+  async readWindow(window, options = {}) {
+    const overview = this._overview(options);
+    const image = this.images[overview];
+    if (!image.ArrayType) {
+      throw new Error(`${image.bits}-bit samples with SampleFormat ${image.format} are not supported`);
+    }
+    const [x0, y0, x1, y1] = window.map(Math.round);
+    const width = x1 - x0;
+    const height = y1 - y0;
+    if (!(width > 0 && height > 0)) throw new Error(`Empty window [${window}]`);
+    const samples = options.samples || Array.from({ length: image.samples }, (_, i) => i);
+    const fill = this.noData ?? 0;
+    const data = samples.map(() => {
+      const band = new image.ArrayType(width * height);
+      if (fill) band.fill(fill);
+      return band;
+    });
+
+    const across = Math.ceil(image.width / image.tileWidth);
+    const down = Math.ceil(image.height / image.tileHeight);
+    const tilesPerPlane = across * down;
+    const col0 = Math.max(0, Math.floor(x0 / image.tileWidth));
+    const col1 = Math.min(across - 1, Math.floor((x1 - 1) / image.tileWidth));
+    const row0 = Math.max(0, Math.floor(y0 / image.tileHeight));
+    const row1 = Math.min(down - 1, Math.floor((y1 - 1) / image.tileHeight));
+    const planes = image.planar === 2 ? samples.map(s => [s]) : [samples];
+
+    const tiles = [];
+    for (const plane of planes) {
+      for (let ty = row0; ty <= row1; ty++) {
+        for (let tx = col0; tx <= col1; tx++) {
+          const index = (image.planar === 2 ? plane[0] * tilesPerPlane : 0) + ty * across + tx;
+          if (!image.byteCounts[index]) continue;
+          tiles.push({ index, tx, ty, plane, offset: image.offsets[index], length: image.byteCounts[index] });
+        }
+      }
+    }
+
+    // Tiles close together in the file are read with one request
+    tiles.sort((a, b) => a.offset - b.offset);
+    const groups = [];
+    for (const tile of tiles) {
+      const last = groups[groups.length - 1];
+      if (last && tile.offset - last.end <= this.blockSize) {
+        last.tiles.push(tile);
+        last.end = Math.max(last.end, tile.offset + tile.length);
+      } else {
+        groups.push({ start: tile.offset, end: tile.offset + tile.length, tiles: [tile] });
+      }
+    }
+
+    for (const group of groups) {
+      const bytes = await this.read(group.start, group.end - group.start);
+      for (const tile of group.tiles) {
+        const rows = image.tiled ? image.tileHeight : Math.min(image.tileHeight, image.height - tile.ty * image.tileHeight);
+        const compressed = bytes.subarray(tile.offset - group.start, tile.offset - group.start + tile.length);
+        const values = await this._decodeTile(image, compressed, rows);
+        const spp = image.planar === 1 ? image.samples : 1;
+        const left = tile.tx * image.tileWidth;
+        const top = tile.ty * image.tileHeight;
+        const xStart = Math.max(x0, left);
+        const xEnd = Math.min(x1, left + image.tileWidth, image.width);
+        const yStart = Math.max(y0, top);
+        const yEnd = Math.min(y1, top + rows, image.height);
+        tile.plane.forEach((sample) => {
+          const band = data[samples.indexOf(sample)];
+          const within = image.planar === 1 ? sample : 0;
+          for (let y = yStart; y < yEnd; y++) {
+            const source = ((y - top) * image.tileWidth + (xStart - left)) * spp + within;
+            const target = (y - y0) * width + (xStart - x0);
+            for (let x = 0; x < xEnd - xStart; x++) band[target + x] = values[source + x * spp];
+          }
+        });
+      }
+    }
+
+    const result = { data, width, height, overview, noData: this.noData, crs: this.crs, samples };
+    if (this.pixelSize) {
+      const [sx, sy] = this.imagePixelSize(overview);
+      const xs = [this.origin[0] + x0 * sx, this.origin[0] + x1 * sx];
+      const ys = [this.origin[1] + y0 * sy, this.origin[1] + y1 * sy];
+      result.bbox = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+      result.resolution = [Math.abs(sx), Math.abs(sy)];
+    }
+    return result;
+  }
+
+  /**
+   * Convert coordinates from `crs` to the COG CRS
+   * @ignore
+   */
+  _toNative(points, crs) {
+    const from = crs === 'native' ? this.crs : parseCRS(crs ?? 4326);
+    const to = this.crs;
+    const same = crs === 'native' || (from.epsg && from.epsg === to.epsg) ||
+      (from.geographic && to.geographic && (from.epsg === 4326 || from.epsg === 4269) && (to.epsg === 4326 || to.epsg === 4269));
+    if (same) return points;
+    if (!to.epsg && !to.wkt) {
+      throw new Error(`The CRS of ${this.url} is not an EPSG code; pass coordinates in its own CRS with crs: 'native'`);
+    }
+    if (typeof globalThis.proj4 !== 'function') {
+      throw new Error(`proj4 is required to read EPSG:${to.epsg} data with EPSG:${from.epsg} coordinates; load it first`);
+    }
+    const converter = globalThis.proj4(projDefinition(from), projDefinition(to));
+    return points.map(p => converter.forward([p[0], p[1]]));
+  }
+
+  /**
+   * Pixel window of a bbox in the COG CRS
+   * @ignore
+   */
+  _bboxWindow(bbox, crs, overview) {
+    const [west, south, east, north] = bbox;
+    if (![west, south, east, north].every(Number.isFinite) || east <= west || north <= south) {
+      throw new Error(`Invalid bbox [${bbox}]: expected [west, south, east, north]`);
+    }
+    // Edges are densified so curved edges of the reprojected box are covered
+    const steps = 16;
+    const edge = [];
+    for (let i = 0; i <= steps; i++) {
+      const x = west + (east - west) * i / steps;
+      const y = south + (north - south) * i / steps;
+      edge.push([x, south], [x, north], [west, y], [east, y]);
+    }
+    const native = this._toNative(edge, crs);
+    const [sx, sy] = this.imagePixelSize(overview);
+    const cols = native.map(p => (p[0] - this.origin[0]) / sx);
+    const rows = native.map(p => (p[1] - this.origin[1]) / sy);
+    const image = this.images[overview];
+    const eps = 1e-6;
+    const window = [
+      Math.max(0, Math.floor(Math.min(...cols) + eps)),
+      Math.max(0, Math.floor(Math.min(...rows) + eps)),
+      Math.min(image.width, Math.ceil(Math.max(...cols) - eps)),
+      Math.min(image.height, Math.ceil(Math.max(...rows) - eps))
+    ];
+    if (window[2] <= window[0] || window[3] <= window[1]) return null;
+    return window;
+  }
+
+  /**
+   * Read the pixels covering a bbox
+   * @param {Array<number>} bbox - [west, south, east, north]
+   * @param {Object} [options]
+   * @param {number|string} [options.crs=4326] - CRS of the bbox, or 'native' for the COG's own CRS
+   * @param {number} [options.overview] - Image index (0 = full resolution)
+   * @param {number} [options.resolution] - Target pixel size in COG CRS units, picks the overview
+   * @param {Array<number>} [options.samples] - Band indexes to read
+   * @returns {Promise<Object>} readWindow result, cropped to the image
+   */
+  async readBbox(bbox, options = {}) {
+    const overview = this._overview(options);
+    const window = this._bboxWindow(bbox, options.crs, overview);
+    if (!window) throw new Error(`bbox [${bbox}] does not intersect ${this.url}`);
+    return this.readWindow(window, { ...options, overview });
+  }
+
+  /**
+   * Value of every band at a point
+   * @param {number} x - Longitude (or easting with options.crs)
+   * @param {number} y - Latitude (or northing with options.crs)
+   * @param {Object} [options]
+   * @param {number|string} [options.crs=4326] - CRS of the point, or 'native'
+   * @param {number} [options.overview] - Image index (0 = full resolution)
+   * @returns {Promise<Object|null>} { value, values, col, row, overview }; value is null for NoData, the result null outside the image
+   */
+  async readPoint(x, y, options = {}) {
+    const overview = this._overview(options);
+    const [[nx, ny]] = this._toNative([[x, y]], options.crs);
+    const [sx, sy] = this.imagePixelSize(overview);
+    const col = Math.floor((nx - this.origin[0]) / sx);
+    const row = Math.floor((ny - this.origin[1]) / sy);
+    const image = this.images[overview];
+    if (col < 0 || row < 0 || col >= image.width || row >= image.height) return null;
+    const { data } = await this.readWindow([col, row, col + 1, row + 1], { ...options, overview });
+    const noData = this.noData !== null && image.ArrayType === Float32Array ? Math.fround(this.noData) : this.noData;
+    const values = data.map(band => (band[0] === noData || Number.isNaN(band[0]) ? null : band[0]));
+    return { value: values[0], values, col, row, overview };
+  }
+
+  /**
+   * Read a window or bbox and write it as a standalone COG, keeping the source CRS and NoData
+   * @param {Object} [options] - { window } or { bbox, crs }, plus readWindow and writeCOG options
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async toCOG(options = {}) {
+    const image = this.images[0];
+    let result;
+    if (options.window) result = await this.readWindow(options.window, options);
+    else if (options.bbox) result = await this.readBbox(options.bbox, options);
+    else result = await this.readWindow([0, 0, image.width, image.height], options);
+    return writeCOG(result.data, result.width, result.height, { ...this.cogOptions(result), ...options.cog });
+  }
+
+  /**
+   * writeCOG georeferencing options for a readWindow/readBbox result
+   * @param {Object} result
+   * @returns {Object}
+   */
+  cogOptions(result) {
+    const tags = this.images[0].tags;
+    const options = { noData: this.noData ?? undefined };
+    if (result.bbox) {
+      options.ModelPixelScale = [result.resolution[0], result.resolution[1], 0];
+      options.ModelTiepoint = [0, 0, 0, result.bbox[0], result.bbox[3], 0];
+    }
+    if (tags.GeoKeyDirectory) {
+      // The grid above is PixelIsArea, whatever the source raster type was
+      const directory = [...tags.GeoKeyDirectory];
+      for (let i = 4; i + 3 < directory.length; i += 4) {
+        if (directory[i] === RASTER_TYPE_KEY && directory[i + 1] === 0) directory[i + 3] = 1;
+      }
+      options.GeoKeyDirectory = directory;
+      if (tags.GeoDoubleParams) options.GeoDoubleParams = tags.GeoDoubleParams;
+      if (tags.GeoAsciiParams) options.GeoAsciiParams = tags.GeoAsciiParams;
+    } else if (this.crs.epsg) {
+      options.crs = this.crs.epsg;
+    }
+    if (tags.GDAL_METADATA) options.GDAL_METADATA = tags.GDAL_METADATA;
+    return options;
+  }
+}
+
+/**
+ * Open a remote COG, reading only its header
+ * @param {string} url - COG URL
+ * @param {Object} [options] - RemoteCOG options
+ * @returns {Promise<RemoteCOG>}
+ * @ignore
+ */
+export async function openCOG(url, options = {}) {
+  return new RemoteCOG(url, options).init();
+}
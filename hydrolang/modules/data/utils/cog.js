@@ -0,0 +1,585 @@
+/**
+ * Cloud-optimized GeoTIFF utilities
+ * Writer for internally tiled, DEFLATE/LZW compressed GeoTIFFs with overviews, GeoKeys and
+ * GDAL NoData, laid out as a COG (IFDs first, then tiles from the smallest overview up)
+ */
+
+import { parseCRS } from './geometry-io.js';
+
+// Sample types: typed array, BitsPerSample and SampleFormat (1 unsigned, 2 signed, 3 float)
+const DTYPES = {
+  uint8: { array: Uint8Array, bits: 8, format: 1 },
+  int8: { array: Int8Array, bits: 8, format: 2 },
+  uint16: { array: Uint16Array, bits: 16, format: 1 },
+  int16: { array: Int16Array, bits: 16, format: 2 },
+  uint32: { array: Uint32Array, bits: 32, format: 1 },
+  int32: { array: Int32Array, bits: 32, format: 2 },
+  float32: { array: Float32Array, bits: 32, format: 3 },
+  float64: { array: Float64Array, bits: 64, format: 3 }
+};
+
+const DTYPE_ALIASES = { byte: 'int8', short: 'int16', int: 'int32', float: 'float32', double: 'float64' };
+
+const COMPRESSION = { NONE: 1, LZW: 5, DEFLATE: 8 };
+
+// TIFF field types
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const DOUBLE = 12;
+const TYPE_SIZE = { [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8 };
+
+// GeoKey ids (GeoTIFF 1.1) of the keys accepted as individual options
+const GEO_KEYS = {
+  GTModelTypeGeoKey: 1024,
+  GTRasterTypeGeoKey: 1025,
+  GeographicTypeGeoKey: 2048,
+  ProjectedCSTypeGeoKey: 3072,
+  VerticalCSTypeGeoKey: 4096
+};
+
+const GEOTIFF_TAGS = ['ModelPixelScale', 'ModelTiepoint', 'ModelTransformation', 'GeoKeyDirectory', 'GeoDoubleParams', 'GeoAsciiParams'];
+
+/**
+ * Sample type of a band from its typed array class
+ * @ignore
+ */
+function bandType(band) {
+  if (band instanceof Uint8Array || band instanceof Uint8ClampedArray) return 'uint8';
+  const entry = Object.entries(DTYPES).find(([, t]) => band instanceof t.array);
+  return entry ? entry[0] : 'float32';
+}
+
+/**
+ * Convert a band (flat or rows) to a typed array of `dtype`, writing missing values as `fill`
+ * @ignore
+ */
+function toTypedBand(band, dtype, width, height, fill) {
+  let flat = band;
+  if (Array.isArray(band) && (Array.isArray(band[0]) || ArrayBuffer.isView(band[0]))) {
+    flat = [];
+    for (const row of band) for (let i = 0; i < row.length; i++) flat.push(row[i]);
+  }
+  if (flat.length !== width * height) {
+    throw new Error(`Band has ${flat.length} values but the raster is ${width} x ${height} (${width * height} pixels)`);
+  }
+  const { array: ArrayType, format } = DTYPES[dtype];
+  // Floating point bands are copied only when NaN has to become a NoData value
+  if (flat instanceof ArrayType && (format !== 3 || Number.isNaN(fill))) return flat;
+  const out = new ArrayType(flat.length);
+  for (let i = 0; i < flat.length; i++) {
+    const v = flat[i];
+    out[i] = v === null || v === undefined || Number.isNaN(v) ? fill : v;
+  }
+  return out;
+}
+
+/**
+ * Halve a band, averaging valid pixels or taking the top-left pixel of each 2 x 2 block
+ * @ignore
+ */
+function downsample(band, width, height, method, noData, integer) {
+  const w = Math.ceil(width / 2);
+  const h = Math.ceil(height / 2);
+  const out = new band.constructor(w * h);
+  const missing = noData === undefined ? NaN : noData;
+  // NoData as stored in the band, so float32 values compare equal
+  const stored = noData === undefined ? undefined : new band.constructor([noData])[0];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (method === 'nearest') {
+        out[y * w + x] = band[2 * y * width + 2 * x];
+        continue;
+      }
+      let sum = 0;
+      let n = 0;
+      for (let dy = 0; dy < 2 && 2 * y + dy < height; dy++) {
+        for (let dx = 0; dx < 2 && 2 * x + dx < width; dx++) {
+          const v = band[(2 * y + dy) * width + 2 * x + dx];
+          if (Number.isNaN(v) || v === stored) continue;
+          sum += v;
+          n++;
+        }
+      }
+      out[y * w + x] = n ? (integer ? Math.round(sum / n) : sum / n) : missing;
+    }
+  }
+  return { band: out, width: w, height: h };
+}
+
+/**
+ * Apply the horizontal differencing predictor (2) to a tile of integer samples, in place
+ * @ignore
+ */
+function predictIntegers(tile, tileSize, samples) {
+  const rowLength = tileSize * samples;
+  for (let row = 0; row < tileSize; row++) {
+    const start = row * rowLength;
+    for (let i = start + rowLength - 1; i >= start + samples; i--) tile[i] -= tile[i - samples];
+  }
+}
+
+/**
+ * Apply the floating point predictor (3): split each row into byte planes, most significant
+ * first, then difference the bytes
+ * @ignore
+ */
+function predictFloats(bytes, tileSize, samples, bytesPerSample) {
+  const count = tileSize * samples;
+  const rowLength = count * bytesPerSample;
+  const out = new Uint8Array(bytes.length);
+  for (let row = 0; row < tileSize; row++) {
+    const start = row * rowLength;
+    for (let i = 0; i < count; i++) {
+      for (let b = 0; b < bytesPerSample; b++) {
+        out[start + (bytesPerSample - b - 1) * count + i] = bytes[start + i * bytesPerSample + b];
+      }
+    }
+    for (let i = start + rowLength - 1; i >= start + samples; i--) out[i] -= out[i - samples];
+  }
+  return out;
+}
+
+/**
+ * TIFF LZW encoder (MSB-first codes, early change, 12-bit maximum)
+ * @ignore
+ */
+export function lzwEncode(input) {
+  const CLEAR = 256;
+  const EOI = 257;
+  let out = new Uint8Array(Math.max(1024, input.length));
+  let length = 0;
+  let buffer = 0;
+  let bits = 0;
+  const write = (code, width) => {
+    buffer = (buffer << width) | code;
+    bits += width;
+    while (bits >= 8) {
+      if (length === out.length) {
+        const grown = new Uint8Array(out.length * 2);
+        grown.set(out);
+        out = grown;
+      }
+      out[length++] = (buffer >>> (bits - 8)) & 0xff;
+      bits -= 8;
+    }
+    buffer &= (1 << bits) - 1;
+  };
+
+  let table = new Map();
+  let next = 258;
+  let width = 9;
+  // Entries are added for every emitted code; widths grow one entry early for the decoder
+  const added = () => {
+    next++;
+    if (next === 4094) {
+      write(CLEAR, width);
+      table = new Map();
+      next = 258;
+      width = 9;
+    } else if (next > (1 << width) - 1) {
+      width++;
+    }
+  };
+
+  write(CLEAR, width);
+  if (input.length) {
+    let prefix = input[0];
+    for (let i = 1; i < input.length; i++) {
+      const c = input[i];
+      const key = prefix * 256 + c;
+      const code = table.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      write(prefix, width);
+      table.set(key, next);
+      added();
+      prefix = c;
+    }
+    write(prefix, width);
+    added();
+  }
+  write(EOI, width);
+  if (bits > 0) write(0, 8 - bits);
+  return out.subarray(0, length);
+}
+
+/**
+ * zlib-wrapped DEFLATE (TIFF compression 8) through CompressionStream
+ * @ignore
+ */
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Cut, predict and compress the tiles of one resolution level
+ * @ignore
+ */
+async function encodeTiles(bands, width, height, layout) {
+  const { tileSize, type, compression, predictor, fill } = layout;
+  const samples = bands.length;
+  const across = Math.ceil(width / tileSize);
+  const down = Math.ceil(height / tileSize);
+  const tiles = [];
+  for (let ty = 0; ty < down; ty++) {
+    for (let tx = 0; tx < across; tx++) {
+      // Edge tiles are padded to the full tile size
+      const tile = new type.array(tileSize * tileSize * samples).fill(fill);
+      const rows = Math.min(tileSize, height - ty * tileSize);
+      const cols = Math.min(tileSize, width - tx * tileSize);
+      for (let r = 0; r < rows; r++) {
+        const src = (ty * tileSize + r) * width + tx * tileSize;
+        const dst = r * tileSize * samples;
+        for (let s = 0; s < samples; s++) {
+          const band = bands[s];
+          for (let c = 0; c < cols; c++) tile[dst + c * samples + s] = band[src + c];
+        }
+      }
+      if (predictor === 2) predictIntegers(tile, tileSize, samples);
+      let bytes = new Uint8Array(tile.buffer, tile.byteOffset, tile.byteLength);
+      if (predictor === 3) bytes = predictFloats(bytes, tileSize, samples, type.bits / 8);
+      if (compression === COMPRESSION.DEFLATE) bytes = await deflate(bytes);
+      else if (compression === COMPRESSION.LZW) bytes = lzwEncode(bytes);
+      tiles.push(bytes);
+    }
+  }
+  return tiles;
+}
+
+/**
+ * GeoTIFF tags of the full resolution image: the raster-to-model transform and the GeoKey directory
+ * @ignore
+ */
+function georeferenceTags(options, width, height) {
+  const tags = {};
+  for (const name of GEOTIFF_TAGS) {
+    if (options[name] !== undefined && options[name] !== null) tags[name] = options[name];
+  }
+
+  if (!tags.ModelTransformation && !(tags.ModelPixelScale && tags.ModelTiepoint) && options.bbox) {
+    const [west, south, east, north] = options.bbox;
+    if (![west, south, east, north].every(Number.isFinite) || east <= west || north <= south) {
+      throw new Error(`Invalid bbox [${options.bbox}]: expected [west, south, east, north]`);
+    }
+    tags.ModelPixelScale = [(east - west) / width, (north - south) / height, 0];
+    tags.ModelTiepoint = [0, 0, 0, west, north, 0];
+  }
+
+  if (!tags.GeoKeyDirectory) {
+    const keys = {};
+    const crs = parseCRS(options.crs ?? (options.bbox ? 4326 : null));
+    if (crs) {
+      keys[GEO_KEYS.GTModelTypeGeoKey] = crs.geographic ? 2 : 1;
+      keys[GEO_KEYS.GTRasterTypeGeoKey] = 1;
+      if (crs.epsg) keys[crs.geographic ? GEO_KEYS.GeographicTypeGeoKey : GEO_KEYS.ProjectedCSTypeGeoKey] = crs.epsg;
+      else console.warn('COG CRS has no EPSG code; only the model type is written to the GeoKeys');
+    }
+    for (const [name, id] of Object.entries(GEO_KEYS)) {
+      if (Number.isInteger(options[name])) keys[id] = options[name];
+    }
+    const ids = Object.keys(keys).map(Number).sort((a, b) => a - b);
+    if (ids.length) {
+      tags.GeoKeyDirectory = [1, 1, 0, ids.length, ...ids.flatMap(id => [id, 0, 1, keys[id]])];
+    }
+  }
+  return tags;
+}
+
+/**
+ * GDAL_METADATA XML with dataset items and per-band descriptions and units
+ * @ignore
+ */
+function gdalMetadata(metadata = {}, bandInfo = []) {
+  const escape = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const items = Object.entries(metadata)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([name, v]) => `<Item name="${escape(name)}">${escape(v)}</Item>`);
+  bandInfo.forEach((band, sample) => {
+    if (band?.description) items.push(`<Item name="DESCRIPTION" sample="${sample}" role="description">${escape(band.description)}</Item>`);
+    if (band?.units) items.push(`<Item name="UNITTYPE" sample="${sample}" role="unittype">${escape(band.units)}</Item>`);
+  });
+  return items.length ? `<GDALMetadata>${items.join('')}</GDALMetadata>` : null;
+}
+
+/**
+ * GDAL_NODATA text for a value
+ * @ignore
+ */
+function noDataText(value) {
+  if (Number.isNaN(value)) return 'nan';
+  if (value === Infinity) return 'inf';
+  if (value === -Infinity) return '-inf';
+  return String(value);
+}
+
+/**
+ * Byte length of an IFD and its out-of-line values
+ * @ignore
+ */
+function ifdLength(entries) {
+  let length = 2 + entries.length * 12 + 4;
+  for (const entry of entries) {
+    const bytes = entry.count * TYPE_SIZE[entry.type];
+    if (bytes > 4) length += bytes + (bytes & 1);
+  }
+  return length;
+}
+
+/**
+ * Write an IFD at `offset`, with out-of-line values following its entries
+ * @ignore
+ */
+function writeIFD(view, offset, entries, nextIFD) {
+  view.setUint16(offset, entries.length, true);
+  let extra = offset + 2 + entries.length * 12 + 4;
+  entries.forEach((entry, i) => {
+    const at = offset + 2 + i * 12;
+    const bytes = entry.count * TYPE_SIZE[entry.type];
+    view.setUint16(at, entry.tag, true);
+    view.setUint16(at + 2, entry.type, true);
+    view.setUint32(at + 4, entry.count, true);
+    let pos = at + 8;
+    if (bytes > 4) {
+      view.setUint32(at + 8, extra, true);
+      pos = extra;
+      extra += bytes + (bytes & 1);
+    }
+    for (let k = 0; k < entry.count; k++) {
+      const v = entry.values[k];
+      if (entry.type === ASCII) view.setUint8(pos + k, v);
+      else if (entry.type === SHORT) view.setUint16(pos + k * 2, v, true);
+      else if (entry.type === LONG) view.setUint32(pos + k * 4, v, true);
+      else view.setFloat64(pos + k * 8, v, true);
+    }
+  });
+  view.setUint32(offset + 2 + entries.length * 12, nextIFD, true);
+}
+
+/**
+ * Write a cloud-optimized GeoTIFF.
+ * Bands are flat arrays in row-major order (north row first) or arrays of rows; all bands share
+ * one sample type, taken from the first band's typed array class unless `dtype` is given (plain
+ * arrays are written as float32). Missing values (null, undefined, NaN) are written as `noData`.
+ * Overviews are halved until they fit in one tile, averaging valid pixels for floating point data
+ * and taking the nearest pixel for integer (e.g. categorical) data by default.
+ * @param {Array<TypedArray|Array>} bands - Band values
+ * @param {number} width - Raster width in pixels
+ * @param {number} height - Raster height in pixels
+ * @param {Object} [options]
+ * @param {string} [options.compression='DEFLATE'] - 'DEFLATE', 'LZW' or 'NONE'; LZW is used when CompressionStream is unavailable
+ * @param {boolean|number} [options.predictor=true] - Horizontal (2) or floating point (3) predictor for compressed tiles
+ * @param {number} [options.tileSize=256] - Tile width and height, a multiple of 16
+ * @param {boolean} [options.overviews=true] - Write internal overviews
+ * @param {string} [options.resampling] - Overview resampling, 'average' or 'nearest'
+ * @param {string} [options.dtype] - Sample type: uint8, int8, uint16, int16, uint32, int32, float32 (float) or float64 (double)
+ * @param {number} [options.noData] - NoData value, written as the GDAL_NODATA tag
+ * @param {Array<number>} [options.bbox] - [west, south, east, north] of the raster's outer edges
+ * @param {number|string|Object} [options.crs] - EPSG code or WKT of the bbox (4326 when only bbox is given)
+ * @param {Object} [options.metadata] - Dataset metadata items, written to the GDAL_METADATA tag
+ * @param {Array<Object>} [options.bandInfo] - Per band { description, units }, written to the GDAL_METADATA tag
+ * @param {Array<number>} [options.ModelTiepoint] - GeoTIFF tags copied as given instead of bbox/crs
+ * (also ModelPixelScale, ModelTransformation, GeoKeyDirectory, GeoDoubleParams, GeoAsciiParams,
+ * GDAL_NODATA, GDAL_METADATA and the GTModelTypeGeoKey, GTRasterTypeGeoKey, GeographicTypeGeoKey, ProjectedCSTypeGeoKey keys)
+ * @returns {Promise<ArrayBuffer>} GeoTIFF file bytes
+ * @ignore
+ */
+export async function writeCOG(bands, width, height, options = {}) {
+  width = Number(width);
+  height = Number(height);
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error(`COG width and height must be positive integers, got ${width} x ${height}`);
+  }
+  if (!Array.isArray(bands) || !bands.length) throw new Error('COG needs at least one band');
+  if (bands.length > 65535) throw new Error(`COG cannot hold ${bands.length} bands`);
+
+  const tileSize = options.tileSize ?? 256;
+  if (!Number.isInteger(tileSize) || tileSize < 16 || tileSize % 16) {
+    throw new Error(`COG tileSize must be a positive multiple of 16, got ${tileSize}`);
+  }
+  const dtype = DTYPE_ALIASES[options.dtype] || options.dtype || bandType(bands[0]);
+  const type = DTYPES[dtype];
+  if (!type) throw new Error(`Unsupported COG dtype '${dtype}'. Use one of: ${Object.keys(DTYPES).join(', ')}`);
+
+  let noData = options.noData;
+  if ((noData === undefined || noData === null) && options.GDAL_NODATA !== undefined) {
+    noData = parseFloat(String(options.GDAL_NODATA).replace(/\0/g, ''));
+    if (Number.isNaN(noData) && !/nan/i.test(options.GDAL_NODATA)) noData = undefined;
+  }
+  noData = noData === null ? undefined : noData;
+  const integer = type.format !== 3;
+  if (integer && noData !== undefined && (Number.isNaN(noData) || new type.array([noData])[0] !== noData)) {
+    throw new Error(`NoData value ${noData} cannot be stored as ${dtype}`);
+  }
+  const fill = noData ?? (integer ? 0 : NaN);
+
+  let compressionName = String(options.compression || 'DEFLATE').toUpperCase();
+  if (!(compressionName in COMPRESSION)) {
+    throw new Error(`Unsupported COG compression '${options.compression}'. Use DEFLATE, LZW or NONE`);
+  }
+  if (compressionName === 'DEFLATE' && typeof CompressionStream === 'undefined') {
+    console.warn('CompressionStream is unavailable; writing LZW compressed tiles instead of DEFLATE');
+    compressionName = 'LZW';
+  }
+  const compression = COMPRESSION[compressionName];
+  let predictor = 1;
+  if (compression !== COMPRESSION.NONE && options.predictor !== false && options.predictor !== 1) {
+    predictor = integer ? 2 : 3;
+    if (typeof options.predictor === 'number' && options.predictor !== predictor) {
+      throw new Error(`Predictor ${options.predictor} does not apply to ${dtype} samples`);
+    }
+  }
+
+  const resampling = options.resampling || (integer ? 'nearest' : 'average');
+  if (!['average', 'nearest'].includes(resampling)) {
+    throw new Error(`Unsupported overview resampling '${resampling}'. Use 'average' or 'nearest'`);
+  }
+
+  // Full resolution first, then each overview at half the previous size
+  const levels = [{ bands: bands.map(b => toTypedBand(b, dtype, width, height, fill)), width, height }];
+  if (options.overviews !== false) {
+    let level = levels[0];
+    while (level.width > tileSize || level.height > tileSize) {
+      const halves = level.bands.map(b => downsample(b, level.width, level.height, resampling, noData, integer));
+      level = { bands: halves.map(h => h.band), width: halves[0].width, height: halves[0].height };
+      levels.push(level);
+    }
+  }
+
+  const layout = { tileSize, type, compression, predictor, fill };
+  for (const level of levels) level.tiles = await encodeTiles(level.bands, level.width, level.height, layout);
+
+  const samples = bands.length;
+  const geoTags = georeferenceTags(options, width, height);
+  const noDataValue = noData !== undefined ? noDataText(noData) : null;
+  const metadata = gdalMetadata(options.metadata, options.bandInfo) || options.GDAL_METADATA;
+  const entry = (tag, type, values) => ({ tag, type, values, count: values.length });
+  const ascii = (text) => Array.from(new TextEncoder().encode(`${text}\0`));
+
+  levels.forEach((level, index) => {
+    const tiles = level.tiles.length;
+    const entries = [
+      entry(254, LONG, [index === 0 ? 0 : 1]),
+      entry(256, LONG, [level.width]),
+      entry(257, LONG, [level.height]),
+      entry(258, SHORT, new Array(samples).fill(type.bits)),
+      entry(259, SHORT, [compression]),
+      entry(262, SHORT, [1]),
+      entry(277, SHORT, [samples]),
+      entry(284, SHORT, [1])
+    ];
+    if (predictor !== 1) entries.push(entry(317, SHORT, [predictor]));
+    entries.push(
+      entry(322, LONG, [tileSize]),
+      entry(323, LONG, [tileSize]),
+      entry(324, LONG, new Array(tiles).fill(0)),
+      entry(325, LONG, level.tiles.map(t => t.length))
+    );
+    if (samples > 1) entries.push(entry(338, SHORT, new Array(samples - 1).fill(0)));
+    entries.push(entry(339, SHORT, new Array(samples).fill(type.format)));
+    if (index === 0) {
+      if (geoTags.ModelPixelScale) entries.push(entry(33550, DOUBLE, Array.from(geoTags.ModelPixelScale)));
+      if (geoTags.ModelTiepoint) entries.push(entry(33922, DOUBLE, Array.from(geoTags.ModelTiepoint)));
+      if (geoTags.ModelTransformation) entries.push(entry(34264, DOUBLE, Array.from(geoTags.ModelTransformation)));
+      if (geoTags.GeoKeyDirectory) entries.push(entry(34735, SHORT, Array.from(geoTags.GeoKeyDirectory)));
+      if (geoTags.GeoDoubleParams) entries.push(entry(34736, DOUBLE, Array.from(geoTags.GeoDoubleParams)));
+      if (geoTags.GeoAsciiParams) entries.push(entry(34737, ASCII, ascii(String(geoTags.GeoAsciiParams).replace(/\0+$/, ''))));
+      if (metadata) entries.push(entry(42112, ASCII, ascii(String(metadata).replace(/\0+$/, ''))));
+    }
+    if (noDataValue !== null) entries.push(entry(42113, ASCII, ascii(noDataValue)));
+    level.entries = entries;
+  });
+
+  // GDAL's structural metadata tells readers the file keeps the COG layout
+  const structure = 'LAYOUT=IFDS_BEFORE_DATA\nBLOCK_ORDER=ROW_MAJOR\nBLOCK_LEADER=NONE\nBLOCK_TRAILER=NONE\nKNOWN_INCOMPATIBLE_EDITION=NO\n ';
+  const ghost = new TextEncoder().encode(`GDAL_STRUCTURAL_METADATA_SIZE=${String(structure.length).padStart(6, '0')} bytes\n${structure}`);
+
+  let offset = 8 + ghost.length + (ghost.length & 1);
+  for (const level of levels) {
+    level.offset = offset;
+    offset += ifdLength(level.entries);
+  }
+  for (const level of [...levels].reverse()) {
+    const offsets = level.entries.find(e => e.tag === 324).values;
+    level.tiles.forEach((tile, i) => {
+      offsets[i] = offset;
+      offset += tile.length;
+    });
+  }
+  if (offset > 2 ** 32 - 1) throw new Error('COG exceeds 4 GB; BigTIFF output is not supported');
+
+  const bytes = new Uint8Array(offset);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x49, 0x49], 0);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, levels[0].offset, true);
+  bytes.set(ghost, 8);
+  levels.forEach((level, index) => {
+    writeIFD(view, level.offset, level.entries, index + 1 < levels.length ? levels[index + 1].offset : 0);
+    const offsets = level.entries.find(e => e.tag === 324).values;
+    level.tiles.forEach((tile, i) => bytes.set(tile, offsets[i]));
+  });
+  return bytes.buffer;
+}
+
+/**
+ * Whether bytes are a (Big)TIFF already laid out as a COG (GDAL structural metadata after the header)
+ * @param {ArrayBuffer|TypedArray} bytes
+ * @returns {boolean}
+ * @ignore
+ */
+export function isCOG(bytes) {
+  const view = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const little = view[0] === 0x49 && view[1] === 0x49;
+  if (!little && !(view[0] === 0x4d && view[1] === 0x4d)) return false;
+  const version = little ? view[2] | (view[3] << 8) : (view[2] << 8) | view[3];
+  if (version !== 42 && version !== 43) return false;
+  // The structural metadata follows the classic (8 byte) or BigTIFF (16 byte) header
+  const text = new TextDecoder().decode(view.subarray(version === 42 ? 8 : 16, 216));
+  return text.startsWith('GDAL_STRUCTURAL_METADATA_SIZE=') && text.includes('LAYOUT=IFDS_BEFORE_DATA');
+}
+
+/**
+ * Georeferencing and NoData of a geotiff.js image, as writeCOG options
+ * @param {Object} image - GeoTIFF image (geotiff.js)
+ * @returns {Object} GeoTIFF tags and noData
+ * @ignore
+ */
+export function tiffGeoreference(image) {
+  const directory = typeof image.getFileDirectory === 'function' ? image.getFileDirectory() || {} : {};
+  const options = {};
+  for (const name of GEOTIFF_TAGS) {
+    const value = directory[name];
+    if (value === undefined || value === null) continue;
+    options[name] = typeof value === 'string' ? value : Array.from(value);
+  }
+  if (!options.GeoKeyDirectory && typeof image.getGeoKeys === 'function') {
+    const keys = image.getGeoKeys() || {};
+    for (const name of Object.keys(GEO_KEYS)) {
+      if (Number.isInteger(keys[name])) options[name] = keys[name];
+    }
+  }
+  if (typeof directory.GDAL_METADATA === 'string') options.GDAL_METADATA = directory.GDAL_METADATA;
+  if (directory.GDAL_NODATA !== undefined && directory.GDAL_NODATA !== null) {
+    const text = String(directory.GDAL_NODATA).replace(/\0/g, '').trim();
+    const value = parseFloat(text);
+    if (!Number.isNaN(value) || /^nan$/i.test(text)) options.noData = value;
+  }
+  return options;
+}
+
+/**
+ * Re-encode a geotiff.js image as a cloud-optimized GeoTIFF, keeping its georeferencing and NoData
+ * @param {Object} image - GeoTIFF image (geotiff.js)
+ * @param {Object} [options] - writeCOG options, overriding the image's own tags
+ * @returns {Promise<ArrayBuffer>} GeoTIFF file bytes
+ * @ignore
+ */
+export async function imageToCOG(image, options = {}) {
+  const rasters = await image.readRasters();
+  const bands = Array.from({ length: rasters.length }, (_, i) => rasters[i]);
+  return writeCOG(bands, image.getWidth(), image.getHeight(), { ...tiffGeoreference(image), ...options });
+}
@@ -0,0 +1,343 @@
+/**
+ * Credential store for datasource API keys
+ * Keys are encrypted with AES-GCM (Web Crypto) and persisted as pinned entries of the HydroLang cache
+ * backend, so they survive reloads without ever being stored in clear text. The encryption key is derived
+ * from a passphrase (PBKDF2) when one is configured; otherwise a non-extractable key is generated and kept
+ * in the backend itself, which only works for backends that store CryptoKeys (IndexedDB, memory).
+ * Every key handed out is remembered for the session so redactSecrets() can scrub it from logs and errors.
+ */
+
+// Written in place of key values in logs, errors, cache metadata and provenance records
+export const REDACTED = '[REDACTED]';
+
+// Source keys live under cred_source:<name>, so no source name can collide with the encryption key entry
+const ENTRY_PREFIX = 'cred_';
+const KEY_ENTRY = `${ENTRY_PREFIX}key`;
+const sourceEntry = (source) => `${ENTRY_PREFIX}source:${source}`;
+const VERIFIER = 'hydrolang-credentials';
+const PBKDF2_ITERATIONS = 310000;
+
+// Where requirements.keylocation may place the key of a source
+export const KEY_LOCATIONS = ['header', 'query', 'body'];
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Key values seen this session, scrubbed by redactSecrets
+const activeSecrets = new Set();
+
+/**
+ * Remember a key value so it is redacted from logs, errors and provenance
+ * @ignore
+ */
+export function trackSecret(value) {
+  // Very short values would redact unrelated text
+  if (typeof value === 'string' && value.length >= 4) activeSecrets.add(value);
+  return value;
+}
+
+/**
+ * Replace every known key value (raw or URL-encoded) in a string
+ * @param {string} text - Log line, URL or error message
+ * @param {Array<string>} [extra] - Additional values to scrub
+ * @returns {string}
+ * @ignore
+ */
+export function redactSecrets(text, extra = []) {
+  if (text === null || text === undefined) return text;
+  let out = String(text);
+  for (const secret of [...activeSecrets, ...extra]) {
+    if (typeof secret !== 'string' || secret.length < 4) continue;
+    const forms = new Set([secret, encodeURIComponent(secret), new URLSearchParams({ k: secret }).toString().slice(2)]);
+    for (const form of forms) out = out.split(form).join(REDACTED);
+  }
+  return out;
+}
+
+/**
+ * Whether a cache entry belongs to the credential store
+ * @ignore
+ */
+export function isCredentialEntry(cacheKey) {
+  return String(cacheKey).startsWith(ENTRY_PREFIX);
+}
+
+function subtle() {
+  const api = globalThis.crypto?.subtle;
+  if (!api) {
+    throw new Error('Web Crypto (crypto.subtle) is not available; cannot encrypt credentials');
+  }
+  return api;
+}
+
+function envPassphrase() {
+  return typeof process !== 'undefined' ? process.env?.HYDROLANG_CREDENTIAL_PASSPHRASE || null : null;
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await subtle().importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle().deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// The label (source name) is authenticated with the ciphertext so entries cannot be swapped between sources
+async function encrypt(key, text, label) {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const data = await subtle().encrypt({ name: 'AES-GCM', iv, additionalData: encoder.encode(label) }, key, encoder.encode(text));
+  return { iv: [...iv], data };
+}
+
+async function decrypt(key, { iv, data }, label) {
+  const plain = await subtle().decrypt(
+    { name: 'AES-GCM', iv: new Uint8Array(iv), additionalData: encoder.encode(label) },
+    key,
+    new Uint8Array(data)
+  );
+  return decoder.decode(plain);
+}
+
+function storeEntry(cacheKey, data, fields) {
+  return {
+    cacheKey,
+    data,
+    url: `credential://${cacheKey.slice(ENTRY_PREFIX.length)}`,
+    source: 'runtime',
+    dataset: 'credentials',
+    format: 'credential',
+    pinned: true,
+    size: data.byteLength,
+    timestamp: Date.now(),
+    lastAccessed: Date.now(),
+    ...fields
+  };
+}
+
+/**
+ * Encrypted per-source API key store
+ * Without a HydroLang cache (config.cache: false) keys are kept in memory for the session only.
+ * Clearing the whole cache also removes the stored keys.
+ * @class
+ * @ignore
+ */
+export class CredentialStore {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.cache] - Returns the HydroLangCache keys are persisted in
+   * @param {Function} [options.passphrase] - Returns the configured passphrase, if any
+   */
+  constructor(options = {}) {
+    this.getCache = options.cache || (() => globalThis.hydro?.cache);
+    this.getPassphrase = options.passphrase || (() => null);
+    this.session = new Map();
+    this.keyPromise = null;
+  }
+
+  _cache() {
+    const cache = this.getCache();
+    return cache && typeof cache._putEntry === 'function' ? cache : null;
+  }
+
+  _key() {
+    if (!this.keyPromise) {
+      this.keyPromise = this._loadKey().catch(error => {
+        this.keyPromise = null;
+        throw error;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  async _loadKey() {
+    const passphrase = this.getPassphrase() || envPassphrase();
+    if (passphrase) return this._unlock(passphrase);
+
+    const cache = this._cache();
+    const stored = await cache._getEntry(KEY_ENTRY);
+    if (stored?.mode === 'passphrase') {
+      throw new Error('Stored credentials are protected by a passphrase; call hydro.data.credentials.unlock(passphrase) or set config.credentialPassphrase');
+    }
+    if (stored?.cryptoKey?.type === 'secret') return stored.cryptoKey;
+
+    const unsupported = new Error(`The '${cache.backend?.name || 'custom'}' cache backend cannot hold the credential encryption key; ` +
+      'set config.credentialPassphrase (or HYDROLANG_CREDENTIAL_PASSPHRASE) or call hydro.data.credentials.unlock(passphrase)');
+    if (stored) throw unsupported;
+
+    const key = await subtle().generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await cache._putEntry(storeEntry(KEY_ENTRY, new ArrayBuffer(0), { mode: 'device', cryptoKey: key }));
+    // Backends that serialize entries (e.g. to JSON files) drop the key; never write credentials it could not decrypt
+    if ((await cache._getEntry(KEY_ENTRY))?.cryptoKey?.type !== 'secret') {
+      await cache._deleteEntry(KEY_ENTRY);
+      throw unsupported;
+    }
+    return key;
+  }
+
+  async _unlock(passphrase) {
+    const cache = this._cache();
+    const stored = await cache._getEntry(KEY_ENTRY);
+    if (stored?.mode === 'passphrase') {
+      const key = await deriveKey(passphrase, new Uint8Array(stored.data));
+      try {
+        await decrypt(key, stored.verifier, VERIFIER);
+      } catch (error) {
+        throw new Error('Incorrect credential passphrase');
+      }
+      return key;
+    }
+
+    // First passphrase: keys stored under a generated key are re-encrypted with the derived one
+    const previous = [];
+    if (stored?.cryptoKey?.type === 'secret') {
+      for (const source of await this._persistedSources()) {
+        previous.push([source, await decrypt(stored.cryptoKey, await cache._getEntry(sourceEntry(source)), source)]);
+      }
+    }
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt);
+    const { iv, data } = await encrypt(key, VERIFIER, VERIFIER);
+    await cache._putEntry(storeEntry(KEY_ENTRY, salt.buffer, { mode: 'passphrase', verifier: { iv, data: [...new Uint8Array(data)] } }));
+    for (const [source, value] of previous) await this._write(source, value, key);
+    return key;
+  }
+
+  async _write(source, value, key) {
+    const { iv, data } = await encrypt(key || await this._key(), value, source);
+    await this._cache()._putEntry(storeEntry(sourceEntry(source), data, { iv, credential: source }));
+  }
+
+  async _persistedSources() {
+    const cache = this._cache();
+    if (!cache) return [];
+    return (await cache._getAllEntries())
+      .filter(entry => isCredentialEntry(entry.cacheKey) && entry.cacheKey !== KEY_ENTRY)
+      .map(entry => entry.credential);
+  }
+
+  /**
+   * Derive the encryption key from a passphrase (needed for the filesystem backend, optional elsewhere).
+   * The first passphrase protects the store from then on.
+   * @param {string} passphrase
+   * @returns {Promise<boolean>} true once unlocked
+   */
+  async unlock(passphrase) {
+    if (typeof passphrase !== 'string' || !passphrase) {
+      throw new Error('unlock requires a passphrase');
+    }
+    if (!this._cache()) return true;
+    this.keyPromise = this._unlock(passphrase);
+    try {
+      await this.keyPromise;
+    } catch (error) {
+      this.keyPromise = null;
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Forget the decrypted keys and the encryption key held in memory
+   */
+  lock() {
+    this.session.clear();
+    this.keyPromise = null;
+  }
+
+  /**
+   * Store the API key of a source
+   * @param {string} source - Datasource name (params.source)
+   * @param {string} key - API key
+   * @returns {Promise<Object>} { source, persisted }
+   */
+  async set(source, key) {
+    if (typeof source !== 'string' || !source) {
+      throw new Error('credentials.set requires a source name');
+    }
+    if (typeof key !== 'string' || !key) {
+      throw new Error(`credentials.set('${source}') requires the API key as a non-empty string`);
+    }
+    if (!this._cache()) {
+      this.session.set(source, trackSecret(key));
+      console.warn(`No HydroLang cache available; the key for '${source}' is kept for this session only`);
+      return { source, persisted: false };
+    }
+    await this._write(source, key);
+    this.session.set(source, trackSecret(key));
+    return { source, persisted: true };
+  }
+
+  /**
+   * API key of a source, or null when none is stored
+   * @param {string} source - Datasource name
+   * @returns {Promise<string|null>}
+   */
+  async get(source) {
+    if (this.session.has(source)) return this.session.get(source);
+    const cache = this._cache();
+    if (!cache) return null;
+
+    const entry = await cache._getEntry(sourceEntry(source));
+    if (!entry) return null;
+    const key = await this._key();
+    let value;
+    try {
+      value = await decrypt(key, entry, source);
+    } catch (error) {
+      throw new Error(`The stored key for '${source}' cannot be decrypted; set it again with hydro.data.credentials.set('${source}', key)`);
+    }
+    this.session.set(source, trackSecret(value));
+    return value;
+  }
+
+  /**
+   * Whether a key is stored for a source (without decrypting it)
+   * @param {string} source - Datasource name
+   * @returns {Promise<boolean>}
+   */
+  async has(source) {
+    if (this.session.has(source)) return true;
+    const cache = this._cache();
+    return !!cache && !!(await cache._getEntry(sourceEntry(source)));
+  }
+
+  /**
+   * Remove the key of a source
+   * @param {string} source - Datasource name
+   * @returns {Promise<boolean>} Whether a key was stored
+   */
+  async delete(source) {
+    const existed = await this.has(source);
+    this.session.delete(source);
+    const cache = this._cache();
+    if (cache) await cache._deleteEntry(sourceEntry(source));
+    return existed;
+  }
+
+  /**
+   * Names of the sources with a stored key (never the keys themselves)
+   * @returns {Promise<Array<string>>}
+   */
+  async list() {
+    const names = new Set([...this.session.keys(), ...await this._persistedSources()]);
+    return [...names].sort();
+  }
+
+  /**
+   * Remove every stored key and the encryption key
+   * @returns {Promise<number>} Number of keys removed
+   */
+  async clear() {
+    const names = await this.list();
+    const cache = this._cache();
+    if (cache) {
+      const entries = (await cache._getAllEntries()).filter(entry => isCredentialEntry(entry.cacheKey));
+      for (const entry of entries) await cache._deleteEntry(entry.cacheKey);
+    }
+    this.lock();
+    return names.length;
+  }
+}
@@ -0,0 +1,439 @@
+/**
+ * Delimited text utilities
+ * Streaming CSV/TSV parser for large text responses and files (USGS RDB, Meteostat bulk CSV, uploads).
+ * Text is decoded and split into records chunk by chunk, so only one batch of rows is held in memory:
+ *
+ *   const stream = parseDelimitedStream(response, { delimiter: '\t' });
+ *   for await (const rows of stream) { ... }   // batches of row objects
+ *   stream.columns, stream.types, stream.comments
+ *
+ * Comment lines ('#' by default), the RDB type row ('5s 15s 20d 14n 10s') and blank lines are skipped.
+ * Column types come from the RDB type row, `options.types` or the first `sampleRows` rows, and values are
+ * converted to numbers, booleans and Dates as rows are read; missing values become null.
+ */
+
+import { getTimezoneOffset } from './time-utils.js';
+
+const DELIMITER_CANDIDATES = [',', '\t', ';', '|'];
+const COLUMN_TYPES = ['number', 'integer', 'string', 'date', 'boolean'];
+// RDB type row fields: optional width and s (string), n (number) or d (date)
+const RDB_TYPE = /^\d*[snd]$/i;
+const RDB_TYPES = { s: 'string', n: 'number', d: 'date' };
+const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+const DATE = /^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?(?:Z|[+-]\d{2}:?\d{2})?$/i;
+const HAS_OFFSET = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+// Timezone abbreviations used by USGS (tz_cd) and other US agencies, in minutes from UTC
+const TIMEZONE_ABBREVIATIONS = {
+  UTC: 0, GMT: 0, Z: 0,
+  AST: -240, ADT: -180, EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360,
+  PST: -480, PDT: -420, AKST: -540, AKDT: -480, HST: -600, HDT: -540
+};
+
+const DEFAULTS = {
+  delimiter: 'auto',
+  header: 'auto',
+  comment: '#',
+  typeRow: 'auto',
+  types: {},
+  inferTypes: true,
+  sampleRows: 100,
+  dates: true,
+  timezone: 'UTC',
+  timezoneColumn: 'auto',
+  missing: ['', 'NA', 'N/A', 'NaN', 'nan', 'null', 'NULL'],
+  output: 'objects',
+  batchSize: 1000,
+  encoding: 'utf-8'
+};
+
+/**
+ * Text chunks of a Response, Blob, ReadableStream, ArrayBuffer, string or (async) iterable of strings/bytes
+ * @ignore
+ */
+async function* textChunks(source, encoding) {
+  if (typeof source === 'string') {
+    yield source;
+    return;
+  }
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    yield new TextDecoder(encoding).decode(source);
+    return;
+  }
+  let iterable = source;
+  if (source && typeof source.getReader !== 'function' && source.body !== undefined && typeof source.text === 'function') {
+    // Response: stream the body when there is one
+    if (!source.body) {
+      yield await source.text();
+      return;
+    }
+    iterable = source.body;
+  } else if (source && typeof source.stream === 'function' && typeof source.arrayBuffer === 'function') {
+    iterable = source.stream();
+  }
+
+  const decoder = new TextDecoder(encoding);
+  const decode = (chunk) => (typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+  if (iterable && typeof iterable.getReader === 'function') {
+    const reader = iterable.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        yield decode(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else if (iterable && (typeof iterable[Symbol.asyncIterator] === 'function' || typeof iterable[Symbol.iterator] === 'function')) {
+    for await (const chunk of iterable) yield decode(chunk);
+  } else {
+    throw new Error('Expected a string, Blob, Response, ReadableStream, ArrayBuffer or iterable of text chunks');
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+/**
+ * Index of the newline ending a record that contains quotes, or -1 when the record continues in the next chunk
+ * @ignore
+ */
+function quotedRecordEnd(text, start) {
+  let inQuotes = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === '\n' && !inQuotes) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split complete records off the front of a text buffer (newlines inside quoted fields do not end a record)
+ * @returns {Object} { records, rest } - rest is the incomplete last record
+ * @ignore
+ */
+export function splitRecords(text, final = false) {
+  const records = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = text.indexOf('\n', start);
+    const quote = text.indexOf('"', start);
+    if (quote !== -1 && (end === -1 || quote < end)) end = quotedRecordEnd(text, start);
+    if (end === -1) {
+      if (!final) break;
+      end = text.length;
+    }
+    const record = text.slice(start, end);
+    records.push(record.endsWith('\r') ? record.slice(0, -1) : record);
+    start = end + 1;
+  }
+  return { records, rest: text.slice(start) };
+}
+
+/**
+ * Split one record into fields, handling quoted fields and "" escapes
+ * @ignore
+ */
+export function splitFields(record, delimiter) {
+  if (!record.includes('"')) return record.split(delimiter);
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < record.length; i++) {
+    const char = record[i];
+    if (inQuotes) {
+      if (char !== '"') field += char;
+      else if (record[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else inQuotes = false;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (record.startsWith(delimiter, i)) {
+      fields.push(field);
+      field = '';
+      i += delimiter.length - 1;
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Delimiter that occurs most often (outside quotes) in a record
+ * @ignore
+ */
+export function detectDelimiter(record) {
+  const unquoted = record.replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  for (const candidate of DELIMITER_CANDIDATES) {
+    const count = unquoted.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Type of a column from sample values: 'number', 'date', 'boolean' or 'string'.
+ * Numbers with leading zeros (site numbers, HUC codes) stay strings.
+ * @ignore
+ */
+export function inferColumnType(values) {
+  const present = values.map(value => value.trim()).filter(value => value !== '');
+  if (!present.length) return 'string';
+  if (present.every(value => NUMBER.test(value) && !/^[+-]?0\d/.test(value))) return 'number';
+  if (present.every(value => DATE.test(value))) return 'date';
+  if (present.every(value => /^(?:true|false)$/i.test(value))) return 'boolean';
+  return 'string';
+}
+
+/**
+ * Parse a timestamp; times without an offset are local to the given timezone
+ * (IANA name, fixed offset, hours or an abbreviation such as 'CST')
+ * @returns {Date|null}
+ * @ignore
+ */
+export function parseTimestamp(value, timezone = 'UTC') {
+  let text = String(value).trim();
+  if (!text) return null;
+  if (HAS_OFFSET.test(text)) {
+    const ms = Date.parse(text.replace(' ', 'T'));
+    return Number.isNaN(ms) ? null : new Date(ms);
+  }
+  text = text.replace(' ', 'T');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) text += 'T00:00:00';
+  const wall = Date.parse(`${text}Z`);
+  if (Number.isNaN(wall)) {
+    // Other layouts ('01/31/2020 12:00') are left to the platform parser
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : new Date(ms);
+  }
+  const abbreviation = typeof timezone === 'string' ? TIMEZONE_ABBREVIATIONS[timezone.toUpperCase()] : undefined;
+  if (abbreviation !== undefined) return new Date(wall - abbreviation * 60000);
+  // The offset is looked up twice so wall times next to a DST change resolve to the right instant
+  const offset = getTimezoneOffset(timezone, wall);
+  return new Date(wall - getTimezoneOffset(timezone, wall - offset));
+}
+
+/**
+ * Streaming parser for delimited text.
+ * Iterate it with `for await` to receive batches of rows; it can be iterated once.
+ * @ignore
+ */
+export class DelimitedTextStream {
+  /**
+   * @param {string|Blob|Response|ReadableStream|ArrayBuffer|AsyncIterable} source - Delimited text
+   * @param {Object} [options]
+   * @param {string} [options.delimiter='auto'] - Field delimiter (',' '\t' ';' '|'), detected from the header when 'auto'
+   * @param {boolean|string|Array<string>} [options.header='auto'] - First record holds column names; 'auto' treats it as a header
+   *   unless it contains numbers or dates. An array gives the column names of a file without a header
+   * @param {string|false} [options.comment='#'] - Records starting with this text are collected in `comments` and skipped
+   * @param {boolean|string} [options.typeRow='auto'] - Skip (and use) the RDB type row that follows the header
+   * @param {Object} [options.types] - Column types by name: 'number', 'integer', 'string', 'date' or 'boolean'
+   * @param {boolean} [options.inferTypes=true] - Infer the other column types from the first sampleRows rows (false keeps strings)
+   * @param {number} [options.sampleRows=100] - Rows read before the first batch to infer types
+   * @param {boolean|string} [options.dates=true] - Date columns become Date objects (true), ISO strings ('iso') or stay as read (false)
+   * @param {string|number} [options.timezone='UTC'] - Timezone of timestamps without an offset
+   * @param {string|false} [options.timezoneColumn='auto'] - Column holding each row's timezone abbreviation ('auto' uses tz_cd when present)
+   * @param {Array<string>} [options.missing] - Values read as null (defaults to '', 'NA', 'N/A', 'NaN', 'null')
+   * @param {string} [options.output='objects'] - Rows as 'objects' keyed by column name or as 'arrays'
+   * @param {number} [options.batchSize=1000] - Rows per batch
+   * @param {string} [options.encoding='utf-8'] - Text encoding of byte input
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.options = { ...DEFAULTS, ...options };
+    for (const [column, type] of Object.entries(this.options.types)) {
+      if (!COLUMN_TYPES.includes(type)) {
+        throw new Error(`Unsupported type '${type}' for column '${column}'. Supported types: ${COLUMN_TYPES.join(', ')}`);
+      }
+    }
+    this.delimiter = this.options.delimiter === 'auto' ? null : this.options.delimiter;
+    this.columns = Array.isArray(this.options.header) ? this.options.header.slice() : null;
+    // Whether the column names were read from a header record (otherwise given or generated as column1, column2, ...)
+    this.hasHeader = false;
+    this.types = null;
+    this.comments = [];
+    this.rowCount = 0;
+    // Values that could not be read as their column type, per column (stored as null)
+    this.invalid = {};
+    this._consumed = false;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    if (this._consumed) throw new Error('A delimited text stream can only be read once');
+    this._consumed = true;
+
+    const { batchSize, sampleRows } = this.options;
+    let typeRowChecked = this.options.typeRow === false;
+    let sample = [];
+    let batch = [];
+    let buffer = '';
+
+    const take = function* (records) {
+      for (const record of records) {
+        if (this.options.comment && record.startsWith(this.options.comment)) {
+          this.comments.push(record.slice(this.options.comment.length).trim());
+          continue;
+        }
+        if (!record.trim()) continue;
+        if (!this.delimiter) this.delimiter = detectDelimiter(record);
+        const fields = splitFields(record, this.delimiter);
+
+        if (!this.columns) {
+          if (this._isHeader(fields)) {
+            this.columns = fields.map((name, i) => name.trim() || `column${i + 1}`);
+            this.hasHeader = true;
+            continue;
+          }
+          this.columns = fields.map((_, i) => `column${i + 1}`);
+        }
+        if (!typeRowChecked) {
+          typeRowChecked = true;
+          if (fields.every(field => RDB_TYPE.test(field.trim()))) {
+            this._rdbTypes = fields.map(field => RDB_TYPES[field.trim().slice(-1).toLowerCase()]);
+            continue;
+          }
+        }
+        yield fields;
+      }
+    }.bind(this);
+
+    const emit = function* (fields) {
+      if (!this.types) {
+        sample.push(fields);
+        if (sample.length < sampleRows) return;
+        this._resolveTypes(sample);
+        for (const row of sample) batch.push(this._convert(row));
+        sample = [];
+      } else {
+        batch.push(this._convert(fields));
+      }
+      while (batch.length >= batchSize) yield batch.splice(0, batchSize);
+    }.bind(this);
+
+    for await (const chunk of textChunks(this.source, this.options.encoding)) {
+      buffer += chunk;
+      const { records, rest } = splitRecords(buffer);
+      buffer = rest;
+      for (const fields of take(records)) yield* emit(fields);
+    }
+    for (const fields of take(splitRecords(buffer, true).records)) yield* emit(fields);
+
+    if (!this.types) {
+      this._resolveTypes(sample);
+      for (const row of sample) batch.push(this._convert(row));
+    }
+    while (batch.length) yield batch.splice(0, batchSize);
+  }
+
+  /**
+   * Rows one at a time
+   */
+  async *rows() {
+    for await (const batch of this) yield* batch;
+  }
+
+  /**
+   * Read the whole input
+   * @returns {Promise<Object>} { columns, types, rows, comments }
+   */
+  async collect() {
+    const rows = [];
+    for await (const batch of this) {
+      for (const row of batch) rows.push(row);
+    }
+    return { columns: this.columns || [], types: this.types || {}, rows, comments: this.comments };
+  }
+
+  _isHeader(fields) {
+    const { header } = this.options;
+    if (header === false) return false;
+    if (header === true) return true;
+    return fields.every(field => {
+      const value = field.trim();
+      return !NUMBER.test(value) && !DATE.test(value);
+    });
+  }
+
+  _resolveTypes(sample) {
+    const { types, inferTypes, timezoneColumn } = this.options;
+    const columns = this.columns || (sample[0] || []).map((_, i) => `column${i + 1}`);
+    this.columns = columns;
+    this.types = {};
+    columns.forEach((column, i) => {
+      this.types[column] = types[column]
+        || this._rdbTypes?.[i]
+        || (inferTypes ? inferColumnType(sample.map(row => this._isMissing(row[i]) ? '' : (row[i] ?? ''))) : 'string');
+    });
+    this._timezoneIndex = timezoneColumn === 'auto' ? columns.indexOf('tz_cd') : (timezoneColumn ? columns.indexOf(timezoneColumn) : -1);
+  }
+
+  _isMissing(value) {
+    return value === undefined || this.options.missing.includes(value.trim());
+  }
+
+  _convert(fields) {
+    const { output, dates } = this.options;
+    const timezone = this._timezoneIndex >= 0 && fields[this._timezoneIndex]
+      ? fields[this._timezoneIndex].trim()
+      : this.options.timezone;
+    const row = output === 'arrays' ? [] : {};
+    this.columns.forEach((column, i) => {
+      const raw = fields[i];
+      let value = null;
+      if (!this._isMissing(raw)) {
+        const type = this.types[column];
+        const text = raw.trim();
+        if (type === 'number' || type === 'integer') {
+          value = NUMBER.test(text) ? Number(text) : null;
+          if (value !== null && type === 'integer') value = Math.trunc(value);
+        } else if (type === 'date' && dates) {
+          const date = parseTimestamp(text, timezone);
+          value = date && dates === 'iso' ? date.toISOString() : date;
+        } else if (type === 'boolean') {
+          value = /^true$/i.test(text) ? true : (/^false$/i.test(text) ? false : null);
+        } else {
+          value = raw;
+        }
+        if (value === null) this.invalid[column] = (this.invalid[column] || 0) + 1;
+      }
+      if (output === 'arrays') row.push(value);
+      else row[column] = value;
+    });
+    this.rowCount++;
+    return row;
+  }
+}
+
+/**
+ * Streaming parse of delimited text (see DelimitedTextStream for the options)
+ * @returns {DelimitedTextStream} Async iterable of row batches
+ * @ignore
+ */
+export function parseDelimitedStream(source, options = {}) {
+  return new DelimitedTextStream(source, options);
+}
+
+/**
+ * Parse all of a delimited text input
+ * @returns {Promise<Object>} { columns, types, rows, comments }
+ * @ignore
+ */
+export function readDelimited(source, options = {}) {
+  return new DelimitedTextStream(source, options).collect();
+}
+
+/**
+ * Whether a value can be consumed with for await (streams, async generators), excluding strings and arrays
+ * @ignore
+ */
+export function isAsyncIterable(value) {
+  return !!value && typeof value !== 'string' && typeof value[Symbol.asyncIterator] === 'function';
+}
@@ -4,52 +4,212 @@
  * Supports any file format and size with intelligent storage management
  */
 
+import { createCacheBackend } from './cache-backends.js';
+import { resolutionToMs } from './time-utils.js';
+import { readZip, writeZip } from './zip-utils.js';
+import { fetchWithRetry } from './request-scheduler.js';
+import { redactSecrets, isCredentialEntry } from './credentials.js';
+import { applyProxy, fallbackProxies, isProxiedUrl } from './proxy-config.js';
+import { REDACTED } from './provenance.js';
+
+const EVICTION_STRATEGIES = ['lru', 'lfu'];
+const BUNDLE_FORMAT = 'hydrolang-cache-bundle';
+const BUNDLE_VERSION = 1;
+
 /**
  * Universal cache for all data sources
+ * @param {Object} [options]
+ * @param {string|Object} [options.backend] - 'indexeddb' | 'memory' | 'filesystem' or a backend object (see cache-backends.js).
+ *   Defaults to IndexedDB in the browser and the filesystem in Node.js
+ * @param {string} [options.directory] - Cache directory for the filesystem backend
+ * @param {string} [options.dbName] - Database name for the IndexedDB backend
+ * @param {number} [options.maxCacheSize] - Total cache size limit in bytes
+ * @param {number} [options.maxFileSize] - Per-file size limit in bytes
+ * @param {number} [options.maxAge] - Entry lifetime in milliseconds
+ * @param {number} [options.cleanupInterval] - Minimum time between cleanup runs in milliseconds
+ * @param {Object} [options.policies] - Per-source / per-datatype policies keyed by 'source' or 'source/datatype' (see setPolicy)
+ * @param {string} [options.eviction='lru'] - Eviction order when over the size limit: 'lru' (least recently used) or 'lfu' (least frequently used)
+ * @param {number} [options.quotaFraction=0.8] - Fraction of the browser storage quota (navigator.storage.estimate) the cache may use
  * @ignore
  */
 export class HydroLangCache {
-  constructor() {
-    this.dbName = 'HydroLang_DataCache';
-    this.version = 1;
-    this.db = null;
-    this.maxCacheSize = 100 * 1024 * 1024 * 1024; // 100GB total
-    this.maxFileSize = 10 * 1024 * 1024 * 1024; // 10GB per file max
-    this.maxAge = 2 * 24 * 60 * 60 * 1000; // 2 days
-    this.cleanupInterval = 60 * 60 * 1000; // Cleanup every hour
+  constructor(options = {}) {
+    this.backend = createCacheBackend(options.backend, options);
+    this.ready = false;
+    this.maxCacheSize = options.maxCacheSize ?? 100 * 1024 * 1024 * 1024; // 100GB total
+    this.maxFileSize = options.maxFileSize ?? 10 * 1024 * 1024 * 1024; // 10GB per file max
+    this.maxAge = options.maxAge ?? 2 * 24 * 60 * 60 * 1000; // 2 days
+    this.cleanupInterval = options.cleanupInterval ?? 60 * 60 * 1000; // Cleanup every hour
     this.lastCleanup = 0;
+    this.quotaFraction = options.quotaFraction ?? 0.8;
+    this.policies = {};
+    this.setEviction(options.eviction || 'lru');
+    Object.entries(options.policies || {}).forEach(([target, policy]) => this.setPolicy(target, policy));
+  }
+
+  /**
+   * Set the cache policy for a source ('nws') or a source/datatype pair ('nws/forecast').
+   * Datatype policies override source policies, which override the cache-wide defaults.
+   * @param {string} target - 'source' or 'source/datatype'
+   * @param {Object|null} policy - Pass null to remove the policy
+   * @param {number|string} [policy.maxAge] - Time to live in ms or as a duration ('15min', '6H', '30D'); Infinity never expires
+   * @param {number|string} [policy.staleWhileRevalidate] - Extra time past maxAge during which the stale copy is served while it is refetched in the background
+   * @param {boolean} [policy.pinned] - Pinned entries are never expired or evicted
+   * @param {number} [policy.maxFileSize] - Largest payload stored for this target, in bytes
+   * @returns {Object|null} Normalized policy
+   */
+  setPolicy(target, policy) {
+    if (!target || typeof target !== 'string') {
+      throw new Error('Cache policy target must be a source name or "source/datatype"');
+    }
+    const key = target.toLowerCase();
+    if (policy === null) {
+      delete this.policies[key];
+      return null;
+    }
+
+    const normalized = { ...policy };
+    for (const field of ['maxAge', 'staleWhileRevalidate']) {
+      if (normalized[field] === undefined) continue;
+      const ms = normalized[field] === false ? 0 : resolutionToMs(normalized[field]);
+      if (ms === null || !(ms >= 0)) {
+        throw new Error(`Invalid ${field} '${normalized[field]}' in cache policy for '${target}'`);
+      }
+      normalized[field] = ms;
+    }
+    this.policies[key] = normalized;
+    return normalized;
+  }
+
+  /**
+   * Resolve the effective policy for a source and datatype
+   * @param {string} [source]
+   * @param {string} [dataType]
+   * @returns {Object} { maxAge, staleWhileRevalidate, pinned, maxFileSize }
+   */
+  getPolicy(source, dataType) {
+    const sourceKey = String(source || '').toLowerCase();
+    return {
+      maxAge: this.maxAge,
+      staleWhileRevalidate: 0,
+      pinned: false,
+      maxFileSize: this.maxFileSize,
+      ...this.policies[sourceKey],
+      ...(dataType ? this.policies[`${sourceKey}/${String(dataType).toLowerCase()}`] : undefined)
+    };
+  }
+
+  setEviction(strategy) {
+    const normalized = String(strategy).toLowerCase();
+    if (!EVICTION_STRATEGIES.includes(normalized)) {
+      throw new Error(`Unknown eviction strategy '${strategy}'. Available: ${EVICTION_STRATEGIES.join(', ')}`);
+    }
+    this.eviction = normalized;
+  }
+
+  /**
+   * Classify an entry as 'fresh', 'stale' (servable while revalidating) or 'expired'
+   * @ignore
+   */
+  getFreshness(entry, now = Date.now()) {
+    const policy = this.getPolicy(entry.source, entry.dataType);
+    if (entry.pinned || policy.pinned || !Number.isFinite(entry.timestamp)) return 'fresh';
+
+    const age = now - entry.timestamp;
+    if (age <= policy.maxAge) return 'fresh';
+    if (age <= policy.maxAge + policy.staleWhileRevalidate) return 'stale';
+    return 'expired';
+  }
+
+  /**
+   * Storage usage and the effective size limit.
+   * In browsers the limit is capped to quotaFraction of navigator.storage.estimate().quota.
+   * @returns {Promise<Object>} { cacheSize, usage, quota, limit }
+   */
+  async estimateStorage() {
+    const entries = await this._getAllEntries();
+    const cacheSize = entries.reduce((sum, entry) => sum + (entry.data?.byteLength ?? entry.size ?? 0), 0);
+
+    let usage = null;
+    let quota = null;
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+      try {
+        ({ usage = null, quota = null } = await navigator.storage.estimate());
+      } catch (error) {
+        console.warn('Storage estimate unavailable:', error.message);
+      }
+    }
+
+    const limit = quota ? Math.min(this.maxCacheSize, Math.floor(quota * this.quotaFraction)) : this.maxCacheSize;
+    return { cacheSize, usage, quota, limit };
+  }
+
+  /**
+   * Pin an entry (or every chunk of a chunked entry) so it is never expired or evicted
+   */
+  async pin(cacheKey) {
+    return this._setPinned(cacheKey, true);
+  }
+
+  async unpin(cacheKey) {
+    return this._setPinned(cacheKey, false);
+  }
+
+  async _setPinned(cacheKey, pinned) {
+    const entry = await this._getEntry(cacheKey);
+    if (entry) {
+      await this._updateEntry(entry, { pinned });
+      return true;
+    }
+
+    const chunks = (await this._getAllEntries()).filter(e => e.baseKey === cacheKey && e.isChunk);
+    for (const chunk of chunks) {
+      await this._updateEntry(chunk, { pinned });
+    }
+    return chunks.length > 0;
   }
 
   async init() {
-    if (this.db) return;
+    if (this.ready) return;
+    await this.backend.init();
+    this.ready = true;
+    console.log(`HydroLang cache initialized (${this.backend.name || 'custom'} backend)`);
+  }
 
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.version);
+  // Storage primitives. Every read/write of cache entries goes through the backend.
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        console.log('HydroLang cache initialized');
-        resolve();
-      };
+  async _getEntry(cacheKey) {
+    if (!this.ready) await this.init();
+    return this.backend.get(cacheKey);
+  }
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Main data store - now contains everything
-        if (!db.objectStoreNames.contains('files')) {
-          const store = db.createObjectStore('files', { keyPath: 'cacheKey' });
-          store.createIndex('url', 'url', { unique: false });
-          store.createIndex('source', 'source', { unique: false });
-          store.createIndex('dataset', 'dataset', { unique: false });
-          store.createIndex('timestamp', 'timestamp', { unique: false });
-          store.createIndex('size', 'size', { unique: false });
-          store.createIndex('format', 'format', { unique: false });
-          store.createIndex('source_dataset', ['source', 'dataset'], { unique: false });
-          store.createIndex('lastAccessed', 'lastAccessed', { unique: false });
-        }
-      };
-    });
+  async _putEntry(entry) {
+    if (!this.ready) await this.init();
+    return this.backend.put(entry);
+  }
+
+  async _deleteEntry(cacheKey) {
+    if (!this.ready) await this.init();
+    return this.backend.delete(cacheKey);
+  }
+
+  async _getAllEntries() {
+    if (!this.ready) await this.init();
+    return this.backend.getAll();
+  }
+
+  async _clearEntries() {
+    if (!this.ready) await this.init();
+    return this.backend.clear();
+  }
+
+  // Metadata-only update; backends that store payloads separately avoid rewriting them
+  async _updateEntry(entry, fields) {
+    if (typeof this.backend.update === 'function') {
+      return this.backend.update(entry.cacheKey, fields);
+    }
+    const full = entry.data === undefined ? await this._getEntry(entry.cacheKey) : entry;
+    if (full) await this._putEntry({ ...full, ...fields });
   }
 
   generateCacheKey(url, params = {}) {
@@ -57,9 +217,8 @@ export class HydroLangCache {
     const source = params.source || 'unknown';
     const dataType = params.datatype || 'data';
 
-    // Extract meaningful parameters from context
-    const context = globalThis._hydroCacheContext || {};
-    const args = context.params?.args || params.args || {};
+    // Extract meaningful parameters from the request arguments
+    const args = params.args || {};
 
     // Build human-readable key parts
     const keyParts = [source, dataType];
@@ -122,19 +281,11 @@ export class HydroLangCache {
 
   // Check for partial download and resume if possible
   async checkPartialDownload(url, options = {}) {
-    if (!this.db) await this.init();
-
     const baseKey = this.generateCacheKey(url, options.params || {});
     const manifestKey = `${baseKey}-manifest`;
 
     try {
-      const manifestEntry = await new Promise((resolve, reject) => {
-        const transaction = this.db.transaction(['files'], 'readonly');
-        const store = transaction.objectStore('files');
-        const request = store.get(manifestKey);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      });
+      const manifestEntry = await this._getEntry(manifestKey);
 
       if (!manifestEntry) return null;
 
@@ -145,13 +296,7 @@ export class HydroLangCache {
       for (let i = 0; i < manifest.totalChunks; i++) {
         const chunkKey = manifest.chunks[i];
         try {
-          const chunkEntry = await new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['files'], 'readonly');
-            const store = transaction.objectStore('files');
-            const request = store.get(chunkKey);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-          });
+          const chunkEntry = await this._getEntry(chunkKey);
           if (chunkEntry) downloadedChunks.push(i);
         } catch (e) {
           // Chunk not found
@@ -185,13 +330,7 @@ export class HydroLangCache {
       if (downloadedSet.has(i)) {
         // Chunk already downloaded, just retrieve it
         try {
-          const chunkEntry = await new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['files'], 'readonly');
-            const store = transaction.objectStore('files');
-            const request = store.get(manifest.chunks[i]);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-          });
+          const chunkEntry = await this._getEntry(manifest.chunks[i]);
           chunkBuffers.push(chunkEntry.data);
           console.log(`Using cached chunk ${i + 1}/${totalChunks}`);
         } catch (error) {
@@ -206,13 +345,13 @@ export class HydroLangCache {
         try {
           console.log(`Downloading missing chunk ${i + 1}/${totalChunks} (bytes ${start}-${end})`);
 
-          const rangeResponse = await globalThis._originalFetch(url, {
+          const rangeResponse = await fetchWithRetry(url, {
             ...options,
             headers: {
               ...options.headers,
               'Range': `bytes=${start}-${end}`
             }
-          });
+          }, { retry: options.retry, rateLimit: options.rateLimit });
 
           if (!rangeResponse.ok) {
             throw new Error(`Range request failed: ${rangeResponse.status} ${rangeResponse.statusText}`);
@@ -292,8 +431,6 @@ export class HydroLangCache {
 
   // Download file in chunks with immediate storage
   async downloadChunked(url, options = {}, chunkSize = 100 * 1024 * 1024) {
-    if (!this.db) await this.init();
-
     // Silent operation
 
     // Check for partial download first
@@ -332,7 +469,7 @@ export class HydroLangCache {
       acceptRanges = 'bytes'; // Assume range support
     }
     // For large files or cloud storage URLs, try range request to detect content length
-    else if (!contentLength && (isS3Url || context.expectedSize > 10 * 1024 * 1024) && !url.includes('noaa.gov') && !options.params?.skipSizeDetection) {
+    else if (!contentLength && (isS3Url || options.expectedSize > 10 * 1024 * 1024) && !url.includes('noaa.gov') && !options.params?.skipSizeDetection) {
       try {
         console.log('Trying range request to detect file size...');
         const rangeResponse = await globalThis._originalFetch(url, {
@@ -367,12 +504,12 @@ export class HydroLangCache {
     // For other URLs, only enable chunked download if we know the content length
     else if (!contentLength && !url.includes('noaa.gov') && !options.params?.skipSizeDetection) {
       console.warn('Could not determine content length, falling back to full download');
-      return globalThis._originalFetch(url, options);
+      return fetchWithRetry(url, options, { retry: options.retry, rateLimit: options.rateLimit });
     }
 
     // For very small files, don't bother with chunking (only if we know the size)
     if (contentLength && contentLength <= chunkSize) {
-      return globalThis._originalFetch(url, options);
+      return fetchWithRetry(url, options, { retry: options.retry, rateLimit: options.rateLimit });
     }
 
     const baseKey = this.generateCacheKey(url, options.params || {});
@@ -405,13 +542,13 @@ export class HydroLangCache {
 
         console.log(`Downloading ${chunkDesc}`);
 
-        const rangeResponse = await globalThis._originalFetch(url, {
+        const rangeResponse = await fetchWithRetry(url, {
           ...options,
           headers: {
             ...options.headers,
             'Range': `bytes=${start}-${end}`
           }
-        });
+        }, { retry: options.retry, rateLimit: options.rateLimit });
 
         if (!rangeResponse.ok) {
           if (rangeResponse.status === 416) {
@@ -519,111 +656,113 @@ export class HydroLangCache {
 
   // Automatically reassemble chunks for a baseKey
   async reassembleChunks(baseKey) {
-    if (!this.db) await this.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readonly');
-      const store = transaction.objectStore('files');
-
-      // Find all chunks for this baseKey
-      const chunks = [];
-      const request = store.openCursor();
-
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          const entry = cursor.value;
-          // Check if this is a chunk for our baseKey
-          if (entry.baseKey === baseKey && entry.isChunk) {
-            chunks.push({
-              index: entry.chunkIndex,
-              data: entry.data,
-              size: entry.data.byteLength
-            });
-          }
-          cursor.continue();
-        } else {
-          // Finished scanning, now reassemble
-          if (chunks.length === 0) {
-            resolve(null);
-            return;
-          }
+    // Find all chunks for this baseKey
+    const entries = await this._getAllEntries();
+    const chunks = [];
+    for (const entry of entries) {
+      // Sparse chunks (byte-range blocks of a remote file) never add up to the whole file
+      if (entry.baseKey !== baseKey || !entry.isChunk || entry.sparse) continue;
+      // Listings from some storage layers carry metadata only
+      const data = entry.data ?? (await this._getEntry(entry.cacheKey))?.data;
+      if (!data) continue;
+      chunks.push({ index: entry.chunkIndex, data, size: data.byteLength, entry });
+    }
 
-          // Sort chunks by index
-          chunks.sort((a, b) => a.index - b.index);
+    if (chunks.length === 0) return null;
 
-          // Concatenate
-          const totalSize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
-          const resultBuffer = new Uint8Array(totalSize);
-          let offset = 0;
+    // Sort chunks by index
+    chunks.sort((a, b) => a.index - b.index);
 
-          for (const chunk of chunks) {
-            resultBuffer.set(new Uint8Array(chunk.data), offset);
-            offset += chunk.size;
-          }
+    // Concatenate
+    const totalSize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+    const resultBuffer = new Uint8Array(totalSize);
+    let offset = 0;
 
-          resolve({
-            data: resultBuffer.buffer,
-            metadata: {
-              reassembled: true,
-              totalSize,
-              chunkCount: chunks.length,
-              baseKey
-            }
-          });
-        }
-      };
+    for (const chunk of chunks) {
+      resultBuffer.set(new Uint8Array(chunk.data), offset);
+      offset += chunk.size;
+    }
+
+    const { source, dataType, timestamp, pinned } = chunks[0].entry;
+    return {
+      data: resultBuffer.buffer,
+      metadata: {
+        reassembled: true,
+        totalSize,
+        chunkCount: chunks.length,
+        baseKey,
+        source,
+        dataType,
+        timestamp,
+        pinned
+      }
+    };
+  }
 
-      request.onerror = () => reject(request.error);
+  // Read a single chunk without reassembling the file; expired chunks count as misses
+  async getChunk(baseKey, chunkIndex) {
+    const cacheKey = this.generateChunkKey(baseKey, chunkIndex);
+    const entry = await this._getEntry(cacheKey);
+    if (!entry || !entry.isChunk) return null;
+    if (this.getFreshness(entry) === 'expired') {
+      await this.delete(cacheKey);
+      return null;
+    }
+    this.updateLastAccessed(cacheKey).catch(console.warn);
+    return entry.data;
+  }
+
+  // Store a single chunk of a file that is read piecewise (e.g. byte-range blocks of a remote COG).
+  // Chunks stored with sparse: true are skipped by reassembleChunks.
+  async putChunk(baseKey, chunkIndex, data, metadata = {}) {
+    const cacheKey = this.generateChunkKey(baseKey, chunkIndex);
+    return this.put(cacheKey, data, {
+      ...metadata,
+      cacheKey,
+      format: 'chunk',
+      isChunk: true,
+      chunkIndex,
+      baseKey
     });
   }
 
   async get(cacheKey) {
-    if (!this.db) await this.init();
-
     // First try to get as single file
-    const singleFile = await new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readonly');
-      const fileStore = transaction.objectStore('files');
-
-      const fileRequest = fileStore.get(cacheKey);
-
-      fileRequest.onsuccess = () => {
-        const entry = fileRequest.result;
-        if (entry && !entry.isChunk) {
-          const age = Date.now() - entry.timestamp;
-          if (age > this.maxAge) {
-            this.delete(cacheKey);
-            resolve(null);
-          } else {
-            resolve({
-              data: entry.data,
-              metadata: entry
-            });
-          }
-        } else {
-          resolve(null);
-        }
+    const entry = await this._getEntry(cacheKey);
+    if (entry && !entry.isChunk) {
+      const freshness = this.getFreshness(entry);
+      if (freshness === 'expired') {
+        await this.delete(cacheKey);
+        return null;
+      }
+      this.updateLastAccessed(cacheKey).catch(console.warn);
+      return {
+        data: entry.data,
+        // Stale entries are still served; callers are expected to revalidate them
+        metadata: freshness === 'stale' ? { ...entry, stale: true } : entry
       };
-
-      transaction.onerror = () => reject(transaction.error);
-    });
-
-    if (singleFile) return singleFile;
+    }
 
     // If no single file, try to reassemble chunks automatically
     const chunkedData = await this.reassembleChunks(cacheKey);
-    if (chunkedData) return chunkedData;
+    if (chunkedData) {
+      const freshness = this.getFreshness(chunkedData.metadata);
+      if (freshness === 'expired') {
+        await this.deleteChunks(cacheKey);
+        return null;
+      }
+      if (freshness === 'stale') chunkedData.metadata.stale = true;
+      return chunkedData;
+    }
 
     // Nothing found
     return null;
   }
 
   async put(cacheKey, data, metadata) {
-    if (!this.db) await this.init();
-
     // Check file size limit
-    if (data.byteLength > this.maxFileSize) {
+    const { maxFileSize } = this.getPolicy(metadata.source, metadata.dataType);
+    if (data.byteLength > maxFileSize) {
       console.warn(`File too large (${(data.byteLength / 1024 / 1024).toFixed(1)}MB), skipping cache`);
       return;
     }
@@ -631,36 +770,26 @@ export class HydroLangCache {
     // cacheKey is now passed as first parameter directly
     const entry = {
       cacheKey,
-      url: metadata.originalUrl || metadata.url || cacheKey,  // Store original URL for reference
       data,
       dataType: metadata.dataType,  // Add dataType to entry
+      size: data.byteLength,
       timestamp: Date.now(),
       lastAccessed: Date.now(),
-      ...metadata
+      accessCount: 0,
+      ...metadata,
+      url: redactSecrets(metadata.url || metadata.originalUrl || cacheKey)  // Store original URL for reference (without API keys)
     };
+    if (entry.originalUrl) entry.originalUrl = redactSecrets(entry.originalUrl);
+
+    await this._putEntry(entry);
+    console.log(`Cached: ${cacheKey} (${(data.byteLength / 1024 / 1024).toFixed(1)}MB)`);
 
     // Run cleanup if needed
     await this.cleanupIfNeeded();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readwrite');
-      const fileStore = transaction.objectStore('files');
-
-      // Store everything in files store only
-      const fileRequest = fileStore.put(entry);
-
-      transaction.oncomplete = () => {
-        console.log(`Cached: ${cacheKey} (${(data.byteLength / 1024 / 1024).toFixed(1)}MB)`);
-        resolve(cacheKey);
-      };
-
-      transaction.onerror = () => reject(transaction.error);
-    });
+    return cacheKey;
   }
 
   async putChunked(cacheKey, buffer, metadata, chunkSize = 100 * 1024 * 1024) {
-    if (!this.db) await this.init();
-
     const totalSize = buffer.byteLength;
     const totalChunks = Math.ceil(totalSize / chunkSize);
     const baseKey = cacheKey;
@@ -723,60 +852,50 @@ export class HydroLangCache {
   }
 
   async updateLastAccessed(cacheKey) {
-    if (!this.db) await this.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['metadata'], 'readwrite');
-      const store = transaction.objectStore('metadata');
-      const request = store.get(cacheKey);
-
-      request.onsuccess = () => {
-        if (request.result) {
-          const entry = request.result;
-          entry.lastAccessed = Date.now();
-          store.put(entry);
-        }
-        resolve();
-      };
-
-      request.onerror = () => reject(request.error);
-    });
+    const entry = await this._getEntry(cacheKey);
+    if (entry) {
+      await this._updateEntry(entry, {
+        lastAccessed: Date.now(),
+        accessCount: (entry.accessCount || 0) + 1
+      });
+    }
   }
 
-  async cleanupIfNeeded() {
-    if (!this.db) await this.init();
-
+  async cleanupIfNeeded(force = false) {
     const now = Date.now();
-    if (now - this.lastCleanup < this.cleanupInterval) return;
+    if (!force && now - this.lastCleanup < this.cleanupInterval) return;
 
     this.lastCleanup = now;
     console.log('Running cache cleanup...');
 
     try {
-      const stats = await this.getStats();
+      const entries = await this._getAllEntries();
+      const sizeOf = (entry) => entry.data?.byteLength ?? entry.size ?? 0;
 
-      // Remove expired files
-      const expiredKeys = [];
-      for (const entry of stats.entries) {
-        if ((now - entry.timestamp) > this.maxAge) {
-          expiredKeys.push(entry.cacheKey);
+      // Remove expired files (stale entries inside their revalidation window are kept)
+      const remaining = [];
+      for (const entry of entries) {
+        if (this.getFreshness(entry, now) === 'expired') {
+          await this.delete(entry.cacheKey);
+        } else {
+          remaining.push(entry);
         }
       }
 
-      for (const key of expiredKeys) {
-        await this.delete(key);
-      }
-
-      // Remove oldest files if still over size limit
-      if (stats.totalSize > this.maxCacheSize) {
-        const remainingStats = await this.getStats();
-        const sortedEntries = remainingStats.entries.sort((a, b) => a.lastAccessed - b.lastAccessed);
-
-        let sizeToRemove = remainingStats.totalSize - this.maxCacheSize;
-        for (const entry of sortedEntries) {
+      // Evict unpinned files if still over the size limit (maxCacheSize or the storage quota)
+      const { limit } = await this.estimateStorage();
+      const totalSize = remaining.reduce((sum, entry) => sum + sizeOf(entry), 0);
+      if (totalSize > limit) {
+        const candidates = remaining.filter(entry => !entry.pinned && !this.getPolicy(entry.source, entry.dataType).pinned);
+        candidates.sort(this.eviction === 'lfu'
+          ? (a, b) => (a.accessCount || 0) - (b.accessCount || 0) || a.lastAccessed - b.lastAccessed
+          : (a, b) => a.lastAccessed - b.lastAccessed);
+
+        let sizeToRemove = totalSize - limit;
+        for (const entry of candidates) {
           if (sizeToRemove <= 0) break;
           await this.delete(entry.cacheKey);
-          sizeToRemove -= entry.size;
+          sizeToRemove -= sizeOf(entry);
         }
       }
 
@@ -787,138 +906,94 @@ export class HydroLangCache {
   }
 
   async delete(cacheKey) {
-    if (!this.db) await this.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readwrite');
-      const fileStore = transaction.objectStore('files');
-
-      fileStore.delete(cacheKey);
+    await this._deleteEntry(cacheKey);
+  }
 
-      transaction.oncomplete = () => resolve();
-      transaction.onerror = () => reject(transaction.error);
-    });
+  async deleteChunks(baseKey) {
+    const chunks = (await this._getAllEntries()).filter(entry => entry.baseKey === baseKey && entry.isChunk);
+    for (const chunk of chunks) {
+      await this._deleteEntry(chunk.cacheKey);
+    }
   }
 
   async getStats() {
-    if (!this.db) await this.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readonly');
-      const store = transaction.objectStore('files');
-      const request = store.getAll();
-
-      request.onsuccess = () => {
-        const entries = request.result;
-        const totalSize = entries.reduce((sum, entry) => sum + (entry.data?.byteLength || 0), 0);
-
-        resolve({
-          totalFiles: entries.length,
-          totalSize,
-          totalSizeMB: (totalSize / 1024 / 1024).toFixed(1),
-          totalSizeGB: (totalSize / 1024 / 1024 / 1024).toFixed(2),
-          entries: entries.map(entry => ({
-            cacheKey: entry.cacheKey,
-            filename: entry.url?.split('/').pop() || 'unknown',
-            source: entry.source,
-            dataset: entry.dataset,
-            format: entry.format,
-            size: entry.data?.byteLength || 0,
-            sizeMB: ((entry.data?.byteLength || 0) / 1024 / 1024).toFixed(1),
-            timestamp: new Date(entry.timestamp).toISOString(),
-            lastAccessed: new Date(entry.lastAccessed).toISOString(),
-            age: Math.floor((Date.now() - entry.timestamp) / (24 * 60 * 60 * 1000))
-          }))
-        });
-      };
+    const entries = await this._getAllEntries();
+    const sizeOf = (entry) => entry.data?.byteLength ?? entry.size ?? 0;
+    const totalSize = entries.reduce((sum, entry) => sum + sizeOf(entry), 0);
 
-      request.onerror = () => reject(request.error);
-    });
+    return {
+      totalFiles: entries.length,
+      totalSize,
+      totalSizeMB: (totalSize / 1024 / 1024).toFixed(1),
+      totalSizeGB: (totalSize / 1024 / 1024 / 1024).toFixed(2),
+      entries: entries.map(entry => ({
+        cacheKey: entry.cacheKey,
+        filename: entry.url?.split('/').pop() || 'unknown',
+        source: entry.source,
+        dataset: entry.dataset,
+        format: entry.format,
+        size: sizeOf(entry),
+        sizeMB: (sizeOf(entry) / 1024 / 1024).toFixed(1),
+        timestamp: new Date(entry.timestamp).toISOString(),
+        lastAccessed: new Date(entry.lastAccessed).toISOString(),
+        age: Math.floor((Date.now() - entry.timestamp) / (24 * 60 * 60 * 1000))
+      }))
+    };
   }
 
   async clear() {
-    if (!this.db) await this.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readwrite');
-      const fileStore = transaction.objectStore('files');
-
-      fileStore.clear();
-
-      transaction.oncomplete = () => {
-        console.log('Cleared all cached data');
-        resolve();
-      };
-
-      transaction.onerror = () => reject(transaction.error);
-    });
+    await this._clearEntries();
+    console.log('Cleared all cached data');
   }
 
   async list(options = {}) {
-    if (!this.db) await this.init();
+    let entries = await this._getAllEntries();
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readonly');
-      const store = transaction.objectStore('files');
-      const request = store.getAll();
+    // Filter by source if specified
+    if (options.source) {
+      entries = entries.filter(entry => entry.source === options.source);
+    }
 
-      request.onsuccess = () => {
-        let entries = request.result;
+    // Filter by dataType if specified
+    if (options.dataType) {
+      entries = entries.filter(entry => entry.dataType === options.dataType);
+    }
 
-        // Filter by source if specified
-        if (options.source) {
-          entries = entries.filter(entry => entry.source === options.source);
-        }
+    // Filter out runtime variables unless explicitly requested
+    if (!options.includeVariables) {
+      entries = entries.filter(entry => !entry.cacheKey.startsWith('var_'));
+    }
 
-        // Filter by dataType if specified
-        if (options.dataType) {
-          entries = entries.filter(entry => entry.dataType === options.dataType);
-        }
+    // Stored API keys are never listed
+    entries = entries.filter(entry => !isCredentialEntry(entry.cacheKey));
+
+    // Map to user-friendly format
+    const results = entries.map(entry => ({
+      cacheKey: entry.cacheKey,
+      source: entry.source,
+      dataType: entry.dataType,
+      format: entry.format,
+      size: entry.size,
+      sizeFormatted: this.formatBytes(entry.size),
+      timestamp: entry.timestamp,
+      lastAccessed: entry.lastAccessed,
+      age: Date.now() - entry.timestamp,
+      ageFormatted: this.formatAge(Date.now() - entry.timestamp),
+      accessCount: entry.accessCount || 0,
+      pinned: !!entry.pinned,
+      freshness: this.getFreshness(entry),
+      url: entry.url
+    }));
 
-        // Filter out runtime variables unless explicitly requested
-        if (!options.includeVariables) {
-          entries = entries.filter(entry => !entry.cacheKey.startsWith('var_'));
-        }
+    // Sort by most recently accessed
+    results.sort((a, b) => b.lastAccessed - a.lastAccessed);
 
-        // Map to user-friendly format
-        const results = entries.map(entry => ({
-          cacheKey: entry.cacheKey,
-          source: entry.source,
-          dataType: entry.dataType,
-          format: entry.format,
-          size: entry.size,
-          sizeFormatted: this.formatBytes(entry.size),
-          timestamp: entry.timestamp,
-          lastAccessed: entry.lastAccessed,
-          age: Date.now() - entry.timestamp,
-          ageFormatted: this.formatAge(Date.now() - entry.timestamp),
-          url: entry.url
-        }));
-
-        // Sort by most recently accessed
-        results.sort((a, b) => b.lastAccessed - a.lastAccessed);
-
-        resolve(results);
-      };
-      request.onerror = () => reject(request.error);
-    });
+    return results;
   }
 
   async getBySource(source) {
-    if (!this.db) await this.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readonly');
-      const store = transaction.objectStore('files');
-      const request = store.getAll();
-
-      request.onsuccess = () => {
-        const entries = request.result;
-        const filtered = entries.filter(entry => entry.source === source);
-        resolve(filtered);
-      };
-      request.onerror = () => reject(request.error);
-    });
+    const entries = await this._getAllEntries();
+    return entries.filter(entry => entry.source === source);
   }
 
   formatBytes(bytes) {
@@ -943,104 +1018,75 @@ export class HydroLangCache {
 
   // Runtime variable storage methods
   async storeVariable(key, value, metadata = {}) {
-    if (!this.db) await this.init();
-
     // Use a special cache key for variables
     const cacheKey = `var_${key}`;
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readwrite');
-      const fileStore = transaction.objectStore('files');
-
-      // Convert value to ArrayBuffer for storage
-      let buffer;
-      if (value instanceof ArrayBuffer) {
-        buffer = value;
-      } else if (typeof value === 'string') {
-        buffer = new TextEncoder().encode(value).buffer;
-      } else {
-        // For objects/arrays, JSON stringify
-        const jsonStr = JSON.stringify(value);
-        buffer = new TextEncoder().encode(jsonStr).buffer;
-      }
-
-      // Store everything in files store
-      const fileRequest = fileStore.put({
-        cacheKey,
-        data: buffer,
-        url: `variable://${key}`,
-        source: 'runtime',
-        dataset: 'variables',
-        format: metadata.format || 'json',
-        digestible: true,
-        filename: key,
-        size: buffer.byteLength,
-        timestamp: Date.now(),
-        lastAccessed: Date.now(),
-        variableKey: key,
-        variableType: typeof value,
-        ...metadata
-      });
-
-      transaction.oncomplete = () => {
-        console.log(`Stored runtime variable: ${key} (${buffer.byteLength} bytes)`);
-        resolve();
-      };
+    // Convert value to ArrayBuffer for storage
+    let buffer;
+    if (value instanceof ArrayBuffer) {
+      buffer = value;
+    } else if (typeof value === 'string') {
+      buffer = new TextEncoder().encode(value).buffer;
+    } else {
+      // For objects/arrays, JSON stringify
+      const jsonStr = JSON.stringify(value);
+      buffer = new TextEncoder().encode(jsonStr).buffer;
+    }
 
-      transaction.onerror = () => reject(transaction.error);
+    await this._putEntry({
+      cacheKey,
+      data: buffer,
+      url: `variable://${key}`,
+      source: 'runtime',
+      dataset: 'variables',
+      format: metadata.format || 'json',
+      digestible: true,
+      filename: key,
+      size: buffer.byteLength,
+      timestamp: Date.now(),
+      lastAccessed: Date.now(),
+      variableKey: key,
+      variableType: typeof value,
+      ...metadata
     });
+
+    console.log(`Stored runtime variable: ${key} (${buffer.byteLength} bytes)`);
   }
 
   async getVariable(key) {
-    if (!this.db) await this.init();
-
     const cacheKey = `var_${key}`;
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readonly');
-      const fileStore = transaction.objectStore('files');
-
-      // Get file data (everything is in files store now)
-      const fileRequest = fileStore.get(cacheKey);
-
-      fileRequest.onsuccess = () => {
-        const entry = fileRequest.result;
-        if (entry) {
-          // Update last accessed time
-          this.updateLastAccessed(cacheKey).catch(console.warn);
-
-          // Convert back to original type
-          let value;
-          const uint8Array = new Uint8Array(entry.data);
-
-          if (entry.variableType === 'string') {
-            value = new TextDecoder().decode(uint8Array);
-          } else if (entry.format === 'json' || entry.variableType === 'object') {
-            const jsonStr = new TextDecoder().decode(uint8Array);
-            try {
-              value = JSON.parse(jsonStr);
-            } catch (e) {
-              value = jsonStr; // Fallback to string if JSON parse fails
-            }
-          } else {
-            // Return as ArrayBuffer for binary data
-            value = entry.data;
-          }
+    const entry = await this._getEntry(cacheKey);
+    if (!entry) return null;
 
-          resolve({
-            key: entry.variableKey,
-            value,
-            metadata: entry,
-            timestamp: entry.timestamp,
-            lastAccessed: entry.lastAccessed
-          });
-        } else {
-          resolve(null);
-        }
-      };
+    // Update last accessed time
+    this.updateLastAccessed(cacheKey).catch(console.warn);
 
-      transaction.onerror = () => reject(transaction.error);
-    });
+    // Convert back to original type
+    let value;
+    const uint8Array = new Uint8Array(entry.data);
+
+    if (entry.variableType === 'string') {
+      value = new TextDecoder().decode(uint8Array);
+    } else if (entry.format === 'json' || entry.variableType === 'object') {
+      const jsonStr = new TextDecoder().decode(uint8Array);
+      try {
+        value = JSON.parse(jsonStr);
+      } catch (e) {
+        value = jsonStr; // Fallback to string if JSON parse fails
+      }
+    } else {
+      // Return as ArrayBuffer for binary data
+      value = entry.data;
+    }
+
+    return {
+      key: entry.variableKey,
+      value,
+      metadata: entry,
+      timestamp: entry.timestamp,
+      lastAccessed: entry.lastAccessed
+    };
   }
 
   async deleteVariable(key) {
@@ -1049,31 +1095,17 @@ export class HydroLangCache {
   }
 
   async listVariables() {
-    if (!this.db) await this.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['files'], 'readonly');
-      const store = transaction.objectStore('files');
-      const request = store.getAll();
-
-      request.onsuccess = () => {
-        const allEntries = request.result;
-        const variables = allEntries
-          .filter(entry => entry.source === 'runtime' && entry.dataset === 'variables')
-          .map(entry => ({
-            key: entry.variableKey,
-            type: entry.variableType,
-            format: entry.format,
-            size: entry.data?.byteLength || 0,
-            timestamp: entry.timestamp,
-            lastAccessed: entry.lastAccessed
-          }));
-
-        resolve(variables);
-      };
-
-      request.onerror = () => reject(request.error);
-    });
+    const allEntries = await this._getAllEntries();
+    return allEntries
+      .filter(entry => entry.source === 'runtime' && entry.dataset === 'variables')
+      .map(entry => ({
+        key: entry.variableKey,
+        type: entry.variableType,
+        format: entry.format,
+        size: entry.data?.byteLength ?? entry.size ?? 0,
+        timestamp: entry.timestamp,
+        lastAccessed: entry.lastAccessed
+      }));
   }
 
   // Save dataset results for later use
@@ -1122,6 +1154,112 @@ export class HydroLangCache {
     return await this.saveDataset(key, data, metadata);
   }
 
+  /**
+   * Package cache entries (including every chunk of chunked files) into a ZIP bundle.
+   * The archive holds manifest.json with each entry's metadata plus one payload file per entry.
+   * @param {Object} [options]
+   * @param {Array<string>} [options.keys] - Cache keys to export; chunked files are selected by their base key
+   * @param {string} [options.source] - Export every entry of a source
+   * @param {string} [options.dataType] - Restrict to a datatype
+   * @param {boolean} [options.includeVariables=false] - Include runtime variables and saved datasets
+   * @returns {Promise<Uint8Array>} ZIP archive bytes
+   */
+  async exportEntries(options = {}) {
+    const { keys, source, dataType, includeVariables = false } = options;
+    const wanted = keys ? new Set(keys) : null;
+
+    const selected = (await this._getAllEntries()).filter(entry => {
+      if (wanted && !wanted.has(entry.cacheKey) && !(entry.isChunk && wanted.has(entry.baseKey))) return false;
+      if (source && String(entry.source).toLowerCase() !== String(source).toLowerCase()) return false;
+      if (dataType && entry.dataType !== dataType) return false;
+      if (!includeVariables && !wanted && entry.cacheKey.startsWith('var_')) return false;
+      // Stored API keys never leave the machine, even when selected explicitly
+      if (isCredentialEntry(entry.cacheKey)) return false;
+      return true;
+    });
+
+    if (!selected.length) {
+      throw new Error('No cache entries match the export selection');
+    }
+
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      createdAt: new Date().toISOString(),
+      entries: []
+    };
+    const files = [];
+
+    for (const [i, listed] of selected.entries()) {
+      const entry = listed.data === undefined ? await this._getEntry(listed.cacheKey) : listed;
+      if (!entry) continue;
+      const { data, ...metadata } = entry;
+      const file = `entries/${String(i).padStart(6, '0')}.bin`;
+      manifest.entries.push({ file, metadata: { ...metadata, size: data?.byteLength ?? 0 } });
+      files.push({ name: file, data: data ?? new Uint8Array(0) });
+    }
+
+    files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+    console.log(`Exported ${manifest.entries.length} cache entries`);
+    return writeZip(files);
+  }
+
+  /**
+   * Restore entries from a bundle produced by exportEntries
+   * @param {Blob|ArrayBuffer|Uint8Array} input - Bundle contents
+   * @param {Object} [options]
+   * @param {boolean} [options.overwrite=true] - Replace entries that already exist
+   * @param {boolean} [options.preserveTimestamps=false] - Keep the original cache times; by default
+   *   imported entries count as freshly cached so they do not expire immediately
+   * @param {boolean} [options.pin=false] - Pin every imported entry (e.g. for offline classroom use)
+   * @returns {Promise<Object>} { imported, skipped, keys }
+   */
+  async importEntries(input, options = {}) {
+    const { overwrite = true, preserveTimestamps = false, pin = false } = options;
+    const files = await readZip(input, { verify: true });
+    const byName = new Map(files.map(file => [file.name, file.data]));
+
+    const manifestBytes = byName.get('manifest.json');
+    if (!manifestBytes) {
+      throw new Error('Not a HydroLang cache bundle: manifest.json is missing');
+    }
+    const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+    if (manifest.format !== BUNDLE_FORMAT) {
+      throw new Error(`Not a HydroLang cache bundle: unexpected format '${manifest.format}'`);
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+      throw new Error(`Cache bundle version ${manifest.version} is newer than supported version ${BUNDLE_VERSION}`);
+    }
+
+    const now = Date.now();
+    const result = { imported: 0, skipped: 0, keys: [] };
+    for (const { file, metadata } of manifest.entries) {
+      const bytes = byName.get(file);
+      if (!bytes) {
+        throw new Error(`Cache bundle is incomplete: missing ${file} for '${metadata.cacheKey}'`);
+      }
+      if (!overwrite && await this._getEntry(metadata.cacheKey)) {
+        result.skipped++;
+        continue;
+      }
+
+      await this._putEntry({
+        ...metadata,
+        ...(preserveTimestamps ? {} : { timestamp: now, lastAccessed: now }),
+        ...(pin ? { pinned: true } : {}),
+        data: bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+        importedAt: now
+      });
+      result.imported++;
+      if (!metadata.isChunk) result.keys.push(metadata.cacheKey);
+      else if (!result.keys.includes(metadata.baseKey)) result.keys.push(metadata.baseKey);
+    }
+
+    console.log(`Imported ${result.imported} cache entries (${result.skipped} skipped)`);
+    await this.cleanupIfNeeded();
+    return result;
+  }
+
   // Force cache a raw file that was downloaded (manual caching)
   async cacheRawFile(url, arrayBuffer, metadata = {}) {
     try {
@@ -1145,14 +1283,14 @@ export class HydroLangCache {
         dataType: metadata.dataType || 'raw-file',
         format: format,
         digestible: format === 'json',
-        filename: url.split('/').pop() || 'data',
+        filename: redactSecrets(url).split('/').pop() || 'data',
         size: buffer.byteLength,
         manuallyCached: true,
         originalUrl: url,
         ...metadata
       });
 
-      console.log(`Manually cached ${buffer.byteLength} bytes for: ${url}`);
+      console.log(`Manually cached ${buffer.byteLength} bytes for: ${redactSecrets(url)}`);
       return true;
     } catch (error) {
       console.error('Failed to manually cache file:', error);
@@ -1186,7 +1324,7 @@ export const cacheAPI = {
   delete: (cacheKey) => hydroLangCache.delete(cacheKey),
 
   // Force cleanup
-  cleanup: () => hydroLangCache.cleanupIfNeeded(),
+  cleanup: () => hydroLangCache.cleanupIfNeeded(true),
 
   // Runtime variable storage
   storeVariable: (key, value, metadata) => hydroLangCache.storeVariable(key, value, metadata),
@@ -1204,7 +1342,13 @@ export const cacheAPI = {
 
   // Chunked file operations
   putChunked: (url, arrayBuffer, metadata, chunkSize) => hydroLangCache.putChunked(url, arrayBuffer, metadata, chunkSize),
-  getChunked: (baseKey) => hydroLangCache.getChunked(baseKey),
+  getChunked: (baseKey) => hydroLangCache.reassembleChunks(baseKey),
+  getChunk: (baseKey, chunkIndex) => hydroLangCache.getChunk(baseKey, chunkIndex),
+  putChunk: (baseKey, chunkIndex, data, metadata) => hydroLangCache.putChunk(baseKey, chunkIndex, data, metadata),
+
+  // Portable bundles
+  exportEntries: (options) => hydroLangCache.exportEntries(options),
+  importEntries: (input, options) => hydroLangCache.importEntries(input, options),
 
 };
 
@@ -1212,7 +1356,7 @@ export const cacheAPI = {
  * Generate a simple cache key for non-gridded data
  * @ignore
  */
-export function generateSimpleCacheKey(url, params = {}) {
+export function generateSimpleCacheKey(context = {}, url) {
   const source = context.source || 'unknown';
   const datatype = context.dataType || 'data';
 
@@ -1268,20 +1412,67 @@ export function detectFormat(url, contentType = '') {
   return 'unknown';
 }
 
+// Results served from the cache, mapped to their cache key (used for provenance)
+const cacheHits = new WeakMap();
+
+/**
+ * Whether a cachedFetch result was served from the cache
+ * @ignore
+ */
+export function isCacheHit(result) {
+  return !!result && typeof result === 'object' && cacheHits.has(result);
+}
+
+// Keys currently being refetched, so repeated stale hits trigger a single request
+const revalidating = new Set();
+
+/**
+ * Refetch a stale entry and replace it in the cache without blocking the caller
+ * @ignore
+ */
+function revalidateInBackground(cache, cacheKey, url, options, metadata) {
+  if (revalidating.has(cacheKey)) return;
+  revalidating.add(cacheKey);
+
+  const fetchFn = globalThis._originalFetch || globalThis.fetch;
+  Promise.resolve()
+    .then(() => fetchFn(url, options))
+    .then(async (response) => {
+      if (!response?.ok) throw new Error(`HTTP ${response?.status}`);
+      const buffer = await response.arrayBuffer();
+      const { data, stale, timestamp, lastAccessed, size, ...rest } = metadata;
+      await cache.put(cacheKey, buffer, {
+        ...rest,
+        contentType: response.headers.get('content-type') || rest.contentType,
+        responseStatus: response.status,
+        size: buffer.byteLength
+      });
+      console.log(`✓ Revalidated [${cacheKey}]`);
+    })
+    .catch(error => console.warn(`Revalidation failed for [${cacheKey}]:`, error.message))
+    .finally(() => revalidating.delete(cacheKey));
+}
+
 /**
  * Fetch with caching support
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @param {Object} [context] - Cache context of the calling request: { source, dataType, dataset, params, cacheId, cache,
+ *   retry, rateLimit, expectedSize, useChunkedDownload }. Built per call, so concurrent requests never share one
  * @ignore
  */
-export async function cachedFetch(url, options = {}) {
+export async function cachedFetch(url, options = {}, context = {}) {
   const cache = globalThis.hydro?.cache;
 
   // Safety check: if _originalFetch isn't set yet (e.g. called before init), use native fetch
   // This prevents "globalThis._originalFetch is not a function" errors
   const fetchFn = globalThis._originalFetch || globalThis.fetch;
 
-  if (!cache) return fetchFn(url, options);
+  // Retry/backoff and per-host rate limits for every network request made below
+  const schedule = { retry: context.retry, rateLimit: context.rateLimit, fetch: fetchFn };
+
+  if (!cache) return fetchWithRetry(url, options, schedule);
 
-  const context = globalThis._hydroCacheContext || {};
   const cacheKey = generateSimpleCacheKey(context, url);
 
   // 1. CHECK CACHE FIRST (if caching is enabled)
@@ -1290,28 +1481,36 @@ export async function cachedFetch(url, options = {}) {
     try {
       const cached = await cache.get(cacheKey);
       if (cached) {
-        console.log(`✓ Cache hit [${cacheKey}]`);
+        console.log(`✓ Cache hit [${cacheKey}]${cached.metadata?.stale ? ' (stale, revalidating)' : ''}`);
+        if (cached.metadata?.stale && !cached.metadata.reassembled) {
+          // URLs stored without their API key cannot be refetched; the live request URL carries it
+          const storedUrl = cached.metadata.originalUrl || url;
+          revalidateInBackground(cache, cacheKey, storedUrl.includes(REDACTED) ? url : storedUrl, options, cached.metadata);
+        }
         const format = cached.metadata?.format;
 
         // Return appropriately based on format
+        let result;
         if (format === 'json' || format === 'xml') {
-          return new Response(new Blob([cached.data], { type: cached.metadata.contentType }), {
+          result = new Response(new Blob([cached.data], { type: cached.metadata.contentType }), {
             status: cached.metadata.responseStatus || 200,
             headers: { 'content-type': cached.metadata.contentType }
           });
         } else {
-          return cached.data;  // Return ArrayBuffer for binary data
+          result = cached.data;  // Return ArrayBuffer for binary data
         }
+        cacheHits.set(result, cacheKey);
+        return result;
       }
     } catch (e) {
       console.warn('Cache read failed:', e.message);
     }
   } else {
-    console.log(`Cache disabled for this request: ${url}`);
+    console.log(`Cache disabled for this request: ${redactSecrets(url)}`);
   }
 
   // Not cached - need to fetch from server
-  console.log(`Fetching from server: ${url}`);
+  console.log(`Fetching from server: ${redactSecrets(url)}`);
   let response;
   let lastError;
 
@@ -1376,9 +1575,13 @@ export async function cachedFetch(url, options = {}) {
   // Explicit proxy request
   const proxyRequested = options.proxy === true || options.params?.proxy === true || context.params?.proxy === true;
 
+  // Proxies this request may go through when the direct request fails or cannot work (configured with
+  // data.proxy: allow-list, order, per-source overrides; none when fallbacks are off or the URL is already proxied)
+  const proxyChain = isProxiedUrl(url) ? [] : fallbackProxies(context.source);
+
   // Skip direct fetch for URLs that will always fail with CORS oR if proxy explicit requested
-  const skipDirectFetch = proxyRequested || url.includes('ncep.noaa.gov') || url.includes('nomads.ncep.noaa.gov') ||
-    url.includes('amazonaws.com') || url.includes('nasa.gov');
+  const skipDirectFetch = proxyChain.length > 0 && (proxyRequested || url.includes('ncep.noaa.gov') || url.includes('nomads.ncep.noaa.gov') ||
+    url.includes('amazonaws.com') || url.includes('nasa.gov'));
 
   if (!skipDirectFetch) {
     try {
@@ -1388,19 +1591,22 @@ export async function cachedFetch(url, options = {}) {
           ...options,
           source: context.source || 'unknown',
           expectedSize: context.expectedSize,
-          params: context.params
+          params: context.params,
+          retry: context.retry,
+          rateLimit: context.rateLimit
         });
       } else {
-        response = await globalThis._originalFetch(url, options);
+        response = await fetchWithRetry(url, options, schedule);
       }
 
       // Check if successful - if not, try proxies
-      if (!response || !response.ok) {
+      if ((!response || !response.ok) && proxyChain.length) {
+        lastError = new Error(`HTTP ${response?.status}`);
         response = null;
       }
     } catch (error) {
       lastError = error;
-      console.warn('Direct fetch failed, trying proxies:', error.message);
+      if (proxyChain.length) console.warn('Direct fetch failed, trying proxies:', error.message);
       response = null;
     }
   } else {
@@ -1408,65 +1614,30 @@ export async function cachedFetch(url, options = {}) {
   }
 
   // Only try proxies if direct fetch failed or was skipped
-  if (!response && globalThis.hydro?.proxies) {
-    const proxies = globalThis.hydro.proxies;
-
-    // Try local proxies
-    if (proxies['local-proxy']?.endpoint) {
-      // Handle both single URL and array of URLs
-      const proxyEndpoints = Array.isArray(proxies['local-proxy'].endpoint)
-        ? proxies['local-proxy'].endpoint
-        : [proxies['local-proxy'].endpoint];
-
-      for (const proxyBaseUrl of proxyEndpoints) {
-        try {
-          const proxiedUrl = proxyBaseUrl + url;
-          if (shouldUseChunked) {
-            response = await cache.downloadChunked(proxiedUrl, {
-              ...options,
-              source: context.source || 'unknown',
-              expectedSize: url.includes('noaa.gov') ? 100 * 1024 * 1024 : context.expectedSize, // Assume large for NOAA
-              params: {
-                ...context.params,
-                source: context.source || 'unknown',
-                originalUrl: url,  // Preserve original URL for cache key generation
-                skipSizeDetection: url.includes('noaa.gov') // Skip HEAD requests for NOAA
-              }
-            });
-          } else {
-            response = await globalThis._originalFetch(proxiedUrl, options);
-          }
-
-          break;
-        } catch (proxyError) {
-          lastError = proxyError;
-        }
-      }
-    }
-
-    // Try CORS proxy
-    if (!response && proxies['researchverse']) {
-      try {
-        const proxiedUrl = proxies['researchverse'].endpoint + url;
-        if (shouldUseChunked) {
-          response = await cache.downloadChunked(proxiedUrl, {
-            ...options,
+  for (const proxy of response ? [] : proxyChain) {
+    try {
+      const proxiedUrl = applyProxy(proxy.endpoint, url);
+      console.log(`Fetching through proxy '${proxy.name}'`);
+      if (shouldUseChunked) {
+        response = await cache.downloadChunked(proxiedUrl, {
+          ...options,
+          source: context.source || 'unknown',
+          expectedSize: url.includes('noaa.gov') ? 100 * 1024 * 1024 : context.expectedSize, // Assume large for NOAA
+          retry: context.retry,
+          rateLimit: context.rateLimit,
+          params: {
+            ...context.params,
             source: context.source || 'unknown',
-            expectedSize: url.includes('noaa.gov') ? 100 * 1024 * 1024 : context.expectedSize, // Assume large for NOAA
-            params: {
-              ...context.params,
-              source: context.source || 'unknown',
-              originalUrl: url,  // Preserve original URL for cache key generation
-              skipSizeDetection: url.includes('noaa.gov') // Skip HEAD requests for NOAA
-            }
-          });
-        } else {
-          response = await globalThis._originalFetch(proxiedUrl, options);
-        }
-        console.log('CORS proxy succeeded');
-      } catch (proxyError) {
-        lastError = proxyError;
+            originalUrl: url,  // Preserve original URL for cache key generation
+            skipSizeDetection: url.includes('noaa.gov') // Skip HEAD requests for NOAA
+          }
+        });
+      } else {
+        response = await fetchWithRetry(proxiedUrl, options, schedule);
       }
+      break;
+    } catch (proxyError) {
+      lastError = proxyError;
     }
   }
 
@@ -1480,8 +1651,8 @@ export async function cachedFetch(url, options = {}) {
   const isAPIResponse = (format === 'json' || format === 'xml');
 
   // 4. CACHE THE DATA (chunked downloads already cached)
-  // context.cache !== false checks if caching is enabled (default is true)
-  if (!shouldUseChunked && context.cache !== false) {
+  // context.cache !== false checks if caching is enabled (default is true); error responses are never cached
+  if (!shouldUseChunked && context.cache !== false && response.ok) {
     try {
       const buffer = await response.clone().arrayBuffer();
       const isZarrChunk = (format === 'zarr-chunk');
@@ -1494,7 +1665,7 @@ export async function cachedFetch(url, options = {}) {
         format: format,
         contentType: contentType,
         digestible: isAPIResponse,
-        filename: url.split('/').pop() || 'data',
+        filename: redactSecrets(url).split('/').pop() || 'data',
         size: buffer.byteLength,
         responseStatus: response.status,
         responseOk: response.ok,
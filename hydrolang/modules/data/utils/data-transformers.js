@@ -3,6 +3,13 @@
  * Contains reusable data manipulation functions
  */
 
+import { getUnitConverter, convertValues } from './unit-converter.js';
+import { resampleSeries, parseInterval, resolutionToMs } from './time-utils.js';
+import { aggregateGrid, getGridGeometry } from './spatial-utils.js';
+import { runQualityControl } from './quality-control.js';
+import { writeNetCDF, netcdfType } from './netcdf.js';
+import { writeCOG } from './cog.js';
+
 /**
  * Apply data scaling based on data source and variable
  * @ignore
@@ -39,27 +46,64 @@ export function applyDataScaling(data, variableName, datasources, source) {
 }
 
 /**
- * Convert data units based on source and variable
+ * Resolve a datasource configuration, unwrapping module namespace/default nesting
+ * @ignore
+ */
+export function resolveSourceConfig(datasources, source) {
+  if (!datasources || !source) return null;
+  let config = datasources[source] || datasources.default?.[source];
+  while (config && config.default && !config.variables && !config.datasets) {
+    config = config.default;
+  }
+  return config || null;
+}
+
+/**
+ * Convert data units based on source and variable.
+ * Source units are read from the datasource `variables` config, falling back to the
+ * units carried by the data itself. Values in `data.data` (series, grids or grid
+ * time series) are rescaled in place on the passed object.
+ * @param {Object} data - Data object with a `data` payload
+ * @param {string} variableName - Variable name used to look up the source units
+ * @param {string|Object} targetUnits - Target units, or a map of variable name to target units
+ * @param {string} source - Datasource name
+ * @param {Object} datasources - Datasources configuration object
+ * @returns {Object} Data with converted values
+ * @throws {Error} If the source units are unknown or the conversion is dimensionally impossible
  * @ignore
  */
 export function convertDataUnits(data, variableName, targetUnits, source, datasources) {
-  const sourceConfig = datasources[source];
-  if (!sourceConfig || !sourceConfig.variables) {
-    return data;
+  const target = typeof targetUnits === 'object' && targetUnits !== null
+    ? targetUnits[variableName]
+    : targetUnits;
+  if (!target) return data;
+
+  const sourceConfig = resolveSourceConfig(datasources, source);
+  const variableConfig = sourceConfig?.variables?.[variableName];
+
+  const currentUnits = data.metadata?.unitConversion?.to || variableConfig?.units || data.metadata?.units || data.units;
+  if (!currentUnits) {
+    throw new Error(`Cannot convert ${variableName} to '${target}': source units are unknown for '${source}'`);
   }
+  if (currentUnits === target) return data;
 
-  const variableConfig = sourceConfig.variables[variableName];
-  if (!variableConfig) return data;
+  const converter = getUnitConverter(currentUnits, target);
 
-  const currentUnits = variableConfig.units;
-  if (currentUnits === targetUnits) return data;
+  if (data.data !== undefined) {
+    data.data = convertValues(data.data, converter);
+  }
+  if (typeof data.value === 'number') {
+    data.value = converter.convert(data.value);
+  }
 
-  // Unit conversion logic would go here based on source
-  // For now, just mark as converted
   data.metadata = data.metadata || {};
+  data.metadata.units = target;
+  if (data.units !== undefined) data.units = target;
   data.metadata.unitConversion = {
     from: currentUnits,
-    to: targetUnits,
+    to: target,
+    factor: converter.factor,
+    offset: converter.offset,
     applied: true,
     source: source
   };
@@ -68,16 +112,130 @@ export function convertDataUnits(data, variableName, targetUnits, source, dataso
 }
 
 /**
- * Apply temporal aggregation to data
+ * Read the time axis of a data payload as instants (ms).
+ * Timestamps come from `data.timestamps`, from per-record `timestamp` fields, or are
+ * generated from `timeRange.start` and the native time step.
+ * @ignore
+ */
+export function getSeriesTimes(data, timeStep) {
+  const records = Array.isArray(data.data) ? data.data : [];
+
+  if (Array.isArray(data.timestamps) && data.timestamps.length === records.length) {
+    return data.timestamps.map(t => new Date(t).getTime());
+  }
+
+  const recordTime = (item) => item?.timestamp ?? item?.time ?? item?.datetime ?? item?.dateTime ?? item?.date;
+  if (records.length && records.every(item => item && typeof item === 'object' && !Array.isArray(item) && recordTime(item) !== undefined)) {
+    return records.map(item => new Date(recordTime(item)).getTime());
+  }
+
+  if (data.timeRange?.start) {
+    const start = new Date(data.timeRange.start).getTime();
+    const step = timeStep || data.metadata?.timeStep || resolutionToMs(data.metadata?.temporalResolution) || 3600000;
+    return records.map((_, i) => start + i * step);
+  }
+
+  return null;
+}
+
+/**
+ * Apply temporal aggregation to data.
+ * Resamples point series (numbers or { timestamp, value } records) and gridded frames
+ * ({ timestamp, grid } records or 3D arrays with `timestamps`) onto a coarser interval.
+ * The output carries the timestamps of each period start.
+ * @param {Object} data - Data object with a `data` payload
+ * @param {Object} aggregationConfig - Aggregation options
+ * @param {string} [aggregationConfig.method='mean'] - sum, mean, min, max, count or median
+ * @param {string|number} aggregationConfig.interval - 'hourly', 'daily', 'monthly', 'yearly', 'water-year', '3H', '15min', or ms
+ * @param {string|number} [aggregationConfig.timezone='UTC'] - IANA name, fixed offset ('-06:00') or hours, used for period boundaries
+ * @param {number} [aggregationConfig.minCoverage=0] - Fraction (0-1) of expected records required, otherwise the period is null
+ * @param {number|string} [aggregationConfig.timeStep] - Native time step (ms or '1H'); inferred when omitted
+ * @param {number} [aggregationConfig.waterYearStartMonth=10] - First month of the water year
+ * @returns {Object} Aggregated data
  * @ignore
  */
 export function aggregateTemporal(data, aggregationConfig) {
-  const { method, interval } = aggregationConfig;
+  const { method = 'mean', interval, timezone = 'UTC', minCoverage = 0 } = aggregationConfig;
+
+  if (!Array.isArray(data.data)) {
+    throw new Error('Temporal aggregation requires a data array');
+  }
+
+  const nativeStep = resolutionToMs(aggregationConfig.timeStep);
+  const times = getSeriesTimes(data, nativeStep);
+  if (!times) {
+    throw new Error('Temporal aggregation requires timestamps (data.timestamps, record timestamps or timeRange.start)');
+  }
+
+  // Normalize the payload to plain numbers or 2D grids
+  let kind = 'values';
+  const values = data.data.map(item => {
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      if ('grid' in item) {
+        kind = 'frames';
+        const grid = item.grid;
+        // Keep the grid coordinates on the series so frames can still be aggregated spatially
+        if (grid && !Array.isArray(grid) && grid.latitudes && !data.latitudes) {
+          data.latitudes = grid.latitudes;
+          data.longitudes = grid.longitudes;
+        }
+        return grid && !Array.isArray(grid) && Array.isArray(grid.data) ? grid.data : grid;
+      }
+      kind = 'records';
+      return item.value ?? null;
+    }
+    return item;
+  });
+
+  const result = resampleSeries(times, values, {
+    method,
+    interval,
+    timezone,
+    minCoverage,
+    timeStep: nativeStep || data.metadata?.timeStep || resolutionToMs(data.metadata?.temporalResolution),
+    waterYearStartMonth: aggregationConfig.waterYearStartMonth
+  });
+
+  const timestamps = result.times.map(t => new Date(t).toISOString());
+
+  if (kind === 'records') {
+    data.data = result.values.map((value, i) => ({
+      timestamp: timestamps[i],
+      value,
+      count: result.counts[i],
+      coverage: result.coverage[i]
+    }));
+    delete data.timestamps;
+  } else if (kind === 'frames') {
+    data.data = result.values.map((grid, i) => ({
+      timestamp: timestamps[i],
+      grid,
+      count: result.counts[i],
+      coverage: result.coverage[i]
+    }));
+    delete data.timestamps;
+  } else {
+    data.data = result.values;
+    data.timestamps = timestamps;
+  }
 
+  if (timestamps.length) {
+    data.timeRange = { start: timestamps[0], end: timestamps[timestamps.length - 1] };
+  }
+
+  const spec = parseInterval(interval);
   data.metadata = data.metadata || {};
+  data.metadata.timeStep = resolutionToMs(spec.unit === 'ms' ? spec.n : interval) || null;
+  data.metadata.temporalResolution = typeof interval === 'string' ? interval : `${interval}ms`;
   data.metadata.temporalAggregation = {
     method: method,
     interval: interval,
+    timezone: timezone,
+    minCoverage: minCoverage,
+    nativeTimeStep: result.timeStep,
+    periods: timestamps.length,
+    counts: result.counts,
+    coverage: result.coverage,
     applied: true
   };
 
@@ -85,36 +243,44 @@ export function aggregateTemporal(data, aggregationConfig) {
 }
 
 /**
- * Apply spatial aggregation to data
+ * Apply spatial aggregation to gridded data or a { timestamp, grid } series.
+ * - block: coarsen by an integer factor ({ factor, method })
+ * - polygon: area-weighted basin value from a GeoJSON Polygon/MultiPolygon/Feature ({ geometry, method })
+ * - zonal: statistics per feature of a FeatureCollection ({ geometry, statistics, idProperty })
+ * @param {Object} data - Gridded data to aggregate
+ * @param {Object} aggregationConfig - { type, method, factor, geometry, statistics, idProperty, fillValue, minCoverage }
+ * @returns {Object} Aggregated data
  * @ignore
  */
 export function aggregateSpatial(data, aggregationConfig) {
-  const { method, factor } = aggregationConfig;
-
-  data.metadata = data.metadata || {};
-  data.metadata.spatialAggregation = {
-    method: method,
-    factor: factor,
-    applied: true
-  };
-
-  return data;
+  if (!aggregationConfig || typeof aggregationConfig !== 'object') {
+    throw new Error('Spatial aggregation configuration is required');
+  }
+  return aggregateGrid(data, aggregationConfig);
 }
 
 /**
- * Apply quality control filters to data
+ * Apply quality control tests to data and attach per-value QARTOD flags (data.qualityFlags).
+ * Missing-value sentinels include the variable's fillValue/missingValue from the datasource config.
+ * @param {Object} data - Data to check
+ * @param {Object} qcConfig - { range, spike, rateOfChange, flatline, missing, filters, mask }
+ * @param {string} [variableName] - Variable name used to look up the datasource configuration
+ * @param {string} [source] - Data source
+ * @param {Object} [datasources] - Datasources configuration
+ * @returns {Object} Data with quality flags
  * @ignore
  */
-export function applyQualityControl(data, qcConfig) {
-  const { filters } = qcConfig;
-
-  data.metadata = data.metadata || {};
-  data.metadata.qualityControl = {
-    filters: filters,
-    applied: true
-  };
+export function applyQualityControl(data, qcConfig, variableName, source, datasources) {
+  if (!qcConfig || typeof qcConfig !== 'object') {
+    throw new Error('Quality control configuration is required');
+  }
+  const sourceConfig = source && datasources ? resolveSourceConfig(datasources, source) : null;
+  const variableConfig = sourceConfig?.variables?.[variableName || data.variable];
 
-  return data;
+  return runQualityControl(data, qcConfig, {
+    times: getSeriesTimes(data),
+    variableConfig
+  });
 }
 
 /**
@@ -159,7 +325,10 @@ export function formatData(data, args, source, datasources) {
     case 'CSV':
       return convertToCSV(data, source, datasources);
     case 'NetCDF':
-      return convertToNetCDF(data, source, datasources);
+      return convertToNetCDF(data, source, datasources, args);
+    case 'COG':
+    case 'GeoTIFF':
+      return convertToCOG(data, source, datasources, args);
     case 'JSON':
       return data; // Already in JSON format
     case 'ARRAY':
@@ -174,24 +343,19 @@ export function formatData(data, args, source, datasources) {
  * @private
  */
 function convertToCSV(data, source, datasources) {
-  const sourceConfig = datasources[source];
-  let csv = 'timestamp,value,variable,units\n';
+  const flags = Array.isArray(data.qualityFlags) && !Array.isArray(data.qualityFlags[0]) ? data.qualityFlags : null;
+  let csv = flags ? 'timestamp,value,variable,units,quality_flag\n' : 'timestamp,value,variable,units\n';
 
   if (Array.isArray(data.data)) {
-    data.data.forEach((value, index) => {
-      const timestamp = data.timeRange?.start ?
-        new Date(new Date(data.timeRange.start).getTime() + index * 3600000).toISOString() :
+    const times = getSeriesTimes(data);
+    data.data.forEach((item, index) => {
+      const timestamp = times && Number.isFinite(times[index]) ?
+        new Date(times[index]).toISOString() :
         `record_${index}`;
+      const value = item && typeof item === 'object' && !Array.isArray(item) ? item.value : item;
       const scaledValue = applyScalingToValue(value, data.metadata);
-      csv += `${timestamp},${scaledValue},${data.variable},${data.metadata?.units || ''}\n`;
-    });
-  } else if (data.variable && Array.isArray(data.data)) {
-    // Handle multi-variable data
-    data.data.forEach((value, index) => {
-      const timestamp = data.timeRange?.start ?
-        new Date(new Date(data.timeRange.start).getTime() + index * 3600000).toISOString() :
-        `record_${index}`;
-      csv += `${timestamp},${value},${data.variable},${data.metadata?.units || ''}\n`;
+      csv += `${timestamp},${scaledValue},${data.variable},${data.metadata?.units || ''}`;
+      csv += flags ? `,${flags[index] ?? ''}\n` : '\n';
     });
   }
 
@@ -199,46 +363,382 @@ function convertToCSV(data, source, datasources) {
 }
 
 /**
- * Convert data to NetCDF format based on source
+ * Convert data to a CF-1.8 NetCDF file based on source
+ * @private
+ */
+function convertToNetCDF(data, source, datasources, args = {}) {
+  const sourceConfig = resolveSourceConfig(datasources, source);
+  return buildNetCDF(data, {
+    ...args,
+    source,
+    variables: sourceConfig?.variables,
+    // Only an explicit attribution; the source description does not name an institution reliably
+    institution: args.institution || sourceConfig?.info?.institution
+  });
+}
+
+/**
+ * Convert data to a cloud-optimized GeoTIFF based on source
  * @private
  */
-function convertToNetCDF(data, source, datasources) {
-  // Load NetCDF library if needed
-  if (!window.hydro?.external?.griddedData?.isLoaded({ format: 'netcdf' })) {
-    // Note: This would need to be awaited in an async context
-    console.warn('NetCDF library not loaded. Use await window.hydro.external.griddedData.loadLibrary({ format: "netcdf" }) first.');
+function convertToCOG(data, source, datasources, args = {}) {
+  const sourceConfig = resolveSourceConfig(datasources, source);
+  return buildCOG(data, { ...args, source, variables: sourceConfig?.variables });
+}
+
+/**
+ * Build a CF-1.8 NetCDF classic file (time, latitude and longitude coordinate variables, a WGS84 grid mapping
+ * and one data variable per input) from the outputs of the gridded sources:
+ * - point series: { location, data: [values or { timestamp, value }], timestamps | timeRange }
+ * - single grids: 2D data with latitudes/longitudes or bbox, flat GeoTIFF windows with width/height,
+ *   or flat cells with per-cell latitudes/longitudes
+ * - grid time series: { data: [{ timestamp, grid }] } or 3D data with timestamps
+ * An array of such objects on the same grid and time steps is written as one variable each.
+ * @param {Object|Array<Object>} data - Data to write
+ * @param {Object} [options]
+ * @param {string} [options.source] - Datasource name for the global attributes
+ * @param {Object} [options.variables] - Variable metadata by name ({ units, longName, description, standardName })
+ * @param {string} [options.dtype='float'] - Type of unpacked data variables, 'float' or 'double'
+ * @param {number} [options.fillValue=-9999] - _FillValue of unpacked data variables
+ * @param {string|Object} [options.packing] - Pack data as 'short', 'byte' or 'int' with scale_factor/add_offset,
+ *   or { type, scaleFactor, addOffset }; scale and offset are computed from the value range when omitted
+ * @param {string} [options.title] - Global title
+ * @param {string} [options.institution] - Global institution attribute, omitted when not given
+ * @param {Object} [options.attributes] - Additional global attributes
+ * @returns {Uint8Array} NetCDF file bytes
+ * @ignore
+ */
+export function buildNetCDF(data, options = {}) {
+  const items = Array.isArray(data) ? data : [data];
+  const layers = items.map(cfLayer);
+  const [first] = layers;
+  for (const layer of layers.slice(1)) {
+    if (layer.latitudes.length !== first.latitudes.length || layer.longitudes.length !== first.longitudes.length ||
+      (layer.times?.length ?? 0) !== (first.times?.length ?? 0)) {
+      throw new Error('All variables written to one NetCDF file must share the same grid and time steps');
+    }
   }
 
-  const sourceConfig = datasources[source];
-  const variableConfig = sourceConfig?.variables?.[data.variable];
+  const dimensions = {};
+  const variables = {};
+  if (first.times) {
+    // Whole hours are written as hours since the epoch, anything finer as seconds
+    const hourly = first.times.every(t => t % 3600000 === 0);
+    dimensions.time = first.times.length;
+    variables.time = {
+      type: 'double',
+      dimensions: ['time'],
+      data: first.times.map(t => t / (hourly ? 3600000 : 1000)),
+      attributes: {
+        standard_name: 'time',
+        long_name: 'time',
+        units: `${hourly ? 'hours' : 'seconds'} since 1970-01-01 00:00:00`,
+        calendar: 'standard',
+        axis: 'T'
+      }
+    };
+  }
+  dimensions.latitude = first.latitudes.length;
+  dimensions.longitude = first.longitudes.length;
+  variables.latitude = {
+    type: 'double',
+    dimensions: ['latitude'],
+    data: first.latitudes,
+    attributes: { standard_name: 'latitude', long_name: 'latitude', units: 'degrees_north', axis: 'Y' }
+  };
+  variables.longitude = {
+    type: 'double',
+    dimensions: ['longitude'],
+    data: first.longitudes,
+    attributes: { standard_name: 'longitude', long_name: 'longitude', units: 'degrees_east', axis: 'X' }
+  };
+  variables.crs = {
+    type: 'int',
+    dimensions: [],
+    data: [0],
+    attributes: {
+      grid_mapping_name: 'latitude_longitude',
+      longitude_of_prime_meridian: 0,
+      semi_major_axis: 6378137,
+      inverse_flattening: 298.257223563,
+      crs_wkt: 'GEOGCRS["WGS 84",DATUM["World Geodetic System 1984",ELLIPSOID["WGS 84",6378137,298.257223563]],CS[ellipsoidal,2],AXIS["latitude",north],AXIS["longitude",east],UNIT["degree",0.0174532925199433],ID["EPSG",4326]]'
+    }
+  };
 
-  // Create NetCDF-compatible structure
-  return {
-    type: 'netcdf',
-    dimensions: {
-      time: data.data ? data.data.length : 0,
-      latitude: data.location ? 1 : 0,
-      longitude: data.location ? 1 : 0
-    },
-    variables: {
-      [data.variable]: {
-        dimensions: ['time', 'latitude', 'longitude'],
-        data: data.data,
-        attributes: {
-          units: data.metadata?.units || '',
-          long_name: variableConfig?.longName || data.variable,
-          scale_factor: data.metadata?.scaleFactor || 1.0,
-          source: source
+  layers.forEach((layer, i) => {
+    const name = netcdfName(layer.variable || `variable_${i + 1}`, variables);
+    const meta = options.variables?.[layer.variable] || {};
+    const values = layer.frames.flat(2).map(v => (typeof v === 'number' && Number.isFinite(v) ? v : null));
+    const packed = packValues(values, options);
+    variables[name] = {
+      type: packed.type,
+      dimensions: [...(first.times ? ['time'] : []), 'latitude', 'longitude'],
+      data: packed.data,
+      attributes: {
+        long_name: meta.longName || meta.description || layer.variable || name,
+        standard_name: meta.standardName,
+        units: cfUnits(layer.units || meta.units),
+        _FillValue: packed.fillValue,
+        scale_factor: packed.scaleFactor,
+        add_offset: packed.addOffset,
+        cell_methods: layer.cellMethods,
+        grid_mapping: 'crs'
+      }
+    };
+  });
+
+  const source = options.source ? String(options.source).toUpperCase() : null;
+  const names = layers.map(l => l.variable).filter(Boolean).join(', ');
+  return writeNetCDF({
+    dimensions,
+    variables,
+    globalAttributes: {
+      Conventions: 'CF-1.8',
+      title: options.title || [source, names, 'data'].filter(Boolean).join(' '),
+      ...(options.institution ? { institution: options.institution } : {}),
+      source: source ? `${source} Dataset` : 'HydroLang',
+      history: `${new Date().toISOString()} created by HydroLang`,
+      ...options.attributes
+    }
+  }, options);
+}
+
+/**
+ * Build a cloud-optimized GeoTIFF (WGS84, north up) from the gridded source outputs accepted by buildNetCDF.
+ * Each time step becomes a band, described by its timestamp; an array of grids on one grid writes the bands
+ * of every variable in order. Latitudes and longitudes must be evenly spaced, so single points are rejected.
+ * @param {Object|Array<Object>} data - Data to write
+ * @param {Object} [options] - writeCOG options (compression, predictor, tileSize, overviews, resampling)
+ * @param {string} [options.source] - Datasource name for the file metadata
+ * @param {Object} [options.variables] - Variable metadata by name ({ units })
+ * @param {string} [options.dtype='float32'] - Sample type ('float' and 'double' are accepted as for NetCDF)
+ * @param {number} [options.noData] - NoData for missing values; defaults to options.fillValue or -9999
+ * @returns {Promise<ArrayBuffer>} GeoTIFF file bytes
+ * @ignore
+ */
+export async function buildCOG(data, options = {}) {
+  const items = Array.isArray(data) ? data : [data];
+  const layers = items.map(item => cfLayer(item, 'COG'));
+  const [first] = layers;
+  for (const layer of layers.slice(1)) {
+    if (layer.latitudes.length !== first.latitudes.length || layer.longitudes.length !== first.longitudes.length ||
+      layer.latitudes.some((v, i) => v !== first.latitudes[i]) || layer.longitudes.some((v, i) => v !== first.longitudes[i])) {
+      throw new Error('All variables written to one COG must share the same grid');
+    }
+  }
+  const rows = regularAxis(first.latitudes, 'latitude');
+  const columns = regularAxis(first.longitudes, 'longitude');
+  const width = first.longitudes.length;
+  const height = first.latitudes.length;
+
+  const bands = [];
+  const bandInfo = [];
+  for (const layer of layers) {
+    const units = layer.units || options.variables?.[layer.variable]?.units;
+    layer.frames.forEach((frame, t) => {
+      // Rows run north to south and columns west to east in the file
+      const band = new Array(width * height);
+      for (let r = 0; r < height; r++) {
+        const row = frame[rows.ascending ? height - 1 - r : r] || [];
+        for (let c = 0; c < width; c++) {
+          const v = row[columns.ascending ? c : width - 1 - c];
+          band[r * width + c] = typeof v === 'number' && Number.isFinite(v) ? v : null;
         }
       }
+      bands.push(band);
+      const time = layer.times ? new Date(layer.times[t]).toISOString() : null;
+      bandInfo.push({ description: [layers.length > 1 ? layer.variable : null, time].filter(Boolean).join(' ') || layer.variable, units });
+    });
+  }
+
+  const source = options.source ? String(options.source).toUpperCase() : null;
+  return writeCOG(bands, width, height, {
+    ...options,
+    dtype: options.dtype || 'float32',
+    noData: options.noData ?? options.fillValue ?? -9999,
+    bbox: [columns.min, rows.min, columns.max, rows.max],
+    crs: 4326,
+    metadata: {
+      source: source ? `${source} Dataset` : 'HydroLang',
+      variable: layers.map(l => l.variable).filter(Boolean).join(', ') || undefined,
+      ...options.metadata
     },
-    globalAttributes: {
-      title: `${source.toUpperCase()} ${data.variable} data`,
-      institution: sourceConfig?.info?.About?.split(' ')[0] || 'Unknown',
-      source: `${source} Dataset`,
-      history: `Generated on ${new Date().toISOString()}`,
-      dataSource: source
+    bandInfo
+  });
+}
+
+/**
+ * Outer edges and direction of an evenly spaced cell-center axis
+ * @ignore
+ */
+function regularAxis(values, name) {
+  if (values.length < 2) {
+    throw new Error(`COG export needs at least two ${name} values to find the cell size`);
+  }
+  const step = (values[values.length - 1] - values[0]) / (values.length - 1);
+  if (!Number.isFinite(step) || step === 0 || values.some((v, i) => Math.abs(v - (values[0] + i * step)) > Math.abs(step) * 1e-3)) {
+    throw new Error(`COG export needs evenly spaced ${name}s; regrid the data first`);
+  }
+  const half = Math.abs(step) / 2;
+  const ends = [values[0], values[values.length - 1]];
+  return { ascending: step > 0, min: Math.min(...ends) - half, max: Math.max(...ends) + half };
+}
+
+/**
+ * Normalize one data object to frames of 2D grids with their coordinates and times
+ * @ignore
+ */
+function cfLayer(item, format = 'NetCDF') {
+  if (!item || typeof item !== 'object' || ArrayBuffer.isView(item)) {
+    throw new Error(`${format} export expects data objects (point series or grids) with a data payload`);
+  }
+  const payload = ArrayBuffer.isView(item.data) ? Array.from(item.data) : item.data;
+  const isRecord = (r) => r && typeof r === 'object' && !Array.isArray(r);
+  const toMs = (t) => new Date(t).getTime();
+  const layer = {
+    variable: item.variable,
+    units: item.units || item.metadata?.units,
+    cellMethods: item.metadata?.temporalAggregation?.applied ? `time: ${item.metadata.temporalAggregation.method}` : undefined
+  };
+
+  let geometry;
+  if (Array.isArray(payload) && payload.length && payload.every(r => isRecord(r) && 'grid' in r)) {
+    const grids = payload.map(r => r.grid);
+    geometry = getGridGeometry(grids.find(Boolean), item);
+    const empty = () => geometry.latitudes.map(() => geometry.longitudes.map(() => null));
+    layer.frames = grids.map(g => (g ? (Array.isArray(g) ? g : g.data) : empty()));
+    layer.times = payload.map(r => toMs(r.timestamp));
+  } else if (Array.isArray(payload) && Array.isArray(payload[0]) && Array.isArray(payload[0][0])) {
+    geometry = getGridGeometry(payload[0], item);
+    layer.frames = payload;
+    layer.times = getSeriesTimes(item);
+    if (!layer.times) throw new Error(`Gridded time series need timestamps (data.timestamps or timeRange.start) for ${format} export`);
+  } else if (Array.isArray(payload) && Array.isArray(payload[0])) {
+    geometry = getGridGeometry(item);
+    layer.frames = [payload];
+    layer.times = item.timestamp ? [toMs(item.timestamp)] : null;
+  } else if (Array.isArray(payload) && !item.location && (item.width && item.height || item.latitudes?.length === payload.length)) {
+    const grid = flatToGrid(payload, item);
+    geometry = getGridGeometry(grid);
+    layer.frames = [grid.data];
+    layer.times = item.timestamp ? [toMs(item.timestamp)] : null;
+  } else if (item.location && (Array.isArray(payload) || 'value' in item)) {
+    const values = Array.isArray(payload) ? payload.map(v => (isRecord(v) ? v.value : v)) : [item.value];
+    layer.times = Array.isArray(payload) ? getSeriesTimes(item) : item.timestamp ? [toMs(item.timestamp)] : null;
+    if (Array.isArray(payload) && !layer.times) {
+      throw new Error(`Point series need timestamps (data.timestamps, record timestamps or timeRange.start) for ${format} export`);
+    }
+    geometry = { latitudes: [item.location.latitude], longitudes: [item.location.longitude] };
+    layer.frames = values.map(v => [[v]]);
+  } else {
+    throw new Error(`Unsupported data for ${format} export: expected a point series, a grid or a { timestamp, grid } series`);
+  }
+
+  layer.latitudes = geometry.latitudes;
+  layer.longitudes = geometry.longitudes;
+  if (layer.times && layer.times.some(t => !Number.isFinite(t))) {
+    throw new Error(`${format} export found invalid timestamps in the data`);
+  }
+  return layer;
+}
+
+/**
+ * Reshape a flat grid: GeoTIFF windows (width/height, rows north to south) or lists of cells with per-cell coordinates
+ * @ignore
+ */
+function flatToGrid(values, item) {
+  if (item.width && item.height) {
+    if (values.length !== item.width * item.height) {
+      throw new Error(`Grid has ${values.length} values but width x height is ${item.width * item.height}`);
+    }
+    const rows = Array.from({ length: item.height }, (_, r) => values.slice(r * item.width, (r + 1) * item.width));
+    if (!Array.isArray(item.bbox)) return { data: rows };
+    const [west, south, east, north] = item.bbox;
+    const dy = (north - south) / item.height;
+    const dx = (east - west) / item.width;
+    return {
+      data: rows,
+      latitudes: rows.map((_, r) => north - (r + 0.5) * dy),
+      longitudes: rows[0].map((_, c) => west + (c + 0.5) * dx)
+    };
+  }
+  const latitudes = [...new Set(item.latitudes)];
+  const longitudes = [...new Set(item.longitudes)];
+  if (latitudes.length * longitudes.length !== values.length) {
+    throw new Error('Cell coordinates do not form a regular grid; cannot write them as NetCDF latitude/longitude axes');
+  }
+  const rows = latitudes.map(() => new Array(longitudes.length).fill(null));
+  values.forEach((v, i) => {
+    rows[latitudes.indexOf(item.latitudes[i])][longitudes.indexOf(item.longitudes[i])] = v;
+  });
+  return { data: rows, latitudes, longitudes };
+}
+
+/**
+ * Write units in a UDUNITS-parseable form (kg/m² -> kg/m2, °C -> degC); dimensionless when unknown
+ * @ignore
+ */
+function cfUnits(units) {
+  if (!units) return '1';
+  return String(units)
+    .replace(/²/g, '2')
+    .replace(/³/g, '3')
+    .replace(/°\s*([CF])\b/g, 'deg$1')
+    .replace(/°/g, 'degree')
+    .replace(/^%$/, 'percent');
+}
+
+/**
+ * Make a valid, unused NetCDF variable name
+ * @ignore
+ */
+function netcdfName(name, taken) {
+  let clean = String(name).replace(/[^A-Za-z0-9_.@+-]/g, '_');
+  if (!/^[A-Za-z_]/.test(clean)) clean = `v_${clean}`;
+  let unique = clean;
+  for (let n = 2; Object.hasOwn(taken, unique); n++) unique = `${clean}_${n}`;
+  return unique;
+}
+
+/**
+ * Choose the stored type of a data variable, packing to integers with scale_factor/add_offset when requested
+ * @ignore
+ */
+function packValues(values, options) {
+  if (!options.packing) {
+    const type = netcdfType(options.dtype || 'float');
+    if (type !== 'float' && type !== 'double') {
+      throw new Error(`NetCDF dtype must be 'float' or 'double'; use packing to store '${type}' values`);
+    }
+    return { type, data: values, fillValue: options.fillValue ?? -9999 };
+  }
+
+  const packing = typeof options.packing === 'string' ? { type: options.packing } : options.packing;
+  const type = netcdfType(packing.type || 'short');
+  // Packed range per type; the lowest value is kept free for the _FillValue
+  const ranges = { byte: [-127, 127], short: [-32767, 32767], int: [-2147483647, 2147483647] };
+  if (!ranges[type]) throw new Error(`NetCDF packing type must be 'byte', 'short' or 'int', got '${packing.type}'`);
+  const [low, high] = ranges[type];
+
+  let { scaleFactor, addOffset } = packing;
+  if (scaleFactor === undefined || addOffset === undefined) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of values) {
+      if (v === null) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
     }
+    if (min === Infinity) min = max = 0;
+    addOffset = addOffset ?? (min + max) / 2;
+    scaleFactor = scaleFactor ?? ((max - min) / (high - low) || 1);
+  }
+  return {
+    type,
+    data: values.map(v => (v === null ? null : Math.min(high, Math.max(low, Math.round((v - addOffset) / scaleFactor))))),
+    fillValue: low - 1,
+    scaleFactor,
+    addOffset
   };
 }
 
@@ -5,7 +5,7 @@
  */
 
 import { GRIB2DataSource } from './gridded-data-utils.js';
-import * as datasources from '../datasources.js';
+import { resolveProxies, applyProxy } from './proxy-config.js';
 
 /**
  * ECMWF-specific data source implementation (ERA5)
@@ -174,6 +174,15 @@ export class ECMWFDataSource extends GRIB2DataSource {
 // These handle the ERA5 API request/response flow
 // ============================================================================
 
+/**
+ * URL of an ECMWF API request through the configured proxy (direct when ecmwf is overridden with false)
+ * @ignore
+ */
+function proxied(url) {
+  const [proxy] = resolveProxies('ecmwf', { needProxy: true });
+  return proxy ? applyProxy(proxy.endpoint, url) : url;
+}
+
 /**
  * Extract ERA5 data from ECMWF API response
  * @ignore
@@ -184,8 +193,7 @@ export async function extractERA5Data(requestParams, datasetConfig) {
   try {
     // For ERA5, we need to make an API request to get the data
     const apiUrl = datasetConfig.endpoint;
-    const proxy = datasources.proxies["local-proxy"].endpoint;
-    const proxiedUrl = proxy + apiUrl;
+    const proxiedUrl = proxied(apiUrl);
 
     console.log(`[ecmwf] Making ERA5 API request to: ${proxiedUrl}`);
 
@@ -227,9 +235,7 @@ export async function downloadERA5File(dataUrl) {
   console.log(`[ecmwf] Downloading ERA5 file from: ${dataUrl}`);
 
   // Need to ensure proxy is used for the download if applicable
-  // Using the local-proxy explicitly as requested by user
-  const proxy = datasources.proxies["local-proxy"].endpoint;
-  const proxiedUrl = proxy + dataUrl;
+  const proxiedUrl = proxied(dataUrl);
 
   console.log(`[ecmwf] Downloading with proxy: ${proxiedUrl}`);
 
@@ -262,9 +268,8 @@ export async function processERA5GRIB2Data(fileBuffer, extractOptions = {}) {
  * @ignore
  */
 export async function pollECMWFStatus(requestId, datasetConfig) {
-  const proxy = datasources.proxies["local-proxy"].endpoint;
   const endpoint = `${datasetConfig.endpoint}/${requestId}`;
-  const pollUrl = proxy + endpoint;
+  const pollUrl = proxied(endpoint);
 
   console.log(`[ecmwf] Polling status for ${requestId}...`);
 
@@ -0,0 +1,331 @@
+/**
+ * Geometry I/O utilities
+ * WKB encoding, GeoJSON normalization and coordinate reference system helpers shared by the
+ * shapefile, GeoPackage and GeoParquet readers and writers
+ */
+
+// OGC WKT1 definitions for the reference systems most hydrology layers use
+const EPSG_WKT = {
+  4326: 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AXIS["Latitude",NORTH],AXIS["Longitude",EAST],AUTHORITY["EPSG","4326"]]',
+  4269: 'GEOGCS["NAD83",DATUM["North_American_Datum_1983",SPHEROID["GRS 1980",6378137,298.257222101,AUTHORITY["EPSG","7019"]],AUTHORITY["EPSG","6269"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AXIS["Latitude",NORTH],AXIS["Longitude",EAST],AUTHORITY["EPSG","4269"]]',
+  3857: 'PROJCS["WGS 84 / Pseudo-Mercator",GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]],PROJECTION["Mercator_1SP"],PARAMETER["central_meridian",0],PARAMETER["scale_factor",1],PARAMETER["false_easting",0],PARAMETER["false_northing",0],UNIT["metre",1,AUTHORITY["EPSG","9001"]],AXIS["Easting",EAST],AXIS["Northing",NORTH],EXTENSION["PROJ4","+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs"],AUTHORITY["EPSG","3857"]]',
+  5070: 'PROJCS["NAD83 / Conus Albers",GEOGCS["NAD83",DATUM["North_American_Datum_1983",SPHEROID["GRS 1980",6378137,298.257222101,AUTHORITY["EPSG","7019"]],AUTHORITY["EPSG","6269"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4269"]],PROJECTION["Albers_Conic_Equal_Area"],PARAMETER["latitude_of_center",23],PARAMETER["longitude_of_center",-96],PARAMETER["standard_parallel_1",29.5],PARAMETER["standard_parallel_2",45.5],PARAMETER["false_easting",0],PARAMETER["false_northing",0],UNIT["metre",1,AUTHORITY["EPSG","9001"]],AXIS["Easting",EAST],AXIS["Northing",NORTH],AUTHORITY["EPSG","5070"]]'
+};
+
+// Names ESRI software writes to .prj files instead of an EPSG authority
+const ESRI_NAMES = {
+  GCS_WGS_1984: 4326,
+  GCS_North_American_1983: 4269,
+  WGS_1984_Web_Mercator_Auxiliary_Sphere: 3857,
+  NAD_1983_Contiguous_USA_Albers: 5070,
+  USA_Contiguous_Albers_Equal_Area_Conic_USGS_version: 5070
+};
+
+const GEOGRAPHIC_EPSG = [4326, 4269, 4267, 4258, 4283, 4617, 4674, 4755, 4979, 6318];
+
+const WKB_TYPES = ['Geometry', 'Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon', 'GeometryCollection'];
+
+/**
+ * Resolve a CRS given as an EPSG code (4326, 'EPSG:4326', 'urn:ogc:def:crs:EPSG::4326'), a WKT string,
+ * a PROJJSON object or a { epsg, wkt } pair
+ * @param {number|string|Object} crs
+ * @returns {Object|null} { epsg, wkt, geographic } or null when no CRS is given
+ * @ignore
+ */
+export function parseCRS(crs) {
+  if (crs === undefined || crs === null || crs === '') return null;
+  if (typeof crs === 'object' && !Array.isArray(crs)) {
+    if ('epsg' in crs || 'wkt' in crs) {
+      const epsg = crs.epsg != null ? Number(crs.epsg) : epsgFromWKT(crs.wkt);
+      return describeCRS(epsg, crs.wkt);
+    }
+    // PROJJSON, as used by GeoParquet
+    const id = crs.id || (Array.isArray(crs.ids) ? crs.ids[0] : null);
+    const epsg = id && String(id.authority).toUpperCase() === 'EPSG' ? Number(id.code) : null;
+    if (epsg) return describeCRS(epsg);
+    if (/^(OGC|CRS)/i.test(crs.name || '') || /WGS 84$/.test(crs.name || '')) return describeCRS(4326);
+    return { epsg: null, wkt: null, geographic: crs.type === 'GeographicCRS', projjson: crs };
+  }
+
+  const text = String(crs).trim();
+  const code = text.match(/^(?:EPSG:+|urn:ogc:def:crs:EPSG:[\d.]*:)?(\d{4,6})$/i);
+  if (code) return describeCRS(Number(code[1]));
+  if (/^(OGC:CRS84|urn:ogc:def:crs:OGC:[\d.]*:CRS84)$/i.test(text)) return describeCRS(4326);
+  if (/^[A-Z_]+\s*\[/i.test(text)) return describeCRS(epsgFromWKT(text), text);
+  throw new Error(`Unrecognized CRS '${text.slice(0, 60)}'. Use an EPSG code or a WKT definition`);
+}
+
+/**
+ * @ignore
+ */
+function describeCRS(epsg, wkt) {
+  const definition = wkt || EPSG_WKT[epsg] || null;
+  const geographic = GEOGRAPHIC_EPSG.includes(epsg) || /^\s*(GEOGCS|GEOGCRS|GEOGRAPHICCRS)\s*\[/i.test(definition || '');
+  return { epsg: epsg || null, wkt: definition, geographic };
+}
+
+/**
+ * EPSG code of a WKT definition: its top-level AUTHORITY/ID, or a known ESRI name
+ * @ignore
+ */
+function epsgFromWKT(wkt) {
+  if (!wkt) return null;
+  // The CRS's own authority closes the definition; nested ones belong to its datum, units, etc.
+  const authority = wkt.match(/(?:AUTHORITY|ID)\s*\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]\s*\]\s*$/i);
+  if (authority) return Number(authority[1]);
+  const name = wkt.match(/^\s*\w+\s*\[\s*"([^"]+)"/);
+  return name && ESRI_NAMES[name[1]] ? ESRI_NAMES[name[1]] : null;
+}
+
+/**
+ * Coerce GeoJSON-like input to a FeatureCollection: FeatureCollections, Features, bare geometries,
+ * arrays of features, JSON text and objects with a toGeoJSON method (Leaflet layers from map.draw)
+ * @param {Object|Array|string} data
+ * @returns {Object} FeatureCollection
+ * @ignore
+ */
+export function toFeatureCollection(data) {
+  if (typeof data === 'string') data = JSON.parse(data);
+  if (data && typeof data.toGeoJSON === 'function') data = data.toGeoJSON();
+  if (Array.isArray(data)) {
+    return { type: 'FeatureCollection', features: data.map(item => toFeatureCollection(item).features).flat() };
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error('Expected GeoJSON (a FeatureCollection, Feature or geometry)');
+  }
+  if (data.type === 'FeatureCollection') return { ...data, features: data.features || [] };
+  if (data.type === 'Feature') return { type: 'FeatureCollection', features: [data] };
+  if (WKB_TYPES.includes(data.type)) {
+    return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+  }
+  throw new Error(`Expected GeoJSON, got an object of type '${data.type}'`);
+}
+
+/**
+ * Whether a geometry carries Z values (judged from its first position)
+ * @ignore
+ */
+export function hasZ(geometry) {
+  if (!geometry) return false;
+  if (geometry.type === 'GeometryCollection') return (geometry.geometries || []).some(hasZ);
+  let coords = geometry.coordinates;
+  while (Array.isArray(coords) && Array.isArray(coords[0])) coords = coords[0];
+  return Array.isArray(coords) && coords.length > 2 && Number.isFinite(coords[2]);
+}
+
+/**
+ * Bounding box of a geometry as [minX, minY, maxX, maxY], or null for empty geometries
+ * @ignore
+ */
+export function geometryBounds(geometry) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = (coords) => {
+    if (!Array.isArray(coords)) return;
+    if (typeof coords[0] === 'number') {
+      if (coords[0] < box[0]) box[0] = coords[0];
+      if (coords[1] < box[1]) box[1] = coords[1];
+      if (coords[0] > box[2]) box[2] = coords[0];
+      if (coords[1] > box[3]) box[3] = coords[1];
+      return;
+    }
+    coords.forEach(visit);
+  };
+  const walk = (geom) => {
+    if (!geom) return;
+    if (geom.type === 'GeometryCollection') (geom.geometries || []).forEach(walk);
+    else visit(geom.coordinates);
+  };
+  walk(geometry);
+  return box[0] === Infinity ? null : box;
+}
+
+/**
+ * Read a WKB (ISO or EWKB) geometry into GeoJSON. M values are dropped.
+ * @param {Uint8Array} bytes
+ * @param {number} [offset=0]
+ * @returns {Object|null} GeoJSON geometry (null for an empty point)
+ * @ignore
+ */
+export function readWKB(bytes, offset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return readGeometry(view, { offset }).geometry;
+}
+
+/**
+ * @ignore
+ */
+function readGeometry(view, cursor) {
+  const little = view.getUint8(cursor.offset) === 1;
+  let code = view.getUint32(cursor.offset + 1, little);
+  cursor.offset += 5;
+
+  // EWKB flags, then ISO thousands (Z = 1000, M = 2000, ZM = 3000)
+  let z = (code & 0x80000000) !== 0;
+  let m = (code & 0x40000000) !== 0;
+  if (code & 0x20000000) cursor.offset += 4; // embedded SRID
+  code &= 0x0fffffff;
+  const dimension = Math.floor(code / 1000);
+  if (dimension === 1 || dimension === 3) z = true;
+  if (dimension === 2 || dimension === 3) m = true;
+  const type = WKB_TYPES[code % 1000];
+  if (!type || type === 'Geometry') throw new Error(`Unsupported WKB geometry type ${code}`);
+
+  const size = 2 + (z ? 1 : 0) + (m ? 1 : 0);
+  const position = () => {
+    const values = [view.getFloat64(cursor.offset, little), view.getFloat64(cursor.offset + 8, little)];
+    if (z) values.push(view.getFloat64(cursor.offset + 16, little));
+    cursor.offset += size * 8;
+    return values;
+  };
+  const count = () => {
+    const n = view.getUint32(cursor.offset, little);
+    cursor.offset += 4;
+    return n;
+  };
+  const positions = () => Array.from({ length: count() }, position);
+  const rings = () => Array.from({ length: count() }, positions);
+  const parts = () => Array.from({ length: count() }, () => readGeometry(view, cursor).geometry);
+
+  switch (type) {
+    case 'Point': {
+      const point = position();
+      return { geometry: Number.isNaN(point[0]) ? null : { type, coordinates: point } };
+    }
+    case 'LineString': return { geometry: { type, coordinates: positions() } };
+    case 'Polygon': return { geometry: { type, coordinates: rings() } };
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+      return { geometry: { type, coordinates: parts().filter(Boolean).map(part => part.coordinates) } };
+    default:
+      return { geometry: { type, geometries: parts().filter(Boolean) } };
+  }
+}
+
+/**
+ * Write a GeoJSON geometry as little-endian ISO WKB (with Z when the geometry has it)
+ * @param {Object} geometry
+ * @returns {Uint8Array}
+ * @ignore
+ */
+export function writeWKB(geometry) {
+  const z = hasZ(geometry);
+  const size = z ? 3 : 2;
+  const chunks = [];
+  let length = 0;
+
+  const header = (type, n) => {
+    const buffer = new DataView(new ArrayBuffer(n === undefined ? 5 : 9));
+    buffer.setUint8(0, 1);
+    buffer.setUint32(1, WKB_TYPES.indexOf(type) + (z ? 1000 : 0), true);
+    if (n !== undefined) buffer.setUint32(5, n, true);
+    chunks.push(new Uint8Array(buffer.buffer));
+    length += buffer.byteLength;
+  };
+  const count = (n) => {
+    const buffer = new DataView(new ArrayBuffer(4));
+    buffer.setUint32(0, n, true);
+    chunks.push(new Uint8Array(buffer.buffer));
+    length += 4;
+  };
+  const positions = (list) => {
+    const values = new Float64Array(list.length * size);
+    list.forEach((p, i) => {
+      values[i * size] = p[0];
+      values[i * size + 1] = p[1];
+      if (z) values[i * size + 2] = p.length > 2 ? p[2] : 0;
+    });
+    // Float64Array uses platform order; every platform HydroLang runs on is little-endian
+    chunks.push(new Uint8Array(values.buffer));
+    length += values.byteLength;
+  };
+
+  const write = (geom) => {
+    const { type, coordinates } = geom;
+    switch (type) {
+      case 'Point':
+        header(type);
+        positions([coordinates && coordinates.length ? coordinates : [NaN, NaN, NaN]]);
+        break;
+      case 'LineString':
+        header(type, coordinates.length);
+        positions(coordinates);
+        break;
+      case 'Polygon':
+        header(type, coordinates.length);
+        coordinates.forEach(ring => { count(ring.length); positions(ring); });
+        break;
+      case 'MultiPoint':
+      case 'MultiLineString':
+      case 'MultiPolygon': {
+        const single = type.slice(5);
+        header(type, coordinates.length);
+        coordinates.forEach(part => write({ type: single, coordinates: part }));
+        break;
+      }
+      case 'GeometryCollection':
+        header(type, geom.geometries.length);
+        geom.geometries.forEach(write);
+        break;
+      default:
+        throw new Error(`Cannot encode geometry type '${type}' as WKB`);
+    }
+  };
+  write(geometry);
+
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * Transform every coordinate of a FeatureCollection with proj4 (when it is loaded).
+ * Returns the collection unchanged, with a warning, when proj4 is not available.
+ * @param {Object} collection - FeatureCollection
+ * @param {Object} from - CRS from parseCRS
+ * @param {Object} to - CRS from parseCRS
+ * @returns {Object} FeatureCollection
+ * @ignore
+ */
+export function reprojectFeatures(collection, from, to) {
+  if (!from || !to || (from.epsg && from.epsg === to.epsg)) return collection;
+  const proj4 = globalThis.proj4;
+  if (typeof proj4 !== 'function') {
+    console.warn(`proj4 is not loaded; coordinates are left in ${from.epsg ? `EPSG:${from.epsg}` : 'their source CRS'}`);
+    return collection;
+  }
+  const converter = proj4(from.wkt || `EPSG:${from.epsg}`, to.wkt || `EPSG:${to.epsg}`);
+  const convert = (coords) => (typeof coords[0] === 'number'
+    ? [...converter.forward([coords[0], coords[1]]), ...coords.slice(2)]
+    : coords.map(convert));
+  const transform = (geometry) => {
+    if (!geometry) return geometry;
+    if (geometry.type === 'GeometryCollection') return { ...geometry, geometries: geometry.geometries.map(transform) };
+    return { ...geometry, coordinates: convert(geometry.coordinates) };
+  };
+  return { ...collection, features: collection.features.map(f => ({ ...f, geometry: transform(f.geometry) })) };
+}
+
+/**
+ * Finish a FeatureCollection read from a file in `crs`: reproject to WGS84 longitude/latitude when
+ * requested and possible, and record the CRS (legacy GeoJSON `crs` member) when coordinates stay projected
+ * @param {Object} collection - FeatureCollection
+ * @param {Object|null} crs - CRS from parseCRS
+ * @param {Object} [options] - { reproject: true }
+ * @returns {Object} FeatureCollection
+ * @ignore
+ */
+export function finishFeatureCollection(collection, crs, options = {}) {
+  if (!crs || crs.epsg === 4326) return collection;
+  if (options.reproject !== false && !crs.geographic) {
+    if (typeof globalThis.proj4 === 'function') return reprojectFeatures(collection, crs, parseCRS(4326));
+    console.warn(`Layer coordinates are in ${crs.epsg ? `EPSG:${crs.epsg}` : 'a projected CRS'}; load proj4 to convert them to longitude/latitude`);
+  }
+  return crs.epsg
+    ? { ...collection, crs: { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${crs.epsg}` } } }
+    : collection;
+}
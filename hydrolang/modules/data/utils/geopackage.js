@@ -0,0 +1,242 @@
+/**
+ * GeoPackage utilities
+ * Read GeoPackage vector layers into GeoJSON and write GeoJSON layers as GeoPackage 1.3 files
+ */
+
+import { openSQLite, writeSQLite, isSQLite } from './sqlite.js';
+import { toUint8Array } from './zip-utils.js';
+import { readWKB, writeWKB, parseCRS, toFeatureCollection, finishFeatureCollection, geometryBounds, hasZ } from './geometry-io.js';
+
+const APPLICATION_ID = 0x47504b47; // 'GPKG'
+const USER_VERSION = 10300; // GeoPackage 1.3.0
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+
+/**
+ * Check whether a buffer holds a GeoPackage (a SQLite database with the GPKG application id)
+ * @ignore
+ */
+export function isGeoPackage(bytes) {
+  return isSQLite(bytes) && new DataView(bytes.buffer, bytes.byteOffset, 72).getUint32(68, false) === APPLICATION_ID;
+}
+
+/**
+ * Decode a GeoPackage geometry blob (GP header followed by WKB)
+ * @ignore
+ */
+function readGeometryBlob(blob) {
+  if (!blob || !blob.length) return null;
+  if (blob[0] !== 0x47 || blob[1] !== 0x50) throw new Error('Invalid GeoPackage geometry: missing GP header');
+  const flags = blob[3];
+  if (flags & 0x20) throw new Error('Extended GeoPackage geometry types are not supported');
+  if (flags & 0x10) return null;
+  return readWKB(blob, 8 + ENVELOPE_SIZES[(flags >> 1) & 0x07]);
+}
+
+/**
+ * Encode a geometry as a GeoPackage blob: little-endian header with an XY envelope, then WKB
+ * @ignore
+ */
+function writeGeometryBlob(geometry, srsId) {
+  const bounds = geometryBounds(geometry);
+  if (!bounds) return null;
+  const wkb = writeWKB(geometry);
+  const blob = new Uint8Array(40 + wkb.length);
+  const view = new DataView(blob.buffer);
+  blob[0] = 0x47;
+  blob[1] = 0x50;
+  blob[2] = 0;
+  blob[3] = 0x03; // little-endian, envelope [minx, maxx, miny, maxy]
+  view.setInt32(4, srsId, true);
+  [bounds[0], bounds[2], bounds[1], bounds[3]].forEach((value, i) => view.setFloat64(8 + i * 8, value, true));
+  blob.set(wkb, 40);
+  return blob;
+}
+
+/**
+ * Read vector layers of a GeoPackage into GeoJSON
+ * @param {Blob|ArrayBuffer|Uint8Array} input - GeoPackage file contents
+ * @param {Object} [options]
+ * @param {string} [options.layer] - Feature table to read when the file holds several
+ * @param {boolean} [options.reproject=true] - Convert projected coordinates to longitude/latitude when proj4 is loaded
+ * @returns {Promise<Object>} FeatureCollection, or { layerName: FeatureCollection } for files with several layers and no layer option
+ * @ignore
+ */
+export async function readGeoPackage(input, options = {}) {
+  const bytes = await toUint8Array(input);
+  if (!isSQLite(bytes)) throw new Error('Not a GeoPackage: the file is not a SQLite database');
+  const db = openSQLite(bytes);
+  if (!db.schema.some(e => e.name === 'gpkg_geometry_columns')) {
+    throw new Error('Not a GeoPackage vector file: gpkg_geometry_columns table is missing');
+  }
+
+  const geometryColumns = db.readTable('gpkg_geometry_columns');
+  const spatialRefs = db.readTable('gpkg_spatial_ref_sys');
+  const names = geometryColumns.map(g => g.table_name);
+  if (!names.length) throw new Error('The GeoPackage has no vector layers');
+
+  const readLayer = (name) => {
+    const geometryColumn = geometryColumns.find(g => g.table_name === name);
+    const columns = db.columns(name);
+    const idColumn = columns.find(c => c.rowid)?.name;
+    const booleans = columns.filter(c => /^BOOL/i.test(c.type)).map(c => c.name);
+
+    const features = db.readTable(name).map((row) => {
+      const properties = {};
+      for (const column of columns) {
+        if (column.name === idColumn || column.name === geometryColumn.column_name) continue;
+        const value = row[column.name];
+        properties[column.name] = booleans.includes(column.name) && value !== null ? Boolean(value) : value;
+      }
+      const geometry = readGeometryBlob(row[geometryColumn.column_name]);
+      return idColumn ? { type: 'Feature', id: row[idColumn], properties, geometry } : { type: 'Feature', properties, geometry };
+    });
+
+    const srs = spatialRefs.find(s => s.srs_id === geometryColumn.srs_id);
+    const crs = srs && srs.srs_id > 0
+      ? parseCRS({
+        epsg: String(srs.organization).toUpperCase() === 'EPSG' ? srs.organization_coordsys_id : null,
+        wkt: srs.definition && srs.definition !== 'undefined' ? srs.definition : null
+      })
+      : null;
+    return finishFeatureCollection({ type: 'FeatureCollection', features }, crs, options);
+  };
+
+  if (options.layer !== undefined) {
+    const match = names.find(n => n === options.layer) || names.find(n => n.toLowerCase() === String(options.layer).toLowerCase());
+    if (!match) throw new Error(`Layer '${options.layer}' not found. Available: ${names.join(', ')}`);
+    return readLayer(match);
+  }
+  if (names.length === 1) return readLayer(names[0]);
+  return Object.fromEntries(names.map(name => [name, readLayer(name)]));
+}
+
+/**
+ * @ignore
+ */
+const quote = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * SQLite column type for a list of property values
+ * @ignore
+ */
+function columnType(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (!present.length) return 'TEXT';
+  if (present.every(v => typeof v === 'boolean')) return 'BOOLEAN';
+  if (present.every(v => typeof v === 'number')) return present.every(Number.isInteger) ? 'INTEGER' : 'REAL';
+  if (present.every(v => v instanceof Date)) return 'DATETIME';
+  if (present.every(v => v instanceof Uint8Array)) return 'BLOB';
+  return 'TEXT';
+}
+
+/**
+ * Write GeoJSON as a GeoPackage
+ * @param {Object|Array} data - FeatureCollection (or anything toFeatureCollection accepts), or { layerName: FeatureCollection }
+ * @param {Object} [options]
+ * @param {string} [options.name='layer'] - Table name for a single layer
+ * @param {number|string|Object} [options.crs] - CRS of the coordinates; defaults to each collection's crs member, then EPSG:4326
+ * @returns {Uint8Array} GeoPackage file
+ * @ignore
+ */
+export function writeGeoPackage(data, options = {}) {
+  const isLayerMap = data && typeof data === 'object' && !Array.isArray(data) && !data.type && typeof data.toGeoJSON !== 'function';
+  const layers = isLayerMap ? Object.entries(data) : [[options.name || 'layer', data]];
+  const now = new Date().toISOString();
+
+  const spatialRefs = new Map([
+    [-1, ['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system']],
+    [0, ['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system']],
+    [4326, ['WGS 84 geodetic', 4326, 'EPSG', 4326, parseCRS(4326).wkt, 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid']]
+  ]);
+  const contents = [];
+  const geometryColumns = [];
+  const featureTables = [];
+  let customSrs = 100000;
+
+  for (const [name, layerData] of layers) {
+    const collection = toFeatureCollection(layerData);
+    const crs = parseCRS(options.crs ?? collection.crs?.properties?.name ?? 4326);
+    const srsId = crs.epsg || customSrs++;
+    if (!spatialRefs.has(srsId)) {
+      if (!crs.wkt) console.warn(`No WKT definition known for EPSG:${srsId}; it is stored as 'undefined'`);
+      spatialRefs.set(srsId, [crs.epsg ? `EPSG:${crs.epsg}` : `Custom ${srsId}`, srsId, crs.epsg ? 'EPSG' : 'NONE', srsId, crs.wkt || 'undefined', null]);
+    }
+
+    // Property columns, renamed when they clash with the id or geometry column
+    const keys = [...new Set(collection.features.flatMap(f => Object.keys(f.properties || {})))];
+    const taken = new Set(['fid', 'geom']);
+    const columns = keys.map((key) => {
+      let column = key;
+      for (let n = 1; taken.has(column.toLowerCase()); n++) column = `${key}_${n}`;
+      taken.add(column.toLowerCase());
+      return { key, column, type: columnType(collection.features.map(f => f.properties?.[key])) };
+    });
+
+    const types = new Set(collection.features.filter(f => f.geometry).map(f => f.geometry.type.toUpperCase()));
+    const geometryType = types.size === 1 ? [...types][0] : 'GEOMETRY';
+    const z = collection.features.some(f => hasZ(f.geometry)) ? 1 : 0;
+
+    const ids = collection.features.map(f => f.id);
+    const useIds = ids.every(id => Number.isSafeInteger(id) && id > 0) && new Set(ids).size === ids.length;
+    const rows = collection.features.map((feature, i) => [
+      useIds ? feature.id : i + 1,
+      [null, writeGeometryBlob(feature.geometry, srsId), ...columns.map(({ key, type }) => {
+        const value = feature.properties?.[key];
+        if (value === null || value === undefined) return null;
+        if (type === 'TEXT' && typeof value !== 'string') return value instanceof Date ? value.toISOString() : JSON.stringify(value);
+        return value;
+      })]
+    ]).sort((a, b) => a[0] - b[0]);
+
+    const bounds = collection.features.map(f => geometryBounds(f.geometry)).filter(Boolean)
+      .reduce((b, box) => [Math.min(b[0], box[0]), Math.min(b[1], box[1]), Math.max(b[2], box[2]), Math.max(b[3], box[3])],
+        [Infinity, Infinity, -Infinity, -Infinity]);
+    const extent = bounds[0] === Infinity ? [null, null, null, null] : bounds;
+
+    contents.push([name, 'features', name, '', now, ...extent, srsId]);
+    geometryColumns.push([name, 'geom', geometryType, srsId, z, 0]);
+    featureTables.push({
+      name,
+      sql: `CREATE TABLE ${quote(name)} ( "fid" INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, "geom" ${geometryType}${columns.map(c => `, ${quote(c.column)} ${c.type}`).join('')})`,
+      rows,
+      maxId: rows.length ? rows[rows.length - 1][0] : 0
+    });
+  }
+
+  const srsRows = [...spatialRefs.values()].sort((a, b) => a[1] - b[1])
+    .map(([srsName, srsId, organization, code, definition, description]) => [srsId, [srsName, null, organization, code, definition, description]]);
+
+  const objects = [
+    {
+      type: 'table',
+      name: 'gpkg_spatial_ref_sys',
+      sql: 'CREATE TABLE gpkg_spatial_ref_sys (srs_name TEXT NOT NULL, srs_id INTEGER PRIMARY KEY, organization TEXT NOT NULL, organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT)',
+      rows: srsRows
+    },
+    {
+      type: 'table',
+      name: 'gpkg_contents',
+      sql: "CREATE TABLE gpkg_contents (table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE, description TEXT DEFAULT '', last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')), min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE, srs_id INTEGER, CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id))",
+      rows: contents.map((values, i) => [i + 1, values])
+    },
+    { type: 'index', name: 'sqlite_autoindex_gpkg_contents_1', table: 'gpkg_contents', sql: null, keys: contents.map((values, i) => [values[0], i + 1]) },
+    { type: 'index', name: 'sqlite_autoindex_gpkg_contents_2', table: 'gpkg_contents', sql: null, keys: contents.map((values, i) => [values[2], i + 1]) },
+    {
+      type: 'table',
+      name: 'gpkg_geometry_columns',
+      sql: 'CREATE TABLE gpkg_geometry_columns (table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL, srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL, CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name), CONSTRAINT uk_gc_table_name UNIQUE (table_name), CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name), CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id))',
+      rows: geometryColumns.map((values, i) => [i + 1, values])
+    },
+    { type: 'index', name: 'sqlite_autoindex_gpkg_geometry_columns_1', table: 'gpkg_geometry_columns', sql: null, keys: geometryColumns.map((values, i) => [values[0], values[1], i + 1]) },
+    { type: 'index', name: 'sqlite_autoindex_gpkg_geometry_columns_2', table: 'gpkg_geometry_columns', sql: null, keys: geometryColumns.map((values, i) => [values[0], i + 1]) },
+    ...featureTables.map(({ name, sql, rows }) => ({ type: 'table', name, sql, rows })),
+    {
+      type: 'table',
+      name: 'sqlite_sequence',
+      sql: 'CREATE TABLE sqlite_sequence(name,seq)',
+      rows: featureTables.map(({ name, maxId }, i) => [i + 1, [name, maxId]])
+    }
+  ];
+
+  return writeSQLite(objects, { applicationId: APPLICATION_ID, userVersion: USER_VERSION });
+}
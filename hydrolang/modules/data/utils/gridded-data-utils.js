@@ -6,6 +6,10 @@
 
 // Import centralized gridded data loader
 import * as griddedData from '../../../external/gridded-data/gridded-data.js';
+import { resolveProxies, applyProxy } from './proxy-config.js';
+import { buildNetCDF, buildCOG } from './data-transformers.js';
+import { imageToCOG, isCOG } from './cog.js';
+import { openCOG } from './cog-reader.js';
 
 /**
  * Base class for all gridded data sources
@@ -30,6 +34,26 @@ export class GriddedDataSource {
     this.library = null;
   }
 
+  /**
+   * URL to request, through the proxy selected by options.proxy / options.params.proxy
+   * @param {string} url
+   * @param {Object} [options]
+   * @returns {string}
+   */
+  proxiedUrl(url, options = {}) {
+    if (options.proxy || (options.params && options.params.proxy)) {
+      // true uses the configured proxy order, a name picks that proxy (see data.proxy)
+      const requested = options.proxy === true || options.params?.proxy === true ? undefined : (options.proxy || options.params.proxy);
+      const [proxy] = resolveProxies(this.sourceName, { requested, needProxy: true });
+      if (proxy) {
+        const fetchUrl = applyProxy(proxy.endpoint, url);
+        console.log(`[${this.sourceName}] Using proxy: ${fetchUrl}`);
+        return fetchUrl;
+      }
+    }
+    return url;
+  }
+
   /**
    * Unified fetch with automatic caching context setup
    * Eliminates duplicate fetch functions across all utils files
@@ -37,49 +61,28 @@ export class GriddedDataSource {
   async fetch(url, options = {}) {
     console.log(`[${this.sourceName}] Fetching: ${url}`);
 
-    // Set global cache context ONLY if caching is explicitly requested
-    if (options.useCache === true || options.params?.cache === true) {
-      globalThis._hydroCacheContext = globalThis._hydroCacheContext || {};
-      globalThis._hydroCacheContext.source = this.sourceName;
-      globalThis._hydroCacheContext.params = options.params || {};
-      globalThis._hydroCacheContext.cacheId = options.cacheId || options.params?.cacheId;
-    }
-
-    // Handle Proxy
-    let fetchUrl = url;
-    if (options.proxy || (options.params && options.params.proxy)) {
-      // Default to local-proxy if true, or use specified proxy
-      const proxyName = (options.proxy === true || options.params.proxy === true) ? 'local-proxy' : (options.proxy || options.params.proxy);
-
-      // Hardcoded generic proxy map for internal use if module import is difficult here
-      // ideally we would import proxies from ../datasources/proxy.js but circular deps can be tricky
-      const proxies = {
-        "local-proxy": "https://hydroinformatics.uiowa.edu/lab/cors/?url=",
-        "researchverse": "https://researchverse.ai/backend/api/simple-proxy/?url=",
-        "corsproxy": "https://corsproxy.io/?"
-      };
-
-      const proxyEndpoint = proxies[proxyName] || proxies['local-proxy'];
-
-      // Handle CORS proxy format (some append ?url=, some just append URL)
-      // For simplicity, assuming the ones with ?url= need encoding, others might just append
-      if (proxyEndpoint.includes('?url=')) {
-        fetchUrl = `${proxyEndpoint}${encodeURIComponent(url)}`;
-      } else {
-        fetchUrl = `${proxyEndpoint}${url}`;
+    const fetchUrl = this.proxiedUrl(url, options);
+    const fetchOptions = {
+      method: 'GET',
+      headers: {
+        'Accept': options.accept || 'application/octet-stream, application/json, */*',
+        ...options.headers
       }
-
-      console.log(`[${this.sourceName}] Using proxy: ${fetchUrl}`);
-    }
+    };
 
     try {
-      const response = await fetch(fetchUrl, {
-        method: 'GET',
-        headers: {
-          'Accept': options.accept || 'application/octet-stream, application/json, */*',
-          ...options.headers
-        }
-      });
+      // Go through the cache ONLY if caching is explicitly requested, with a context for this request alone
+      let response;
+      if (options.useCache === true || options.params?.cache === true) {
+        const { cachedFetch } = await import('./data-cache.js');
+        response = await cachedFetch(fetchUrl, fetchOptions, {
+          source: this.sourceName,
+          params: options.params || {},
+          cacheId: options.cacheId || options.params?.cacheId
+        });
+      } else {
+        response = await fetch(fetchUrl, fetchOptions);
+      }
 
       // Handle case where cachedFetch returns ArrayBuffer directly
       if (response instanceof ArrayBuffer || (typeof Buffer !== 'undefined' && response instanceof Buffer)) {
@@ -387,41 +390,27 @@ export class GriddedDataSource {
   }
 
   /**
-   * Convert to NetCDF-compatible structure
-   * Eliminates duplicate NetCDF converters (~200 lines)
+   * Convert to a CF-1.8 NetCDF classic file (see buildNetCDF for the accepted data shapes and options)
+   * @returns {Uint8Array} NetCDF file bytes
    */
   toNetCDF(data, options = {}) {
-    const variableName = data.variable;
-    const variableMeta = this.variables?.[variableName] || {};
+    return buildNetCDF(data, {
+      ...options,
+      source: this.sourceName,
+      variables: this.variables
+    });
+  }
 
-    return {
-      type: 'netcdf',
-      dimensions: {
-        time: data.data?.length || 0,
-        latitude: data.location ? 1 : (data.data?.coordinates?.latitude?.length || 0),
-        longitude: data.location ? 1 : (data.data?.coordinates?.longitude?.length || 0)
-      },
-      variables: {
-        [variableName]: {
-          dimensions: ['time', 'latitude', 'longitude'],
-          data: data.data,
-          attributes: {
-            units: variableMeta.units || data.metadata?.units || '',
-            long_name: variableMeta.longName || variableMeta.description || variableName,
-            scale_factor: variableMeta.scaleFactor || 1.0,
-            add_offset: variableMeta.addOffset || 0.0,
-            source: this.sourceName.toUpperCase()
-          }
-        }
-      },
-      globalAttributes: {
-        title: `${this.sourceName.toUpperCase()} ${variableName} data`,
-        institution: options.institution || 'HydroLang',
-        source: `${this.sourceName.toUpperCase()} Dataset`,
-        history: `Generated on ${new Date().toISOString()}`,
-        dataSource: this.sourceName
-      }
-    };
+  /**
+   * Convert grids to a cloud-optimized GeoTIFF (see buildCOG for the accepted data shapes and options)
+   * @returns {Promise<ArrayBuffer>} GeoTIFF file bytes
+   */
+  async toCOG(data, options = {}) {
+    return buildCOG(data, {
+      ...options,
+      source: this.sourceName,
+      variables: this.variables
+    });
   }
 
   /**
@@ -1076,7 +1065,7 @@ export class NetCDFDataSource extends GriddedDataSource {
 
     console.log(`[${this.sourceName}] Parsing NetCDF data...`);
 
-    const NetCDFReader = this.library?.NetCDFReader || this.library || globalThis.netcdfjs || globalThis.NetCDFReader;
+    const NetCDFReader = this.library?.NetCDFReader || this.library?.netcdfjs || this.library || globalThis.netcdfjs || globalThis.NetCDFReader;
 
     if (!NetCDFReader) {
       throw new Error('NetCDF parser not available');
@@ -1181,6 +1170,23 @@ export class GeoTIFFDataSource extends GriddedDataSource {
     return { tiff, image };
   }
 
+  /**
+   * Open a remote cloud-optimized GeoTIFF without downloading it.
+   * Only the header is read here; readBbox, readPoint and readWindow fetch the tiles they need
+   * with range requests, and the byte blocks are cached under this source's cache policy.
+   * @param {string} url - COG URL
+   * @param {Object} [options] - RemoteCOG options plus proxy
+   * @returns {Promise<RemoteCOG>}
+   */
+  async openRemoteCOG(url, options = {}) {
+    console.log(`[${this.sourceName}] Opening COG: ${url}`);
+    return openCOG(url, {
+      source: this.sourceName,
+      ...options,
+      fetchUrl: this.proxiedUrl(url, options)
+    });
+  }
+
   /**
    * Extract value from GeoTIFF at lat/lon
    */
@@ -1235,6 +1241,24 @@ export class GeoTIFFDataSource extends GriddedDataSource {
     };
   }
 
+  /**
+   * Convert to a cloud-optimized GeoTIFF. GeoTIFF bytes as served (or { arrayBuffer } results) are
+   * re-encoded keeping their georeferencing and NoData; COGs are returned as they are
+   * @returns {Promise<ArrayBuffer>} GeoTIFF file bytes
+   */
+  async toCOG(data, options = {}) {
+    const buffer = data?.arrayBuffer instanceof ArrayBuffer ? data.arrayBuffer : data;
+    if (!(buffer instanceof ArrayBuffer) && !ArrayBuffer.isView(buffer)) {
+      return super.toCOG(data, options);
+    }
+    if (isCOG(buffer) && options.reencode !== true) {
+      return buffer instanceof ArrayBuffer ? buffer : buffer.slice().buffer;
+    }
+    const bytes = buffer instanceof ArrayBuffer ? buffer : buffer.slice().buffer;
+    const { image } = await this.parseGeoTIFF(bytes);
+    return imageToCOG(image, options);
+  }
+
   /**
    * Handle ZIP extraction for PRISM and similar sources
    */
@@ -1290,10 +1314,12 @@ export async function loadGridDataLibrary(format) {
   try {
     // Check environment
     const isWorker = typeof document === 'undefined';
+    const isNode = typeof process !== 'undefined' && !!process.versions?.node;
 
     // Prepare options to disable dynamic loading in workers
+    // (the netcdf loader imports netcdfjs from npm in Node.js, so it keeps its parser there)
     const options = isWorker ? {
-      includeJS: false,
+      includeJS: isNode && format === 'netcdf',
       includeGeo: false,
       includeProj4: false,
       includeGeoTIFF: false,
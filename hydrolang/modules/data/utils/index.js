@@ -10,8 +10,74 @@ export * from './gridded-data-utils.js';
 // General data transformation utilities
 export * from './data-transformers.js';
 
+// Unit registry and conversion utilities
+export * from './unit-converter.js';
+
+// Timezone-aware period binning and resampling
+export * from './time-utils.js';
+
+// Block, polygon area-weighted and zonal spatial aggregation
+export * from './spatial-utils.js';
+
+// Quality control tests and QARTOD flags
+export * from './quality-control.js';
+
+// Canonical TimeSeries model and per-source normalizers
+export * from './timeseries.js';
+export * from './normalizers.js';
+export * from './waterml.js';
+
+// Namespace-aware XML parser (no DOMParser, works in Web Workers)
+export * from './xml-utils.js';
+export * from './zip-utils.js';
+
+// NetCDF classic writer (CF builder: buildNetCDF in data-transformers)
+export * from './netcdf.js';
+
+// Cloud-optimized GeoTIFF writer (grid builder: buildCOG in data-transformers)
+export * from './cog.js';
+
+// Lazy COG reader: range requests for the tiles a window, bbox or point needs, cached as byte blocks
+export * from './cog-reader.js';
+
+// Vector layer I/O: WKB and CRS helpers, shapefile, GeoPackage (SQLite) and GeoParquet
+export * from './geometry-io.js';
+export * from './shapefile.js';
+export * from './sqlite.js';
+export * from './geopackage.js';
+export * from './parquet.js';
+
+// Streaming CSV/TSV/RDB parser
+export * from './csv-utils.js';
+
+// Columnar tables: Parquet and Arrow IPC reading/writing with column projection and row filters
+export * from './table-utils.js';
+export * from './arrow.js';
+
+// Retry/backoff, per-host rate limiting and cancellation for network requests
+export * from './request-scheduler.js';
+
+// Offset, page, cursor, next-link and Link header pagination for paged APIs
+export * from './pagination.js';
+
+// Datasource config schema, validation and registration
+export * from './source-registry.js';
+
+// Searchable catalog built from datasource metadata
+export * from './catalog.js';
+
+// Request provenance records and replayable manifests
+export * from './provenance.js';
+
+// Encrypted API key store and secret redaction
+export * from './credentials.js';
+
+// Proxy allow-list, ordering and per-source overrides
+export * from './proxy-config.js';
+
 // Data caching utilities
 export * from './data-cache.js';
+export * from './cache-backends.js';
 
 // Chunked file processing utilities
 export * from './chunked-file-utils.js';
@@ -97,6 +163,14 @@ export const GRIDDED_SOURCES = {
 
 };
 
+/**
+ * Whether grid extractions were requested as cloud-optimized GeoTIFF (args.format 'cog')
+ * @ignore
+ */
+function wantsCOG(dataType, args) {
+  return dataType === 'grid-data' && typeof args.format === 'string' && args.format.toLowerCase() === 'cog';
+}
+
 /**
  * Generic processor for all gridded data sources
  * Replaces 8 individual processXXXData functions with a single unified handler
@@ -104,7 +178,7 @@ export const GRIDDED_SOURCES = {
  * 
  * @param {string} source - Source name (e.g., 'aorc', 'mrms', 'hrrr')
  * @param {string} dataType - Data type (e.g., 'point-data', 'grid-data')
- * @param {Object} args - Arguments for data extraction
+ * @param {Object} args - Arguments for data extraction; format 'cog' returns grid-data as cloud-optimized GeoTIFF bytes
  * @param {Object} datasources - Datasources configuration object
  * @returns {Promise} Result from data source
  */
@@ -227,7 +301,7 @@ export async function processGriddedSource(source, dataType, args, datasources)
       }
     }
 
-    return result;
+    return wantsCOG(dataType, args) ? await dataSourceInstance.toCOG(result, args) : result;
   } catch (error) {
     // If error is about missing library, try to load it
     if (error.message && (error.message.includes('library') || error.message.includes('Library') ||
@@ -283,7 +357,7 @@ export async function processGriddedSource(source, dataType, args, datasources)
           }
         }
 
-        return retryResult;
+        return wantsCOG(dataType, args) ? await dataSourceInstance.toCOG(retryResult, args) : retryResult;
       } catch (loadError) {
         throw new Error(`Failed to load required ${config.library} library: ${error.message}`);
       }
@@ -0,0 +1,240 @@
+/**
+ * NetCDF utilities
+ * Writer for NetCDF classic (CDF-1) and 64-bit offset (CDF-2) files
+ */
+
+const NC_DIMENSION = 0x0a;
+const NC_VARIABLE = 0x0b;
+const NC_ATTRIBUTE = 0x0c;
+
+// nc_type codes, sizes and default fill values (netcdf.h)
+const NC_TYPES = {
+  byte: { code: 1, size: 1, fill: -127 },
+  char: { code: 2, size: 1, fill: 0 },
+  short: { code: 3, size: 2, fill: -32767 },
+  int: { code: 4, size: 4, fill: -2147483647 },
+  float: { code: 5, size: 4, fill: 9.969209968386869e36 },
+  double: { code: 6, size: 8, fill: 9.969209968386869e36 }
+};
+
+const TYPE_ALIASES = {
+  int8: 'byte', i1: 'byte', int16: 'short', i2: 'short', int32: 'int', i4: 'int',
+  float32: 'float', f4: 'float', float64: 'double', f8: 'double', string: 'char'
+};
+
+// Attributes that CF requires to have the variable's own type
+const VARIABLE_TYPED_ATTRIBUTES = ['_FillValue', 'missing_value', 'valid_min', 'valid_max', 'valid_range', 'actual_range'];
+
+const MAX_CDF1_OFFSET = 2 ** 31 - 1;
+
+/**
+ * Resolve a NetCDF type name
+ * @ignore
+ */
+export function netcdfType(type = 'float') {
+  const name = TYPE_ALIASES[type] || type;
+  if (!NC_TYPES[name]) {
+    throw new Error(`Unsupported NetCDF type '${type}'. Use one of: ${Object.keys(NC_TYPES).join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Infer the type of an attribute value
+ * @ignore
+ */
+function attributeType(name, value, variableType) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value) && 'value' in value) {
+    return netcdfType(value.type);
+  }
+  if (typeof value === 'string') return 'char';
+  if (value instanceof Int8Array) return 'byte';
+  if (value instanceof Int16Array) return 'short';
+  if (value instanceof Int32Array) return 'int';
+  if (value instanceof Float32Array) return 'float';
+  if (value instanceof Float64Array) return 'double';
+  if (variableType && variableType !== 'char' && VARIABLE_TYPED_ATTRIBUTES.includes(name)) return variableType;
+  if (name === 'scale_factor' || name === 'add_offset') return variableType === 'float' ? 'float' : 'double';
+  const values = Array.isArray(value) ? value : [value];
+  return values.every(v => Number.isInteger(v) && v >= -2147483648 && v <= 2147483647) ? 'int' : 'double';
+}
+
+/**
+ * Write big-endian values of a NetCDF type
+ * @ignore
+ */
+function writeValues(view, offset, type, values, fill) {
+  const { size } = NC_TYPES[type];
+  if (type === 'char') {
+    const bytes = typeof values === 'string' ? new TextEncoder().encode(values) : values;
+    new Uint8Array(view.buffer, view.byteOffset + offset, bytes.length).set(bytes);
+    return offset + bytes.length;
+  }
+  for (let i = 0; i < values.length; i++) {
+    let v = values[i];
+    if (v === null || v === undefined || Number.isNaN(v)) v = fill;
+    v = Number(v);
+    switch (type) {
+      case 'byte': view.setInt8(offset, v); break;
+      case 'short': view.setInt16(offset, v); break;
+      case 'int': view.setInt32(offset, v); break;
+      case 'float': view.setFloat32(offset, v); break;
+      default: view.setFloat64(offset, v);
+    }
+    offset += size;
+  }
+  return offset;
+}
+
+const pad4 = (n) => (n + 3) & ~3;
+
+/**
+ * Normalize the values of an attribute for writing
+ * @ignore
+ */
+function attributeValues(value, type) {
+  const raw = value && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value) && 'value' in value ? value.value : value;
+  if (type === 'char') return new TextEncoder().encode(String(raw));
+  return Array.isArray(raw) || ArrayBuffer.isView(raw) ? Array.from(raw) : [raw];
+}
+
+/**
+ * Write a NetCDF classic file.
+ * Variable data is given flat in row-major (C) order, or as nested arrays that are flattened.
+ * Missing values (null, undefined and NaN) are written as the variable's _FillValue.
+ * Files whose data would start beyond 2 GiB are written in the 64-bit offset format.
+ * @param {Object} dataset - { dimensions: { name: size }, variables: { name: { type, dimensions, data, attributes } }, globalAttributes }
+ * @param {Object} [options]
+ * @param {number} [options.version] - 1 (classic) or 2 (64-bit offset); chosen from the file size by default
+ * @returns {Uint8Array} NetCDF file bytes
+ * @ignore
+ */
+export function writeNetCDF(dataset, options = {}) {
+  const dimensionNames = Object.keys(dataset.dimensions || {});
+  const dimensionSizes = dimensionNames.map((name) => {
+    const size = dataset.dimensions[name];
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`NetCDF dimension '${name}' must have a positive integer size (unlimited dimensions are not supported), got ${size}`);
+    }
+    return size;
+  });
+  const encoder = new TextEncoder();
+
+  const prepareAttributes = (attributes = {}, variableType) => Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const type = attributeType(name, value, variableType);
+      return { name: encoder.encode(name), type, values: attributeValues(value, type) };
+    });
+
+  const variables = Object.entries(dataset.variables || {}).map(([name, variable]) => {
+    const type = netcdfType(variable.type);
+    const dimensions = variable.dimensions || [];
+    const ids = dimensions.map((dim) => {
+      const id = dimensionNames.indexOf(dim);
+      if (id < 0) throw new Error(`Variable '${name}' uses undefined dimension '${dim}'`);
+      return id;
+    });
+    const count = ids.reduce((n, id) => n * dimensionSizes[id], 1);
+    let data = variable.data ?? [];
+    if (type === 'char') {
+      data = typeof data === 'string' ? encoder.encode(data) : Uint8Array.from(data);
+    } else if (Array.isArray(data)) {
+      data = data.flat(Infinity);
+    }
+    if (data.length !== count) {
+      throw new Error(`Variable '${name}' has ${data.length} values but its dimensions (${dimensions.join(', ') || 'scalar'}) hold ${count}`);
+    }
+    const attributes = prepareAttributes(variable.attributes, type);
+    const fillAttribute = variable.attributes?._FillValue;
+    const fill = fillAttribute !== undefined && fillAttribute !== null ? attributeValues(fillAttribute, type)[0] : NC_TYPES[type].fill;
+    return { name: encoder.encode(name), type, ids, data, attributes, fill, bytes: count * NC_TYPES[type].size };
+  });
+  const globalAttributes = prepareAttributes(dataset.globalAttributes);
+
+  const attributesSize = (list) => 8 + list.reduce((n, a) => n + 4 + pad4(a.name.length) + 8 + pad4(a.values.length * NC_TYPES[a.type].size), 0);
+  const headerSize = (offsetSize) => 4 + 4 +
+    8 + dimensionNames.reduce((n, d) => n + 4 + pad4(encoder.encode(d).length) + 4, 0) +
+    attributesSize(globalAttributes) +
+    8 + variables.reduce((n, v) => n + 4 + pad4(v.name.length) + 4 + 4 * v.ids.length + attributesSize(v.attributes) + 4 + 4 + offsetSize, 0);
+
+  const dataSize = variables.reduce((n, v) => n + pad4(v.bytes), 0);
+  // CDF-1 stores 32-bit offsets, so the last variable must begin below 2 GiB
+  const version = options.version || (headerSize(4) + dataSize - (variables.length ? pad4(variables[variables.length - 1].bytes) : 0) > MAX_CDF1_OFFSET ? 2 : 1);
+  const offsetSize = version === 2 ? 8 : 4;
+  const header = headerSize(offsetSize);
+  const total = header + dataSize;
+
+  const buffer = new Uint8Array(total);
+  const view = new DataView(buffer.buffer);
+  let pos = 0;
+  const u32 = (n) => { view.setUint32(pos, n); pos += 4; };
+  const name = (bytes) => {
+    u32(bytes.length);
+    buffer.set(bytes, pos);
+    pos += pad4(bytes.length);
+  };
+  const writeAttributes = (list) => {
+    if (!list.length) { u32(0); u32(0); return; }
+    u32(NC_ATTRIBUTE);
+    u32(list.length);
+    for (const attribute of list) {
+      name(attribute.name);
+      u32(NC_TYPES[attribute.type].code);
+      u32(attribute.values.length);
+      writeValues(view, pos, attribute.type, attribute.values, NC_TYPES[attribute.type].fill);
+      pos += pad4(attribute.values.length * NC_TYPES[attribute.type].size);
+    }
+  };
+
+  buffer.set([0x43, 0x44, 0x46, version], 0);
+  pos = 4;
+  u32(0); // numrecs: no record (unlimited) dimension
+
+  if (dimensionNames.length) {
+    u32(NC_DIMENSION);
+    u32(dimensionNames.length);
+    dimensionNames.forEach((dim, i) => {
+      name(encoder.encode(dim));
+      u32(dimensionSizes[i]);
+    });
+  } else {
+    u32(0); u32(0);
+  }
+
+  writeAttributes(globalAttributes);
+
+  let begin = header;
+  if (variables.length) {
+    u32(NC_VARIABLE);
+    u32(variables.length);
+    for (const variable of variables) {
+      name(variable.name);
+      u32(variable.ids.length);
+      variable.ids.forEach(u32);
+      writeAttributes(variable.attributes);
+      u32(NC_TYPES[variable.type].code);
+      u32(Math.min(pad4(variable.bytes), 2 ** 32 - 1));
+      if (offsetSize === 8) {
+        view.setBigUint64(pos, BigInt(begin));
+        pos += 8;
+      } else {
+        u32(begin);
+      }
+      variable.begin = begin;
+      begin += pad4(variable.bytes);
+    }
+  } else {
+    u32(0); u32(0);
+  }
+
+  for (const variable of variables) {
+    const end = writeValues(view, variable.begin, variable.type, variable.data, variable.fill);
+    // Padding of non-record variables is filled with the fill value's bytes (zero for char)
+    if (end < variable.begin + pad4(variable.bytes) && variable.type !== 'char') {
+      const padCount = (variable.begin + pad4(variable.bytes) - end) / NC_TYPES[variable.type].size;
+      writeValues(view, end, variable.type, new Array(padCount).fill(variable.fill), variable.fill);
+    }
+  }
+  return buffer;
+}
@@ -248,13 +248,6 @@ export class NLDASDataSource extends NetCDFDataSource {
     let response;
     if (args.cache === true) {
       const { cachedFetch } = await import('./data-cache.js');
-      globalThis._hydroCacheContext = {
-        source: 'nldas',
-        dataset: this.datasetConfig.name || 'nldas-3-hourly',
-        dataType: 'raw-netcdf',
-        params: args,
-        process: false // Explicitly set process false for cache context
-      };
       response = await cachedFetch(url, {
         params: {
           source: 'nldas',
@@ -262,6 +255,12 @@ export class NLDASDataSource extends NetCDFDataSource {
           proxy: args.proxy,
           raw: true
         }
+      }, {
+        source: 'nldas',
+        dataset: this.datasetConfig.name || 'nldas-3-hourly',
+        dataType: 'raw-netcdf',
+        params: args,
+        process: false // Explicitly set process false for cache context
       });
     } else {
       // Use standard fetch
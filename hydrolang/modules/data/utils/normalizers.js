@@ -0,0 +1,584 @@
+/**
+ * Time-series normalizers
+ * Per-source adapters that turn raw datasource responses into canonical TimeSeries objects
+ */
+
+import { TimeSeries, toISOTimestamp, toNumericValue } from './timeseries.js';
+import { readZip, toUint8Array, isZip } from './zip-utils.js';
+import { isWaterML, parseWaterML } from './waterml.js';
+
+/**
+ * Recursively lowercase object keys so adapters work on raw responses and on lowercased retrieve output
+ * @ignore
+ */
+function lowerKeys(obj) {
+  if (Array.isArray(obj)) return obj.map(lowerKeys);
+  if (!obj || typeof obj !== 'object') return obj;
+  const out = {};
+  for (const [key, value] of Object.entries(obj)) {
+    out[key.toLowerCase()] = lowerKeys(value);
+  }
+  return out;
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting) into an array of row objects keyed by the header row
+ * @ignore
+ */
+function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(r => r.length > 1 || r[0] !== '');
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return body.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i] ?? ''])));
+}
+
+/**
+ * Decode raw retrieve output (JSON text, Blob/ArrayBuffer or object) into an object or text
+ * @ignore
+ */
+async function decodePayload(raw) {
+  if (raw && typeof raw === 'object' && !ArrayBuffer.isView(raw) && !(raw instanceof ArrayBuffer) &&
+    typeof raw.arrayBuffer !== 'function') {
+    return raw;
+  }
+  let text = raw;
+  if (typeof raw !== 'string') {
+    const bytes = await toUint8Array(raw);
+    if (isZip(bytes)) return bytes;
+    text = new TextDecoder().decode(bytes);
+  }
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Group records into TimeSeries keyed by a series key
+ * @ignore
+ */
+function groupSeries(records, keyOf, describe) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, { records: [], first: record });
+    groups.get(key).records.push(record);
+  }
+  return [...groups.values()].map(({ records: group, first }) => {
+    const base = describe(first);
+    return new TimeSeries({
+      ...base,
+      timestamps: group.map(r => r.timestamp),
+      values: group.map(r => r.value),
+      qualifiers: group.map(r => r.qualifiers || [])
+    }).sort();
+  });
+}
+
+/**
+ * USGS NWIS WaterML-JSON (instant-values, daily-values, groundwater)
+ * @ignore
+ */
+function normalizeUSGS(raw) {
+  const data = lowerKeys(raw);
+  const timeSeries = data?.value?.timeseries;
+  if (!Array.isArray(timeSeries)) {
+    throw new Error('USGS response has no value.timeSeries array; only WaterML-JSON time-series services can be normalized');
+  }
+
+  const series = [];
+  for (const ts of timeSeries) {
+    const info = ts.sourceinfo || {};
+    const variable = ts.variable || {};
+    const location = info.geolocation?.geoglocation || {};
+    const noData = toNumericValue(variable.nodatavalue);
+    const statistic = (variable.options?.option || []).find(o => o.name === 'Statistic');
+
+    for (const block of ts.values || []) {
+      const points = block.value || [];
+      series.push(new TimeSeries({
+        site: {
+          id: info.sitecode?.[0]?.value ?? null,
+          agency: info.sitecode?.[0]?.agencycode ?? 'USGS',
+          name: info.sitename ?? null,
+          latitude: toNumericValue(location.latitude),
+          longitude: toNumericValue(location.longitude),
+          timezone: info.timezoneinfo?.defaulttimezone?.zoneabbreviation ?? null
+        },
+        variable: {
+          code: variable.variablecode?.[0]?.value ?? null,
+          name: variable.variablename ?? null,
+          description: variable.variabledescription ?? null,
+          statistic: statistic?.optioncode ?? null,
+          method: block.method?.[0]?.methoddescription || null
+        },
+        units: variable.unit?.unitcode ?? null,
+        timestamps: points.map(p => toISOTimestamp(p.datetime)),
+        values: points.map(p => toNumericValue(p.value, noData === null ? [] : [noData])),
+        qualifiers: points.map(p => p.qualifiers || []),
+        metadata: { qualifierDefinitions: block.qualifier || [] }
+      }));
+    }
+  }
+  return series;
+}
+
+const NOAA_UNITS = {
+  metric: { PRCP: 'mm', SNOW: 'mm', SNWD: 'mm', HPCP: 'mm', QPCP: 'mm', TMAX: '°C', TMIN: '°C', TAVG: '°C', TOBS: '°C', AWND: 'm/s', EVAP: 'mm' },
+  standard: { PRCP: 'in', SNOW: 'in', SNWD: 'in', HPCP: 'in', QPCP: 'in', TMAX: '°F', TMIN: '°F', TAVG: '°F', TOBS: '°F', AWND: 'mph', EVAP: 'in' }
+};
+
+/**
+ * NOAA NCEI Climate Data Online v2 (results array of { date, datatype, station, attributes, value })
+ * @ignore
+ */
+function normalizeNOAA(raw, context) {
+  const data = lowerKeys(raw);
+  const results = Array.isArray(data) ? data : data?.results;
+  if (!Array.isArray(results)) {
+    throw new Error('NOAA response has no results array');
+  }
+  const unitSystem = String(context.args?.units || '').toLowerCase();
+
+  const records = results.map(r => ({
+    station: r.station,
+    datatype: r.datatype,
+    timestamp: toISOTimestamp(r.date),
+    value: toNumericValue(r.value, [99999, -9999]),
+    qualifiers: String(r.attributes || '').split(',').map(s => s.trim()).filter(Boolean)
+  }));
+
+  return groupSeries(records, r => `${r.station}|${r.datatype}`, r => ({
+    site: { id: r.station, agency: 'NOAA' },
+    variable: { code: r.datatype, name: r.datatype },
+    units: NOAA_UNITS[unitSystem]?.[r.datatype] ?? null,
+    metadata: { unitSystem: unitSystem || null }
+  }));
+}
+
+const EA_UNITS = { mASD: 'm', mAOD: 'm', m: 'm', m3_s: 'm³/s', mm: 'mm', l_s: 'L/s', deg: 'deg', m_s: 'm/s', deg_C: '°C', 'Wm2': 'W/m²' };
+
+/**
+ * Environment Agency (UK) flood-monitoring readings and water-quality measurements
+ * @ignore
+ */
+function normalizeEAUK(raw) {
+  const data = lowerKeys(raw);
+  const items = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(items)) {
+    throw new Error('Environment Agency response has no items array');
+  }
+
+  // Water-quality measurements: { sample: { samplingPoint, sampleDateTime }, determinand, result }
+  if (items.length && items[0].determinand) {
+    const records = items.map(item => ({
+      point: item.sample?.samplingpoint || {},
+      determinand: item.determinand,
+      timestamp: toISOTimestamp(item.sample?.sampledatetime),
+      value: toNumericValue(item.result),
+      qualifiers: [item.resultqualifier?.notation].filter(Boolean)
+    }));
+    return groupSeries(records, r => `${r.point.notation}|${r.determinand.notation}`, r => ({
+      site: { id: r.point.notation ?? null, name: r.point.label ?? null, agency: 'EA', latitude: toNumericValue(r.point.lat), longitude: toNumericValue(r.point.long) },
+      variable: { code: r.determinand.notation ?? null, name: r.determinand.label ?? null, description: r.determinand.definition ?? null },
+      units: r.determinand.unit?.label ?? null
+    }));
+  }
+
+  // Flood-monitoring readings: measure ids follow {station}-{parameter}-{qualifier}-{valueType}-{period}-{units}
+  const records = items.map(item => {
+    const measure = typeof item.measure === 'string' ? item.measure : item.measure?.['@id'] || '';
+    return {
+      measure: measure.split('/').pop(),
+      timestamp: toISOTimestamp(item.datetime),
+      value: toNumericValue(Array.isArray(item.value) ? item.value[0] : item.value),
+      qualifiers: []
+    };
+  });
+  return groupSeries(records, r => r.measure, r => {
+    const [station, parameter, qualifier, valueType, period, unitName] = r.measure.split('-');
+    return {
+      site: { id: station ?? null, agency: 'EA' },
+      variable: { code: r.measure, name: parameter ?? null, description: qualifier ?? null, statistic: valueType ?? null, method: period ?? null },
+      units: EA_UNITS[unitName] ?? unitName ?? null
+    };
+  });
+}
+
+const METEOSTAT_FIELDS = {
+  temp: ['Air temperature', '°C'], tavg: ['Average air temperature', '°C'], tmin: ['Minimum air temperature', '°C'],
+  tmax: ['Maximum air temperature', '°C'], dwpt: ['Dew point', '°C'], rhum: ['Relative humidity', '%'],
+  prcp: ['Precipitation', 'mm'], snow: ['Snow depth', 'mm'], wdir: ['Wind direction', 'deg'],
+  wspd: ['Wind speed', 'km/h'], wpgt: ['Peak wind gust', 'km/h'], pres: ['Sea-level air pressure', 'hPa'],
+  tsun: ['Sunshine duration', 'min'], coco: ['Weather condition code', null]
+};
+
+/**
+ * Meteostat JSON API ({ meta, data: [{ date|time, tavg, prcp, ... }] })
+ * @ignore
+ */
+function normalizeMeteostat(raw, context) {
+  const data = lowerKeys(raw);
+  const rows = data?.data;
+  if (!Array.isArray(rows)) {
+    throw new Error('Meteostat response has no data array');
+  }
+  const args = context.args || {};
+  const timestamps = rows.map(r => toISOTimestamp(r.time ?? r.date));
+  const fields = Object.keys(METEOSTAT_FIELDS).filter(f => rows.some(r => r[f] !== undefined));
+  const site = {
+    id: args.station ?? null,
+    latitude: toNumericValue(args.lat),
+    longitude: toNumericValue(args.lon),
+    elevation: toNumericValue(args.alt),
+    timezone: args.tz ?? 'UTC'
+  };
+
+  return fields.map(field => new TimeSeries({
+    site,
+    variable: { code: field, name: METEOSTAT_FIELDS[field][0] },
+    units: METEOSTAT_FIELDS[field][1],
+    timestamps,
+    values: rows.map(r => toNumericValue(r[field])),
+    metadata: { generated: data.meta?.generated ?? null }
+  }));
+}
+
+const TZ_OFFSETS = {
+  UTC: 0, GMT: 0, EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360,
+  PST: -480, PDT: -420, AKST: -540, AKDT: -480, HST: -600, AST: -240, ADT: -180
+};
+
+/**
+ * Water Quality Portal results (CSV text or row objects using WQX column names)
+ * @ignore
+ */
+function normalizeWQP(raw) {
+  const rows = typeof raw === 'string' ? parseDelimited(raw, raw.includes('\t') && !raw.split('\n')[0].includes(',') ? '\t' : ',') : lowerKeys(raw);
+  if (!Array.isArray(rows)) {
+    throw new Error('Water Quality Portal response must be CSV/TSV text or an array of result rows');
+  }
+
+  const records = rows
+    .filter(r => r.monitoringlocationidentifier && r.characteristicname)
+    .map(r => {
+      const date = r.activitystartdate;
+      const time = r['activitystarttime/time'] || '00:00:00';
+      const zone = r['activitystarttime/timezonecode'];
+      return {
+        row: r,
+        timestamp: toISOTimestamp(`${date}T${time}`, TZ_OFFSETS[zone] ?? 0),
+        value: toNumericValue(r.resultmeasurevalue),
+        qualifiers: [r.resultdetectionconditiontext, r.resultstatusidentifier, r.resultvaluetypename].filter(Boolean)
+      };
+    });
+
+  return groupSeries(records,
+    r => `${r.row.monitoringlocationidentifier}|${r.row.characteristicname}|${r.row.resultsamplefractiontext || ''}|${r.row['resultmeasure/measureunitcode'] || ''}`,
+    r => ({
+      site: {
+        id: r.row.monitoringlocationidentifier,
+        agency: r.row.organizationidentifier || null,
+        name: r.row.monitoringlocationname || null
+      },
+      variable: {
+        code: r.row.characteristicname,
+        name: r.row.characteristicname,
+        description: r.row.resultsamplefractiontext || null,
+        method: r.row['resultanalyticalmethod/methodname'] || null
+      },
+      units: r.row['resultmeasure/measureunitcode'] || null,
+      metadata: { medium: r.row.activitymediasubdivisionname || r.row.activitymedianame || null }
+    }));
+}
+
+const NWS_UNITS = {
+  degC: '°C', degF: '°F', 'km_h-1': 'km/h', 'm_s-1': 'm/s', Pa: 'Pa', m: 'm', mm: 'mm',
+  percent: '%', 'degree_(angle)': 'deg', W: 'W'
+};
+
+/**
+ * National Weather Service API: station observations (GeoJSON features) and gridpoint forecasts (periods)
+ * @ignore
+ */
+function normalizeNWS(raw) {
+  const data = raw;
+  const features = data?.features || (data?.properties?.timestamp ? [data] : null);
+
+  if (Array.isArray(features)) {
+    const records = [];
+    for (const feature of features) {
+      const props = feature.properties || {};
+      const station = String(props.station || '').split('/').pop() || null;
+      for (const [key, measure] of Object.entries(props)) {
+        if (!measure || typeof measure !== 'object' || !('unitCode' in measure)) continue;
+        records.push({
+          station,
+          coordinates: feature.geometry?.coordinates,
+          key,
+          unitCode: String(measure.unitCode).split(':').pop(),
+          timestamp: toISOTimestamp(props.timestamp),
+          value: toNumericValue(measure.value),
+          qualifiers: [measure.qualityControl].filter(Boolean)
+        });
+      }
+    }
+    return groupSeries(records, r => `${r.station}|${r.key}`, r => ({
+      site: { id: r.station, agency: 'NWS', longitude: r.coordinates?.[0] ?? null, latitude: r.coordinates?.[1] ?? null },
+      variable: { code: r.key, name: r.key },
+      units: NWS_UNITS[r.unitCode] ?? r.unitCode
+    }));
+  }
+
+  const periods = data?.properties?.periods;
+  if (Array.isArray(periods)) {
+    const timestamps = periods.map(p => toISOTimestamp(p.startTime));
+    const series = [new TimeSeries({
+      site: { agency: 'NWS' },
+      variable: { code: 'temperature', name: 'Forecast temperature' },
+      units: periods[0]?.temperatureUnit === 'C' ? '°C' : '°F',
+      timestamps,
+      values: periods.map(p => toNumericValue(p.temperature)),
+      qualifiers: periods.map(p => [p.shortForecast].filter(Boolean))
+    })];
+    if (periods.some(p => p.probabilityOfPrecipitation)) {
+      series.push(new TimeSeries({
+        site: { agency: 'NWS' },
+        variable: { code: 'probabilityOfPrecipitation', name: 'Probability of precipitation' },
+        units: '%',
+        timestamps,
+        values: periods.map(p => toNumericValue(p.probabilityOfPrecipitation?.value))
+      }));
+    }
+    return series;
+  }
+
+  throw new Error('NWS response is neither an observation collection nor a forecast with periods');
+}
+
+const MOSMIX_UNITS = {
+  TTT: 'K', Td: 'K', TX: 'K', TN: 'K', FF: 'm/s', FX1: 'm/s', DD: 'deg', PPPP: 'Pa', N: '%',
+  RR1c: 'kg/m²', RR3c: 'kg/m²', RR6c: 'kg/m²', RRdc: 'kg/m²', SunD1: 's', Rad1h: 'kJ/m²', VV: 'm', wwM: '%'
+};
+
+/**
+ * DWD MOSMIX station forecasts (KML, or the KMZ archive served by opendata.dwd.de)
+ * @ignore
+ */
+async function normalizeDWD(raw) {
+  let kml = raw;
+  if (kml instanceof Uint8Array) {
+    const [entry] = await readZip(kml, { filter: name => name.toLowerCase().endsWith('.kml') });
+    if (!entry) throw new Error('DWD KMZ archive contains no KML document');
+    kml = new TextDecoder().decode(entry.data);
+  }
+  if (typeof kml !== 'string' || !kml.includes('ForecastTimeSteps')) {
+    throw new Error('Only DWD MOSMIX KML/KMZ forecasts can be normalized; gridded DWD products are not time series');
+  }
+
+  const timestamps = [...kml.matchAll(/<dwd:TimeStep>([^<]+)<\/dwd:TimeStep>/g)].map(m => toISOTimestamp(m[1]));
+  const series = [];
+
+  for (const placemark of kml.matchAll(/<kml:Placemark>([\s\S]*?)<\/kml:Placemark>/g)) {
+    const body = placemark[1];
+    const id = body.match(/<kml:name>([^<]*)<\/kml:name>/)?.[1]?.trim() ?? null;
+    const name = body.match(/<kml:description>([^<]*)<\/kml:description>/)?.[1]?.trim() ?? null;
+    const [lon, lat, elevation] = (body.match(/<kml:coordinates>([^<]*)<\/kml:coordinates>/)?.[1] || '').split(',').map(Number);
+
+    for (const forecast of body.matchAll(/<dwd:Forecast\s+dwd:elementName="([^"]+)">\s*<dwd:value>([\s\S]*?)<\/dwd:value>/g)) {
+      const element = forecast[1];
+      const values = forecast[2].trim().split(/\s+/).map(v => (v === '-' ? null : toNumericValue(v)));
+      if (values.length !== timestamps.length) continue;
+      series.push(new TimeSeries({
+        site: { id, name, agency: 'DWD', latitude: Number.isFinite(lat) ? lat : null, longitude: Number.isFinite(lon) ? lon : null, elevation: Number.isFinite(elevation) ? elevation : null },
+        variable: { code: element, name: element },
+        units: MOSMIX_UNITS[element] ?? null,
+        timestamps,
+        values
+      }));
+    }
+  }
+  return series;
+}
+
+/**
+ * NASA POWER temporal API ({ properties: { parameter: { T2M: { YYYYMMDD: value } } }, parameters })
+ * @ignore
+ */
+function normalizeNASAPower(raw) {
+  const parameter = raw?.properties?.parameter;
+  if (!parameter) {
+    throw new Error('NASA POWER response has no properties.parameter block');
+  }
+  const [lon, lat, elevation] = raw.geometry?.coordinates || [];
+  const fill = toNumericValue(raw.header?.fill_value);
+  const parseKey = (key) => {
+    const m = key.match(/^(\d{4})(\d{2})?(\d{2})?(\d{2})?$/);
+    if (!m || Number(m[2]) === 13) return null; // month 13 is the annual mean
+    return toISOTimestamp(`${m[1]}-${m[2] || '01'}-${m[3] || '01'}T${m[4] || '00'}:00:00`);
+  };
+
+  return Object.entries(parameter).map(([code, byTime]) => {
+    const keys = Object.keys(byTime).filter(k => parseKey(k));
+    return new TimeSeries({
+      site: { latitude: lat ?? null, longitude: lon ?? null, elevation: elevation ?? null, agency: 'NASA' },
+      variable: { code, name: raw.parameters?.[code]?.longname ?? code },
+      units: raw.parameters?.[code]?.units ?? null,
+      timestamps: keys.map(parseKey),
+      values: keys.map(k => toNumericValue(byTime[k], fill === null ? [] : [fill]))
+    });
+  });
+}
+
+/**
+ * Open-Meteo ({ hourly|daily: { time, <variable>: [...] }, hourly_units, utc_offset_seconds })
+ * @ignore
+ */
+function normalizeOpenMeteo(raw) {
+  const series = [];
+  const offsetMinutes = (raw?.utc_offset_seconds || 0) / 60;
+  for (const block of ['minutely_15', 'hourly', 'daily']) {
+    const values = raw?.[block];
+    if (!values?.time) continue;
+    const timestamps = values.time.map(t => toISOTimestamp(t, offsetMinutes));
+    for (const [code, column] of Object.entries(values)) {
+      if (code === 'time') continue;
+      series.push(new TimeSeries({
+        site: { latitude: raw.latitude ?? null, longitude: raw.longitude ?? null, elevation: raw.elevation ?? null, timezone: raw.timezone ?? 'GMT' },
+        variable: { code, name: code, statistic: block },
+        units: raw[`${block}_units`]?.[code] ?? null,
+        timestamps,
+        values: column.map(v => toNumericValue(v))
+      }));
+    }
+  }
+  if (!series.length) {
+    throw new Error('Open-Meteo response has no hourly, daily or minutely_15 block');
+  }
+  return series;
+}
+
+/**
+ * Registered adapters, keyed by datasource name
+ * @ignore
+ */
+const NORMALIZERS = {
+  usgs: normalizeUSGS,
+  noaa: normalizeNOAA,
+  eauk: normalizeEAUK,
+  meteostat: normalizeMeteostat,
+  wqp: normalizeWQP,
+  nws: normalizeNWS,
+  dwd: normalizeDWD,
+  nasapower: normalizeNASAPower,
+  openmeteo: normalizeOpenMeteo,
+  waterOneFlow: parseWaterML
+};
+
+/**
+ * Register (or replace) the time-series adapter of a datasource.
+ * The adapter receives the decoded response and a context ({ source, datatype, args })
+ * and returns a TimeSeries, an array of them, or plain objects with the TimeSeries fields.
+ * @param {string} source - Datasource name
+ * @param {Function} adapter - (raw, context) => TimeSeries | TimeSeries[]
+ * @ignore
+ */
+export function registerNormalizer(source, adapter) {
+  if (typeof adapter !== 'function') {
+    throw new Error(`Normalizer for '${source}' must be a function`);
+  }
+  NORMALIZERS[source] = adapter;
+}
+
+/**
+ * Remove the time-series adapter of a datasource
+ * @param {string} source - Datasource name
+ * @returns {boolean} Whether an adapter was registered
+ * @ignore
+ */
+export function unregisterNormalizer(source) {
+  const existed = Object.prototype.hasOwnProperty.call(NORMALIZERS, source);
+  delete NORMALIZERS[source];
+  return existed;
+}
+
+/**
+ * List datasources that have a time-series adapter
+ * @ignore
+ */
+export function listNormalizers() {
+  return Object.keys(NORMALIZERS);
+}
+
+/**
+ * Normalize a raw datasource response into an array of TimeSeries
+ * @param {string} source - Datasource name
+ * @param {*} raw - Raw response (object, JSON/CSV/KML/WaterML text, Blob or ArrayBuffer)
+ * @param {Object} [context] - { datatype, args, url }
+ * @returns {Promise<Array<TimeSeries>>} Normalized series, each with provenance
+ * @ignore
+ */
+export async function normalizeResponse(source, raw, context = {}) {
+  const payload = await decodePayload(raw);
+  // WaterML responses (e.g. usgs with format=waterml,2.0) are read the same way whatever the source
+  const adapter = isWaterML(payload) ? parseWaterML : NORMALIZERS[source];
+  if (!adapter) {
+    throw new Error(`No time-series adapter for source '${source}'. Available: ${listNormalizers().join(', ')}`);
+  }
+
+  const result = await adapter(payload, { source, ...context });
+  const series = (Array.isArray(result) ? result : [result]).map(s => (s instanceof TimeSeries ? s : new TimeSeries(s)));
+
+  const provenance = {
+    source,
+    datatype: context.datatype ?? null,
+    url: context.url ?? null,
+    args: context.args ?? null,
+    retrievedAt: new Date().toISOString()
+  };
+  series.forEach(s => {
+    s.provenance = { ...provenance, ...s.provenance };
+  });
+  return series;
+}
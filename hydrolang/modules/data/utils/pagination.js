@@ -0,0 +1,250 @@
+/**
+ * Pagination for paged datasource APIs
+ * Datatype configs declare how their results are paged through a `pagination` object:
+ *   { style: 'offset', limitParam: 'limit', offsetParam: 'offset', pageSize: 1000, firstOffset: 0, itemsPath, totalPath }
+ *   { style: 'page', pageParam: 'page', sizeParam: 'count', pageSize: 100, firstPage: 1, itemsPath, totalPagesPath }
+ *   { style: 'cursor', cursorParam: 'cursor', cursorPath: 'next_cursor', itemsPath }
+ *   { style: 'next', nextPath: 'next', itemsPath } - next page URL in the body (a URL, or a links array with rel="next")
+ *   { style: 'link-header', itemsPath } - RFC 8288 Link header with rel="next"
+ * `itemsPath` is a dotted path to the result array in each page ('' or omitted when the page is the array).
+ */
+
+export const PAGINATION_STYLES = ['offset', 'page', 'cursor', 'next', 'link-header'];
+
+/**
+ * Read a dotted path ('metadata.resultset.count') from an object
+ * @ignore
+ */
+export function getPath(obj, path) {
+  if (!path) return obj;
+  return String(path).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+/**
+ * Write a dotted path in an object, creating intermediate objects
+ * @ignore
+ */
+function setPath(obj, path, value) {
+  const keys = String(path).split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => (node[key] = node[key] ?? {}), obj);
+  target[last] = value;
+}
+
+/**
+ * Parse an RFC 8288 Link header into { rel: url }
+ * @ignore
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+  for (const part of header.split(/,(?=\s*<)/)) {
+    const match = part.match(/<([^>]*)>\s*;(.*)/);
+    if (!match) continue;
+    const rel = match[2].match(/rel\s*=\s*"?([^";]+)"?/i);
+    if (rel) rel[1].trim().split(/\s+/).forEach(name => { links[name.toLowerCase()] = match[1]; });
+  }
+  return links;
+}
+
+/**
+ * Set a query parameter on a URL string without touching the rest of it
+ * @ignore
+ */
+export function setQueryParam(url, name, value) {
+  const index = url.indexOf('?');
+  const base = index >= 0 ? url.slice(0, index) : url;
+  const params = new URLSearchParams(index >= 0 ? url.slice(index + 1) : '');
+  params.set(name, value);
+  return `${base}?${params.toString()}`;
+}
+
+/**
+ * Resolve the next page URL from a 'next' style value (string or [{ rel, href }])
+ * @ignore
+ */
+function nextFromBody(value, baseUrl) {
+  let next = value;
+  if (Array.isArray(value)) {
+    next = value.find(link => String(link?.rel).toLowerCase() === 'next')?.href;
+  }
+  if (!next || typeof next !== 'string') return null;
+  try {
+    return new URL(next, baseUrl).toString();
+  } catch (error) {
+    return next;
+  }
+}
+
+/**
+ * Validate a pagination declaration and fill in defaults
+ * @ignore
+ */
+export function normalizePagination(config) {
+  if (!config || !PAGINATION_STYLES.includes(config.style)) {
+    throw new Error(`Unsupported pagination style '${config?.style}'. Available: ${PAGINATION_STYLES.join(', ')}`);
+  }
+  return {
+    limitParam: 'limit',
+    offsetParam: 'offset',
+    pageParam: 'page',
+    cursorParam: 'cursor',
+    firstOffset: 0,
+    firstPage: 1,
+    nextPath: 'next',
+    itemsPath: '',
+    ...config
+  };
+}
+
+/**
+ * Fetch every page of a paged JSON API and merge the results into the first page.
+ * @param {Object} options
+ * @param {string} options.url - URL of the first page (without proxy prefix)
+ * @param {Object} options.fetchOptions - fetch options; JSON bodies of POST requests carry the paging parameters
+ * @param {Function} options.fetchPage - (url, fetchOptions) => Promise<Response>
+ * @param {Object} options.pagination - Datatype pagination declaration
+ * @param {number} [options.maxRecords=100000] - Stop once this many records are collected (the result is truncated)
+ * @param {number} [options.maxPages=1000] - Stop after this many pages
+ * @param {Function} [options.onProgress] - Called after each page with { page, records, total }
+ * @returns {Promise<Object>} { body, pages, records, truncated, response } - body is the first page with all items merged
+ * @ignore
+ */
+export async function fetchAllPages(options) {
+  const { fetchPage, maxRecords = 100000, maxPages = 1000, onProgress } = options;
+  const config = normalizePagination(options.pagination);
+  const isPost = (options.fetchOptions?.method || 'GET').toUpperCase() !== 'GET';
+  let bodyParams = null;
+  if (isPost && typeof options.fetchOptions.body === 'string') {
+    try {
+      bodyParams = JSON.parse(options.fetchOptions.body);
+    } catch (error) {
+      throw new Error('Pagination of POST requests requires a JSON request body');
+    }
+  }
+
+  // Paging parameters go into the query string for GET and into the JSON body for POST
+  const withParam = (url, fetchOptions, name, value) => {
+    if (bodyParams) {
+      bodyParams = { ...bodyParams, [name]: value };
+      return [url, { ...fetchOptions, body: JSON.stringify(bodyParams) }];
+    }
+    return [setQueryParam(url, name, value), fetchOptions];
+  };
+  const currentParam = (url, name) => {
+    if (bodyParams) return bodyParams[name];
+    const index = url.indexOf('?');
+    return index >= 0 ? new URLSearchParams(url.slice(index + 1)).get(name) : null;
+  };
+
+  let url = options.url;
+  let fetchOptions = { ...options.fetchOptions };
+  let offset = null;
+  let page = null;
+
+  // First request: make the page size and start position explicit
+  if (config.style === 'offset') {
+    offset = Number(currentParam(url, config.offsetParam) ?? config.firstOffset);
+    [url, fetchOptions] = withParam(url, fetchOptions, config.offsetParam, offset);
+  } else if (config.style === 'page') {
+    page = Number(currentParam(url, config.pageParam) ?? config.firstPage);
+    [url, fetchOptions] = withParam(url, fetchOptions, config.pageParam, page);
+  }
+  const sizeParam = config.style === 'offset' ? config.limitParam : config.sizeParam;
+  const pageSize = config.style === 'offset' || config.style === 'page'
+    ? Number(currentParam(url, sizeParam) ?? config.pageSize) || null
+    : null;
+  if (pageSize && sizeParam) {
+    [url, fetchOptions] = withParam(url, fetchOptions, sizeParam, pageSize);
+  }
+
+  let first = null;
+  let firstResponse = null;
+  let items = [];
+  let pages = 0;
+  let truncated = false;
+  let total = null;
+
+  while (url) {
+    const response = await fetchPage(url, fetchOptions);
+    if (!response || typeof response.json !== 'function') {
+      throw new Error('Pagination requires a JSON response');
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP error ${response.status} fetching page ${pages + 1} of ${url}: ${await response.text()}`);
+    }
+    const body = await response.json();
+    const pageItems = getPath(body, config.itemsPath);
+    if (pageItems !== undefined && pageItems !== null && !Array.isArray(pageItems)) {
+      throw new Error(`Pagination itemsPath '${config.itemsPath}' does not point to an array`);
+    }
+    const received = pageItems || [];
+
+    if (!first) {
+      first = body;
+      firstResponse = response;
+    }
+    items = items.concat(received);
+    pages++;
+
+    if (config.totalPath) total = Number(getPath(body, config.totalPath)) || total;
+    onProgress?.({ page: pages, records: items.length, total });
+
+    if (items.length >= maxRecords) {
+      truncated = items.length > maxRecords || hasMore();
+      items = items.slice(0, maxRecords);
+      if (truncated) console.warn(`Pagination stopped at maxRecords (${maxRecords}); results are truncated`);
+      break;
+    }
+    if (pages >= maxPages) {
+      truncated = hasMore();
+      if (truncated) console.warn(`Pagination stopped at maxPages (${maxPages}); results are truncated`);
+      break;
+    }
+    if (!hasMore()) break;
+
+    // Move to the next page
+    if (config.style === 'offset') {
+      offset += received.length;
+      [url, fetchOptions] = withParam(url, fetchOptions, config.offsetParam, offset);
+    } else if (config.style === 'page') {
+      page += 1;
+      [url, fetchOptions] = withParam(url, fetchOptions, config.pageParam, page);
+    } else if (config.style === 'cursor') {
+      [url, fetchOptions] = withParam(url, fetchOptions, config.cursorParam, getPath(body, config.cursorPath));
+    } else if (config.style === 'next') {
+      url = nextFromBody(getPath(body, config.nextPath), url);
+    } else {
+      url = parseLinkHeader(response.headers.get('link')).next || null;
+    }
+
+    function hasMore() {
+      if (!received.length) return false;
+      switch (config.style) {
+        case 'offset':
+          if (total !== null) return offset + received.length - config.firstOffset < total;
+          return !pageSize || received.length >= pageSize;
+        case 'page': {
+          const totalPages = config.totalPagesPath ? Number(getPath(body, config.totalPagesPath)) : null;
+          if (totalPages) return page < totalPages + config.firstPage - 1;
+          return !pageSize || received.length >= pageSize;
+        }
+        case 'cursor':
+          return !!getPath(body, config.cursorPath);
+        case 'next':
+          return !!nextFromBody(getPath(body, config.nextPath), url);
+        default:
+          return !!parseLinkHeader(response.headers.get('link')).next;
+      }
+    }
+  }
+
+  let merged;
+  if (!config.itemsPath) {
+    merged = items;
+  } else {
+    merged = { ...first };
+    setPath(merged, config.itemsPath, items);
+  }
+  return { body: merged, pages, records: items.length, truncated, response: firstResponse };
+}
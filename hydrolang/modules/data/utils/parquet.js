@@ -0,0 +1,1099 @@
+/**
+ * Parquet utilities
+ * Reader for Apache Parquet files (flat schemas; PLAIN, dictionary, RLE, delta and byte-stream-split
+ * encodings; uncompressed, Snappy and GZIP pages) and for GeoParquet layers with WKB geometries.
+ * Reads can be limited to some columns and filtered on column values; row groups whose statistics
+ * rule out every match are skipped. The writer stores flat tables with dictionary-encoded strings,
+ * UTC millisecond timestamps and min/max statistics per row group.
+ */
+
+import { toUint8Array } from './zip-utils.js';
+import { readWKB, parseCRS, finishFeatureCollection } from './geometry-io.js';
+import { toColumnTable, prepareColumn, compileFilters, filterRows, tableRows } from './table-utils.js';
+
+const MAGIC = 'PAR1';
+const TYPES = ['BOOLEAN', 'INT32', 'INT64', 'INT96', 'FLOAT', 'DOUBLE', 'BYTE_ARRAY', 'FIXED_LEN_BYTE_ARRAY'];
+const CODECS = ['UNCOMPRESSED', 'SNAPPY', 'GZIP', 'LZO', 'BROTLI', 'LZ4', 'ZSTD', 'LZ4_RAW'];
+const CONVERTED_TYPES = {
+  0: 'UTF8', 4: 'ENUM', 5: 'DECIMAL', 6: 'DATE', 7: 'TIME_MILLIS', 8: 'TIME_MICROS', 9: 'TIMESTAMP_MILLIS',
+  10: 'TIMESTAMP_MICROS', 11: 'UINT_8', 12: 'UINT_16', 13: 'UINT_32', 14: 'UINT_64', 19: 'JSON'
+};
+const JULIAN_UNIX_EPOCH = 2440588;
+const DEFAULT_ROW_GROUP_SIZE = 100000;
+
+/**
+ * Check whether a buffer is framed by the Parquet magic bytes
+ * @ignore
+ */
+export function isParquet(bytes) {
+  const tail = bytes.length - 4;
+  for (let i = 0; i < 4; i++) {
+    if (bytes[i] !== MAGIC.charCodeAt(i) || bytes[tail + i] !== MAGIC.charCodeAt(i)) return false;
+  }
+  return bytes.length >= 12;
+}
+
+/**
+ * Decode a Thrift compact-protocol struct into { fieldId: value }
+ * @returns {Array} [struct, end offset]
+ * @ignore
+ */
+function readThrift(bytes, offset) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = offset;
+  const uvarint = () => {
+    let result = 0;
+    let scale = 1;
+    for (;;) {
+      const b = bytes[pos++];
+      result += (b & 0x7f) * scale;
+      if (b < 0x80) return result;
+      scale *= 128;
+    }
+  };
+  const zigzag = () => {
+    const n = uvarint();
+    return n % 2 ? -(n + 1) / 2 : n / 2;
+  };
+  const value = (type) => {
+    switch (type) {
+      case 1: return true;
+      case 2: return false;
+      case 3: return view.getInt8(pos++);
+      case 4:
+      case 5:
+      case 6: return zigzag();
+      case 7: pos += 8; return view.getFloat64(pos - 8, true);
+      case 8: {
+        const length = uvarint();
+        pos += length;
+        return bytes.subarray(pos - length, pos);
+      }
+      case 9:
+      case 10: {
+        const header = bytes[pos++];
+        const elementType = header & 0x0f;
+        const size = header >> 4 === 15 ? uvarint() : header >> 4;
+        const list = new Array(size);
+        for (let i = 0; i < size; i++) list[i] = elementType <= 2 ? bytes[pos++] === 1 : value(elementType);
+        return list;
+      }
+      case 11: {
+        const size = uvarint();
+        const map = new Map();
+        if (!size) return map;
+        const types = bytes[pos++];
+        for (let i = 0; i < size; i++) map.set(value(types >> 4), value(types & 0x0f));
+        return map;
+      }
+      case 12: return struct();
+      default: throw new Error(`Corrupt Parquet metadata: unknown Thrift type ${type}`);
+    }
+  };
+  const struct = () => {
+    const out = {};
+    let last = 0;
+    for (;;) {
+      const header = bytes[pos++];
+      if (header === 0) return out;
+      const delta = header >> 4;
+      const id = delta ? last + delta : zigzag();
+      last = id;
+      out[id] = value(header & 0x0f);
+    }
+  };
+  const result = struct();
+  return [result, pos];
+}
+
+const text = (bytes) => (bytes ? new TextDecoder().decode(bytes) : undefined);
+
+/**
+ * Decompress a page
+ * @ignore
+ */
+async function decompress(bytes, codec, size) {
+  switch (CODECS[codec]) {
+    case 'UNCOMPRESSED': return bytes;
+    case 'SNAPPY': return snappyDecompress(bytes);
+    case 'GZIP': {
+      if (typeof DecompressionStream === 'undefined') throw new Error('DecompressionStream is not available; cannot read GZIP Parquet pages');
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    default:
+      throw new Error(`Parquet ${CODECS[codec] || codec} compression is not supported; rewrite the file with SNAPPY, GZIP or no compression`);
+  }
+}
+
+/**
+ * Snappy block decompression
+ * @ignore
+ */
+function snappyDecompress(input) {
+  let pos = 0;
+  let length = 0;
+  for (let scale = 1; ; scale *= 128) {
+    const b = input[pos++];
+    length += (b & 0x7f) * scale;
+    if (b < 0x80) break;
+  }
+  const out = new Uint8Array(length);
+  let o = 0;
+  while (pos < input.length) {
+    const tag = input[pos++];
+    const kind = tag & 3;
+    if (kind === 0) {
+      let len = tag >> 2;
+      if (len >= 60) {
+        const extra = len - 59;
+        len = 0;
+        for (let i = 0; i < extra; i++) len += input[pos++] * 2 ** (8 * i);
+      }
+      len += 1;
+      out.set(input.subarray(pos, pos + len), o);
+      pos += len;
+      o += len;
+      continue;
+    }
+    let len;
+    let offset;
+    if (kind === 1) {
+      len = ((tag >> 2) & 7) + 4;
+      offset = ((tag >> 5) << 8) | input[pos++];
+    } else if (kind === 2) {
+      len = (tag >> 2) + 1;
+      offset = input[pos] | (input[pos + 1] << 8);
+      pos += 2;
+    } else {
+      len = (tag >> 2) + 1;
+      offset = (input[pos] | (input[pos + 1] << 8) | (input[pos + 2] << 16) | (input[pos + 3] << 24)) >>> 0;
+      pos += 4;
+    }
+    if (!offset || offset > o) throw new Error('Corrupt Snappy data in Parquet page');
+    for (let i = 0; i < len; i++, o++) out[o] = out[o - offset];
+  }
+  return out;
+}
+
+/**
+ * Read a ULEB128 varint
+ * @returns {Array<number>} [value, end offset]
+ * @ignore
+ */
+function uvarintAt(bytes, pos) {
+  let result = 0;
+  for (let scale = 1; ; scale *= 128) {
+    const b = bytes[pos++];
+    result += (b & 0x7f) * scale;
+    if (b < 0x80) return [result, pos];
+  }
+}
+
+/**
+ * Decode the RLE / bit-packed hybrid encoding used for levels, booleans and dictionary indices
+ * @ignore
+ */
+function decodeHybrid(bytes, pos, end, bitWidth, count) {
+  const out = new Int32Array(count);
+  const byteWidth = Math.ceil(bitWidth / 8);
+  let i = 0;
+  while (i < count && pos < end) {
+    const [header, next] = uvarintAt(bytes, pos);
+    pos = next;
+    if (header & 1) {
+      const values = (header >>> 1) * 8;
+      let bit = pos * 8;
+      for (let v = 0; v < values; v++) {
+        let value = 0;
+        for (let b = 0; b < bitWidth; b++, bit++) {
+          if (bytes[bit >> 3] & (1 << (bit & 7))) value |= 1 << b;
+        }
+        if (i < count) out[i++] = value;
+      }
+      pos += (values * bitWidth) / 8;
+    } else {
+      let value = 0;
+      for (let b = 0; b < byteWidth; b++) value |= bytes[pos + b] << (8 * b);
+      pos += byteWidth;
+      const run = Math.min(header >>> 1, count - i);
+      out.fill(value, i, i + run);
+      i += run;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode DELTA_BINARY_PACKED integers (as BigInt)
+ * @returns {Array} [values, end offset]
+ * @ignore
+ */
+function decodeDelta(bytes, pos) {
+  let blockSize, miniblocks, total, first;
+  [blockSize, pos] = uvarintAt(bytes, pos);
+  [miniblocks, pos] = uvarintAt(bytes, pos);
+  [total, pos] = uvarintAt(bytes, pos);
+  const zigzagBig = () => {
+    let n = 0n;
+    for (let shift = 0n; ; shift += 7n) {
+      const b = bytes[pos++];
+      n |= BigInt(b & 0x7f) << shift;
+      if (b < 0x80) break;
+    }
+    return (n >> 1n) ^ -(n & 1n);
+  };
+  first = zigzagBig();
+  const values = total ? [first] : [];
+  const perMiniblock = blockSize / miniblocks;
+  let previous = first;
+  while (values.length < total) {
+    const minDelta = zigzagBig();
+    const widths = bytes.subarray(pos, pos + miniblocks);
+    pos += miniblocks;
+    for (let m = 0; m < miniblocks && values.length < total; m++) {
+      const width = widths[m];
+      let bit = pos * 8;
+      for (let v = 0; v < perMiniblock; v++) {
+        let packed = 0n;
+        for (let b = 0; b < width; b++, bit++) {
+          if (bytes[bit >> 3] & (1 << (bit & 7))) packed |= 1n << BigInt(b);
+        }
+        if (values.length < total) {
+          previous = BigInt.asIntN(64, previous + minDelta + packed);
+          values.push(previous);
+        }
+      }
+      pos += (perMiniblock * width) / 8;
+    }
+  }
+  return [values, pos];
+}
+
+/**
+ * Decode PLAIN values of a physical type
+ * @ignore
+ */
+function decodePlain(bytes, pos, count, column) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const values = new Array(count);
+  switch (TYPES[column.type]) {
+    case 'BOOLEAN':
+      for (let i = 0; i < count; i++) values[i] = (bytes[pos + (i >> 3)] >> (i & 7)) & 1 ? true : false;
+      break;
+    case 'INT32':
+      for (let i = 0; i < count; i++) values[i] = view.getInt32(pos + i * 4, true);
+      break;
+    case 'INT64':
+      for (let i = 0; i < count; i++) values[i] = view.getBigInt64(pos + i * 8, true);
+      break;
+    case 'INT96':
+      for (let i = 0; i < count; i++) {
+        const nanos = view.getBigInt64(pos + i * 12, true);
+        const day = view.getInt32(pos + i * 12 + 8, true);
+        values[i] = new Date((day - JULIAN_UNIX_EPOCH) * 86400000 + Number(nanos / 1000000n));
+      }
+      break;
+    case 'FLOAT':
+      for (let i = 0; i < count; i++) values[i] = view.getFloat32(pos + i * 4, true);
+      break;
+    case 'DOUBLE':
+      for (let i = 0; i < count; i++) values[i] = view.getFloat64(pos + i * 8, true);
+      break;
+    case 'BYTE_ARRAY':
+      for (let i = 0; i < count; i++) {
+        const length = view.getUint32(pos, true);
+        values[i] = bytes.subarray(pos + 4, pos + 4 + length);
+        pos += 4 + length;
+      }
+      break;
+    default:
+      for (let i = 0; i < count; i++) values[i] = bytes.subarray(pos + i * column.typeLength, pos + (i + 1) * column.typeLength);
+  }
+  return values;
+}
+
+/**
+ * Decode the values section of a data page
+ * @ignore
+ */
+function decodeValues(bytes, pos, end, encoding, count, column, dictionary) {
+  switch (encoding) {
+    case 0:
+      return decodePlain(bytes, pos, count, column);
+    case 2:
+    case 8: {
+      if (!dictionary) throw new Error(`Parquet column '${column.name}' uses a dictionary but has no dictionary page`);
+      const indices = decodeHybrid(bytes, pos + 1, end, bytes[pos], count);
+      return Array.from(indices, i => dictionary[i]);
+    }
+    case 3: {
+      const length = new DataView(bytes.buffer, bytes.byteOffset).getUint32(pos, true);
+      return Array.from(decodeHybrid(bytes, pos + 4, pos + 4 + length, 1, count), v => v === 1);
+    }
+    case 5: {
+      const [values] = decodeDelta(bytes, pos);
+      return TYPES[column.type] === 'INT32' ? values.map(Number) : values;
+    }
+    case 6: {
+      const [lengths, start] = decodeDelta(bytes, pos);
+      let offset = start;
+      return lengths.map((length) => {
+        const value = bytes.subarray(offset, offset + Number(length));
+        offset += Number(length);
+        return value;
+      });
+    }
+    case 7: {
+      const [prefixes, start] = decodeDelta(bytes, pos);
+      const suffixes = decodeValues(bytes, start, end, 6, count, column);
+      let previous = new Uint8Array(0);
+      return suffixes.map((suffix, i) => {
+        const value = new Uint8Array(Number(prefixes[i]) + suffix.length);
+        value.set(previous.subarray(0, Number(prefixes[i])));
+        value.set(suffix, Number(prefixes[i]));
+        previous = value;
+        return value;
+      });
+    }
+    case 9: {
+      const width = TYPES[column.type] === 'DOUBLE' || TYPES[column.type] === 'INT64' ? 8 : 4;
+      const joined = new Uint8Array(count * width);
+      for (let i = 0; i < count; i++) {
+        for (let b = 0; b < width; b++) joined[i * width + b] = bytes[pos + b * count + i];
+      }
+      return decodePlain(joined, 0, count, column);
+    }
+    default:
+      throw new Error(`Parquet encoding ${encoding} of column '${column.name}' is not supported`);
+  }
+}
+
+/**
+ * Convert physical values to JavaScript values using the column's logical type
+ * @ignore
+ */
+function convertValue(value, column) {
+  if (value === null || value === undefined) return null;
+  const { logical } = column;
+  switch (logical.type) {
+    case 'STRING':
+    case 'JSON':
+    case 'ENUM':
+      return text(value);
+    case 'DATE':
+      return new Date(value * 86400000);
+    case 'TIMESTAMP':
+      return new Date(Number(BigInt(value) / logical.divisor));
+    case 'DECIMAL': {
+      let unscaled;
+      if (value instanceof Uint8Array) {
+        unscaled = 0n;
+        for (const byte of value) unscaled = (unscaled << 8n) | BigInt(byte);
+        unscaled = BigInt.asIntN(value.length * 8, unscaled);
+      } else {
+        unscaled = BigInt(value);
+      }
+      return Number(unscaled) / 10 ** logical.scale;
+    }
+    case 'UINT':
+      return typeof value === 'bigint' ? BigInt.asUintN(64, value) : value >>> 0;
+    default:
+      if (typeof value === 'bigint') {
+        return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+      }
+      return value;
+  }
+}
+
+/**
+ * Logical type of a schema element from its LogicalType union or legacy ConvertedType
+ * @ignore
+ */
+function logicalType(element) {
+  const logical = element[10];
+  const converted = CONVERTED_TYPES[element[6]];
+  if ((logical && (logical[1] || logical[12] || logical[4])) || converted === 'UTF8' || converted === 'JSON' || converted === 'ENUM') {
+    return { type: logical?.[12] || converted === 'JSON' ? 'JSON' : logical?.[4] || converted === 'ENUM' ? 'ENUM' : 'STRING' };
+  }
+  if (logical?.[6] || converted === 'DATE') return { type: 'DATE' };
+  if (logical?.[8]) {
+    const unit = logical[8][2] || {};
+    return { type: 'TIMESTAMP', divisor: unit[3] ? 1000000n : unit[2] ? 1000n : 1n };
+  }
+  if (converted === 'TIMESTAMP_MILLIS') return { type: 'TIMESTAMP', divisor: 1n };
+  if (converted === 'TIMESTAMP_MICROS') return { type: 'TIMESTAMP', divisor: 1000n };
+  if (logical?.[5] || converted === 'DECIMAL') return { type: 'DECIMAL', scale: logical?.[5]?.[1] ?? element[7] ?? 0 };
+  if ((logical?.[10] && logical[10][2] === false) || /^UINT/.test(converted || '')) return { type: 'UINT' };
+  return { type: null };
+}
+
+/**
+ * Read the footer metadata of a Parquet file
+ * @param {Uint8Array} bytes
+ * @returns {Object} { numRows, rowGroups, columns: [{ name, path, type, logical, optional, nested }], metadata: { key: value }, createdBy }
+ * @ignore
+ */
+export function readParquetMetadata(bytes) {
+  if (!isParquet(bytes)) throw new Error('Not a Parquet file: PAR1 magic bytes not found');
+  const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(bytes.length - 8, true);
+  const [meta] = readThrift(bytes, bytes.length - 8 - length);
+
+  // Flatten the schema tree into leaf columns with their definition/repetition levels
+  const schema = meta[2] || [];
+  const columns = [];
+  let index = 1;
+  const walk = (path, maxDef, maxRep, count) => {
+    for (let c = 0; c < count; c++) {
+      const element = schema[index++];
+      const repetition = element[3] || 0;
+      const name = text(element[4]);
+      const def = maxDef + (repetition > 0 ? 1 : 0);
+      const rep = maxRep + (repetition === 2 ? 1 : 0);
+      if (element[5]) {
+        walk([...path, name], def, rep, element[5]);
+      } else {
+        columns.push({
+          name: [...path, name].join('.'),
+          path: [...path, name],
+          type: element[1],
+          typeLength: element[2],
+          logical: logicalType(element),
+          optional: repetition === 1,
+          maxDef: def,
+          maxRep: rep,
+          nested: path.length > 0 || rep > 0
+        });
+      }
+    }
+  };
+  walk([], 0, 0, schema[0]?.[5] || 0);
+
+  const metadata = {};
+  for (const kv of meta[5] || []) metadata[text(kv[1])] = text(kv[2]);
+
+  return { numRows: meta[3], rowGroups: meta[4] || [], columns, metadata, createdBy: text(meta[6]) };
+}
+
+/**
+ * Read one column chunk of a row group
+ * @ignore
+ */
+async function readColumnChunk(bytes, chunk, column) {
+  const meta = chunk[3];
+  const codec = meta[4];
+  const total = meta[5];
+  const dataOffset = meta[9];
+  const dictionaryOffset = meta[11];
+  let pos = dictionaryOffset > 0 && dictionaryOffset < dataOffset ? dictionaryOffset : dataOffset;
+
+  const values = [];
+  let dictionary = null;
+  while (values.length < total) {
+    const [header, start] = readThrift(bytes, pos);
+    const pageType = header[1];
+    const page = bytes.subarray(start, start + header[3]);
+    pos = start + header[3];
+
+    if (pageType === 2) {
+      const data = await decompress(page, codec, header[2]);
+      // Converted once here, so dictionary-encoded pages only look values up
+      dictionary = decodePlain(data, 0, header[7][1], column).map(value => convertValue(value, column));
+    } else if (pageType === 0) {
+      const data = await decompress(page, codec, header[2]);
+      const count = header[5][1];
+      const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+      let offset = 0;
+      let levels = null;
+      if (column.maxRep > 0) offset += 4 + view.getUint32(offset, true);
+      if (column.maxDef > 0) {
+        const length = view.getUint32(offset, true);
+        levels = decodeHybrid(data, offset + 4, offset + 4 + length, 32 - Math.clz32(column.maxDef), count);
+        offset += 4 + length;
+      }
+      const encoding = header[5][2];
+      pushValues(values, levels, column, decodeValues(data, offset, data.length, encoding, countPresent(levels, column, count), column, dictionary), !isDictionary(encoding));
+    } else if (pageType === 3) {
+      const v2 = header[8];
+      const count = v2[1];
+      const repLength = v2[6] || 0;
+      const defLength = v2[5] || 0;
+      const levels = column.maxDef > 0 ? decodeHybrid(page, repLength, repLength + defLength, 32 - Math.clz32(column.maxDef), count) : null;
+      const body = page.subarray(repLength + defLength);
+      const data = v2[7] === false ? body : await decompress(body, codec, header[2] - repLength - defLength);
+      pushValues(values, levels, column, decodeValues(data, 0, data.length, v2[4], countPresent(levels, column, count), column, dictionary), !isDictionary(v2[4]));
+    }
+  }
+  return values;
+}
+
+const isDictionary = (encoding) => encoding === 2 || encoding === 8;
+
+/**
+ * @ignore
+ */
+function countPresent(levels, column, count) {
+  if (!levels) return count;
+  let present = 0;
+  for (let i = 0; i < count; i++) if (levels[i] === column.maxDef) present++;
+  return present;
+}
+
+/**
+ * Interleave nulls (from definition levels) with decoded values
+ * @ignore
+ */
+function pushValues(target, levels, column, decoded, convert = true) {
+  const value = convert ? (v) => convertValue(v, column) : (v) => (v === undefined ? null : v);
+  if (!levels) {
+    for (const v of decoded) target.push(value(v));
+    return;
+  }
+  let j = 0;
+  for (let i = 0; i < levels.length; i++) {
+    target.push(levels[i] === column.maxDef ? value(decoded[j++]) : null);
+  }
+}
+
+/**
+ * Minimum and maximum of a column chunk from its statistics, as column values
+ * @returns {Object|null} { min, max }
+ * @ignore
+ */
+function chunkStatistics(chunk, column) {
+  const stats = chunk?.[3]?.[12];
+  if (!stats || TYPES[column.type] === 'INT96') return null;
+  let min = stats[6];
+  let max = stats[5];
+  if (min === undefined || max === undefined) {
+    // The deprecated min/max fields use signed order, so they are only trusted for signed numbers and timestamps
+    const signed = ['INT32', 'INT64', 'FLOAT', 'DOUBLE'].includes(TYPES[column.type]) && [null, 'DATE', 'TIMESTAMP'].includes(column.logical.type);
+    if (!signed) return null;
+    min = stats[2];
+    max = stats[1];
+  }
+  if (min === undefined || max === undefined) return null;
+  const decode = (raw) => convertValue(
+    TYPES[column.type] === 'BYTE_ARRAY' || TYPES[column.type] === 'FIXED_LEN_BYTE_ARRAY' ? raw : decodePlain(raw, 0, 1, column)[0],
+    column
+  );
+  return { min: decode(min), max: decode(max) };
+}
+
+/**
+ * Columns to return and to filter on
+ * @ignore
+ */
+function resolveColumns(meta, options) {
+  const find = (name) => {
+    const column = meta.columns.find(c => c.name === name);
+    if (!column) throw new Error(`Parquet column '${name}' not found. Available: ${meta.columns.map(c => c.name).join(', ')}`);
+    if (column.nested) throw new Error(`Nested Parquet column '${name}' is not supported`);
+    return column;
+  };
+  const selected = options.columns ? options.columns.map(find) : meta.columns.filter(c => !c.nested);
+  const filters = compileFilters(options.filters);
+  return { selected, filters, filtered: filters.map(filter => find(filter.column)) };
+}
+
+/**
+ * Decode row groups one at a time, skipping those whose statistics rule out the filters
+ * @returns {AsyncGenerator<Object>} { columns, data, numRows } per row group with matching rows
+ * @ignore
+ */
+async function* readRowGroups(bytes, meta, options) {
+  const { selected, filters, filtered } = resolveColumns(meta, options);
+  for (const rowGroup of meta.rowGroups) {
+    const chunks = new Map(rowGroup[1].map(ch => [ch[3][3].map(text).join('.'), ch]));
+    const skip = filters.some((filter, i) => {
+      const stats = chunkStatistics(chunks.get(filter.column), filtered[i]);
+      return stats !== null && filter.excludes(stats.min, stats.max);
+    });
+    if (skip) continue;
+
+    // Filter columns are decoded first, so groups without matching rows are left there
+    const data = {};
+    for (const column of filtered) {
+      if (!data[column.name]) data[column.name] = await readColumnChunk(bytes, chunks.get(column.name), column);
+    }
+    const count = rowGroup[3];
+    const kept = filterRows(filters, data, count);
+    if (kept && !kept.length) continue;
+    for (const column of selected) {
+      if (!data[column.name]) data[column.name] = await readColumnChunk(bytes, chunks.get(column.name), column);
+    }
+    const out = {};
+    for (const column of selected) {
+      const values = data[column.name];
+      out[column.name] = kept ? kept.map(i => values[i]) : values;
+    }
+    yield { columns: selected.map(c => c.name), data: out, numRows: kept ? kept.length : count };
+  }
+}
+
+/**
+ * Read a Parquet file into columns
+ * @param {Blob|ArrayBuffer|Uint8Array} input - Parquet file contents
+ * @param {Object} [options]
+ * @param {Array<string>} [options.columns] - Columns to read (all flat columns by default)
+ * @param {Object} [options.filters] - Rows to keep: { column: { min, max } }, { column: [values] } or { column: value };
+ *   row groups whose min/max statistics exclude a filter are not decoded
+ * @returns {Promise<Object>} { columns: [names], data: { name: values }, numRows, metadata: { key: value } }
+ * @ignore
+ */
+export async function readParquet(input, options = {}) {
+  const bytes = await toUint8Array(input);
+  const meta = readParquetMetadata(bytes);
+  const { selected } = resolveColumns(meta, options);
+
+  const data = Object.fromEntries(selected.map(c => [c.name, []]));
+  let numRows = 0;
+  for await (const group of readRowGroups(bytes, meta, options)) {
+    for (const name of group.columns) {
+      const target = data[name];
+      for (const value of group.data[name]) target.push(value);
+    }
+    numRows += group.numRows;
+  }
+  return { columns: selected.map(c => c.name), data, numRows, metadata: meta.metadata };
+}
+
+/**
+ * Read a Parquet file as batches of row objects, one row group at a time
+ * @param {Blob|ArrayBuffer|Uint8Array} input - Parquet file contents
+ * @param {Object} [options] - { columns, filters } as for readParquet
+ * @returns {AsyncGenerator<Array<Object>>}
+ * @ignore
+ */
+export async function* readParquetBatches(input, options = {}) {
+  const bytes = await toUint8Array(input);
+  const meta = readParquetMetadata(bytes);
+  for await (const group of readRowGroups(bytes, meta, options)) {
+    yield tableRows(group);
+  }
+}
+
+/**
+ * Read a GeoParquet file (WKB geometry encoding) into GeoJSON
+ * @param {Blob|ArrayBuffer|Uint8Array} input - GeoParquet file contents
+ * @param {Object} [options]
+ * @param {Array<string>} [options.columns] - Property columns to read (all by default)
+ * @param {boolean} [options.reproject=true] - Convert projected coordinates to longitude/latitude when proj4 is loaded
+ * @returns {Promise<Object>} FeatureCollection
+ * @ignore
+ */
+export async function readGeoParquet(input, options = {}) {
+  const bytes = await toUint8Array(input);
+  const { metadata, columns } = readParquetMetadata(bytes);
+  if (!metadata.geo) throw new Error("Not a GeoParquet file: 'geo' metadata is missing");
+  const geo = JSON.parse(metadata.geo);
+  const primary = geo.primary_column;
+  const geometryColumns = Object.keys(geo.columns || {});
+  for (const name of geometryColumns) {
+    const encoding = String(geo.columns[name].encoding || '').toUpperCase();
+    if (encoding !== 'WKB') throw new Error(`GeoParquet column '${name}' uses ${geo.columns[name].encoding} encoding; only WKB is supported`);
+  }
+
+  const properties = (options.columns || columns.filter(c => !c.nested).map(c => c.name)).filter(n => n !== primary);
+  const table = await readParquet(bytes, { columns: [primary, ...properties] });
+
+  const features = new Array(table.data[primary].length);
+  for (let i = 0; i < features.length; i++) {
+    const props = {};
+    for (const name of properties) {
+      const value = table.data[name][i];
+      // GeoJSON properties must stay JSON-serializable, so int64 values beyond 2^53 become strings
+      props[name] = geometryColumns.includes(name) && value ? readWKB(value) : typeof value === 'bigint' ? String(value) : value;
+    }
+    const wkb = table.data[primary][i];
+    features[i] = { type: 'Feature', properties: props, geometry: wkb ? readWKB(wkb) : null };
+  }
+
+  // A missing crs means OGC:CRS84; an explicit null means the CRS is unknown
+  const crsValue = geo.columns[primary].crs;
+  const crs = crsValue === undefined ? null : crsValue === null ? null : parseCRS(crsValue);
+  return finishFeatureCollection({ type: 'FeatureCollection', features }, crs, options);
+}
+
+// Thrift compact-protocol type ids used by the writer (booleans are folded into the field header)
+const T_BOOL = 1;
+const T_I32 = 5;
+const T_I64 = 6;
+const T_BINARY = 8;
+const T_LIST = 9;
+const T_STRUCT = 12;
+
+/**
+ * Encode a Thrift compact-protocol struct from [fieldId, type, value, elementType] entries in id order.
+ * Entries with null or undefined values are left out.
+ * @ignore
+ */
+function writeThrift(entries) {
+  const out = [];
+  const encoder = new TextEncoder();
+  const varint = (n) => {
+    while (n > 127) {
+      out.push((n % 128) | 128);
+      n = Math.floor(n / 128);
+    }
+    out.push(n);
+  };
+  const zigzag = (n) => varint(n >= 0 ? n * 2 : -n * 2 - 1);
+  const value = (type, v, elementType) => {
+    switch (type) {
+      case T_I32:
+      case T_I64: zigzag(v); break;
+      case T_BINARY: {
+        const bytes = typeof v === 'string' ? encoder.encode(v) : v;
+        varint(bytes.length);
+        for (const b of bytes) out.push(b);
+        break;
+      }
+      case T_LIST:
+        out.push(v.length < 15 ? (v.length << 4) | elementType : 0xf0 | elementType);
+        if (v.length >= 15) varint(v.length);
+        for (const item of v) value(elementType, item);
+        break;
+      case T_STRUCT: struct(v); break;
+      default: throw new Error(`Cannot write Thrift type ${type}`);
+    }
+  };
+  const struct = (fields) => {
+    let last = 0;
+    for (const [id, type, v, elementType] of fields) {
+      if (v === undefined || v === null) continue;
+      const wire = type === T_BOOL ? (v ? 1 : 2) : type;
+      if (id > last && id - last <= 15) {
+        out.push(((id - last) << 4) | wire);
+      } else {
+        out.push(wire);
+        zigzag(id);
+      }
+      last = id;
+      if (type !== T_BOOL) value(type, v, elementType);
+    }
+    out.push(0);
+  };
+  struct(entries);
+  return Uint8Array.from(out);
+}
+
+/**
+ * Encode values with the RLE / bit-packed hybrid encoding: runs of 8 or more equal values are run-length
+ * encoded and everything else is bit-packed in groups of 8
+ * @ignore
+ */
+function encodeHybrid(values, bitWidth) {
+  const out = [];
+  const varint = (n) => {
+    while (n > 127) {
+      out.push((n % 128) | 128);
+      n = Math.floor(n / 128);
+    }
+    out.push(n);
+  };
+  const byteWidth = Math.ceil(bitWidth / 8);
+  const pack = (start, end) => {
+    const groups = Math.ceil((end - start) / 8);
+    varint(groups * 2 + 1);
+    let acc = 0;
+    let bits = 0;
+    for (let i = start; i < start + groups * 8; i++) {
+      acc |= (i < end ? values[i] : 0) << bits;
+      bits += bitWidth;
+      while (bits >= 8) {
+        out.push(acc & 255);
+        acc >>>= 8;
+        bits -= 8;
+      }
+    }
+  };
+
+  let packStart = -1;
+  let i = 0;
+  while (i < values.length) {
+    let run = 1;
+    while (i + run < values.length && values[i + run] === values[i]) run++;
+    if (run >= 8 && packStart >= 0) {
+      // Bit-packed runs hold multiples of 8 values, so the pending run borrows the head of this one
+      const borrow = (8 - ((i - packStart) % 8)) % 8;
+      pack(packStart, i + borrow);
+      packStart = -1;
+      i += borrow;
+      run -= borrow;
+    }
+    if (run >= 8) {
+      varint(run * 2);
+      for (let b = 0; b < byteWidth; b++) out.push((values[i] >>> (8 * b)) & 255);
+    } else if (packStart < 0) {
+      packStart = i;
+    }
+    i += run;
+  }
+  if (packStart >= 0) pack(packStart, values.length);
+  return Uint8Array.from(out);
+}
+
+/**
+ * Encode present values of a prepared column as PLAIN
+ * @ignore
+ */
+function encodePlain(kind, values) {
+  if (kind === 'string') {
+    const size = values.reduce((n, bytes) => n + 4 + bytes.length, 0);
+    const out = new Uint8Array(size);
+    const view = new DataView(out.buffer);
+    let pos = 0;
+    for (const bytes of values) {
+      view.setUint32(pos, bytes.length, true);
+      out.set(bytes, pos + 4);
+      pos += 4 + bytes.length;
+    }
+    return out;
+  }
+  if (kind === 'boolean') {
+    const out = new Uint8Array(Math.ceil(values.length / 8));
+    values.forEach((v, i) => { if (v) out[i >> 3] |= 1 << (i & 7); });
+    return out;
+  }
+  const size = kind === 'int32' ? 4 : 8;
+  const out = new Uint8Array(values.length * size);
+  const view = new DataView(out.buffer);
+  for (let i = 0; i < values.length; i++) {
+    if (kind === 'int32') view.setInt32(i * 4, values[i], true);
+    else if (kind === 'double') view.setFloat64(i * 8, values[i], true);
+    else view.setBigInt64(i * 8, BigInt(values[i]), true);
+  }
+  return out;
+}
+
+/**
+ * Unsigned byte-wise comparison, the sort order of Parquet string statistics
+ * @ignore
+ */
+function compareBytes(a, b) {
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return a.length - b.length;
+}
+
+/**
+ * Compress a page
+ * @ignore
+ */
+async function compressPage(bytes, codec) {
+  if (codec === 'UNCOMPRESSED') return bytes;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Parquet physical types and schema annotations of the writer's column kinds
+const WRITE_TYPES = {
+  boolean: { type: 0 },
+  int32: { type: 1 },
+  int64: { type: 2 },
+  double: { type: 5 },
+  string: { type: 6, converted: 0, logical: [[1, T_STRUCT, []]] },
+  timestamp: { type: 2, converted: 9, logical: [[8, T_STRUCT, [[1, T_BOOL, true], [2, T_STRUCT, [[1, T_STRUCT, []]]]]]] }
+};
+
+/**
+ * Encode the rows [start, end) of a prepared column as one column chunk:
+ * an optional dictionary page (strings with repeated values) and one v1 data page
+ * @returns {Promise<Object>} { pages: [Uint8Array], dictionaryPage, uncompressed, compressed, encodings, statistics }
+ * @ignore
+ */
+async function encodeColumnChunk(column, start, end, codec) {
+  const encoder = new TextEncoder();
+  const { kind } = column;
+  const slice = column.values.slice(start, end);
+  const levels = slice.map(v => (v === null ? 0 : 1));
+  let present = slice.filter(v => v !== null);
+  const nullCount = slice.length - present.length;
+
+  // Statistics in the column's sort order; strings compare as UTF-8 bytes
+  let min = null;
+  let max = null;
+  if (kind === 'string') {
+    present = present.map(v => encoder.encode(v));
+    for (const v of present) {
+      if (min === null || compareBytes(v, min) < 0) min = v;
+      if (max === null || compareBytes(v, max) > 0) max = v;
+    }
+  } else {
+    for (const v of present) {
+      if (min === null || v < min) min = v;
+      if (max === null || v > max) max = v;
+    }
+  }
+  const statistic = (v) => (v === null ? undefined : kind === 'string' ? v : encodePlain(kind, [v]));
+
+  // Strings that repeat (site ids, units, flags) are dictionary encoded
+  let dictionary = null;
+  let indices = null;
+  if (kind === 'string' && present.length) {
+    const lookup = new Map();
+    const entries = [];
+    indices = new Array(present.length);
+    let p = 0;
+    for (const v of slice) {
+      if (v === null) continue;
+      let index = lookup.get(v);
+      if (index === undefined) {
+        index = entries.length;
+        lookup.set(v, index);
+        entries.push(present[p]);
+      }
+      indices[p++] = index;
+    }
+    if (entries.length <= 65536 && entries.length * 2 <= present.length) dictionary = entries;
+  }
+
+  const pages = [];
+  let uncompressed = 0;
+  let compressed = 0;
+  const addPage = async (header, body) => {
+    const data = await compressPage(body, codec);
+    const head = writeThrift([[1, T_I32, header.type], [2, T_I32, body.length], [3, T_I32, data.length], ...header.fields]);
+    pages.push(head, data);
+    uncompressed += head.length + body.length;
+    compressed += head.length + data.length;
+  };
+
+  if (dictionary) {
+    await addPage({ type: 2, fields: [[7, T_STRUCT, [[1, T_I32, dictionary.length], [2, T_I32, 0]]]] }, encodePlain('string', dictionary));
+  }
+  const dictionaryPage = dictionary ? pages[0].length + pages[1].length : 0;
+
+  let values;
+  if (dictionary) {
+    const bitWidth = Math.max(1, 32 - Math.clz32(dictionary.length - 1));
+    const encoded = encodeHybrid(indices, bitWidth);
+    values = new Uint8Array(1 + encoded.length);
+    values[0] = bitWidth;
+    values.set(encoded, 1);
+  } else {
+    values = encodePlain(kind, present);
+  }
+  const definition = encodeHybrid(levels, 1);
+  const body = new Uint8Array(4 + definition.length + values.length);
+  new DataView(body.buffer).setUint32(0, definition.length, true);
+  body.set(definition, 4);
+  body.set(values, 4 + definition.length);
+  await addPage({
+    type: 0,
+    fields: [[5, T_STRUCT, [[1, T_I32, slice.length], [2, T_I32, dictionary ? 8 : 0], [3, T_I32, 3], [4, T_I32, 3]]]]
+  }, body);
+
+  return {
+    pages,
+    dictionaryPage,
+    uncompressed,
+    compressed,
+    encodings: dictionary ? [0, 3, 8] : [0, 3],
+    statistics: [[3, T_I64, nullCount], [5, T_BINARY, statistic(max)], [6, T_BINARY, statistic(min)]]
+  };
+}
+
+/**
+ * Write a flat table as a Parquet file.
+ * Numbers are stored as INT32 when every value is a 32-bit integer and as DOUBLE otherwise, BigInts as INT64,
+ * Dates and ISO 8601 strings as UTC millisecond timestamps and other values as UTF-8 strings; every column is nullable.
+ * @param {Array|Object} table - HydroLang columns headed by their names, a { columns, data } table, row objects or TimeSeries
+ * @param {Object} [options]
+ * @param {number} [options.rowGroupSize=100000] - Rows per row group (the unit of filtering when the file is read)
+ * @param {string} [options.compression] - 'GZIP' (default where CompressionStream is available) or 'UNCOMPRESSED' ('NONE')
+ * @param {boolean} [options.dates=true] - Store columns of ISO 8601 strings as timestamps
+ * @param {Object} [options.metadata] - Key-value metadata ({ key: string or JSON-serializable value })
+ * @returns {Promise<Uint8Array>} Parquet file bytes
+ * @ignore
+ */
+export async function writeParquet(table, options = {}) {
+  const { columns: names, data } = toColumnTable(table);
+  const length = names.length ? data[names[0]].length : 0;
+  for (const name of names) {
+    if (data[name].length !== length) throw new Error(`Column '${name}' has ${data[name].length} values; expected ${length}`);
+  }
+  let codec = String(options.compression || (typeof CompressionStream !== 'undefined' ? 'GZIP' : 'UNCOMPRESSED')).toUpperCase();
+  if (codec === 'NONE') codec = 'UNCOMPRESSED';
+  if (codec !== 'GZIP' && codec !== 'UNCOMPRESSED') throw new Error(`Parquet compression '${options.compression}' is not supported; use 'GZIP' or 'UNCOMPRESSED'`);
+  if (codec === 'GZIP' && typeof CompressionStream === 'undefined') throw new Error('CompressionStream is not available; write Parquet with compression: "UNCOMPRESSED"');
+  const rowGroupSize = options.rowGroupSize || DEFAULT_ROW_GROUP_SIZE;
+  const columns = names.map(name => prepareColumn(name, Array.from(data[name]), options));
+
+  const magic = new TextEncoder().encode(MAGIC);
+  const parts = [magic];
+  let offset = magic.length;
+  const rowGroups = [];
+  for (let start = 0; start < length; start += rowGroupSize) {
+    const end = Math.min(start + rowGroupSize, length);
+    const groupOffset = offset;
+    let groupUncompressed = 0;
+    const chunks = [];
+    for (const column of columns) {
+      const chunk = await encodeColumnChunk(column, start, end, codec);
+      const chunkOffset = offset;
+      for (const page of chunk.pages) {
+        parts.push(page);
+        offset += page.length;
+      }
+      groupUncompressed += chunk.uncompressed;
+      chunks.push([
+        [2, T_I64, chunkOffset],
+        [3, T_STRUCT, [
+          [1, T_I32, WRITE_TYPES[column.kind].type],
+          [2, T_LIST, chunk.encodings, T_I32],
+          [3, T_LIST, [column.name], T_BINARY],
+          [4, T_I32, CODECS.indexOf(codec)],
+          [5, T_I64, end - start],
+          [6, T_I64, chunk.uncompressed],
+          [7, T_I64, chunk.compressed],
+          [9, T_I64, chunkOffset + chunk.dictionaryPage],
+          [11, T_I64, chunk.dictionaryPage ? chunkOffset : undefined],
+          [12, T_STRUCT, chunk.statistics]
+        ]]
+      ]);
+    }
+    rowGroups.push([
+      [1, T_LIST, chunks, T_STRUCT],
+      [2, T_I64, groupUncompressed],
+      [3, T_I64, end - start],
+      [5, T_I64, groupOffset],
+      [6, T_I64, offset - groupOffset]
+    ]);
+  }
+
+  const schema = [
+    [[4, T_BINARY, 'schema'], [5, T_I32, columns.length]],
+    ...columns.map(column => [
+      [1, T_I32, WRITE_TYPES[column.kind].type],
+      [3, T_I32, 1],
+      [4, T_BINARY, column.name],
+      [6, T_I32, WRITE_TYPES[column.kind].converted],
+      [10, T_STRUCT, WRITE_TYPES[column.kind].logical]
+    ])
+  ];
+  const keyValues = Object.entries(options.metadata || {})
+    .map(([key, value]) => [[1, T_BINARY, key], [2, T_BINARY, typeof value === 'string' ? value : JSON.stringify(value)]]);
+  const footer = writeThrift([
+    [1, T_I32, 1],
+    [2, T_LIST, schema, T_STRUCT],
+    [3, T_I64, length],
+    [4, T_LIST, rowGroups, T_STRUCT],
+    [5, T_LIST, keyValues.length ? keyValues : undefined, T_STRUCT],
+    [6, T_BINARY, 'HydroLang'],
+    // TypeDefinedOrder for every column, so readers trust the min/max statistics
+    [7, T_LIST, columns.map(() => [[1, T_STRUCT, []]]), T_STRUCT]
+  ]);
+
+  const out = new Uint8Array(offset + footer.length + 8);
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  out.set(footer, pos);
+  new DataView(out.buffer).setUint32(pos + footer.length, footer.length, true);
+  out.set(magic, pos + footer.length + 4);
+  return out;
+}
@@ -0,0 +1,237 @@
+/**
+ * Request provenance for HydroLang
+ * Records what retrieve() actually requested and received (resolved endpoint, proxy, redacted
+ * headers, response hash) and replays a session manifest to check the data is still identical.
+ */
+
+import { applyProxy } from './proxy-config.js';
+import { REDACTED, redactSecrets } from './credentials.js';
+
+export { REDACTED };
+
+const MANIFEST_FORMAT = 'hydrolang-provenance';
+const MANIFEST_VERSION = 1;
+const SECRET_PATTERN = /(key|token|secret|password|passwd|auth|credential|signature)/i;
+
+/**
+ * SHA-256 of a byte buffer as a hex string
+ * @ignore
+ */
+export async function sha256Hex(bytes) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw new Error('Web Crypto (crypto.subtle) is not available; cannot hash responses');
+  }
+  const digest = await subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check whether a header or parameter name looks like a credential
+ * @ignore
+ */
+export function isSecretName(name, secretNames = []) {
+  const lower = String(name).toLowerCase();
+  return secretNames.some(secret => String(secret).toLowerCase() === lower) || SECRET_PATTERN.test(lower);
+}
+
+/**
+ * Copy headers, replacing credential values with a placeholder
+ * @ignore
+ */
+export function redactHeaders(headers = {}, secretNames = []) {
+  const entries = typeof headers.entries === 'function' && !Array.isArray(headers)
+    ? [...headers.entries()]
+    : Object.entries(headers);
+  return Object.fromEntries(entries.map(([name, value]) => [name, isSecretName(name, secretNames) ? REDACTED : value]));
+}
+
+/**
+ * Replace credential values in a URL query string
+ * @ignore
+ */
+export function redactUrl(url, secretNames = []) {
+  const [base, query] = String(url).split('?');
+  if (!query) return url;
+  const params = new URLSearchParams(query);
+  for (const name of [...params.keys()]) {
+    if (isSecretName(name, secretNames)) params.set(name, REDACTED);
+  }
+  return `${base}?${params.toString()}`;
+}
+
+/**
+ * Read the bytes of a fetch result without consuming it
+ * (Response, ArrayBuffer, typed array, Blob or string)
+ * @ignore
+ */
+export async function responseBytes(response) {
+  if (response instanceof ArrayBuffer) return response;
+  if (ArrayBuffer.isView(response)) return response.buffer.slice(response.byteOffset, response.byteOffset + response.byteLength);
+  if (typeof response === 'string') return new TextEncoder().encode(response).buffer;
+  if (response && typeof response.clone === 'function') return response.clone().arrayBuffer();
+  if (response && typeof response.arrayBuffer === 'function') return response.arrayBuffer();
+  return null;
+}
+
+/**
+ * Build a provenance record for one request
+ * @param {Object} request - { source, datatype, params, args, method, url, proxy, headers, body, secretNames, secretValues, cacheKey }
+ *   secretValues are key values scrubbed from the URL, headers and body wherever they appear
+ * @param {*} response - Fetch result (Response or cached ArrayBuffer)
+ * @param {Object} [extra] - { fromCache }
+ * @returns {Promise<Object>} Provenance record
+ * @ignore
+ */
+export async function createProvenanceRecord(request, response, extra = {}) {
+  const { source, datatype, params = {}, args = {}, method = 'GET', url, proxy = '', headers = {}, body, secretNames = [], secretValues = [], cacheKey } = request;
+  const bytes = await responseBytes(response);
+  const isResponse = response && typeof response.headers?.get === 'function';
+
+  // Keys passed through params (e.g. params['x-api-key']) must never be written to the record
+  const safeParams = Object.fromEntries(Object.entries(params)
+    .filter(([, value]) => typeof value !== 'function' && !(typeof AbortSignal !== 'undefined' && value instanceof AbortSignal))
+    .map(([name, value]) => [name, isSecretName(name, secretNames) ? REDACTED : value]));
+  const safeArgs = Object.fromEntries(Object.entries(args)
+    .map(([name, value]) => [name, isSecretName(name, secretNames) ? REDACTED : value]));
+
+  return {
+    id: globalThis.crypto?.randomUUID ? globalThis.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    source,
+    datatype,
+    params: safeParams,
+    args: safeArgs,
+    request: {
+      method,
+      url: redactSecrets(redactUrl(url, secretNames), secretValues),
+      proxy: proxy || null,
+      headers: Object.fromEntries(Object.entries(redactHeaders(headers, secretNames))
+        .map(([name, value]) => [name, redactSecrets(value, secretValues)])),
+      body: typeof body === 'string' ? redactSecrets(body, secretValues) : null
+    },
+    response: {
+      status: isResponse ? response.status : null,
+      contentType: isResponse ? response.headers.get('content-type') : null,
+      bytes: bytes ? bytes.byteLength : null,
+      sha256: bytes ? await sha256Hex(bytes) : null,
+      fromCache: !!extra.fromCache,
+      cacheKey: cacheKey || null
+    },
+    retrievedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Session log of provenance records with manifest export and replay
+ * @class
+ * @ignore
+ */
+export class ProvenanceLog {
+  constructor() {
+    this.records = [];
+  }
+
+  add(record) {
+    this.records.push(record);
+    return record;
+  }
+
+  list() {
+    return this.records.slice();
+  }
+
+  clear() {
+    this.records = [];
+  }
+
+  /**
+   * Replayable manifest for every request recorded in the session
+   * @returns {Object}
+   */
+  toManifest() {
+    return {
+      format: MANIFEST_FORMAT,
+      version: MANIFEST_VERSION,
+      createdAt: new Date().toISOString(),
+      environment: typeof navigator !== 'undefined' && navigator.userAgent
+        ? navigator.userAgent
+        : (typeof process !== 'undefined' && process.versions?.node ? `node/${process.versions.node}` : null),
+      records: this.list()
+    };
+  }
+
+  /**
+   * Re-run every request of a manifest and compare response hashes
+   * @param {Object|string} manifest - Manifest object or its JSON text
+   * @param {Object} [options]
+   * @param {Function} options.fetch - Function (url, fetchOptions, record) => Response|ArrayBuffer
+   * @param {Object} [options.secrets] - Values for redacted headers/query parameters, by name
+   * @returns {Promise<Object>} { identical, changed, failed, results: [{ id, url, status, expected, actual, data }] }
+   */
+  static async replay(manifest, options = {}) {
+    const parsed = typeof manifest === 'string' ? JSON.parse(manifest) : manifest;
+    if (!parsed || parsed.format !== MANIFEST_FORMAT) {
+      throw new Error('Not a HydroLang provenance manifest');
+    }
+    if (parsed.version > MANIFEST_VERSION) {
+      throw new Error(`Provenance manifest version ${parsed.version} is newer than supported version ${MANIFEST_VERSION}`);
+    }
+    if (typeof options.fetch !== 'function') {
+      throw new Error('replay requires a fetch function');
+    }
+
+    const secrets = options.secrets || {};
+    const fillSecret = (name, value) => {
+      if (value !== REDACTED) return value;
+      if (secrets[name] === undefined) {
+        throw new Error(`Secret '${name}' was redacted from the manifest; pass it in options.secrets`);
+      }
+      return secrets[name];
+    };
+
+    const summary = { identical: 0, changed: 0, failed: 0, results: [] };
+    for (const record of parsed.records) {
+      const result = { id: record.id, source: record.source, datatype: record.datatype, url: record.request.url, expected: record.response.sha256 };
+      try {
+        let url = record.request.url;
+        const [base, query] = url.split('?');
+        if (query) {
+          const params = new URLSearchParams(query);
+          for (const [name, value] of [...params.entries()]) params.set(name, fillSecret(name, value));
+          url = `${base}?${params.toString()}`;
+        }
+        const headers = Object.fromEntries(Object.entries(record.request.headers || {})
+          .map(([name, value]) => [name, fillSecret(name, value)]));
+        const fetchOptions = { method: record.request.method, headers };
+        if (record.request.body !== null && record.request.body !== undefined) {
+          fetchOptions.body = record.request.body;
+          // Keys sent in JSON bodies are redacted by value; restore them by field name
+          if (fetchOptions.body.includes(REDACTED) && fetchOptions.body.trim().startsWith('{')) {
+            const body = JSON.parse(fetchOptions.body);
+            for (const [name, value] of Object.entries(body)) body[name] = fillSecret(name, value);
+            fetchOptions.body = JSON.stringify(body);
+          }
+        }
+
+        const response = await options.fetch(applyProxy(record.request.proxy, url), fetchOptions, record);
+        if (response && typeof response.ok === 'boolean' && !response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const bytes = await responseBytes(response);
+        result.actual = bytes ? await sha256Hex(bytes) : null;
+        result.data = bytes;
+        result.status = result.actual === result.expected ? 'identical' : 'changed';
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+      }
+      summary[result.status]++;
+      summary.results.push(result);
+    }
+
+    if (summary.changed) {
+      console.warn(`Provenance replay: ${summary.changed} of ${parsed.records.length} responses changed upstream`);
+    }
+    return summary;
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Proxy configuration for HydroLang
+ * Sources that declare requirements.needProxy (and sources given a per-source override) reach their APIs
+ * through a CORS proxy. Which proxies may be contacted, the order they are tried in and per-source choices
+ * are configured here rather than hard-coded, so a deployment can run its own proxy (hydrolang/proxy-server.js)
+ * and never send requests through third-party ones:
+ *
+ *   {
+ *     proxies: { campus: 'https://proxy.example.edu/cors/' },   // added to the registry (null removes one)
+ *     order: ['campus', 'local-proxy'],                          // try order for sources that need a proxy
+ *     allow: ['campus'],                                         // names or origins that may be used (null: all)
+ *     sources: { usgs: false, noaa: 'campus' },                  // per-source override, false: never proxied
+ *     fallback: false                                            // only use the first proxy of the chain
+ *   }
+ *
+ * A proxy endpoint is a prefix the target URL is appended to, or contains `{url}`, which receives the
+ * URL-encoded target ('https://host/proxy?url={url}').
+ */
+
+import proxyRegistry from '../datasources/proxy.js';
+
+// Entries of the proxy registry that are documentation rather than proxies
+const REGISTRY_KEYS = ['info', 'endpoint-info'];
+const DEFAULT_ORDER = ['local-proxy', 'researchverse', 'corsproxy'];
+// Responses meaning the proxy itself is unavailable, so the next proxy is tried
+const PROXY_FAILURE_STATUS = [502, 503, 504];
+
+const state = {
+  order: DEFAULT_ORDER.slice(),
+  allow: null,
+  sources: {},
+  fallback: true
+};
+
+/**
+ * Registered proxies as { name: endpoint }
+ * @ignore
+ */
+export function listProxies() {
+  return Object.fromEntries(Object.entries(proxyRegistry)
+    .filter(([name, entry]) => !REGISTRY_KEYS.includes(name) && typeof entry?.endpoint === 'string')
+    .map(([name, entry]) => [name, entry.endpoint]));
+}
+
+function originOf(endpoint) {
+  try {
+    return new URL(endpoint.replace('{url}', '')).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether the allow-list permits a proxy (by name or endpoint origin)
+ * @ignore
+ */
+export function isProxyAllowed(name) {
+  if (!state.allow) return true;
+  const endpoint = listProxies()[name];
+  return state.allow.includes(name) || (!!endpoint && state.allow.includes(originOf(endpoint)));
+}
+
+function checkNames(names, where) {
+  const known = listProxies();
+  for (const name of names) {
+    if (!known[name]) {
+      throw new Error(`Unknown proxy '${name}' in ${where}. Available: ${Object.keys(known).join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Update the proxy configuration; omitted options keep their current value
+ * @param {Object} options - { proxies, order, allow, sources, fallback } (see the module comment)
+ * @returns {Object} The resulting configuration
+ * @ignore
+ */
+export function configureProxies(options = {}) {
+  const { proxies, order, allow, sources, fallback } = options;
+
+  if (proxies !== undefined) {
+    for (const [name, value] of Object.entries(proxies)) {
+      if (REGISTRY_KEYS.includes(name)) throw new Error(`'${name}' cannot be used as a proxy name`);
+      if (value === null || value === false) {
+        delete proxyRegistry[name];
+        state.order = state.order.filter(item => item !== name);
+        continue;
+      }
+      const endpoint = typeof value === 'string' ? value : value?.endpoint;
+      if (typeof endpoint !== 'string' || !/^https?:\/\//i.test(endpoint)) {
+        throw new Error(`Proxy '${name}' needs an http(s) endpoint URL`);
+      }
+      proxyRegistry[name] = { ...(typeof value === 'object' ? value : {}), endpoint };
+    }
+  }
+  if (order !== undefined) {
+    if (!Array.isArray(order)) throw new Error('proxy order must be an array of proxy names');
+    checkNames(order, 'order');
+    state.order = order.slice();
+  }
+  if (allow !== undefined) {
+    if (allow !== null && !Array.isArray(allow)) throw new Error('proxy allow must be an array of proxy names or origins, or null');
+    state.allow = allow ? allow.map(item => originOf(item) || item) : null;
+  }
+  if (sources !== undefined) {
+    for (const [source, choice] of Object.entries(sources)) {
+      if (choice === null || choice === undefined) {
+        delete state.sources[source];
+      } else if (choice === false) {
+        state.sources[source] = false;
+      } else {
+        const names = [].concat(choice);
+        checkNames(names, `sources.${source}`);
+        state.sources[source] = names;
+      }
+    }
+  }
+  if (fallback !== undefined) state.fallback = fallback !== false;
+
+  return getProxyConfig();
+}
+
+/**
+ * Current proxy configuration
+ * @ignore
+ */
+export function getProxyConfig() {
+  return {
+    proxies: listProxies(),
+    order: state.order.slice(),
+    allow: state.allow ? state.allow.slice() : null,
+    sources: JSON.parse(JSON.stringify(state.sources)),
+    fallback: state.fallback
+  };
+}
+
+/**
+ * Restore the default order and drop the allow-list and per-source overrides
+ * (proxies added with configureProxies stay registered)
+ * @ignore
+ */
+export function resetProxyConfig() {
+  state.order = DEFAULT_ORDER.filter(name => listProxies()[name]);
+  state.allow = null;
+  state.sources = {};
+  state.fallback = true;
+  return getProxyConfig();
+}
+
+/**
+ * Proxies a request of a source goes through, in try order ([] means a direct request)
+ * @param {string} source - Datasource name
+ * @param {Object} [options]
+ * @param {string} [options.requested] - Proxy named in params.proxyServer; tried first
+ * @param {boolean} [options.needProxy=false] - The source declares requirements.needProxy
+ * @returns {Array<Object>} [{ name, endpoint }]
+ * @ignore
+ */
+export function resolveProxies(source, { requested, needProxy = false } = {}) {
+  const override = state.sources[source];
+  if (override === false && !requested) return [];
+
+  let names;
+  if (requested) {
+    checkNames([requested], 'params.proxyServer');
+    names = [requested, ...(override || state.order).filter(name => name !== requested)];
+  } else if (override) {
+    names = override;
+  } else if (needProxy) {
+    names = state.order;
+  } else {
+    return [];
+  }
+
+  // Explicit choices must be allowed; the default order silently skips disallowed proxies
+  const explicit = requested ? [requested] : (override || []);
+  for (const name of explicit) {
+    if (!isProxyAllowed(name)) throw new Error(`Proxy '${name}' is not in the proxy allow-list`);
+  }
+  const proxies = listProxies();
+  const chain = names.filter(name => proxies[name] && isProxyAllowed(name)).map(name => ({ name, endpoint: proxies[name] }));
+  if (!chain.length) {
+    throw new Error(`Datasource '${source}' needs a proxy but none is allowed; configure one with hydro.data.proxy.configure()`);
+  }
+  return state.fallback ? chain : chain.slice(0, 1);
+}
+
+/**
+ * Proxies cachedFetch may fall back to when a direct request fails ([] when fallbacks are off)
+ * @ignore
+ */
+export function fallbackProxies(source) {
+  if (!state.fallback) return [];
+  try {
+    return resolveProxies(source, { needProxy: true });
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * URL of a request sent through a proxy endpoint
+ * @ignore
+ */
+export function applyProxy(endpoint, url) {
+  if (!endpoint) return url;
+  return endpoint.includes('{url}') ? endpoint.replace('{url}', encodeURIComponent(url)) : endpoint + url;
+}
+
+/**
+ * Whether a URL is already addressed to a registered proxy
+ * @ignore
+ */
+export function isProxiedUrl(url) {
+  return Object.values(listProxies()).some(endpoint => String(url).startsWith(endpoint.split('{url}')[0]));
+}
+
+/**
+ * Send a request through a proxy chain, moving to the next proxy when one is unreachable
+ * (network error or 502/503/504). Without proxies the request is sent directly.
+ * @param {string} url - Target URL
+ * @param {Object} options - fetch options
+ * @param {Object} context
+ * @param {Array<Object>} context.proxies - Chain from resolveProxies
+ * @param {Function} context.fetch - (url, options) => Promise<Response>
+ * @returns {Promise<Object>} { response, proxy } - proxy is the endpoint that answered ('' when direct)
+ * @ignore
+ */
+export async function fetchThroughProxies(url, options, { proxies = [], fetch: send }) {
+  if (!proxies.length) return { response: await send(url, options), proxy: '' };
+
+  let lastError = null;
+  for (const [index, proxy] of proxies.entries()) {
+    const next = proxies[index + 1];
+    try {
+      const response = await send(applyProxy(proxy.endpoint, url), options);
+      if (!next || !PROXY_FAILURE_STATUS.includes(response?.status)) {
+        return { response, proxy: proxy.endpoint };
+      }
+      console.warn(`Proxy '${proxy.name}' answered ${response.status}; trying proxy '${next.name}'`);
+    } catch (error) {
+      if (error?.name === 'AbortError' || !next) throw error;
+      lastError = error;
+      console.warn(`Proxy '${proxy.name}' failed (${error.message}); trying proxy '${next.name}'`);
+    }
+  }
+  throw lastError;
+}
@@ -0,0 +1,357 @@
+/**
+ * Quality control utilities
+ * Range, spike, rate-of-change, flat-line and missing-value tests with per-value QARTOD flags
+ */
+
+/**
+ * QARTOD flag scheme (IOOS Quality Assurance of Real-Time Oceanographic Data)
+ * @ignore
+ */
+export const QC_FLAGS = Object.freeze({
+  PASS: 1,
+  NOT_EVALUATED: 2,
+  SUSPECT: 3,
+  FAIL: 4,
+  MISSING: 9
+});
+
+/**
+ * Flag labels, keyed by flag value
+ * @ignore
+ */
+export const QC_FLAG_LABELS = Object.freeze({
+  1: 'pass',
+  2: 'not_evaluated',
+  3: 'suspect',
+  4: 'fail',
+  9: 'missing'
+});
+
+const DEFAULT_SENTINELS = [-9999, -99999, -999900];
+const TEST_ORDER = ['missing', 'range', 'spike', 'rateOfChange', 'flatline'];
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Combine per-test flags into one flag: missing wins, otherwise the most severe evaluated result
+ * @ignore
+ */
+function combineFlags(flags) {
+  let result = QC_FLAGS.NOT_EVALUATED;
+  for (const flag of flags) {
+    if (flag === QC_FLAGS.MISSING) return QC_FLAGS.MISSING;
+    if (flag === QC_FLAGS.NOT_EVALUATED) continue;
+    if (result === QC_FLAGS.NOT_EVALUATED || flag > result) result = flag;
+  }
+  return result;
+}
+
+/**
+ * Collect missing-value sentinels from the config, the variable configuration and NetCDF-style attributes
+ * (_FillValue, missing_value). Scaled sentinels are added when the data has already been scaled.
+ * @param {Object} data - Data object with optional metadata/attributes
+ * @param {Object} [config] - Missing test config ({ sentinels, fillValue })
+ * @param {Object} [variableConfig] - Datasource variable configuration
+ * @returns {Array<number>} Sentinel values
+ * @ignore
+ */
+export function collectSentinels(data, config = {}, variableConfig = {}) {
+  const sentinels = new Set(config.sentinels || DEFAULT_SENTINELS);
+  const sources = [config, variableConfig, data?.metadata, data?.attributes, data?.metadata?.attributes];
+  const raw = [];
+
+  for (const source of sources) {
+    if (!source) continue;
+    for (const key of ['fillValue', '_FillValue', 'missingValue', 'missing_value']) {
+      const value = source[key];
+      for (const v of Array.isArray(value) ? value : [value]) {
+        if (isNumber(v)) raw.push(v);
+      }
+    }
+  }
+
+  const scale = variableConfig?.scaleFactor ?? data?.metadata?.scaleFactor;
+  for (const v of raw) {
+    sentinels.add(v);
+    if (data?.metadata?.appliedScaling && isNumber(scale)) {
+      sentinels.add(v * scale + (variableConfig?.addOffset || 0));
+    }
+  }
+  return [...sentinels];
+}
+
+/**
+ * Missing-value test: null/NaN/undefined and sentinel values are flagged 9
+ * @ignore
+ */
+function missingTest(values, config, sentinels) {
+  const tolerance = config.tolerance ?? 1e-6;
+  return values.map(v => {
+    if (!isNumber(v)) return QC_FLAGS.MISSING;
+    return sentinels.some(s => Math.abs(v - s) <= tolerance * Math.max(1, Math.abs(s)))
+      ? QC_FLAGS.MISSING
+      : QC_FLAGS.PASS;
+  });
+}
+
+/**
+ * Gross range test: values outside [min, max] fail, outside [suspectMin, suspectMax] are suspect
+ * @ignore
+ */
+function rangeTest(values, config) {
+  const { min = -Infinity, max = Infinity, suspectMin = -Infinity, suspectMax = Infinity } = config;
+  return values.map(v => {
+    if (!isNumber(v)) return QC_FLAGS.NOT_EVALUATED;
+    if (v < min || v > max) return QC_FLAGS.FAIL;
+    if (v < suspectMin || v > suspectMax) return QC_FLAGS.SUSPECT;
+    return QC_FLAGS.PASS;
+  });
+}
+
+/**
+ * Spike test: |v[i] - (v[i-1] + v[i+1]) / 2| against suspect/fail thresholds.
+ * End points and values with a missing neighbour are not evaluated.
+ * @ignore
+ */
+function spikeTest(values, config) {
+  const { threshold, suspectThreshold = threshold } = config;
+  if (!isNumber(threshold)) {
+    throw new Error('Spike test requires a numeric threshold');
+  }
+  return values.map((v, i) => {
+    const prev = values[i - 1];
+    const next = values[i + 1];
+    if (!isNumber(v) || !isNumber(prev) || !isNumber(next)) return QC_FLAGS.NOT_EVALUATED;
+    const spike = Math.abs(v - (prev + next) / 2);
+    if (spike > threshold) return QC_FLAGS.FAIL;
+    if (spike > suspectThreshold) return QC_FLAGS.SUSPECT;
+    return QC_FLAGS.PASS;
+  });
+}
+
+/**
+ * Rate-of-change test: change per hour from the previous valid value above maxRate is suspect
+ * (fail above failRate). Without timestamps, each step counts as one hour.
+ * @ignore
+ */
+function rateOfChangeTest(values, config, times) {
+  const { maxRate, failRate = Infinity } = config;
+  if (!isNumber(maxRate)) {
+    throw new Error('Rate-of-change test requires a numeric maxRate (units per hour)');
+  }
+  let lastIndex = -1;
+  return values.map((v, i) => {
+    if (!isNumber(v)) return QC_FLAGS.NOT_EVALUATED;
+    if (lastIndex < 0) {
+      lastIndex = i;
+      return QC_FLAGS.NOT_EVALUATED;
+    }
+    const hours = times ? (times[i] - times[lastIndex]) / 3600000 : i - lastIndex;
+    const rate = hours > 0 ? Math.abs(v - values[lastIndex]) / hours : Infinity;
+    lastIndex = i;
+    if (rate > failRate) return QC_FLAGS.FAIL;
+    if (rate > maxRate) return QC_FLAGS.SUSPECT;
+    return QC_FLAGS.PASS;
+  });
+}
+
+/**
+ * Flat-line (stuck sensor) test: a run of values within tolerance of each other is suspect once it
+ * reaches suspectCount values and fails at failCount. Values listed in ignoreValues (e.g. 0 for
+ * precipitation) never start a run.
+ * @ignore
+ */
+function flatlineTest(values, config) {
+  const { suspectCount = 3, failCount = Infinity, tolerance = 0, ignoreValues = [] } = config;
+  const flags = new Array(values.length).fill(QC_FLAGS.NOT_EVALUATED);
+  let runStart = -1;
+
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (!isNumber(v)) {
+      runStart = -1;
+      continue;
+    }
+    if (runStart >= 0 && Math.abs(v - values[runStart]) <= tolerance && !ignoreValues.includes(v)) {
+      const length = i - runStart + 1;
+      flags[i] = length >= failCount ? QC_FLAGS.FAIL : length >= suspectCount ? QC_FLAGS.SUSPECT : QC_FLAGS.PASS;
+    } else {
+      runStart = i;
+      flags[i] = QC_FLAGS.PASS;
+    }
+  }
+  return flags;
+}
+
+const TESTS = {
+  range: rangeTest,
+  spike: spikeTest,
+  rateOfChange: rateOfChangeTest,
+  flatline: flatlineTest
+};
+
+/**
+ * Normalize the QC configuration. Tests can be given as { tests: { range: {...} } }, as top-level keys,
+ * or as a `filters` list of names or { type, ...options } objects.
+ * @ignore
+ */
+export function normalizeQCConfig(qcConfig = {}) {
+  const tests = { ...(qcConfig.tests || {}) };
+
+  for (const name of TEST_ORDER) {
+    if (qcConfig[name] !== undefined && tests[name] === undefined) tests[name] = qcConfig[name];
+  }
+
+  const filters = qcConfig.filters;
+  if (Array.isArray(filters)) {
+    for (const filter of filters) {
+      if (typeof filter === 'string') tests[filter] = tests[filter] || {};
+      else if (filter?.type) {
+        const { type, ...options } = filter;
+        tests[type] = options;
+      }
+    }
+  } else if (filters && typeof filters === 'object') {
+    Object.assign(tests, filters);
+  }
+
+  for (const name of Object.keys(tests)) {
+    if (tests[name] === false) delete tests[name];
+    else if (tests[name] === true) tests[name] = {};
+    if (tests[name] && name !== 'missing' && !TESTS[name]) {
+      throw new Error(`Unknown quality control test: '${name}'. Available: ${TEST_ORDER.join(', ')}`);
+    }
+  }
+
+  // Missing-value screening always runs
+  tests.missing = tests.missing || {};
+  return tests;
+}
+
+/**
+ * Run the configured QC tests over a 1D series.
+ * @param {Array<number|null>} values - Series values
+ * @param {Object} tests - Normalized tests (see normalizeQCConfig)
+ * @param {Object} [options] - { times, sentinels }
+ * @returns {Object} { flags, tests: { testName: flags } }
+ * @ignore
+ */
+export function evaluateSeries(values, tests, options = {}) {
+  const { times, sentinels = DEFAULT_SENTINELS } = options;
+  const perTest = {};
+
+  perTest.missing = missingTest(values, tests.missing || {}, sentinels);
+  // Sentinels are excluded from the other tests so they do not register as spikes or flat lines
+  const screened = values.map((v, i) => (perTest.missing[i] === QC_FLAGS.MISSING ? null : v));
+
+  for (const name of TEST_ORDER) {
+    if (name === 'missing' || !tests[name]) continue;
+    perTest[name] = TESTS[name](screened, tests[name], times);
+  }
+
+  const names = Object.keys(perTest);
+  const flags = values.map((_, i) => combineFlags(names.map(name => perTest[name][i])));
+  return { flags, tests: perTest };
+}
+
+/**
+ * Count flags by label
+ * @ignore
+ */
+export function summarizeFlags(flags) {
+  const summary = { pass: 0, not_evaluated: 0, suspect: 0, fail: 0, missing: 0 };
+  const visit = (f) => {
+    if (Array.isArray(f)) f.forEach(visit);
+    else if (QC_FLAG_LABELS[f]) summary[QC_FLAG_LABELS[f]]++;
+  };
+  visit(flags);
+  return summary;
+}
+
+/**
+ * Apply a QC pipeline to a series of numbers, { value } records, a single 2D grid,
+ * or { timestamp, grid } frames (temporal tests run per cell across frames).
+ * Flags are stored in data.qualityFlags with the same shape as the values. When mask is set,
+ * values flagged at or above the mask level are replaced by null.
+ * @param {Object} data - Data object with a data array
+ * @param {Object} qcConfig - { tests | filters | range/spike/rateOfChange/flatline/missing, mask }
+ * @param {Object} [context] - { times, variableConfig }
+ * @returns {Object} Data with qualityFlags and metadata.qualityControl
+ * @ignore
+ */
+export function runQualityControl(data, qcConfig, context = {}) {
+  if (!data || !Array.isArray(data.data)) {
+    throw new Error('Quality control requires a data array');
+  }
+  const tests = normalizeQCConfig(qcConfig);
+  const sentinels = collectSentinels(data, tests.missing, context.variableConfig);
+  const maskLevel = qcConfig.mask === true ? QC_FLAGS.FAIL
+    : qcConfig.mask === 'suspect' ? QC_FLAGS.SUSPECT
+      : qcConfig.mask === 'fail' ? QC_FLAGS.FAIL
+        : isNumber(qcConfig.mask) ? qcConfig.mask : null;
+  const shouldMask = (flag) => maskLevel !== null && flag >= maskLevel && flag !== QC_FLAGS.NOT_EVALUATED;
+  const options = { times: context.times, sentinels };
+
+  const items = data.data;
+  const isRecord = (item) => item && typeof item === 'object' && !Array.isArray(item);
+  const isFrames = items.length > 0 && items.every(item => isRecord(item) && 'grid' in item);
+  const isGrid = !isFrames && items.length > 0 && Array.isArray(items[0]);
+  let flags;
+  let testCounts = {};
+
+  if (isFrames || isGrid) {
+    const frames = isFrames
+      ? items.map(item => (item.grid && !Array.isArray(item.grid) ? item.grid.data : item.grid))
+      : [items];
+    const template = frames.find(Array.isArray);
+    if (!template) throw new Error('Quality control found no grid values to evaluate');
+    const rows = template.length;
+    const cols = template[0]?.length || 0;
+    const gridFlags = frames.map(() => Array.from({ length: rows }, () => new Array(cols).fill(QC_FLAGS.MISSING)));
+
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const series = frames.map(frame => (frame ? frame[r]?.[c] ?? null : null));
+        const result = evaluateSeries(series, tests, options);
+        result.flags.forEach((flag, t) => {
+          gridFlags[t][r][c] = flag;
+          if (shouldMask(flag) && frames[t]) frames[t][r][c] = null;
+        });
+        for (const [name, testFlags] of Object.entries(result.tests)) {
+          testCounts[name] = testCounts[name] || summarizeFlags([]);
+          const counts = summarizeFlags(testFlags);
+          for (const key of Object.keys(counts)) testCounts[name][key] += counts[key];
+        }
+      }
+    }
+    flags = isFrames ? gridFlags : gridFlags[0];
+  } else {
+    const values = items.map(item => (isRecord(item) ? item.value ?? null : item));
+    const result = evaluateSeries(values, tests, options);
+    flags = result.flags;
+    testCounts = Object.fromEntries(Object.entries(result.tests).map(([name, f]) => [name, summarizeFlags(f)]));
+
+    data.data = items.map((item, i) => {
+      const masked = shouldMask(flags[i]);
+      if (isRecord(item)) {
+        return { ...item, value: masked ? null : item.value, qualityFlag: flags[i] };
+      }
+      return masked ? null : item;
+    });
+  }
+
+  data.qualityFlags = flags;
+  data.metadata = data.metadata || {};
+  data.metadata.qualityControl = {
+    scheme: 'QARTOD',
+    flagMeanings: { ...QC_FLAG_LABELS },
+    tests: tests,
+    sentinels: sentinels,
+    mask: maskLevel,
+    summary: summarizeFlags(flags),
+    testSummary: testCounts,
+    applied: true
+  };
+
+  return data;
+}
@@ -0,0 +1,266 @@
+/**
+ * Request scheduling for HydroLang
+ * Retry with exponential backoff and jitter (honouring Retry-After), per-host concurrency and
+ * requests-per-second limits, and cancellation through AbortSignal.
+ */
+
+/**
+ * Default retry policy; override per request with params.retry or globally with the Hydrolang config option retry
+ * @ignore
+ */
+export const DEFAULT_RETRY = {
+  retries: 3,
+  baseDelay: 500, // ms before the first retry
+  factor: 2,
+  maxDelay: 30000,
+  maxRetryAfter: 120000, // upper bound for server-requested waits
+  jitter: true, // full jitter: wait a random time in [0, delay]
+  retryOn: [408, 425, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Error thrown when a request is cancelled through its AbortSignal
+ * @ignore
+ */
+function abortError(signal) {
+  if (signal?.reason instanceof Error) return signal.reason;
+  if (typeof DOMException !== 'undefined') return new DOMException('The request was aborted', 'AbortError');
+  const error = new Error('The request was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Wait for a number of milliseconds, rejecting early if the signal aborts
+ * @ignore
+ */
+export function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.reject(abortError(signal));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ * @returns {number|null}
+ * @ignore
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Backoff delay before retry number `attempt` (0-based)
+ * @ignore
+ */
+export function backoffDelay(attempt, policy = DEFAULT_RETRY) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt));
+  return policy.jitter ? Math.random() * delay : delay;
+}
+
+/**
+ * Host of the target URL. For proxied URLs ('https://proxy/cors/https://api.host/...' or
+ * 'https://proxy/?url=https%3A%2F%2Fapi.host...') this is the upstream host, which is what rate limits apply to.
+ * @ignore
+ */
+export function targetHost(url) {
+  let text = String(url);
+  try {
+    text = decodeURIComponent(text);
+  } catch (error) {
+    // Not URL-encoded; use as is
+  }
+  const matches = text.match(/https?:\/\/[^/?#]+/gi);
+  return matches ? matches[matches.length - 1].replace(/^https?:\/\//i, '').toLowerCase() : null;
+}
+
+/**
+ * Per-host limiter: at most `concurrency` requests in flight and `requestsPerSecond` request starts
+ * @class
+ * @ignore
+ */
+export class HostLimiter {
+  constructor({ concurrency = Infinity, requestsPerSecond = Infinity } = {}) {
+    this.configure({ concurrency, requestsPerSecond });
+    this.active = 0;
+    this.queue = [];
+    this.nextStart = 0;
+    this.timer = null;
+  }
+
+  configure({ concurrency, requestsPerSecond } = {}) {
+    if (concurrency !== undefined) this.concurrency = concurrency > 0 ? concurrency : Infinity;
+    if (requestsPerSecond !== undefined) this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  }
+
+  /**
+   * Run a task when a slot is free
+   * @param {Function} task - () => Promise
+   * @param {AbortSignal} [signal] - Removes the task from the queue when aborted
+   * @returns {Promise}
+   */
+  schedule(task, signal) {
+    if (signal?.aborted) return Promise.reject(abortError(signal));
+    return new Promise((resolve, reject) => {
+      const item = { task, resolve, reject, signal };
+      if (signal) {
+        item.onAbort = () => {
+          const index = this.queue.indexOf(item);
+          if (index >= 0) {
+            this.queue.splice(index, 1);
+            reject(abortError(signal));
+          }
+        };
+        signal.addEventListener('abort', item.onAbort, { once: true });
+      }
+      this.queue.push(item);
+      this._drain();
+    });
+  }
+
+  _drain() {
+    if (this.timer) return;
+    while (this.queue.length && this.active < this.concurrency) {
+      const wait = this.nextStart - Date.now();
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this._drain();
+        }, wait);
+        return;
+      }
+
+      const item = this.queue.shift();
+      item.signal?.removeEventListener('abort', item.onAbort);
+      this.active++;
+      this.nextStart = Date.now() + this.interval;
+      Promise.resolve()
+        .then(item.task)
+        .then(item.resolve, item.reject)
+        .finally(() => {
+          this.active--;
+          this._drain();
+        });
+    }
+  }
+}
+
+const limiters = new Map();
+
+/**
+ * Shared limiter for a host; limits declared later (e.g. by another datasource) tighten it
+ * @ignore
+ */
+export function getHostLimiter(host, limits = {}) {
+  let limiter = limiters.get(host);
+  if (!limiter) {
+    limiter = new HostLimiter(limits);
+    limiters.set(host, limiter);
+  } else {
+    if (limits.concurrency > 0 && limits.concurrency < limiter.concurrency) limiter.configure({ concurrency: limits.concurrency });
+    if (limits.requestsPerSecond > 0 && 1000 / limits.requestsPerSecond > limiter.interval) limiter.configure({ requestsPerSecond: limits.requestsPerSecond });
+  }
+  return limiter;
+}
+
+/**
+ * Fetch with per-host rate limiting and retries.
+ * Retries network errors and the statuses in retry.retryOn, waiting for Retry-After when the server sends it
+ * and for exponential backoff with jitter otherwise. The last response is returned when retries run out,
+ * so callers keep their own handling of non-OK statuses.
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options; options.signal cancels waits, queued requests and the fetch itself
+ * @param {Object} [config]
+ * @param {Object|number|boolean} [config.retry] - Retry policy overrides, a number of retries, or false to disable
+ * @param {Object} [config.rateLimit] - { requestsPerSecond, concurrency } for the target host
+ * @param {Function} [config.fetch] - Underlying fetch implementation
+ * @returns {Promise<Response>}
+ * @ignore
+ */
+export async function fetchWithRetry(url, options = {}, config = {}) {
+  const policy = resolveRetryPolicy(config.retry);
+  const fetchFn = config.fetch || globalThis._originalFetch || globalThis.fetch;
+  const signal = options.signal;
+  const host = targetHost(url);
+  const limiter = host && config.rateLimit ? getHostLimiter(host, config.rateLimit) : null;
+  const run = () => fetchFn(url, options);
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw abortError(signal);
+
+    let response;
+    try {
+      response = await (limiter ? limiter.schedule(run, signal) : run());
+    } catch (error) {
+      // Aborts are final; other failures here are network errors and may be retried
+      if (error?.name === 'AbortError' || signal?.aborted || attempt >= policy.retries) throw error;
+      const delay = backoffDelay(attempt, policy);
+      console.warn(`Request to ${host} failed (${error.message}); retry ${attempt + 1}/${policy.retries} in ${Math.round(delay)} ms`);
+      await sleep(delay, signal);
+      continue;
+    }
+
+    if (!response || typeof response.status !== 'number' || !policy.retryOn.includes(response.status) || attempt >= policy.retries) {
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+    const delay = retryAfter !== null ? Math.min(retryAfter, policy.maxRetryAfter) : backoffDelay(attempt, policy);
+    console.warn(`HTTP ${response.status} from ${host}; retry ${attempt + 1}/${policy.retries} in ${Math.round(delay)} ms`);
+    // Release the connection of the discarded response
+    response.body?.cancel?.().catch(() => { });
+    await sleep(delay, signal);
+  }
+}
+
+/**
+ * Merge retry overrides with the defaults
+ * @ignore
+ */
+export function resolveRetryPolicy(retry) {
+  if (retry === false) return { ...DEFAULT_RETRY, retries: 0 };
+  if (typeof retry === 'number') return { ...DEFAULT_RETRY, retries: retry };
+  return { ...DEFAULT_RETRY, ...(retry && typeof retry === 'object' ? retry : {}) };
+}
+
+/**
+ * Run task(index) for every index in [0, count) with at most `concurrency` tasks in flight.
+ * Indices not yet started when the signal aborts or `shouldStop()` returns true are left unrun.
+ * Task errors are the caller's responsibility; a rejected task does not stop the pool.
+ * @param {number} count - Number of tasks
+ * @param {Function} task - (index) => Promise
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.shouldStop] - () => boolean, checked before each task starts
+ * @returns {Promise<void>}
+ * @ignore
+ */
+export async function runPool(count, task, { concurrency = 4, signal, shouldStop } = {}) {
+  let next = 0;
+  const worker = async () => {
+    while (next < count && !signal?.aborted && !shouldStop?.()) {
+      const index = next++;
+      try {
+        await task(index);
+      } catch (error) {
+        // Reported by the task itself
+      }
+    }
+  };
+  const workers = Math.max(1, Math.min(concurrency > 0 ? concurrency : 1, count));
+  await Promise.all(Array.from({ length: workers }, worker));
+}
@@ -0,0 +1,548 @@
+/**
+ * Shapefile utilities
+ * Reader and writer for zipped ESRI shapefiles (.shp, .shx, .dbf, .prj, .cpg) to and from GeoJSON
+ */
+
+import { readZip, writeZip, toUint8Array } from './zip-utils.js';
+import { parseCRS, toFeatureCollection, finishFeatureCollection, hasZ } from './geometry-io.js';
+
+const SHAPE_TYPES = {
+  0: 'Null', 1: 'Point', 3: 'PolyLine', 5: 'Polygon', 8: 'MultiPoint',
+  11: 'PointZ', 13: 'PolyLineZ', 15: 'PolygonZ', 18: 'MultiPointZ',
+  21: 'PointM', 23: 'PolyLineM', 25: 'PolygonM', 28: 'MultiPointM', 31: 'MultiPatch'
+};
+
+// Shape type written for each group of GeoJSON geometries (Z variants add 10)
+const GROUPS = {
+  Point: ['point', 1],
+  MultiPoint: ['multipoint', 8],
+  LineString: ['line', 3],
+  MultiLineString: ['line', 3],
+  Polygon: ['polygon', 5],
+  MultiPolygon: ['polygon', 5]
+};
+
+// DBF language driver IDs that name a code page, used when there is no .cpg file
+const LANGUAGE_DRIVERS = { 0x01: 'ibm437', 0x02: 'ibm850', 0x03: 'windows-1252', 0x57: 'windows-1252', 0x58: 'windows-1252', 0x59: 'windows-1252' };
+
+/**
+ * Signed area of a ring (positive when counter-clockwise)
+ * @ignore
+ */
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return area / 2;
+}
+
+/**
+ * @ignore
+ */
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Group shapefile polygon rings into GeoJSON polygons. Shapefile outer rings are clockwise and
+ * holes counter-clockwise; GeoJSON (RFC 7946) uses the opposite winding.
+ * @ignore
+ */
+function ringsToPolygons(rings) {
+  const polygons = [];
+  const holes = [];
+  for (const ring of rings) {
+    if (ring.length < 4) continue;
+    if (ringArea(ring) < 0) polygons.push([ring.slice().reverse()]);
+    else holes.push(ring);
+  }
+  for (const hole of holes) {
+    const owner = polygons.find(polygon => ringContains(polygon[0], hole[0]));
+    // Holes outside every outer ring come from writers that ignore winding; keep them as polygons
+    if (owner) owner.push(hole.slice().reverse());
+    else polygons.push([hole]);
+  }
+  if (!polygons.length) return null;
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Decode the geometries of a .shp file
+ * @param {Uint8Array} bytes
+ * @returns {Array<Object|null>} GeoJSON geometries in record order
+ * @ignore
+ */
+export function readShp(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 100 || view.getInt32(0, false) !== 9994) {
+    throw new Error('Invalid .shp file: bad file code');
+  }
+  const fileLength = Math.min(view.getInt32(24, false) * 2, bytes.length);
+  const geometries = [];
+  let warned = false;
+
+  for (let offset = 100; offset + 12 <= fileLength;) {
+    const contentLength = view.getInt32(offset + 4, false) * 2;
+    const start = offset + 8;
+    offset = start + contentLength;
+    const type = view.getInt32(start, true);
+    const name = SHAPE_TYPES[type];
+    const z = /Z$/.test(name || '');
+
+    if (type === 0) {
+      geometries.push(null);
+      continue;
+    }
+    if (!name || name === 'MultiPatch') {
+      if (!warned) console.warn(`Shapefile records of type ${name || type} are not supported and are read as null geometries`);
+      warned = true;
+      geometries.push(null);
+      continue;
+    }
+
+    if (name.startsWith('Point')) {
+      const point = [view.getFloat64(start + 4, true), view.getFloat64(start + 12, true)];
+      if (z) point.push(view.getFloat64(start + 20, true));
+      geometries.push({ type: 'Point', coordinates: point });
+      continue;
+    }
+
+    const multipoint = name.startsWith('MultiPoint');
+    const numParts = multipoint ? 1 : view.getInt32(start + 36, true);
+    const numPoints = view.getInt32(start + (multipoint ? 36 : 40), true);
+    const partsAt = start + 44;
+    const pointsAt = multipoint ? start + 40 : partsAt + numParts * 4;
+    const zAt = pointsAt + numPoints * 16 + 16;
+
+    const points = new Array(numPoints);
+    for (let i = 0; i < numPoints; i++) {
+      points[i] = [view.getFloat64(pointsAt + i * 16, true), view.getFloat64(pointsAt + i * 16 + 8, true)];
+      if (z) points[i].push(view.getFloat64(zAt + i * 8, true));
+    }
+    if (multipoint) {
+      geometries.push({ type: 'MultiPoint', coordinates: points });
+      continue;
+    }
+
+    const parts = [];
+    for (let p = 0; p < numParts; p++) {
+      const from = view.getInt32(partsAt + p * 4, true);
+      const to = p + 1 < numParts ? view.getInt32(partsAt + (p + 1) * 4, true) : numPoints;
+      parts.push(points.slice(from, to));
+    }
+    if (name.startsWith('Polygon')) {
+      geometries.push(ringsToPolygons(parts));
+    } else {
+      geometries.push(parts.length === 1
+        ? { type: 'LineString', coordinates: parts[0] }
+        : { type: 'MultiLineString', coordinates: parts });
+    }
+  }
+  return geometries;
+}
+
+/**
+ * TextDecoder label for a .cpg code page name ('UTF-8', '1252', 'ISO 88591', ...)
+ * @ignore
+ */
+function encodingLabel(codepage) {
+  const text = String(codepage).trim();
+  const digits = text.replace(/^(ANSI|CP)\s*/i, '');
+  if (/^125\d$/.test(digits)) return `windows-${digits}`;
+  if (/^(ISO\s*)?8859\d+$/i.test(text.replace(/[-_ ]/g, ''))) return `iso-8859-${text.match(/8859\D*(\d+)$/)[1]}`;
+  return text;
+}
+
+/**
+ * Decode the attribute table of a .dbf file
+ * @param {Uint8Array} bytes
+ * @param {string} [encoding] - Code page label; defaults to the file's language driver, then UTF-8
+ * @returns {Array<Object>} One properties object per record
+ * @ignore
+ */
+export function readDbf(bytes, encoding) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const numRecords = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(encodingLabel(encoding || LANGUAGE_DRIVERS[bytes[29]] || 'utf-8'));
+  } catch (error) {
+    console.warn(`Unknown .dbf encoding '${encoding}'; reading attributes as UTF-8`);
+    decoder = new TextDecoder();
+  }
+  const ascii = new TextDecoder('latin1');
+
+  const fields = [];
+  for (let offset = 32, position = 1; offset + 32 <= headerLength && bytes[offset] !== 0x0d; offset += 32) {
+    const name = ascii.decode(bytes.subarray(offset, offset + 11)).replace(/\0.*$/, '').trim();
+    const field = { name, type: String.fromCharCode(bytes[offset + 11]), length: bytes[offset + 16], decimals: bytes[offset + 17], position };
+    fields.push(field);
+    position += field.length;
+  }
+
+  const records = [];
+  for (let r = 0; r < numRecords; r++) {
+    const start = headerLength + r * recordLength;
+    if (start + recordLength > bytes.length) break;
+    const properties = {};
+    for (const field of fields) {
+      const raw = bytes.subarray(start + field.position, start + field.position + field.length);
+      properties[field.name] = decodeField(field, raw, decoder, ascii, view, start + field.position);
+    }
+    records.push(properties);
+  }
+  return records;
+}
+
+/**
+ * @ignore
+ */
+function decodeField(field, raw, decoder, ascii, view, offset) {
+  switch (field.type) {
+    case 'C':
+      return decoder.decode(raw).replace(/[\0 ]+$/, '');
+    case 'N':
+    case 'F': {
+      const text = ascii.decode(raw).trim();
+      if (!text || text.startsWith('*')) return null;
+      const value = Number(text);
+      return Number.isNaN(value) ? null : value;
+    }
+    case 'L': {
+      const flag = String.fromCharCode(raw[0]).toUpperCase();
+      return 'TY'.includes(flag) ? true : ('FN'.includes(flag) ? false : null);
+    }
+    case 'D': {
+      const text = ascii.decode(raw).trim();
+      return /^\d{8}$/.test(text) ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6)}` : null;
+    }
+    case 'I':
+      return view.getInt32(offset, true);
+    case 'O':
+      return view.getFloat64(offset, true);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read a shapefile into GeoJSON
+ * @param {Blob|ArrayBuffer|Uint8Array|Object} input - Zip archive, or { shp, dbf, prj, cpg } file contents
+ * @param {Object} [options]
+ * @param {string} [options.layer] - Shapefile to read when the archive holds several (name without extension)
+ * @param {string} [options.encoding] - Attribute code page; defaults to the .cpg file, then the .dbf language driver, then UTF-8
+ * @param {boolean} [options.reproject=true] - Convert projected coordinates to longitude/latitude when proj4 is loaded
+ * @returns {Promise<Object>} FeatureCollection, or { layerName: FeatureCollection } for archives with several shapefiles and no layer option
+ * @ignore
+ */
+export async function readShapefile(input, options = {}) {
+  let layers;
+  if (input && !ArrayBuffer.isView(input) && !(input instanceof ArrayBuffer) && typeof input.arrayBuffer !== 'function' && input.shp) {
+    layers = { [options.layer || 'layer']: input };
+  } else {
+    layers = {};
+    for (const entry of await readZip(input, { filter: name => !name.startsWith('__MACOSX/') })) {
+      const match = entry.name.match(/^(?:.*\/)?([^/]+)\.(shp|dbf|prj|cpg)$/i);
+      if (!match) continue;
+      (layers[match[1]] = layers[match[1]] || {})[match[2].toLowerCase()] = entry.data;
+    }
+  }
+
+  const names = Object.keys(layers).filter(name => layers[name].shp);
+  if (!names.length) throw new Error('No .shp file found in the archive');
+  if (options.layer !== undefined) {
+    const match = names.find(name => name === options.layer) || names.find(name => name.toLowerCase() === String(options.layer).toLowerCase());
+    if (!match) throw new Error(`Shapefile '${options.layer}' not found. Available: ${names.join(', ')}`);
+    return readLayer(layers[match], options);
+  }
+  if (names.length === 1) return readLayer(layers[names[0]], options);
+
+  const result = {};
+  for (const name of names) result[name] = await readLayer(layers[name], options);
+  return result;
+}
+
+/**
+ * @ignore
+ */
+async function readLayer(files, options) {
+  const text = async (content) => (typeof content === 'string' ? content : new TextDecoder().decode(await toUint8Array(content)));
+  const geometries = readShp(await toUint8Array(files.shp));
+  const records = files.dbf ? readDbf(await toUint8Array(files.dbf), options.encoding || (files.cpg && await text(files.cpg))) : [];
+  const crs = files.prj ? parseCRS(await text(files.prj)) : null;
+
+  const features = geometries.map((geometry, i) => ({ type: 'Feature', properties: records[i] || {}, geometry }));
+  return finishFeatureCollection({ type: 'FeatureCollection', features }, crs, options);
+}
+
+/**
+ * Orient a ring for a shapefile: clockwise for outer rings, counter-clockwise for holes, and closed
+ * @ignore
+ */
+function orientRing(ring, outer) {
+  const closed = ring.length && (ring[0][0] !== ring[ring.length - 1][0] || ring[0][1] !== ring[ring.length - 1][1])
+    ? [...ring, ring[0]]
+    : ring;
+  return (ringArea(closed) < 0) === outer ? closed : closed.slice().reverse();
+}
+
+/**
+ * Parts of a geometry as point lists in shapefile order
+ * @ignore
+ */
+function shapeParts(geometry) {
+  switch (geometry.type) {
+    case 'Point': return [[geometry.coordinates]];
+    case 'MultiPoint': return [geometry.coordinates];
+    case 'LineString': return [geometry.coordinates];
+    case 'MultiLineString': return geometry.coordinates;
+    case 'Polygon': return geometry.coordinates.map((ring, i) => orientRing(ring, i === 0));
+    case 'MultiPolygon': return geometry.coordinates.flatMap(polygon => polygon.map((ring, i) => orientRing(ring, i === 0)));
+    default: return [];
+  }
+}
+
+/**
+ * Encode .shp and .shx contents for geometries of one shape type
+ * @ignore
+ */
+function writeShp(geometries, shapeType) {
+  const z = shapeType > 10;
+  const records = geometries.map((geometry) => {
+    if (!geometry) {
+      const content = new DataView(new ArrayBuffer(4));
+      content.setInt32(0, 0, true);
+      return { content, box: null };
+    }
+    const parts = shapeParts(geometry);
+    const points = parts.flat();
+    const box = [Infinity, Infinity, -Infinity, -Infinity, Infinity, -Infinity];
+    for (const p of points) {
+      box[0] = Math.min(box[0], p[0]); box[1] = Math.min(box[1], p[1]);
+      box[2] = Math.max(box[2], p[0]); box[3] = Math.max(box[3], p[1]);
+      box[4] = Math.min(box[4], p[2] || 0); box[5] = Math.max(box[5], p[2] || 0);
+    }
+
+    if (shapeType % 10 === 1) {
+      const content = new DataView(new ArrayBuffer(z ? 28 : 20));
+      content.setInt32(0, shapeType, true);
+      content.setFloat64(4, points[0][0], true);
+      content.setFloat64(12, points[0][1], true);
+      if (z) content.setFloat64(20, points[0][2] || 0, true);
+      return { content, box };
+    }
+
+    const multipoint = shapeType % 10 === 8;
+    const pointsAt = multipoint ? 40 : 44 + parts.length * 4;
+    const zAt = pointsAt + points.length * 16;
+    const content = new DataView(new ArrayBuffer(zAt + (z ? 16 + points.length * 8 : 0)));
+    content.setInt32(0, shapeType, true);
+    box.slice(0, 4).forEach((value, i) => content.setFloat64(4 + i * 8, value, true));
+    if (multipoint) {
+      content.setInt32(36, points.length, true);
+    } else {
+      content.setInt32(36, parts.length, true);
+      content.setInt32(40, points.length, true);
+      let index = 0;
+      parts.forEach((part, i) => {
+        content.setInt32(44 + i * 4, index, true);
+        index += part.length;
+      });
+    }
+    points.forEach((p, i) => {
+      content.setFloat64(pointsAt + i * 16, p[0], true);
+      content.setFloat64(pointsAt + i * 16 + 8, p[1], true);
+    });
+    if (z) {
+      content.setFloat64(zAt, box[4], true);
+      content.setFloat64(zAt + 8, box[5], true);
+      points.forEach((p, i) => content.setFloat64(zAt + 16 + i * 8, p[2] || 0, true));
+    }
+    return { content, box };
+  });
+
+  const shpLength = 100 + records.reduce((sum, r) => sum + 8 + r.content.byteLength, 0);
+  const shp = new Uint8Array(shpLength);
+  const shx = new Uint8Array(100 + records.length * 8);
+  const shpView = new DataView(shp.buffer);
+  const shxView = new DataView(shx.buffer);
+
+  const bounds = records.reduce((b, { box }) => (box
+    ? [Math.min(b[0], box[0]), Math.min(b[1], box[1]), Math.max(b[2], box[2]), Math.max(b[3], box[3]), Math.min(b[4], box[4]), Math.max(b[5], box[5])]
+    : b), [Infinity, Infinity, -Infinity, -Infinity, Infinity, -Infinity]).map(v => (Number.isFinite(v) ? v : 0));
+  for (const [view, length] of [[shpView, shpLength], [shxView, shx.length]]) {
+    view.setInt32(0, 9994, false);
+    view.setInt32(24, length / 2, false);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    bounds.forEach((value, i) => view.setFloat64(36 + i * 8, value, true));
+  }
+
+  let offset = 100;
+  records.forEach(({ content }, i) => {
+    shxView.setInt32(100 + i * 8, offset / 2, false);
+    shxView.setInt32(104 + i * 8, content.byteLength / 2, false);
+    shpView.setInt32(offset, i + 1, false);
+    shpView.setInt32(offset + 4, content.byteLength / 2, false);
+    shp.set(new Uint8Array(content.buffer), offset + 8);
+    offset += 8 + content.byteLength;
+  });
+  return { shp, shx };
+}
+
+/**
+ * Truncate a string to a number of UTF-8 bytes without splitting a character
+ * @ignore
+ */
+function encodeTruncated(encoder, text, maxBytes) {
+  let bytes = encoder.encode(text);
+  if (bytes.length <= maxBytes) return bytes;
+  let end = maxBytes;
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+  return bytes.subarray(0, end);
+}
+
+/**
+ * Encode a .dbf attribute table (UTF-8 text) from feature properties
+ * @ignore
+ */
+function writeDbf(propertyList) {
+  const encoder = new TextEncoder();
+  const keys = [...new Set(propertyList.flatMap(properties => Object.keys(properties || {})))];
+
+  // DBF field names are at most 10 ASCII characters and must be unique
+  const used = new Set();
+  const fields = keys.map((key) => {
+    const base = key.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || 'field';
+    let name = base;
+    for (let n = 1; used.has(name.toUpperCase()); n++) name = `${base.slice(0, 10 - String(n).length - 1)}_${n}`;
+    used.add(name.toUpperCase());
+
+    const values = propertyList.map(properties => properties?.[key]).filter(v => v !== null && v !== undefined);
+    if (values.length && values.every(v => typeof v === 'number')) {
+      const finite = values.filter(Number.isFinite);
+      if (finite.every(v => Number.isInteger(v) && Math.abs(v) < 1e15)) {
+        return { key, name, type: 'N', length: Math.max(1, ...finite.map(v => String(v).length)), decimals: 0 };
+      }
+      const digits = Math.max(1, ...finite.map(v => String(Math.trunc(Math.abs(v))).length));
+      return { key, name, type: 'N', length: 24, decimals: Math.max(0, Math.min(15, 22 - digits)) };
+    }
+    if (values.length && values.every(v => typeof v === 'boolean')) return { key, name, type: 'L', length: 1, decimals: 0 };
+    if (values.length && values.every(v => v instanceof Date)) return { key, name, type: 'D', length: 8, decimals: 0 };
+    const text = (v) => (typeof v === 'string' ? v : v instanceof Date ? v.toISOString() : JSON.stringify(v));
+    const length = Math.min(254, Math.max(1, ...values.map(v => encoder.encode(text(v)).length)));
+    return { key, name, type: 'C', length, decimals: 0, text };
+  });
+
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, f) => sum + f.length, 0);
+  const bytes = new Uint8Array(headerLength + propertyList.length * recordLength + 1);
+  const view = new DataView(bytes.buffer);
+  const now = new Date();
+  bytes[0] = 0x03;
+  bytes[1] = now.getFullYear() - 1900;
+  bytes[2] = now.getMonth() + 1;
+  bytes[3] = now.getDate();
+  view.setUint32(4, propertyList.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+  fields.forEach((field, i) => {
+    const at = 32 + i * 32;
+    bytes.set(encoder.encode(field.name), at);
+    bytes[at + 11] = field.type.charCodeAt(0);
+    bytes[at + 16] = field.length;
+    bytes[at + 17] = field.decimals;
+  });
+  bytes[headerLength - 1] = 0x0d;
+
+  bytes.fill(0x20, headerLength, bytes.length - 1);
+  propertyList.forEach((properties, r) => {
+    let at = headerLength + r * recordLength + 1;
+    for (const field of fields) {
+      const value = properties?.[field.key];
+      let encoded = null;
+      if (value !== null && value !== undefined) {
+        if (field.type === 'N') {
+          if (Number.isFinite(value)) encoded = encoder.encode(value.toFixed(field.decimals).slice(0, field.length).padStart(field.length));
+        } else if (field.type === 'L') {
+          encoded = encoder.encode(value ? 'T' : 'F');
+        } else if (field.type === 'D') {
+          encoded = encoder.encode(value.toISOString().slice(0, 10).replace(/-/g, ''));
+        } else {
+          encoded = encodeTruncated(encoder, field.text(value), field.length);
+        }
+      } else if (field.type === 'L') {
+        encoded = encoder.encode('?');
+      }
+      if (encoded) bytes.set(encoded, at);
+      at += field.length;
+    }
+  });
+  bytes[bytes.length - 1] = 0x1a;
+  return bytes;
+}
+
+/**
+ * Write GeoJSON as a zipped shapefile. A shapefile holds one geometry type, so collections mixing
+ * points, lines and polygons are written as one shapefile per type ('<name>_point', '<name>_line', ...).
+ * @param {Object|Array} data - FeatureCollection, Feature, geometry, array of features or Leaflet layer
+ * @param {Object} [options]
+ * @param {string} [options.name='layer'] - Base file name inside the archive
+ * @param {number|string|Object} [options.crs] - CRS of the coordinates for the .prj file; defaults to the collection's crs member, then EPSG:4326
+ * @returns {Promise<Uint8Array>} Zip archive bytes
+ * @ignore
+ */
+export async function writeShapefile(data, options = {}) {
+  const collection = toFeatureCollection(data);
+  const { name = 'layer' } = options;
+  const crs = parseCRS(options.crs ?? collection.crs?.properties?.name ?? 4326);
+
+  const groups = new Map();
+  const unplaced = [];
+  for (const feature of collection.features) {
+    const geometry = feature.geometry;
+    if (!geometry) {
+      unplaced.push(feature);
+      continue;
+    }
+    const group = GROUPS[geometry.type];
+    if (!group) {
+      throw new Error(`Shapefiles cannot store ${geometry.type} geometries; split them into single-type features first`);
+    }
+    if (!groups.has(group[0])) groups.set(group[0], { shapeType: group[1], features: [] });
+    groups.get(group[0]).features.push(feature);
+  }
+  if (!groups.size) groups.set('null', { shapeType: 0, features: [] });
+  // Features without geometry go to the first shapefile as null shapes
+  groups.values().next().value.features.push(...unplaced);
+
+  const encoder = new TextEncoder();
+  const files = [];
+  for (const [kind, group] of groups) {
+    const base = groups.size > 1 ? `${name}_${kind}` : name;
+    const z = group.features.some(f => hasZ(f.geometry));
+    const shapeType = group.shapeType && z ? group.shapeType + 10 : group.shapeType;
+    const { shp, shx } = writeShp(group.features.map(f => f.geometry), shapeType);
+    files.push(
+      { name: `${base}.shp`, data: shp },
+      { name: `${base}.shx`, data: shx },
+      { name: `${base}.dbf`, data: writeDbf(group.features.map(f => f.properties)) },
+      { name: `${base}.cpg`, data: encoder.encode('UTF-8') }
+    );
+    if (crs?.wkt) files.push({ name: `${base}.prj`, data: encoder.encode(crs.wkt) });
+    else console.warn(`No WKT definition known for ${crs?.epsg ? `EPSG:${crs.epsg}` : 'the CRS'}; ${base}.prj was not written`);
+  }
+  return writeZip(files);
+}
@@ -0,0 +1,172 @@
+/**
+ * Datasource registry for HydroLang
+ * Built-in and registered datasources share one configuration schema, so retrieve() resolves
+ * every source the same way. A datasource config looks like:
+ *
+ *   {
+ *     requirements: { needProxy, requireskey, keyname, keylocation, rateLimit: { requestsPerSecond, concurrency } },
+ *     info: { returnFormats, MoreInfo, About, institution },   // institution: attribution written to exported files
+ *     resolveEndpoint(args, dataType),   // optional: build the URL when it depends on the arguments
+ *     parse(data, context),              // optional: response parser for every datatype
+ *     normalizer(data, context),         // optional: TimeSeries adapter used by params.normalize
+ *     [datatype]: {
+ *       endpoint: 'https://host/path/{templated}',
+ *       params: { name: default|null },  // documented query parameters, non-null values are sent
+ *       methods: { type: 'json', method: 'GET' },
+ *       pagination: { style: 'offset', ... },   // see pagination.js
+ *       parse(data, context)             // optional: datatype-specific parser
+ *     }
+ *   }
+ *
+ * Authentication is declared in requirements: `keyname` names the field that carries the key and
+ * `keylocation` where it goes ('header' by default, 'query' or 'body'). The key is read from
+ * params[keyname] or the credential store (data.credentials) at retrieval time.
+ */
+
+import { normalizePagination } from './pagination.js';
+import { KEY_LOCATIONS } from './credentials.js';
+
+// Source-level keys; every other key of a config is a datatype
+export const SOURCE_KEYS = ['requirements', 'info', 'endpoint-info', 'resolveEndpoint', 'sourceType', 'parse', 'normalizer', 'action', 'datasets'];
+export const HTTP_METHODS = ['GET', 'POST'];
+
+// Registry entries that are not datasources
+const RESERVED_NAMES = ['proxies', 'envelope'];
+
+/**
+ * Find the configuration object of a source in the registry
+ * (unwrapping module namespaces and nested default exports)
+ * @ignore
+ */
+export function findSourceConfig(registry, source) {
+  const find = (obj) => {
+    if (!obj || typeof obj !== 'object') return null;
+    if (typeof obj.resolveEndpoint === 'function' || typeof obj.sourceType === 'function') return obj;
+    if (obj.default) return find(obj.default);
+    if (obj.datasets) return obj;
+    if (obj.requirements && obj.info) return obj;
+    // requirements and info are optional for registered sources; a datatype entry is enough
+    if (listDatatypes(obj).some(datatype => obj[datatype].methods)) return obj;
+    return null;
+  };
+  return find(registry[source]) || (registry.default ? find(registry.default[source]) : null);
+}
+
+/**
+ * Datatype names declared by a source config
+ * @ignore
+ */
+export function listDatatypes(config) {
+  return Object.keys(config).filter(key => !SOURCE_KEYS.includes(key) && config[key] && typeof config[key] === 'object');
+}
+
+/**
+ * Check a datasource config against the schema
+ * @param {string} name - Source name
+ * @param {Object} config - Source config
+ * @returns {Array<string>} Problems found (empty when valid)
+ * @ignore
+ */
+export function validateSourceConfig(name, config) {
+  const problems = [];
+  if (typeof name !== 'string' || !/^[A-Za-z][\w-]*$/.test(name)) {
+    problems.push('name must start with a letter and contain only letters, digits, "_" or "-"');
+  } else if (RESERVED_NAMES.includes(name)) {
+    problems.push(`'${name}' is reserved`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return problems.concat('config must be an object');
+  }
+
+  const requirements = config.requirements;
+  if (requirements !== undefined) {
+    if (typeof requirements !== 'object' || requirements === null) {
+      problems.push('requirements must be an object');
+    } else {
+      ['needProxy', 'requireskey'].forEach(flag => {
+        if (requirements[flag] !== undefined && typeof requirements[flag] !== 'boolean') problems.push(`requirements.${flag} must be a boolean`);
+      });
+      if (requirements.keyname !== undefined && (typeof requirements.keyname !== 'string' || !requirements.keyname)) {
+        problems.push('requirements.keyname must be a non-empty string');
+      }
+      if (requirements.requireskey && !requirements.keyname) {
+        problems.push('requirements.keyname is required when requireskey is true');
+      }
+      if (requirements.keylocation !== undefined && !KEY_LOCATIONS.includes(requirements.keylocation)) {
+        problems.push(`requirements.keylocation must be one of ${KEY_LOCATIONS.join(', ')}`);
+      }
+      const { rateLimit } = requirements;
+      if (rateLimit !== undefined) {
+        ['requestsPerSecond', 'concurrency'].forEach(limit => {
+          if (rateLimit?.[limit] !== undefined && !(rateLimit[limit] > 0)) problems.push(`requirements.rateLimit.${limit} must be a positive number`);
+        });
+      }
+    }
+  }
+
+  ['resolveEndpoint', 'parse', 'normalizer'].forEach(hook => {
+    if (config[hook] !== undefined && typeof config[hook] !== 'function') problems.push(`${hook} must be a function`);
+  });
+
+  const datatypes = listDatatypes(config);
+  if (!datatypes.length && typeof config.resolveEndpoint !== 'function') {
+    problems.push('at least one datatype (or a resolveEndpoint hook) is required');
+  }
+
+  for (const datatype of datatypes) {
+    const entry = config[datatype];
+    const where = `datatype '${datatype}'`;
+    if (typeof entry.endpoint !== 'string' && typeof config.resolveEndpoint !== 'function') {
+      problems.push(`${where} needs an endpoint string`);
+    } else if (typeof entry.endpoint === 'string' && typeof config.resolveEndpoint !== 'function' && !/^https?:\/\//i.test(entry.endpoint)) {
+      problems.push(`${where} endpoint must be an http(s) URL`);
+    }
+    if (entry.params !== undefined && (typeof entry.params !== 'object' || entry.params === null || Array.isArray(entry.params))) {
+      problems.push(`${where} params must be an object`);
+    }
+    if (!entry.methods || typeof entry.methods !== 'object') {
+      problems.push(`${where} needs methods: { type, method }`);
+    } else {
+      // Types retrieve does not know (json, xml, soap, csv, tab, kml, parquet, arrow, binary formats) are decoded by content-type
+      if (typeof entry.methods.type !== 'string' || !entry.methods.type) {
+        problems.push(`${where} methods.type must be a non-empty string`);
+      }
+      if (entry.methods.method !== undefined && !HTTP_METHODS.includes(entry.methods.method)) {
+        problems.push(`${where} methods.method must be GET or POST`);
+      }
+    }
+    if (entry.parse !== undefined && typeof entry.parse !== 'function') {
+      problems.push(`${where} parse must be a function`);
+    }
+    if (entry.pagination !== undefined) {
+      try {
+        normalizePagination(entry.pagination);
+      } catch (error) {
+        problems.push(`${where} ${error.message}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validate and add a datasource to the registry
+ * @param {Object} registry - Datasource registry (the datasources default export)
+ * @param {string} name - Source name used as params.source
+ * @param {Object} config - Source config
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Allow replacing an existing source
+ * @returns {Object} The registered config
+ * @ignore
+ */
+export function addSource(registry, name, config, { replace = false } = {}) {
+  const problems = validateSourceConfig(name, config);
+  if (problems.length) {
+    throw new Error(`Invalid datasource '${name}': ${problems.join('; ')}`);
+  }
+  if (registry[name] && !replace) {
+    throw new Error(`Datasource '${name}' is already registered; pass { replace: true } to override it`);
+  }
+  registry[name] = config;
+  return config;
+}
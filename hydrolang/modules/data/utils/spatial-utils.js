@@ -0,0 +1,507 @@
+/**
+ * Spatial utilities
+ * Block coarsening, polygon area-weighted averages and zonal statistics for regular lat/lon grids
+ */
+
+import { reduceValues } from './time-utils.js';
+
+const EARTH_RADIUS_KM = 6371.0088;
+const DEG_TO_RAD = Math.PI / 180;
+
+const isValid = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Compute cell edges from a list of cell centers (ascending or descending).
+ * Outer edges are extrapolated by half a cell; a single center needs an explicit resolution.
+ * @ignore
+ */
+function centersToEdges(centers, resolution) {
+  const n = centers.length;
+  if (n === 0) return [];
+  if (n === 1) {
+    const half = Math.abs(resolution || 0) / 2;
+    if (!half) throw new Error('Cannot infer cell size from a single grid coordinate; provide a resolution');
+    return [centers[0] - half, centers[0] + half];
+  }
+
+  const edges = new Array(n + 1);
+  for (let i = 1; i < n; i++) {
+    edges[i] = (centers[i - 1] + centers[i]) / 2;
+  }
+  edges[0] = centers[0] - (centers[1] - centers[0]) / 2;
+  edges[n] = centers[n - 1] + (centers[n - 1] - centers[n - 2]) / 2;
+  return edges;
+}
+
+/**
+ * Build evenly spaced cell centers across a [min, max] extent
+ * @ignore
+ */
+function centersFromExtent(min, max, count) {
+  const step = (max - min) / count;
+  return Array.from({ length: count }, (_, i) => min + (i + 0.5) * step);
+}
+
+/**
+ * Resolve the cell geometry of a grid: cell-center coordinates and cell edges per axis.
+ * Coordinates come from grid.latitudes/longitudes, falling back to the bbox [minLon, minLat, maxLon, maxLat]
+ * spread over the grid dimensions (rows ordered south to north).
+ * @param {Object} grid - Grid object ({ data, latitudes, longitudes, bbox })
+ * @param {Object} [fallback] - Object to take coordinates from when the grid has none (e.g. the parent series)
+ * @param {Object} [options] - { coordinatesOptional: return null coordinates instead of throwing when none can be resolved }
+ * @returns {Object} { latitudes, longitudes, latEdges, lonEdges, rows, cols }
+ * @ignore
+ */
+export function getGridGeometry(grid, fallback = {}, options = {}) {
+  const values = Array.isArray(grid) ? grid : grid?.data;
+  if (!Array.isArray(values) || !Array.isArray(values[0])) {
+    throw new Error('Spatial aggregation requires a 2D grid (rows of latitude, columns of longitude)');
+  }
+  const rows = values.length;
+  const cols = values[0].length;
+  const source = Array.isArray(grid) ? {} : grid;
+
+  let latitudes = source.latitudes || fallback.latitudes;
+  let longitudes = source.longitudes || fallback.longitudes;
+  const bbox = source.bbox || fallback.bbox;
+
+  if (!latitudes || !longitudes) {
+    if (!Array.isArray(bbox) || bbox.length !== 4) {
+      if (options.coordinatesOptional) {
+        return { latitudes: null, longitudes: null, latEdges: null, lonEdges: null, rows, cols };
+      }
+      throw new Error('Grid has no latitudes/longitudes and no bbox to derive them from');
+    }
+    const [minLon, minLat, maxLon, maxLat] = bbox;
+    latitudes = latitudes || centersFromExtent(minLat, maxLat, rows);
+    longitudes = longitudes || centersFromExtent(minLon, maxLon, cols);
+  }
+
+  if (latitudes.length !== rows || longitudes.length !== cols) {
+    throw new Error(`Grid coordinates (${latitudes.length}x${longitudes.length}) do not match grid dimensions (${rows}x${cols})`);
+  }
+
+  const resolution = source.resolution || fallback.resolution;
+  return {
+    latitudes,
+    longitudes,
+    latEdges: centersToEdges(latitudes, resolution),
+    lonEdges: centersToEdges(longitudes, resolution),
+    rows,
+    cols
+  };
+}
+
+/**
+ * Spherical area of a lat/lon cell in km²
+ * @ignore
+ */
+function cellAreaKm2(lat1, lat2, lon1, lon2) {
+  return EARTH_RADIUS_KM * EARTH_RADIUS_KM *
+    Math.abs((lon2 - lon1) * DEG_TO_RAD) *
+    Math.abs(Math.sin(lat2 * DEG_TO_RAD) - Math.sin(lat1 * DEG_TO_RAD));
+}
+
+/**
+ * Shoelace area of a ring in coordinate units (absolute value)
+ * @ignore
+ */
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, n = ring.length; i < n; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % n];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Clip a ring against an axis-aligned rectangle (Sutherland–Hodgman).
+ * Concave rings may produce degenerate zero-area edges, which do not affect the clipped area.
+ * @ignore
+ */
+function clipRing(ring, xmin, ymin, xmax, ymax) {
+  const inside = [
+    (p) => p[0] >= xmin,
+    (p) => p[0] <= xmax,
+    (p) => p[1] >= ymin,
+    (p) => p[1] <= ymax
+  ];
+  const intersect = [
+    (a, b) => [xmin, a[1] + (b[1] - a[1]) * (xmin - a[0]) / (b[0] - a[0])],
+    (a, b) => [xmax, a[1] + (b[1] - a[1]) * (xmax - a[0]) / (b[0] - a[0])],
+    (a, b) => [a[0] + (b[0] - a[0]) * (ymin - a[1]) / (b[1] - a[1]), ymin],
+    (a, b) => [a[0] + (b[0] - a[0]) * (ymax - a[1]) / (b[1] - a[1]), ymax]
+  ];
+
+  let output = ring;
+  for (let edge = 0; edge < 4 && output.length; edge++) {
+    const input = output;
+    output = [];
+    for (let i = 0; i < input.length; i++) {
+      const current = input[i];
+      const previous = input[(i + input.length - 1) % input.length];
+      const currentIn = inside[edge](current);
+      const previousIn = inside[edge](previous);
+      if (currentIn) {
+        if (!previousIn) output.push(intersect[edge](previous, current));
+        output.push(current);
+      } else if (previousIn) {
+        output.push(intersect[edge](previous, current));
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Normalize a GeoJSON Polygon, MultiPolygon, Feature or geometry into a list of polygons (arrays of rings)
+ * @ignore
+ */
+function toPolygons(geometry) {
+  const geom = geometry?.type === 'Feature' ? geometry.geometry : geometry;
+  if (!geom || !geom.type) {
+    throw new Error('A GeoJSON Polygon, MultiPolygon or Feature is required');
+  }
+  const stripClosing = (ring) => {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return ring.length > 1 && first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+  };
+
+  switch (geom.type) {
+    case 'Polygon':
+      return [geom.coordinates.map(stripClosing)];
+    case 'MultiPolygon':
+      return geom.coordinates.map(polygon => polygon.map(stripClosing));
+    case 'GeometryCollection':
+      return geom.geometries.flatMap(toPolygons);
+    default:
+      throw new Error(`Unsupported geometry type for spatial aggregation: ${geom.type}`);
+  }
+}
+
+/**
+ * Bounding box [minX, minY, maxX, maxY] of a list of polygons
+ * @ignore
+ */
+function polygonsBounds(polygons) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const polygon of polygons) {
+    for (const [x, y] of polygon[0]) {
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  return [minX, minY, maxX, maxY];
+}
+
+/**
+ * Compute the fraction of each grid cell covered by a polygon.
+ * Holes are subtracted and weights are the covered spherical area of each cell in km².
+ * @param {Object} geometry - GeoJSON Polygon/MultiPolygon or Feature (lon/lat coordinates)
+ * @param {Object} gridGeometry - Result of getGridGeometry
+ * @returns {Array<Object>} [{ row, col, fraction, area }] for cells with non-zero coverage
+ * @ignore
+ */
+export function computeCellWeights(geometry, gridGeometry) {
+  const polygons = toPolygons(geometry);
+  const [minX, minY, maxX, maxY] = polygonsBounds(polygons);
+  const { latEdges, lonEdges, rows, cols } = gridGeometry;
+  const weights = [];
+
+  for (let r = 0; r < rows; r++) {
+    const y1 = Math.min(latEdges[r], latEdges[r + 1]);
+    const y2 = Math.max(latEdges[r], latEdges[r + 1]);
+    if (y2 <= minY || y1 >= maxY) continue;
+
+    for (let c = 0; c < cols; c++) {
+      const x1 = Math.min(lonEdges[c], lonEdges[c + 1]);
+      const x2 = Math.max(lonEdges[c], lonEdges[c + 1]);
+      if (x2 <= minX || x1 >= maxX) continue;
+
+      let covered = 0;
+      for (const [outer, ...holes] of polygons) {
+        covered += ringArea(clipRing(outer, x1, y1, x2, y2));
+        for (const hole of holes) {
+          covered -= ringArea(clipRing(hole, x1, y1, x2, y2));
+        }
+      }
+
+      const fraction = Math.min(1, covered / ((x2 - x1) * (y2 - y1)));
+      if (fraction > 1e-12) {
+        weights.push({ row: r, col: c, fraction, area: fraction * cellAreaKm2(y1, y2, x1, x2) });
+      }
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Reduce grid values over precomputed cell weights.
+ * 'mean' is area-weighted, 'sum' adds value × covered fraction, min/max/median use every touched cell.
+ * @param {Array<Array<number>>} values - 2D grid values
+ * @param {Array<Object>} weights - Result of computeCellWeights
+ * @param {Array<string>} statistics - Statistics to compute
+ * @param {Object} [options] - { fillValue, minCoverage }
+ * @returns {Object} Statistic name to value, plus count, area and coverage (valid fraction of the covered area)
+ * @ignore
+ */
+export function weightedStatistics(values, weights, statistics, options = {}) {
+  const { fillValue, minCoverage = 0 } = options;
+  const valid = [];
+  let totalArea = 0;
+  let validArea = 0;
+  let weightedSum = 0;
+  let fractionSum = 0;
+
+  for (const w of weights) {
+    totalArea += w.area;
+    const value = values[w.row]?.[w.col];
+    if (!isValid(value) || (fillValue !== undefined && value === fillValue)) continue;
+    valid.push(value);
+    validArea += w.area;
+    weightedSum += value * w.area;
+    fractionSum += value * w.fraction;
+  }
+
+  const coverage = totalArea > 0 ? validArea / totalArea : 0;
+  const result = { count: valid.length, area: totalArea, coverage };
+  const insufficient = valid.length === 0 || coverage < minCoverage;
+
+  for (const stat of statistics) {
+    if (stat === 'count') continue;
+    if (insufficient) {
+      result[stat] = null;
+    } else if (stat === 'mean' || stat === 'average') {
+      result[stat] = weightedSum / validArea;
+    } else if (stat === 'sum' || stat === 'total') {
+      result[stat] = fractionSum;
+    } else {
+      result[stat] = reduceValues(valid, stat);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Coarsen a 2D grid by an integer factor, reducing each factor × factor block.
+ * Partial blocks at the grid edges are kept; blocks with no valid cells become null.
+ * @param {Array<Array<number>>} values - 2D grid values
+ * @param {number} factor - Block size in cells
+ * @param {string} [method='mean'] - Reduction method (mean, sum, min, max, median, count)
+ * @param {Object} [options] - { fillValue, latitudes, longitudes }
+ * @returns {Object} { data, latitudes, longitudes, dimensions }
+ * @ignore
+ */
+export function coarsenGrid(values, factor, method = 'mean', options = {}) {
+  if (!Number.isInteger(factor) || factor < 1) {
+    throw new Error(`Block aggregation factor must be a positive integer, got ${factor}`);
+  }
+  const { fillValue, latitudes, longitudes } = options;
+  const rows = values.length;
+  const cols = values[0]?.length || 0;
+  const outRows = Math.ceil(rows / factor);
+  const outCols = Math.ceil(cols / factor);
+  const data = [];
+
+  for (let br = 0; br < outRows; br++) {
+    const row = [];
+    for (let bc = 0; bc < outCols; bc++) {
+      const block = [];
+      for (let r = br * factor; r < Math.min(rows, (br + 1) * factor); r++) {
+        for (let c = bc * factor; c < Math.min(cols, (bc + 1) * factor); c++) {
+          const value = values[r][c];
+          if (isValid(value) && (fillValue === undefined || value !== fillValue)) block.push(value);
+        }
+      }
+      row.push(reduceValues(block, method));
+    }
+    data.push(row);
+  }
+
+  const blockCenters = (coords) => {
+    if (!Array.isArray(coords)) return undefined;
+    const out = [];
+    for (let i = 0; i < coords.length; i += factor) {
+      const chunk = coords.slice(i, i + factor);
+      out.push(chunk.reduce((a, b) => a + b, 0) / chunk.length);
+    }
+    return out;
+  };
+
+  return {
+    data,
+    latitudes: blockCenters(latitudes),
+    longitudes: blockCenters(longitudes),
+    dimensions: [outRows, outCols]
+  };
+}
+
+/**
+ * Compute statistics of a grid for each feature of a GeoJSON FeatureCollection
+ * @param {Object} grid - Grid object ({ data, latitudes, longitudes } or bbox)
+ * @param {Object} featureCollection - GeoJSON FeatureCollection of polygons
+ * @param {Object} [options] - { statistics, idProperty, fillValue, minCoverage }
+ * @returns {Array<Object>} [{ id, properties, mean, min, max, sum, count, area, coverage }]
+ * @ignore
+ */
+export function zonalStatistics(grid, featureCollection, options = {}) {
+  const geometry = getGridGeometry(grid, options);
+  const values = Array.isArray(grid) ? grid : grid.data;
+  return zonesFor(featureCollection, geometry, options).map(zone => ({
+    id: zone.id,
+    properties: zone.properties,
+    ...weightedStatistics(values, zone.weights, zone.statistics, options)
+  }));
+}
+
+/**
+ * Precompute the cell weights for every feature of a FeatureCollection
+ * @ignore
+ */
+function zonesFor(featureCollection, geometry, options) {
+  if (featureCollection?.type !== 'FeatureCollection' || !Array.isArray(featureCollection.features)) {
+    throw new Error('Zonal statistics require a GeoJSON FeatureCollection');
+  }
+  const statistics = options.statistics || ['mean', 'min', 'max', 'sum', 'count'];
+  return featureCollection.features.map((feature, index) => ({
+    id: options.idProperty ? feature.properties?.[options.idProperty] : (feature.id ?? index),
+    properties: feature.properties || {},
+    weights: computeCellWeights(feature, geometry),
+    statistics
+  }));
+}
+
+/**
+ * Aggregate a single grid or a series of { timestamp, grid } frames spatially.
+ * Mode is taken from config.type ('block' | 'polygon' | 'zonal') or inferred from
+ * factor, geometry (Polygon/MultiPolygon/Feature) or a FeatureCollection.
+ * Weights are computed once per grid geometry and reused across frames.
+ * Only polygon and zonal aggregation need coordinates; block-coarsened grids without any are returned without them.
+ * @param {Object} data - Gridded data ({ data: 2D, latitudes, longitudes } or { data: [{ timestamp, grid }] })
+ * @param {Object} config - { type, method, factor, geometry, statistics, idProperty, fillValue, minCoverage }
+ * @returns {Object} Aggregated data
+ * @ignore
+ */
+export function aggregateGrid(data, config) {
+  const { method = 'mean', factor, fillValue, minCoverage = 0 } = config;
+  const geometry = config.geometry || config.polygon || config.features;
+  const type = config.type ||
+    (factor !== undefined ? 'block' : geometry?.type === 'FeatureCollection' ? 'zonal' : geometry ? 'polygon' : null);
+
+  if (!type) {
+    throw new Error('Spatial aggregation requires a factor, a polygon geometry or a FeatureCollection');
+  }
+  if (type !== 'block' && !geometry) {
+    throw new Error(`Spatial aggregation type '${type}' requires a geometry`);
+  }
+
+  const isFrames = Array.isArray(data.data) && data.data.length > 0 &&
+    data.data.every(item => item && typeof item === 'object' && !Array.isArray(item) && 'grid' in item);
+  const frames = isFrames
+    ? data.data.map(item => ({ item, grid: item.grid }))
+    : [{ item: null, grid: data }];
+
+  // Geometry and weights are cached per coordinate set so large series only clip polygons once
+  let cachedKey = null;
+  let cachedGeometry = null;
+  let cachedWeights = null;
+  const prepare = (grid) => {
+    const key = (!Array.isArray(grid) && grid.latitudes) || data.latitudes || grid;
+    if (cachedGeometry && cachedKey === key) return;
+    cachedKey = key;
+    cachedGeometry = getGridGeometry(grid, data, { coordinatesOptional: type === 'block' });
+    if (type === 'polygon') cachedWeights = computeCellWeights(geometry, cachedGeometry);
+    if (type === 'zonal') cachedWeights = zonesFor(geometry, cachedGeometry, config);
+  };
+  const gridValues = (grid) => (Array.isArray(grid) ? grid : grid.data);
+
+  const results = frames.map(({ item, grid }) => {
+    if (!grid) return { item, result: null };
+    prepare(grid);
+    const values = gridValues(grid);
+
+    if (type === 'block') {
+      const coarse = coarsenGrid(values, factor, method, {
+        fillValue,
+        latitudes: cachedGeometry.latitudes,
+        longitudes: cachedGeometry.longitudes
+      });
+      return { item, grid, result: coarse };
+    }
+    if (type === 'polygon') {
+      const stats = weightedStatistics(values, cachedWeights, [method], { fillValue, minCoverage });
+      return { item, result: { value: stats[method], count: stats.count, coverage: stats.coverage, area: stats.area } };
+    }
+    return {
+      item,
+      result: cachedWeights.map(zone => ({
+        id: zone.id,
+        properties: zone.properties,
+        ...weightedStatistics(values, zone.weights, zone.statistics, { fillValue, minCoverage })
+      }))
+    };
+  });
+
+  if (type === 'block') {
+    for (const { item, grid, result } of results) {
+      if (!result) continue;
+      const { latitudes, longitudes, ...coarse } = result;
+      const coordinates = latitudes ? { latitudes, longitudes } : {};
+      if (Array.isArray(grid)) {
+        item.grid = coarse.data;
+        Object.assign(data, coordinates);
+      } else {
+        Object.assign(grid, coarse, coordinates);
+      }
+    }
+  } else if (type === 'polygon') {
+    if (isFrames) {
+      data.data = results.map(({ item, result }) => ({
+        timestamp: item.timestamp,
+        value: result ? result.value : null,
+        coverage: result ? result.coverage : 0
+      }));
+    } else {
+      const { value, count, coverage, area } = results[0].result;
+      data.value = value;
+      data.count = count;
+      data.coverage = coverage;
+      data.area = area;
+      delete data.data;
+    }
+    delete data.latitudes;
+    delete data.longitudes;
+    delete data.dimensions;
+  } else if (isFrames) {
+    data.data = results.map(({ item, result }) => ({ timestamp: item.timestamp, zones: result }));
+  } else {
+    data.data = results[0].result;
+    delete data.latitudes;
+    delete data.longitudes;
+    delete data.dimensions;
+  }
+
+  const areaSummary = type === 'polygon' && cachedWeights
+    ? { cells: cachedWeights.length, areaKm2: cachedWeights.reduce((a, w) => a + w.area, 0) }
+    : {};
+
+  data.metadata = data.metadata || {};
+  data.metadata.spatialAggregation = {
+    type: type,
+    method: method,
+    factor: type === 'block' ? factor : undefined,
+    zones: type === 'zonal' ? geometry.features.length : undefined,
+    minCoverage: minCoverage,
+    ...areaSummary,
+    applied: true
+  };
+
+  return data;
+}
@@ -0,0 +1,640 @@
+/**
+ * SQLite utilities
+ * Minimal reader and writer for the SQLite 3 file format: enough to read tables of an existing
+ * database and to write new databases of rowid tables and indexes (GeoPackage containers).
+ * No SQL is executed; nothing beyond the file format is needed, so it runs in browsers and workers.
+ */
+
+const MAGIC = 'SQLite format 3\u0000';
+const PAGE_TABLE_INTERIOR = 0x05;
+const PAGE_TABLE_LEAF = 0x0d;
+const PAGE_INDEX_INTERIOR = 0x02;
+const PAGE_INDEX_LEAF = 0x0a;
+
+/**
+ * Check whether a buffer starts with the SQLite header string
+ * @ignore
+ */
+export function isSQLite(bytes) {
+  if (bytes.length < 100) return false;
+  for (let i = 0; i < 16; i++) {
+    if (bytes[i] !== MAGIC.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Read a varint at an offset
+ * @returns {Array<number>} [value, bytes read]
+ * @ignore
+ */
+function readVarint(bytes, offset) {
+  let value = 0;
+  for (let i = 0; i < 8; i++) {
+    const byte = bytes[offset + i];
+    value = value * 128 + (byte & 0x7f);
+    if (byte < 0x80) return [value, i + 1];
+  }
+  // Nine-byte varints carry full 64-bit (possibly negative) integers
+  let big = 0n;
+  for (let i = 0; i < 8; i++) big = (big << 7n) | BigInt(bytes[offset + i] & 0x7f);
+  big = BigInt.asIntN(64, (big << 8n) | BigInt(bytes[offset + 8]));
+  return [Number(big), 9];
+}
+
+/**
+ * Encode a varint
+ * @ignore
+ */
+function varint(value) {
+  if (value >= 0 && value < 2 ** 56 && Number.isInteger(value)) {
+    const groups = [];
+    let v = value;
+    do {
+      groups.unshift(v % 128);
+      v = Math.floor(v / 128);
+    } while (v > 0);
+    return Uint8Array.from(groups, (g, i) => (i < groups.length - 1 ? g | 0x80 : g));
+  }
+  let big = BigInt.asUintN(64, BigInt(value));
+  const out = new Uint8Array(9);
+  out[8] = Number(big & 0xffn);
+  big >>= 8n;
+  for (let i = 7; i >= 0; i--) {
+    out[i] = Number(big & 0x7fn) | 0x80;
+    big >>= 7n;
+  }
+  return out;
+}
+
+/**
+ * @ignore
+ */
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Largest payload kept on a b-tree page before spilling to overflow pages
+ * @ignore
+ */
+function localPayloadSize(payloadSize, usable, table) {
+  const maxLocal = table ? usable - 35 : Math.floor(((usable - 12) * 64) / 255) - 23;
+  if (payloadSize <= maxLocal) return payloadSize;
+  const minLocal = Math.floor(((usable - 12) * 32) / 255) - 23;
+  const size = minLocal + ((payloadSize - minLocal) % (usable - 4));
+  return size <= maxLocal ? size : minLocal;
+}
+
+/**
+ * Value of a column's DEFAULT clause: a number, string, blob, NULL or TRUE/FALSE literal, optionally parenthesized.
+ * Expressions and CURRENT_TIME/DATE/TIMESTAMP give null; SQLite rejects them for columns added by ALTER TABLE,
+ * which are the only ones missing from older records.
+ * @ignore
+ */
+function parseDefault(constraints) {
+  const match = constraints.match(/\bDEFAULT\s*(\(\s*)?([+-]?\s*(?:0x[0-9a-f]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)|'(?:[^']|'')*'|x'[0-9a-f]*'|NULL\b|TRUE\b|FALSE\b)/i);
+  if (!match) return null;
+  const literal = match[2];
+  const upper = literal.toUpperCase();
+  if (upper === 'NULL') return null;
+  if (upper === 'TRUE' || upper === 'FALSE') return upper === 'TRUE' ? 1 : 0;
+  if (literal[0] === "'") return literal.slice(1, -1).split("''").join("'");
+  if (upper.startsWith("X'")) {
+    const hex = literal.slice(2, -1);
+    return Uint8Array.from({ length: hex.length / 2 }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+  }
+  const number = literal.replace(/\s+/g, '');
+  const sign = number[0] === '-' ? -1 : 1;
+  return /^[+-]?0x/i.test(number) ? sign * parseInt(number.replace(/^[+-]?0x/i, ''), 16) : Number(number);
+}
+
+/**
+ * Convert a text default to a number for columns with numeric affinity, as SQLite does when storing it
+ * @ignore
+ */
+function applyAffinity(value, type) {
+  // Type names containing INT, or none of CHAR/CLOB/TEXT/BLOB, have INTEGER, REAL or NUMERIC affinity
+  const numeric = /INT/i.test(type) || (type !== '' && !/CHAR|CLOB|TEXT|BLOB/i.test(type));
+  if (typeof value !== 'string' || !numeric) return value;
+  const trimmed = value.trim();
+  return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : value;
+}
+
+/**
+ * Split a CREATE TABLE statement into column definitions
+ * @returns {Array<Object>} [{ name, type, rowid, defaultValue }] where rowid marks an INTEGER PRIMARY KEY (rowid alias)
+ * @ignore
+ */
+export function parseTableColumns(sql) {
+  const open = sql.indexOf('(');
+  const close = sql.lastIndexOf(')');
+  if (open < 0 || close < open) return [];
+  const body = sql.slice(open + 1, close);
+
+  const definitions = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      quote = ch;
+    } else if (ch === '[') {
+      quote = ']';
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      definitions.push(body.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  definitions.push(body.slice(start).trim());
+
+  const unquote = (name) => {
+    const q = name[0];
+    if (q === '"' || q === '`' || q === "'") return name.slice(1, -1).split(q + q).join(q);
+    if (q === '[') return name.slice(1, -1);
+    return name;
+  };
+
+  const columns = [];
+  let tablePrimaryKey = null;
+  for (const definition of definitions) {
+    if (/^(CONSTRAINT\s+\S+\s+)?PRIMARY\s+KEY\s*\(/i.test(definition)) {
+      const keys = definition.slice(definition.indexOf('(') + 1, definition.lastIndexOf(')')).split(',');
+      if (keys.length === 1) tablePrimaryKey = unquote(keys[0].trim().split(/\s+/)[0]);
+      continue;
+    }
+    if (/^(CONSTRAINT|UNIQUE|CHECK|FOREIGN\s+KEY)\b/i.test(definition)) continue;
+    const match = definition.match(/^("(?:[^"]|"")*"|`(?:[^`]|``)*`|\[[^\]]*\]|'(?:[^']|'')*'|\S+)\s*(.*)$/s);
+    if (!match) continue;
+    const rest = match[2];
+    const tokens = rest.split(/\s+/);
+    const end = tokens.findIndex(t => /^(CONSTRAINT|PRIMARY|NOT|NULL|UNIQUE|CHECK|DEFAULT|COLLATE|REFERENCES|GENERATED|AS)$/i.test(t));
+    const type = tokens.slice(0, end < 0 ? tokens.length : end).join(' ');
+    const primaryKey = /\bPRIMARY\s+KEY\b/i.test(rest);
+    columns.push({
+      name: unquote(match[1]),
+      type,
+      rowid: primaryKey && type.toUpperCase() === 'INTEGER' && !/\bPRIMARY\s+KEY\s+DESC\b/i.test(rest),
+      defaultValue: applyAffinity(parseDefault(rest), type)
+    });
+  }
+  if (tablePrimaryKey) {
+    const column = columns.find(c => c.name.toLowerCase() === tablePrimaryKey.toLowerCase());
+    if (column && column.type.toUpperCase() === 'INTEGER') column.rowid = true;
+  }
+  return columns;
+}
+
+/**
+ * Open a SQLite database held in memory
+ * @param {Uint8Array} bytes - Database file contents
+ * @returns {Object} { schema: [{ type, name, tableName, rootPage, sql }], columns(name), readTable(name) }
+ * @ignore
+ */
+export function openSQLite(bytes) {
+  if (!isSQLite(bytes)) throw new Error('Not a SQLite database');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const rawPageSize = view.getUint16(16, false);
+  const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+  const usable = pageSize - bytes[20];
+  const encoding = view.getUint32(56, false);
+  const decoder = new TextDecoder(encoding === 2 ? 'utf-16le' : encoding === 3 ? 'utf-16be' : 'utf-8');
+
+  const readPayload = (offset, payloadSize, table) => {
+    const local = localPayloadSize(payloadSize, usable, table);
+    if (local === payloadSize) return bytes.subarray(offset, offset + payloadSize);
+    const payload = new Uint8Array(payloadSize);
+    payload.set(bytes.subarray(offset, offset + local));
+    let written = local;
+    let page = view.getUint32(offset + local, false);
+    while (page && written < payloadSize) {
+      const start = (page - 1) * pageSize;
+      const size = Math.min(usable - 4, payloadSize - written);
+      payload.set(bytes.subarray(start + 4, start + 4 + size), written);
+      written += size;
+      page = view.getUint32(start, false);
+    }
+    return payload;
+  };
+
+  const decodeRecord = (payload) => {
+    const [headerSize, n] = readVarint(payload, 0);
+    const types = [];
+    for (let offset = n; offset < headerSize;) {
+      const [type, m] = readVarint(payload, offset);
+      types.push(type);
+      offset += m;
+    }
+    const record = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    const values = [];
+    let offset = headerSize;
+    for (const type of types) {
+      let value = null;
+      let size = 0;
+      switch (type) {
+        case 0: break;
+        case 1: value = record.getInt8(offset); size = 1; break;
+        case 2: value = record.getInt16(offset, false); size = 2; break;
+        case 3: value = (record.getInt8(offset) * 65536) + record.getUint16(offset + 1, false); size = 3; break;
+        case 4: value = record.getInt32(offset, false); size = 4; break;
+        case 5: value = record.getInt16(offset, false) * 4294967296 + record.getUint32(offset + 2, false); size = 6; break;
+        case 6: {
+          const big = record.getBigInt64(offset, false);
+          value = big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+          size = 8;
+          break;
+        }
+        case 7: value = record.getFloat64(offset, false); size = 8; break;
+        case 8: value = 0; break;
+        case 9: value = 1; break;
+        default:
+          size = type >= 12 ? Math.floor((type - 12) / 2) : 0;
+          value = type % 2 === 0
+            ? payload.slice(offset, offset + size)
+            : decoder.decode(payload.subarray(offset, offset + size));
+      }
+      values.push(value);
+      offset += size;
+    }
+    return values;
+  };
+
+  // Rows of a table b-tree in rowid order: [[rowid, values], ...]
+  const walkTable = (rootPage) => {
+    const rows = [];
+    const stack = [rootPage];
+    while (stack.length) {
+      const page = stack.pop();
+      const base = (page - 1) * pageSize;
+      const header = base + (page === 1 ? 100 : 0);
+      const type = bytes[header];
+      const cells = view.getUint16(header + 3, false);
+      if (type === PAGE_TABLE_INTERIOR) {
+        // Pushed in reverse so children are visited left to right
+        stack.push(view.getUint32(header + 8, false));
+        for (let i = cells - 1; i >= 0; i--) {
+          stack.push(view.getUint32(base + view.getUint16(header + 12 + i * 2, false), false));
+        }
+      } else if (type === PAGE_TABLE_LEAF) {
+        for (let i = 0; i < cells; i++) {
+          let offset = base + view.getUint16(header + 8 + i * 2, false);
+          const [payloadSize, a] = readVarint(bytes, offset);
+          const [rowid, b] = readVarint(bytes, offset + a);
+          offset += a + b;
+          rows.push([rowid, decodeRecord(readPayload(offset, payloadSize, true))]);
+        }
+      } else {
+        throw new Error(`Corrupt SQLite database: page ${page} is not a table b-tree page`);
+      }
+    }
+    return rows;
+  };
+
+  const schema = walkTable(1)
+    .map(([, [type, name, tableName, rootPage, sql]]) => ({ type, name, tableName, rootPage, sql }));
+
+  const find = (name) => {
+    const entry = schema.find(e => e.type === 'table' && e.name === name)
+      || schema.find(e => e.type === 'table' && e.name.toLowerCase() === String(name).toLowerCase());
+    if (!entry) throw new Error(`Table '${name}' not found in the database`);
+    return entry;
+  };
+
+  return {
+    schema,
+    columns: (name) => parseTableColumns(find(name).sql || ''),
+    /**
+     * Rows of a table as objects keyed by column name
+     */
+    readTable(name) {
+      const entry = find(name);
+      if (!entry.rootPage) throw new Error(`Table '${name}' is a virtual table and cannot be read`);
+      if (/\)\s*WITHOUT\s+ROWID\s*;?\s*$/i.test(entry.sql || '')) throw new Error(`WITHOUT ROWID table '${name}' is not supported`);
+      const columns = parseTableColumns(entry.sql || '');
+      return walkTable(entry.rootPage).map(([rowid, values]) => {
+        const row = {};
+        columns.forEach((column, i) => {
+          // Records written before an ALTER TABLE ADD COLUMN omit the column; SQLite reads its default
+          row[column.name] = column.rowid ? rowid : (i < values.length ? values[i] : column.defaultValue);
+        });
+        return row;
+      });
+    }
+  };
+}
+
+/**
+ * Encode values as a SQLite record
+ * @ignore
+ */
+function encodeRecord(values, encoder) {
+  const types = [];
+  const bodies = [];
+  for (let value of values) {
+    if (typeof value === 'boolean') value = value ? 1 : 0;
+    if (value instanceof Date) value = value.toISOString();
+    if (value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value))) {
+      types.push(0);
+      bodies.push(new Uint8Array(0));
+    } else if (typeof value === 'bigint' || (Number.isInteger(value) && Number.isSafeInteger(value))) {
+      const big = BigInt(value);
+      const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+      if (big === 0n || big === 1n) {
+        types.push(big === 0n ? 8 : 9);
+        bodies.push(new Uint8Array(0));
+        continue;
+      }
+      const [type, size] = sizes.find(([, s]) => big >= -(1n << BigInt(s * 8 - 1)) && big < (1n << BigInt(s * 8 - 1)));
+      const body = new Uint8Array(size);
+      let v = BigInt.asUintN(size * 8, big);
+      for (let i = size - 1; i >= 0; i--) {
+        body[i] = Number(v & 0xffn);
+        v >>= 8n;
+      }
+      types.push(type);
+      bodies.push(body);
+    } else if (typeof value === 'number') {
+      const body = new Uint8Array(8);
+      new DataView(body.buffer).setFloat64(0, value, false);
+      types.push(7);
+      bodies.push(body);
+    } else if (value instanceof Uint8Array) {
+      types.push(12 + value.length * 2);
+      bodies.push(value);
+    } else {
+      const body = encoder.encode(typeof value === 'string' ? value : JSON.stringify(value));
+      types.push(13 + body.length * 2);
+      bodies.push(body);
+    }
+  }
+  const typeBytes = concat(types.map(varint));
+  let headerSize = typeBytes.length + 1;
+  if (varint(headerSize).length > 1) headerSize = typeBytes.length + varint(typeBytes.length + 2).length;
+  return concat([varint(headerSize), typeBytes, ...bodies]);
+}
+
+/**
+ * Compare index keys the way SQLite orders them with BINARY collation
+ * (NULL < numbers < text < blobs, text and blobs by bytes)
+ * @ignore
+ */
+function compareKeys(a, b, encoder) {
+  const rank = (v) => (v === null || v === undefined ? 0 : typeof v === 'number' || typeof v === 'bigint' || typeof v === 'boolean' ? 1 : v instanceof Uint8Array ? 3 : 2);
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const ra = rank(a[i]);
+    const rb = rank(b[i]);
+    if (ra !== rb) return ra - rb;
+    if (ra === 1) {
+      const na = Number(a[i]);
+      const nb = Number(b[i]);
+      if (na !== nb) return na < nb ? -1 : 1;
+    } else if (ra >= 2) {
+      const ba = ra === 2 ? encoder.encode(String(a[i])) : a[i];
+      const bb = rb === 2 ? encoder.encode(String(b[i])) : b[i];
+      for (let j = 0; j < Math.min(ba.length, bb.length); j++) {
+        if (ba[j] !== bb[j]) return ba[j] - bb[j];
+      }
+      if (ba.length !== bb.length) return ba.length - bb.length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Write a SQLite database of rowid tables and indexes. Indexes listed after a table are stored with
+ * it in sqlite_master, so automatic indexes (sqlite_autoindex_*) can be supplied with sql: null.
+ * @param {Array<Object>} objects - { type: 'table', name, sql, rows: [[rowid, [values]]] }
+ *   or { type: 'index', name, table, sql, keys: [[values..., rowid]] }
+ * @param {Object} [options] - { pageSize: 4096, applicationId: 0, userVersion: 0 }
+ * @returns {Uint8Array} Database file
+ * @ignore
+ */
+export function writeSQLite(objects, options = {}) {
+  const { pageSize = 4096, applicationId = 0, userVersion = 0 } = options;
+  const usable = pageSize;
+  const encoder = new TextEncoder();
+  const pages = [null];
+
+  const allocate = () => {
+    pages.push(new Uint8Array(pageSize));
+    return pages.length;
+  };
+
+  // Cell payload: the local part plus the first overflow page, with overflow pages written now
+  const spill = (payload, table) => {
+    const local = localPayloadSize(payload.length, usable, table);
+    if (local === payload.length) return payload;
+    const pageNumbers = [];
+    for (let offset = local; offset < payload.length; offset += usable - 4) pageNumbers.push(allocate());
+    pageNumbers.forEach((page, i) => {
+      const bytes = pages[page - 1];
+      const view = new DataView(bytes.buffer);
+      view.setUint32(0, pageNumbers[i + 1] || 0, false);
+      const start = local + i * (usable - 4);
+      bytes.set(payload.subarray(start, Math.min(payload.length, start + usable - 4)), 4);
+    });
+    const out = new Uint8Array(local + 4);
+    out.set(payload.subarray(0, local));
+    new DataView(out.buffer).setUint32(local, pageNumbers[0], false);
+    return out;
+  };
+
+  const writePage = (page, type, cells, rightmost) => {
+    const bytes = pages[page - 1];
+    const view = new DataView(bytes.buffer);
+    const header = page === 1 ? 100 : 0;
+    const interior = type === PAGE_TABLE_INTERIOR || type === PAGE_INDEX_INTERIOR;
+    let content = pageSize;
+    cells.forEach((cell, i) => {
+      content -= cell.length;
+      bytes.set(cell, content);
+      view.setUint16(header + (interior ? 12 : 8) + i * 2, content, false);
+    });
+    bytes[header] = type;
+    view.setUint16(header + 3, cells.length, false);
+    view.setUint16(header + 5, content === 65536 ? 0 : content, false);
+    if (interior) view.setUint32(header + 8, rightmost, false);
+  };
+
+  const capacity = (root, interior) => usable - (root === 1 ? 100 : 0) - (interior ? 12 : 8);
+
+  // Group nodes into pages: every node but the last of a group becomes a cell, the last is the right-most child
+  const group = (nodes, cellSize, space) => {
+    const groups = [];
+    let current = [];
+    let used = 0;
+    for (const node of nodes) {
+      if (current.length) {
+        const cost = cellSize(current[current.length - 1]) + 2;
+        if (used + cost > space) {
+          groups.push(current);
+          current = [];
+          used = 0;
+        } else {
+          used += cost;
+        }
+      }
+      current.push(node);
+    }
+    groups.push(current);
+    // An interior page needs at least one cell besides its right-most child
+    if (groups.length > 1 && groups[groups.length - 1].length === 1) {
+      groups[groups.length - 1].unshift(groups[groups.length - 2].pop());
+    }
+    return groups;
+  };
+
+  const buildTable = (rows, root) => {
+    const cells = rows.map(([rowid, values]) => {
+      const payload = encodeRecord(values, encoder);
+      return { key: rowid, cell: concat([varint(payload.length), varint(rowid), spill(payload, true)]) };
+    });
+
+    const fits = (items, space) => items.reduce((sum, c) => sum + c.cell.length + 2, 0) <= space;
+    if (fits(cells, capacity(root, false))) {
+      const page = root || allocate();
+      writePage(page, PAGE_TABLE_LEAF, cells.map(c => c.cell));
+      return page;
+    }
+
+    // Leaves, then interior levels until one page holds the whole level
+    let nodes = [];
+    let leaf = [];
+    let used = 0;
+    const flush = () => {
+      const page = allocate();
+      writePage(page, PAGE_TABLE_LEAF, leaf.map(c => c.cell));
+      nodes.push({ page, key: leaf[leaf.length - 1].key });
+      leaf = [];
+      used = 0;
+    };
+    for (const cell of cells) {
+      if (leaf.length && used + cell.cell.length + 2 > capacity(0, false)) flush();
+      leaf.push(cell);
+      used += cell.cell.length + 2;
+    }
+    flush();
+
+    const cellSize = (node) => 4 + varint(node.key).length;
+    for (;;) {
+      const rootGroups = group(nodes, cellSize, capacity(root, true));
+      const groups = rootGroups.length === 1 ? rootGroups : group(nodes, cellSize, capacity(0, true));
+      const next = groups.map((children) => {
+        const page = groups.length === 1 && root ? root : allocate();
+        const cellsOf = children.slice(0, -1).map(child => {
+          const cell = new Uint8Array(cellSize(child));
+          new DataView(cell.buffer).setUint32(0, child.page, false);
+          cell.set(varint(child.key), 4);
+          return cell;
+        });
+        writePage(page, PAGE_TABLE_INTERIOR, cellsOf, children[children.length - 1].page);
+        return { page, key: children[children.length - 1].key };
+      });
+      if (next.length === 1) return next[0].page;
+      nodes = next;
+    }
+  };
+
+  const buildIndex = (keys, root) => {
+    const entries = keys.slice().sort((a, b) => compareKeys(a, b, encoder)).map((key) => {
+      const payload = encodeRecord(key, encoder);
+      return concat([varint(payload.length), spill(payload, false)]);
+    });
+
+    const fits = (items, space) => items.reduce((sum, c) => sum + c.length + 2, 0) <= space;
+    if (fits(entries, capacity(root, false))) {
+      const page = root || allocate();
+      writePage(page, PAGE_INDEX_LEAF, entries);
+      return page;
+    }
+
+    // Index b-trees keep each key once: the key that overflows a leaf moves up as the separator
+    const leaves = [[]];
+    const separators = [];
+    let used = 0;
+    for (const entry of entries) {
+      const leaf = leaves[leaves.length - 1];
+      if (leaf.length && used + entry.length + 2 > capacity(0, false)) {
+        separators.push(entry);
+        leaves.push([]);
+        used = 0;
+      } else {
+        leaf.push(entry);
+        used += entry.length + 2;
+      }
+    }
+    if (!leaves[leaves.length - 1].length) {
+      leaves[leaves.length - 1].push(separators.pop());
+      separators.push(leaves[leaves.length - 2].pop());
+    }
+    let nodes = leaves.map((leaf, i) => {
+      const page = allocate();
+      writePage(page, PAGE_INDEX_LEAF, leaf);
+      return { page, separator: separators[i] };
+    });
+
+    const cellSize = (node) => 4 + node.separator.length;
+    for (;;) {
+      const rootGroups = group(nodes, cellSize, capacity(root, true));
+      const groups = rootGroups.length === 1 ? rootGroups : group(nodes, cellSize, capacity(0, true));
+      const next = groups.map((children) => {
+        const page = groups.length === 1 && root ? root : allocate();
+        const cellsOf = children.slice(0, -1).map(child => {
+          const cell = new Uint8Array(cellSize(child));
+          new DataView(cell.buffer).setUint32(0, child.page, false);
+          cell.set(child.separator, 4);
+          return cell;
+        });
+        const last = children[children.length - 1];
+        writePage(page, PAGE_INDEX_INTERIOR, cellsOf, last.page);
+        return { page, separator: last.separator };
+      });
+      if (next.length === 1) return next[0].page;
+      nodes = next;
+    }
+  };
+
+  const masterRows = objects.map((object, i) => {
+    const rootPage = object.type === 'index'
+      ? buildIndex(object.keys || [], 0)
+      : buildTable(object.rows || [], 0);
+    return [i + 1, [object.type, object.name, object.type === 'index' ? object.table : object.name, rootPage, object.sql ?? null]];
+  });
+  pages[0] = new Uint8Array(pageSize);
+  buildTable(masterRows, 1);
+
+  // Database header
+  const header = pages[0];
+  const view = new DataView(header.buffer);
+  header.set(encoder.encode(MAGIC), 0);
+  view.setUint16(16, pageSize === 65536 ? 1 : pageSize, false);
+  header[18] = 1;
+  header[19] = 1;
+  header[21] = 64;
+  header[22] = 32;
+  header[23] = 32;
+  view.setUint32(24, 1, false);
+  view.setUint32(28, pages.length, false);
+  view.setUint32(40, 1, false);
+  view.setUint32(44, 4, false);
+  view.setUint32(56, 1, false);
+  view.setUint32(60, userVersion, false);
+  view.setUint32(68, applicationId, false);
+  view.setUint32(92, 1, false);
+  view.setUint32(96, 3045000, false);
+
+  return concat(pages);
+}
@@ -0,0 +1,231 @@
+/**
+ * Tabular data utilities
+ * Conversion between HydroLang's column layout ([['Date', ...], ['Flow', ...]]), column tables
+ * ({ columns, data: { name: values } }), row objects and TimeSeries, and the column filters
+ * shared by the Parquet and Arrow IPC readers and writers
+ */
+
+import { TimeSeries } from './timeseries.js';
+import { inferColumnType, parseTimestamp } from './csv-utils.js';
+
+const TABLE_OUTPUTS = ['columns', 'objects', 'table'];
+
+/**
+ * Whether a value is a missing entry (null, undefined or NaN)
+ * @ignore
+ */
+const isMissing = (value) => value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value));
+
+/**
+ * Convert tabular input into a column table.
+ * Accepts HydroLang columns headed by their names, { columns, data } tables, arrays of row objects,
+ * and TimeSeries objects (one long table with site, variable, timestamp, value and units columns).
+ * @param {Array|Object} input
+ * @returns {Object} { columns: [names], data: { name: values } }
+ * @ignore
+ */
+export function toColumnTable(input) {
+  if (input && Array.isArray(input.columns) && input.data && !Array.isArray(input.data)) {
+    return { columns: input.columns, data: input.data };
+  }
+  const items = Array.isArray(input) ? input : [input];
+  if (items.length && items.every(item => TimeSeries.isTimeSeries(item))) {
+    const columns = ['site', 'variable', 'timestamp', 'value', 'units'];
+    const data = Object.fromEntries(columns.map(name => [name, []]));
+    for (const series of items) {
+      for (let i = 0; i < series.values.length; i++) {
+        data.site.push(series.site?.id ?? null);
+        data.variable.push(series.variable?.code ?? series.variable?.name ?? null);
+        data.timestamp.push(series.timestamps[i]);
+        data.value.push(series.values[i]);
+        data.units.push(series.units ?? null);
+      }
+    }
+    return { columns, data };
+  }
+  if (items.length && items.every(item => Array.isArray(item) && typeof item[0] === 'string')) {
+    const columns = items.map(column => column[0]);
+    if (new Set(columns).size !== columns.length) throw new Error(`Duplicate column names: ${columns.join(', ')}`);
+    return { columns, data: Object.fromEntries(items.map(column => [column[0], column.slice(1)])) };
+  }
+  if (items.length && items.every(item => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+    const names = new Set();
+    for (const row of items) for (const key of Object.keys(row)) names.add(key);
+    const columns = [...names];
+    return { columns, data: Object.fromEntries(columns.map(name => [name, items.map(row => row[name] ?? null)])) };
+  }
+  throw new Error('Expected columns headed by their names ([["Date", ...], ["Flow", ...]]), a { columns, data } table, row objects or TimeSeries');
+}
+
+/**
+ * Storage type of a column for the Parquet and Arrow writers:
+ * 'boolean', 'int32', 'int64' (BigInt), 'double', 'timestamp' (Dates and ISO 8601 strings, stored as UTC milliseconds) or 'string'.
+ * Mixed columns fall back to strings; missing values (null, undefined, NaN) become nulls.
+ * @param {string} name
+ * @param {Array} values
+ * @param {Object} [options]
+ * @param {boolean} [options.dates=true] - Store columns of ISO 8601 strings as timestamps
+ * @returns {Object} { name, kind, values, nullCount } with timestamps as millisecond numbers
+ * @ignore
+ */
+export function prepareColumn(name, values, options = {}) {
+  let kind = null;
+  for (const value of values) {
+    if (isMissing(value)) continue;
+    const current = value instanceof Date ? 'timestamp' : typeof value === 'bigint' ? 'int64' : typeof value === 'boolean' ? 'boolean'
+      : typeof value === 'number' ? (Number.isInteger(value) && value >= -2147483648 && value <= 2147483647 ? 'int32' : 'double') : 'string';
+    if (kind === null || kind === current) {
+      kind = current;
+    } else if ((kind === 'int32' || kind === 'double') && (current === 'int32' || current === 'double')) {
+      kind = 'double';
+    } else if ((kind === 'int32' || kind === 'int64') && (current === 'int32' || current === 'int64')) {
+      kind = 'int64';
+    } else {
+      kind = 'string';
+      break;
+    }
+  }
+
+  if (kind === 'string' && options.dates !== false) {
+    const strings = values.filter(value => !isMissing(value));
+    if (strings.every(value => typeof value === 'string') && inferColumnType(strings) === 'date') kind = 'timestamp';
+  }
+
+  let converted;
+  switch (kind) {
+    case 'timestamp':
+      converted = values.map((value) => {
+        if (isMissing(value)) return null;
+        const ms = value instanceof Date ? value.getTime() : parseTimestamp(value)?.getTime();
+        return Number.isFinite(ms) ? ms : null;
+      });
+      break;
+    case 'int64':
+      converted = values.map(value => (isMissing(value) ? null : BigInt(value)));
+      break;
+    case 'string':
+    case null:
+      kind = 'string';
+      converted = values.map(value => (isMissing(value) ? null : value instanceof Date ? value.toISOString() : String(value)));
+      break;
+    default:
+      converted = values.map(value => (isMissing(value) ? null : value));
+  }
+  const nullCount = converted.reduce((n, value) => n + (value === null ? 1 : 0), 0);
+  return { name, kind, values: converted, nullCount };
+}
+
+/**
+ * Comparable form of a column value (Dates as milliseconds, BigInts as numbers)
+ * @ignore
+ */
+const comparable = (value) => (value instanceof Date ? value.getTime() : typeof value === 'bigint' ? Number(value) : value);
+
+/**
+ * Filter bound or member in the form of a column value: dates and date strings become milliseconds for Date columns
+ * @ignore
+ */
+const boundFor = (bound, temporal) => {
+  if (!temporal) return comparable(bound);
+  if (bound instanceof Date) return bound.getTime();
+  if (typeof bound === 'string') return parseTimestamp(bound)?.getTime() ?? NaN;
+  return Number(bound);
+};
+
+/**
+ * Compile row filters: { column: { min, max } } keeps values in an inclusive range,
+ * { column: [values] } keeps listed values and { column: value } keeps one value. Nulls never match.
+ * Date columns are compared as instants, so bounds can be Dates or ISO 8601 strings.
+ * @param {Object} [filters]
+ * @returns {Array<Object>} [{ column, test(value), excludes(min, max) }]; excludes tells whether statistics rule out every match
+ * @ignore
+ */
+export function compileFilters(filters) {
+  if (!filters) return [];
+  return Object.entries(filters).map(([column, spec]) => {
+    const isRange = spec !== null && typeof spec === 'object' && !Array.isArray(spec) && !(spec instanceof Date);
+    if (isRange && spec.min === undefined && spec.max === undefined) {
+      throw new Error(`Filter on '${column}' needs min and/or max, a list of values or a single value`);
+    }
+    const members = isRange ? null : [].concat(spec);
+    const forms = [false, true].map(temporal => (isRange
+      ? { min: spec.min === undefined ? undefined : boundFor(spec.min, temporal), max: spec.max === undefined ? undefined : boundFor(spec.max, temporal) }
+      : { set: new Set(members.map(member => boundFor(member, temporal))) }));
+
+    const inRange = (key, form) => (form.min === undefined || key >= form.min) && (form.max === undefined || key <= form.max);
+    return {
+      column,
+      test(value) {
+        if (isMissing(value)) return false;
+        const form = forms[value instanceof Date ? 1 : 0];
+        const key = comparable(value);
+        return isRange ? inRange(key, form) : form.set.has(key);
+      },
+      excludes(min, max) {
+        if (isMissing(min) || isMissing(max)) return false;
+        const form = forms[min instanceof Date ? 1 : 0];
+        const low = comparable(min);
+        const high = comparable(max);
+        if (isRange) return (form.max !== undefined && low > form.max) || (form.min !== undefined && high < form.min);
+        for (const member of form.set) if (member >= low && member <= high) return false;
+        return true;
+      }
+    };
+  });
+}
+
+/**
+ * Indices of the rows that pass every filter, or null when no filter is set
+ * @param {Array<Object>} filters - Compiled filters
+ * @param {Object} data - { name: values } holding every filtered column
+ * @param {number} count - Number of rows
+ * @ignore
+ */
+export function filterRows(filters, data, count) {
+  if (!filters.length) return null;
+  const kept = [];
+  for (let i = 0; i < count; i++) {
+    if (filters.every(filter => filter.test(data[filter.column][i]))) kept.push(i);
+  }
+  return kept;
+}
+
+/**
+ * Row objects of a column table, optionally only the given row indices
+ * @ignore
+ */
+export function tableRows(table, indices = null) {
+  const count = indices ? indices.length : table.columns.length ? table.data[table.columns[0]].length : 0;
+  const rows = new Array(count);
+  for (let r = 0; r < count; r++) {
+    const i = indices ? indices[r] : r;
+    const row = {};
+    for (const name of table.columns) row[name] = table.data[name][i];
+    rows[r] = row;
+  }
+  return rows;
+}
+
+/**
+ * Shape a column table read from Parquet or Arrow for the caller:
+ * 'columns' (default) returns HydroLang columns headed by their names with Dates as ISO 8601 strings, ready for
+ * hydro.analyze.stats and hydro.visualize; 'objects' returns row objects; 'table' returns the { columns, data } table as read.
+ * @param {Object} table - { columns, data }
+ * @param {string} [output='columns']
+ * @ignore
+ */
+export function formatTable(table, output = 'columns') {
+  if (!TABLE_OUTPUTS.includes(output)) throw new Error(`Unknown table output '${output}'. Use one of: ${TABLE_OUTPUTS.join(', ')}`);
+  if (output === 'table') return table;
+  if (output === 'objects') return tableRows(table);
+  return table.columns.map((name) => {
+    const values = table.data[name];
+    const column = new Array(values.length + 1);
+    column[0] = name;
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      column[i + 1] = value instanceof Date ? value.toISOString() : value;
+    }
+    return column;
+  });
+}
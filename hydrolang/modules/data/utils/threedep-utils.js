@@ -5,10 +5,19 @@
  */
 
 import { GeoTIFFDataSource } from './gridded-data-utils.js';
+import { writeCOG } from './cog.js';
 
 const BASE_URL = "https://elevation.nationalmap.gov/arcgis/rest/services/3DEPElevation/ImageServer";
 const MAX_SIZE = 2048;
 
+// Staged 3DEP seamless DEMs: cloud-optimized GeoTIFFs in 1 x 1 degree tiles (NAD83 geographic)
+const STAGED_URL = "https://prd-tnm.s3.amazonaws.com/StagedProducts/Elevation";
+const STAGED_PRODUCTS = {
+  "1/3": { folder: "13", meters: 10 },
+  "1": { folder: "1", meters: 30 }
+};
+const METERS_PER_DEGREE = 111319.9;
+
 /**
  * 3DEP-specific data source implementation
  * Extends GeoTIFFDataSource with 3DEP-specific elevation handling
@@ -87,7 +96,124 @@ export class DEPDataSource extends GeoTIFFDataSource {
   // ... (transformBounds is fine) ...
 
   /**
-   * Fetch DEM data (overrides base class)
+   * URLs of the staged 1-degree DEM tiles covering a bbox.
+   * Tiles are named after their north-west corner (e.g. n41w092).
+   * @param {Array<number>} bbox - [west, south, east, north]
+   * @param {string} [product] - '1/3' (~10 m) or '1' (~30 m) arc-second; chosen from resolution by default
+   * @param {number} [resolution] - Requested resolution in meters
+   * @returns {Array<string>}
+   */
+  stagedTileUrls(bbox, product, resolution) {
+    const [west, south, east, north] = bbox;
+    const name = product ?? (Number(resolution) >= STAGED_PRODUCTS["1"].meters ? "1" : "1/3");
+    const staged = STAGED_PRODUCTS[name];
+    if (!staged) {
+      throw new Error(`Unknown 3DEP staged product '${product}'. Use one of: ${Object.keys(STAGED_PRODUCTS).join(", ")}`);
+    }
+
+    // A bbox edge on a whole degree still needs the tile it bounds (e.g. a point at 41N)
+    const top = Math.ceil(north);
+    const left = Math.ceil(-west);
+    const urls = [];
+    for (let lat = top; lat >= Math.min(Math.floor(south) + 1, top); lat--) {
+      for (let lon = left; lon >= Math.min(Math.floor(-east) + 1, left); lon--) {
+        const tile = `${lat >= 0 ? "n" : "s"}${String(Math.abs(lat)).padStart(2, "0")}` +
+          `${lon >= 0 ? "w" : "e"}${String(Math.abs(lon)).padStart(3, "0")}`;
+        urls.push(`${STAGED_URL}/${staged.folder}/TIFF/current/${tile}/USGS_${staged.folder}_${tile}.tif`);
+      }
+    }
+    return urls;
+  }
+
+  /**
+   * Open the COGs for args.cog: true (staged tiles over the bbox), a URL, or an array of URLs.
+   * Tiles that do not exist (outside 3DEP coverage) are skipped.
+   * @ignore
+   */
+  async openDEMCOGs(bbox, args) {
+    const urls = typeof args.cog === "string" ? [args.cog]
+      : Array.isArray(args.cog) ? args.cog
+        : this.stagedTileUrls(bbox, args.product, args.resolution);
+    const cogs = [];
+    for (const url of urls) {
+      try {
+        cogs.push(await this.openRemoteCOG(url, args));
+      } catch (error) {
+        if (urls.length === 1) throw error;
+        console.warn(`[threedep] Skipping ${url}: ${error.message}`);
+      }
+    }
+    if (!cogs.length) throw new Error(`No 3DEP COG covers bbox [${bbox}]`);
+    return cogs;
+  }
+
+  /**
+   * Pixel size in the COG's CRS for a resolution in meters
+   * @ignore
+   */
+  cogResolution(cog, resolution) {
+    if (!resolution) return undefined;
+    return cog.crs.geographic ? Number(resolution) / METERS_PER_DEGREE : Number(resolution);
+  }
+
+  /**
+   * Read a bbox from 3DEP COGs with range requests and mosaic the tiles into one COG.
+   * Only the header and the tiles intersecting the bbox (at the overview matching the
+   * resolution) are downloaded; the byte blocks are kept in the HydroLang cache.
+   * @ignore
+   */
+  async fetchDEMFromCOG(bbox, args) {
+    const progressCallback = args.progressCallback;
+    if (progressCallback) progressCallback(10, "Reading COG headers...");
+    const cogs = await this.openDEMCOGs(bbox, args);
+
+    const parts = [];
+    for (const cog of cogs) {
+      try {
+        parts.push({ cog, ...(await cog.readBbox(bbox, { resolution: this.cogResolution(cog, args.resolution), overview: args.overview })) });
+      } catch (error) {
+        // Staged tiles overlap their neighbours by a few pixels, so a bbox on a tile edge may miss one
+        if (!/does not intersect/.test(error.message)) throw error;
+      }
+      if (progressCallback) progressCallback(10 + Math.round(80 * parts.length / cogs.length), "Reading COG tiles...");
+    }
+    if (!parts.length) throw new Error(`bbox [${bbox}] does not intersect the 3DEP COGs`);
+
+    const [first] = parts;
+    if (parts.length === 1) {
+      return writeCOG(first.data, first.width, first.height, first.cog.cogOptions(first));
+    }
+
+    // Tiles of one product share a pixel grid; later tiles only fill NoData pixels of earlier ones
+    const [sx, sy] = first.resolution;
+    const minX = Math.min(...parts.map(p => p.bbox[0]));
+    const maxY = Math.max(...parts.map(p => p.bbox[3]));
+    const width = Math.round((Math.max(...parts.map(p => p.bbox[2])) - minX) / sx);
+    const height = Math.round((maxY - Math.min(...parts.map(p => p.bbox[1]))) / sy);
+    const noData = first.noData ?? -999999;
+    const mosaic = new Float32Array(width * height).fill(noData);
+    const fill = Math.fround(noData);
+    for (const part of parts) {
+      const left = Math.round((part.bbox[0] - minX) / sx);
+      const top = Math.round((maxY - part.bbox[3]) / sy);
+      const band = part.data[0];
+      for (let y = 0; y < part.height && top + y < height; y++) {
+        for (let x = 0; x < part.width && left + x < width; x++) {
+          const value = band[y * part.width + x];
+          const target = (top + y) * width + left + x;
+          if (mosaic[target] === fill && value !== part.noData && !Number.isNaN(value)) mosaic[target] = value;
+        }
+      }
+    }
+    const merged = { bbox: [minX, maxY - height * sy, minX + width * sx, maxY], resolution: [sx, sy] };
+    return writeCOG([mosaic], width, height, { ...first.cog.cogOptions(merged), noData });
+  }
+
+  /**
+   * Fetch DEM data (overrides base class).
+   * With args.cog the DEM is read from cloud-optimized GeoTIFFs through range requests instead of
+   * the exportImage service: true uses the staged 1-degree tiles (args.product '1/3' or '1'),
+   * a URL or an array of URLs reads those COGs (e.g. 1 m project tiles).
    */
   async fetchDEMData(args) {
     const { bbox, resolution } = args;
@@ -108,8 +234,10 @@ export class DEPDataSource extends GeoTIFFDataSource {
     try {
       if (progressCallback) progressCallback(10, "Fetching DEM data...");
 
-      // Fetch data using base fetch which handles proxy
-      const arrayBuffer = await this.fetch(url, options);
+      // Fetch data using base fetch which handles proxy, or only the needed COG tiles
+      const arrayBuffer = options.cog
+        ? await this.fetchDEMFromCOG([west, south, east, north], options)
+        : await this.fetch(url, options);
 
       // If raw retrieval requested (default unless process: true), return the array buffer directly
       if (options.process !== true) {
@@ -154,12 +282,30 @@ export class DEPDataSource extends GeoTIFFDataSource {
   }
 
   /**
-   * Fetch point elevation
+   * Fetch point elevation.
+   * With args.cog only the COG tile holding the point is read.
    */
   async fetchPointElevation(args) {
     const { latitude, longitude } = args;
     const progressCallback = args.progressCallback;
 
+    if (args.cog) {
+      const cogs = await this.openDEMCOGs([longitude, latitude, longitude, latitude], args);
+      for (const cog of cogs) {
+        const point = await cog.readPoint(longitude, latitude, { resolution: this.cogResolution(cog, args.resolution), overview: args.overview });
+        if (!point) continue;
+        return {
+          latitude,
+          longitude,
+          elevation: point.value,
+          units: "meters",
+          verticalDatum: "NAVD88",
+          metadata: { source: cog.url, crs: cog.crs.epsg ? `EPSG:${cog.crs.epsg}` : null, pixel: [point.col, point.row], overview: point.overview }
+        };
+      }
+      throw new Error(`Point (${latitude}, ${longitude}) is outside the 3DEP COGs`);
+    }
+
     // Create small bounding box around point
     const buffer = 0.001; // ~100m buffer
     const bbox = [
@@ -0,0 +1,368 @@
+/**
+ * Time utilities
+ * Timezone-aware period binning and resampling of point series and gridded frames
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * Named intervals accepted by the resampler
+ * @ignore
+ */
+const NAMED_INTERVALS = {
+  'hourly': { unit: 'hour', n: 1 },
+  'daily': { unit: 'day', n: 1 },
+  'weekly': { unit: 'day', n: 7 },
+  'monthly': { unit: 'month', n: 1 },
+  'yearly': { unit: 'year', n: 1 },
+  'annual': { unit: 'year', n: 1 },
+  'water-year': { unit: 'water-year', n: 1 },
+  'wateryear': { unit: 'water-year', n: 1 }
+};
+
+/**
+ * Interval unit codes, pandas style: 'min'/'T' are minutes and 'M'/'MS' months.
+ * Codes that differ only by case are matched exactly; every other code ignores case.
+ * @ignore
+ */
+const CASED_UNIT_CODES = {
+  'M': 'month', 'MS': 'month',
+  'm': 'minute',
+  'ms': 'millisecond'
+};
+
+const UNIT_CODES = {
+  'l': 'millisecond',
+  's': 'second', 'sec': 'second',
+  'min': 'minute', 't': 'minute',
+  'h': 'hour', 'hr': 'hour',
+  'd': 'day', 'day': 'day',
+  'w': 'week',
+  'mo': 'month', 'mon': 'month',
+  'y': 'year', 'yr': 'year', 'a': 'year'
+};
+
+/**
+ * Parse an aggregation interval or temporal resolution such as 'daily', 'monthly', 'water-year', '3H', '15min', '1D',
+ * '1M' (one month), '500ms' or a number of milliseconds. Shared by the resampler, cache policies and the catalog.
+ * @param {string|number} interval - Interval specification
+ * @returns {Object} { unit, n } where unit is minute|hour|day|month|year|water-year|ms (seconds are returned as ms)
+ * @ignore
+ */
+export function parseInterval(interval) {
+  if (typeof interval === 'number') {
+    if (!(interval > 0)) throw new Error(`Invalid aggregation interval: ${interval}`);
+    return { unit: 'ms', n: interval };
+  }
+  if (typeof interval !== 'string') {
+    throw new Error('Aggregation interval is required');
+  }
+
+  const key = interval.trim().toLowerCase();
+  if (NAMED_INTERVALS[key]) return { ...NAMED_INTERVALS[key] };
+
+  const match = interval.trim().match(/^(\d+)\s*([a-z]+)$/i);
+  if (match) {
+    const n = Number(match[1]);
+    const unit = CASED_UNIT_CODES[match[2]] || UNIT_CODES[match[2].toLowerCase()];
+    if (unit === 'week') return { unit: 'day', n: n * 7 };
+    if (unit === 'second' && n > 0) return { unit: 'ms', n: n * 1000 };
+    if (unit === 'millisecond' && n > 0) return { unit: 'ms', n };
+    if (unit && n > 0) return { unit, n };
+  }
+
+  throw new Error(`Unsupported aggregation interval: '${interval}'`);
+}
+
+/**
+ * Parse a temporal resolution label ('1H', '15min', '1D') into milliseconds
+ * @ignore
+ */
+export function resolutionToMs(resolution) {
+  if (typeof resolution === 'number') return resolution;
+  if (!resolution) return null;
+  try {
+    const { unit, n } = parseInterval(resolution);
+    if (unit === 'minute') return n * MS_PER_MINUTE;
+    if (unit === 'hour') return n * MS_PER_HOUR;
+    if (unit === 'day') return n * MS_PER_DAY;
+    if (unit === 'ms') return n;
+  } catch (error) {
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Cache of Intl formatters keyed by timezone
+ * @ignore
+ */
+const formatterCache = new Map();
+
+/**
+ * Offset (ms) between local wall time in a timezone and UTC at a given instant.
+ * Accepts IANA names ('America/Chicago'), 'UTC', fixed offsets ('+05:30', '-06:00')
+ * or a number of hours.
+ * @ignore
+ */
+export function getTimezoneOffset(timezone, instant) {
+  if (timezone === undefined || timezone === null || timezone === 'UTC' || timezone === 'Z') return 0;
+  if (typeof timezone === 'number') return timezone * MS_PER_HOUR;
+
+  const fixed = String(timezone).match(/^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if (fixed) {
+    const sign = fixed[1] === '-' ? -1 : 1;
+    return sign * (Number(fixed[2]) * MS_PER_HOUR + Number(fixed[3] || 0) * MS_PER_MINUTE);
+  }
+
+  let formatter = formatterCache.get(timezone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+      });
+    } catch (error) {
+      throw new Error(`Unknown timezone: '${timezone}'`);
+    }
+    formatterCache.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const part of formatter.formatToParts(new Date(instant))) {
+    parts[part.type] = part.value;
+  }
+  const asUTC = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  return asUTC - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Convert a local wall-clock time (expressed as a UTC timestamp) back to an instant
+ * @ignore
+ */
+function localToInstant(localMs, timezone) {
+  let instant = localMs - getTimezoneOffset(timezone, localMs);
+  // Second pass settles DST transitions
+  instant = localMs - getTimezoneOffset(timezone, instant);
+  return instant;
+}
+
+/**
+ * Start of the period containing an instant, in local wall time (UTC fields)
+ * @ignore
+ */
+function periodStartLocal(localMs, spec, options) {
+  const d = new Date(localMs);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+
+  switch (spec.unit) {
+    case 'ms':
+      return Math.floor(localMs / spec.n) * spec.n;
+    case 'minute': {
+      const dayStart = Date.UTC(year, month, d.getUTCDate());
+      const minutes = Math.floor((localMs - dayStart) / MS_PER_MINUTE);
+      return dayStart + Math.floor(minutes / spec.n) * spec.n * MS_PER_MINUTE;
+    }
+    case 'hour': {
+      const dayStart = Date.UTC(year, month, d.getUTCDate());
+      return dayStart + Math.floor(d.getUTCHours() / spec.n) * spec.n * MS_PER_HOUR;
+    }
+    case 'day': {
+      const days = Math.floor(localMs / MS_PER_DAY);
+      const anchor = Math.floor((options.anchor || 0) / MS_PER_DAY);
+      return (anchor + Math.floor((days - anchor) / spec.n) * spec.n) * MS_PER_DAY;
+    }
+    case 'month': {
+      const months = year * 12 + month;
+      const start = Math.floor(months / spec.n) * spec.n;
+      return Date.UTC(Math.floor(start / 12), start % 12, 1);
+    }
+    case 'year':
+      return Date.UTC(Math.floor(year / spec.n) * spec.n, 0, 1);
+    case 'water-year': {
+      const startMonth = (options.waterYearStartMonth || 10) - 1;
+      const startYear = month >= startMonth ? year : year - 1;
+      return Date.UTC(startYear, startMonth, 1);
+    }
+    default:
+      throw new Error(`Unsupported interval unit: ${spec.unit}`);
+  }
+}
+
+/**
+ * Start of the period following the one that starts at periodStart (local wall time)
+ * @ignore
+ */
+function nextPeriodLocal(periodStart, spec) {
+  const d = new Date(periodStart);
+  switch (spec.unit) {
+    case 'ms':
+      return periodStart + spec.n;
+    case 'minute':
+      return periodStart + spec.n * MS_PER_MINUTE;
+    case 'hour':
+      return periodStart + spec.n * MS_PER_HOUR;
+    case 'day':
+      return periodStart + spec.n * MS_PER_DAY;
+    case 'month':
+      return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + spec.n, 1);
+    case 'year':
+      return Date.UTC(d.getUTCFullYear() + spec.n, 0, 1);
+    case 'water-year':
+      return Date.UTC(d.getUTCFullYear() + 1, d.getUTCMonth(), 1);
+    default:
+      throw new Error(`Unsupported interval unit: ${spec.unit}`);
+  }
+}
+
+/**
+ * Reduce a list of valid numbers with an aggregation method
+ * @ignore
+ */
+export function reduceValues(values, method) {
+  if (method === 'count') return values.length;
+  if (values.length === 0) return null;
+
+  switch (method) {
+    case 'sum':
+    case 'total':
+      return values.reduce((a, b) => a + b, 0);
+    case 'mean':
+    case 'average':
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    case 'min':
+    case 'minimum':
+      return values.reduce((a, b) => (b < a ? b : a), Infinity);
+    case 'max':
+    case 'maximum':
+      return values.reduce((a, b) => (b > a ? b : a), -Infinity);
+    case 'median': {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+    }
+    default:
+      throw new Error(`Unsupported aggregation method: '${method}'`);
+  }
+}
+
+const isValid = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Estimate the native time step of a series from its timestamps (median spacing)
+ * @ignore
+ */
+export function inferTimeStep(times) {
+  if (times.length < 2) return null;
+  const diffs = [];
+  for (let i = 1; i < times.length; i++) {
+    const diff = times[i] - times[i - 1];
+    if (diff > 0) diffs.push(diff);
+  }
+  if (diffs.length === 0) return null;
+  diffs.sort((a, b) => a - b);
+  return diffs[Math.floor(diffs.length / 2)];
+}
+
+/**
+ * Group timestamps into periods.
+ * @param {number[]} times - Instants in ms
+ * @param {Object} spec - Parsed interval
+ * @param {Object} options - { timezone, waterYearStartMonth }
+ * @returns {Array<Object>} Periods { start, end, indices } with start/end as instants
+ * @ignore
+ */
+export function binTimes(times, spec, options = {}) {
+  const { timezone } = options;
+  const periods = new Map();
+
+  times.forEach((time, index) => {
+    if (!Number.isFinite(time)) return;
+    const local = time + getTimezoneOffset(timezone, time);
+    const startLocal = periodStartLocal(local, spec, options);
+    let period = periods.get(startLocal);
+    if (!period) {
+      const endLocal = nextPeriodLocal(startLocal, spec);
+      period = {
+        start: localToInstant(startLocal, timezone),
+        end: localToInstant(endLocal, timezone),
+        indices: []
+      };
+      periods.set(startLocal, period);
+    }
+    period.indices.push(index);
+  });
+
+  return [...periods.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Resample a time series (values may be numbers or 2D grids) onto a coarser interval.
+ *
+ * @param {number[]} times - Instants in ms, aligned with values
+ * @param {Array} values - Numbers, or 2D arrays (grids), aligned with times
+ * @param {Object} config - Aggregation options
+ * @param {string} [config.method='mean'] - sum, mean, min, max, count or median
+ * @param {string|number} config.interval - Target interval (e.g. 'daily', 'monthly', 'water-year', '6H')
+ * @param {string|number} [config.timezone='UTC'] - Timezone used for period boundaries
+ * @param {number} [config.minCoverage=0] - Minimum fraction (0-1) of expected records required per period
+ * @param {number} [config.timeStep] - Native time step in ms (inferred from timestamps if omitted)
+ * @param {number} [config.waterYearStartMonth=10] - First month (1-12) of the water year
+ * @returns {Object} { times, values, counts, coverage, timeStep }
+ * @ignore
+ */
+export function resampleSeries(times, values, config = {}) {
+  const method = (config.method || 'mean').toLowerCase();
+  const spec = parseInterval(config.interval);
+  const minCoverage = config.minCoverage || 0;
+  const timeStep = resolutionToMs(config.timeStep) || inferTimeStep(times);
+
+  const periods = binTimes(times, spec, {
+    timezone: config.timezone,
+    waterYearStartMonth: config.waterYearStartMonth,
+    anchor: config.anchor
+  });
+
+  const isGrid = values.some(v => Array.isArray(v));
+
+  const out = { times: [], values: [], counts: [], coverage: [], timeStep };
+
+  for (const period of periods) {
+    const expected = timeStep ? Math.max(1, Math.round((period.end - period.start) / timeStep)) : period.indices.length;
+
+    if (!isGrid) {
+      const valid = period.indices.map(i => values[i]).filter(isValid);
+      const coverage = Math.min(1, valid.length / expected);
+      out.values.push(coverage < minCoverage ? null : reduceValues(valid, method));
+      out.counts.push(valid.length);
+      out.coverage.push(coverage);
+    } else {
+      const frames = period.indices.map(i => values[i]).filter(Array.isArray);
+      const template = frames[0];
+      let grid = null;
+      if (template) {
+        grid = template.map((row, r) => row.map((_, c) => {
+          const cellValues = frames.map(f => f[r]?.[c]).filter(isValid);
+          const cellCoverage = cellValues.length / expected;
+          return cellCoverage < minCoverage ? null : reduceValues(cellValues, method);
+        }));
+      }
+      const coverage = Math.min(1, frames.length / expected);
+      out.values.push(grid);
+      out.counts.push(frames.length);
+      out.coverage.push(coverage);
+    }
+
+    out.times.push(period.start);
+  }
+
+  return out;
+}
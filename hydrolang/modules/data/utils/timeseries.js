@@ -0,0 +1,167 @@
+/**
+ * Time-series data model
+ * Canonical TimeSeries object returned by retrieve({ params: { normalize: true } }) for every point source
+ */
+
+/**
+ * Convert a timestamp to an ISO 8601 UTC string.
+ * Strings without an offset are read as UTC unless offsetMinutes (local time offset from UTC) is given.
+ * @param {string|number|Date} value - Timestamp
+ * @param {number} [offsetMinutes] - Offset of naive local times from UTC, in minutes
+ * @returns {string|null} ISO string, or null when the value cannot be parsed
+ * @ignore
+ */
+export function toISOTimestamp(value, offsetMinutes) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (typeof value === 'number') return new Date(value).toISOString();
+
+  let text = String(value).trim();
+  const hasOffset = /(?:Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  if (!hasOffset) {
+    // Accept 'YYYY-MM-DD HH:mm[:ss]' and date-only values
+    text = text.replace(' ', 'T');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) text += 'T00:00:00';
+    text += 'Z';
+  }
+  const ms = Date.parse(text);
+  if (Number.isNaN(ms)) return null;
+  return new Date(hasOffset || !offsetMinutes ? ms : ms - offsetMinutes * 60000).toISOString();
+}
+
+/**
+ * Parse a reported value into a number, mapping blanks, NaN and no-data sentinels to null
+ * @ignore
+ */
+export function toNumericValue(value, noDataValues = []) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(number)) return null;
+  return noDataValues.includes(number) ? null : number;
+}
+
+/**
+ * Canonical time series: one variable at one site.
+ * Timestamps are ISO 8601 UTC strings, values are numbers or null, and qualifiers
+ * holds the list of source codes (e.g. USGS 'P', 'A', 'e') reported for each value.
+ * @class
+ * @ignore
+ */
+export class TimeSeries {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.site] - { id, name, agency, latitude, longitude, elevation, timezone }
+   * @param {Object} [options.variable] - { code, name, description, statistic, method }
+   * @param {string|null} [options.units] - Units of the values
+   * @param {Array<string>} [options.timestamps] - ISO 8601 timestamps
+   * @param {Array<number|null>} [options.values] - Values aligned with timestamps
+   * @param {Array<Array<string>>} [options.qualifiers] - Qualifier codes per value
+   * @param {Object} [options.provenance] - { source, datatype, url, retrievedAt, args }
+   * @param {Object} [options.metadata] - Additional source-specific metadata
+   */
+  constructor({ site = {}, variable = {}, units = null, timestamps = [], values = [], qualifiers, provenance = {}, metadata = {} } = {}) {
+    if (timestamps.length !== values.length) {
+      throw new Error(`TimeSeries timestamps (${timestamps.length}) and values (${values.length}) must have the same length`);
+    }
+    this.type = 'TimeSeries';
+    this.site = { id: null, name: null, latitude: null, longitude: null, ...site };
+    this.variable = { code: null, name: null, ...variable };
+    this.units = units;
+    this.timestamps = timestamps;
+    this.values = values;
+    this.qualifiers = qualifiers && qualifiers.length === values.length ? qualifiers : values.map(() => []);
+    this.provenance = provenance;
+    this.metadata = metadata;
+  }
+
+  /**
+   * Number of records in the series
+   */
+  get length() {
+    return this.values.length;
+  }
+
+  /**
+   * Time range covered by the series
+   * @returns {Object|null} { start, end }
+   */
+  get timeRange() {
+    if (!this.timestamps.length) return null;
+    return { start: this.timestamps[0], end: this.timestamps[this.timestamps.length - 1] };
+  }
+
+  /**
+   * Column layout used by hydro.analyze.stats and hydro.visualize.draw: [timestamps, values]
+   * @returns {Array<Array>}
+   */
+  toArray() {
+    return [this.timestamps.slice(), this.values.slice()];
+  }
+
+  /**
+   * Row layout: [{ timestamp, value, qualifiers }]
+   * @returns {Array<Object>}
+   */
+  toRecords() {
+    return this.timestamps.map((timestamp, i) => ({
+      timestamp,
+      value: this.values[i],
+      qualifiers: this.qualifiers[i]
+    }));
+  }
+
+  /**
+   * Sort records by time and drop duplicate timestamps (last one wins)
+   * @returns {TimeSeries} this
+   */
+  sort() {
+    const byTime = new Map();
+    this.timestamps.forEach((t, i) => byTime.set(t, i));
+    const order = [...byTime.entries()].sort((a, b) => Date.parse(a[0]) - Date.parse(b[0])).map(([, i]) => i);
+    this.timestamps = order.map(i => this.timestamps[i]);
+    this.values = order.map(i => this.values[i]);
+    this.qualifiers = order.map(i => this.qualifiers[i]);
+    return this;
+  }
+
+  /**
+   * Plain-object representation (used by JSON.stringify and the cache)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      site: this.site,
+      variable: this.variable,
+      units: this.units,
+      timestamps: this.timestamps,
+      values: this.values,
+      qualifiers: this.qualifiers,
+      provenance: this.provenance,
+      metadata: this.metadata
+    };
+  }
+
+  /**
+   * Check whether an object has the TimeSeries shape (instances or their JSON form)
+   * @param {*} obj
+   * @returns {boolean}
+   */
+  static isTimeSeries(obj) {
+    return !!obj && typeof obj === 'object' && obj.type === 'TimeSeries' &&
+      Array.isArray(obj.timestamps) && Array.isArray(obj.values);
+  }
+
+  /**
+   * Revive a TimeSeries from its JSON form
+   * @param {Object} obj - Plain object produced by toJSON
+   * @returns {TimeSeries}
+   */
+  static from(obj) {
+    if (obj instanceof TimeSeries) return obj;
+    if (!TimeSeries.isTimeSeries(obj)) {
+      throw new Error('Object is not a TimeSeries');
+    }
+    return new TimeSeries(obj);
+  }
+}
@@ -0,0 +1,405 @@
+/**
+ * Unit conversion utilities
+ * Registry of physical units with dimensional analysis, used to rescale data
+ * returned by the datasources (point series, grids and grid time series)
+ */
+
+/**
+ * Base dimensions tracked by the registry: length, mass, time, temperature
+ * @ignore
+ */
+const DIMENSIONS = ['L', 'M', 'T', 'K'];
+
+/**
+ * Density of liquid water used for mass/area <-> depth equivalence (kg/m³).
+ * 1 kg/m² of water equals 1 mm of depth, which lets precipitation fluxes such
+ * as kg/m²/s be expressed as rates such as mm/h.
+ * @ignore
+ */
+const WATER_DENSITY = 1000;
+
+/**
+ * Unit registry. Each unit is expressed relative to SI base units:
+ * value_SI = value * factor + offset
+ * @ignore
+ */
+const UNITS = {
+  // Dimensionless
+  '1': { factor: 1, dims: {} },
+  'dimensionless': { factor: 1, dims: {} },
+  'fraction': { factor: 1, dims: {} },
+  '%': { factor: 0.01, dims: {} },
+  'percent': { factor: 0.01, dims: {} },
+  'ppm': { factor: 1e-6, dims: {} },
+
+  // Length
+  'm': { factor: 1, dims: { L: 1 } },
+  'km': { factor: 1000, dims: { L: 1 } },
+  'cm': { factor: 0.01, dims: { L: 1 } },
+  'mm': { factor: 0.001, dims: { L: 1 } },
+  'um': { factor: 1e-6, dims: { L: 1 } },
+  'in': { factor: 0.0254, dims: { L: 1 } },
+  'ft': { factor: 0.3048, dims: { L: 1 } },
+  'yd': { factor: 0.9144, dims: { L: 1 } },
+  'mi': { factor: 1609.344, dims: { L: 1 } },
+
+  // Area
+  'ha': { factor: 1e4, dims: { L: 2 } },
+  'acre': { factor: 4046.8564224, dims: { L: 2 } },
+
+  // Volume
+  'L': { factor: 0.001, dims: { L: 3 } },
+  'mL': { factor: 1e-6, dims: { L: 3 } },
+  'gal': { factor: 0.003785411784, dims: { L: 3 } },
+  'Mgal': { factor: 3785.411784, dims: { L: 3 } },
+  'af': { factor: 1233.48183754752, dims: { L: 3 } },
+
+  // Mass
+  'kg': { factor: 1, dims: { M: 1 } },
+  'g': { factor: 0.001, dims: { M: 1 } },
+  'mg': { factor: 1e-6, dims: { M: 1 } },
+  'ug': { factor: 1e-9, dims: { M: 1 } },
+  't': { factor: 1000, dims: { M: 1 } },
+  'lb': { factor: 0.45359237, dims: { M: 1 } },
+
+  // Time
+  's': { factor: 1, dims: { T: 1 } },
+  'min': { factor: 60, dims: { T: 1 } },
+  'h': { factor: 3600, dims: { T: 1 } },
+  'day': { factor: 86400, dims: { T: 1 } },
+  'week': { factor: 604800, dims: { T: 1 } },
+  'yr': { factor: 31557600, dims: { T: 1 } },
+
+  // Flow
+  'cfs': { factor: 0.028316846592, dims: { L: 3, T: -1 } },
+  'cms': { factor: 1, dims: { L: 3, T: -1 } },
+  'mgd': { factor: 3785.411784 / 86400, dims: { L: 3, T: -1 } },
+  'gpm': { factor: 0.003785411784 / 60, dims: { L: 3, T: -1 } },
+
+  // Speed
+  'kn': { factor: 1852 / 3600, dims: { L: 1, T: -1 } },
+  'mph': { factor: 1609.344 / 3600, dims: { L: 1, T: -1 } },
+  'kph': { factor: 1000 / 3600, dims: { L: 1, T: -1 } },
+
+  // Pressure
+  'Pa': { factor: 1, dims: { M: 1, L: -1, T: -2 } },
+  'hPa': { factor: 100, dims: { M: 1, L: -1, T: -2 } },
+  'kPa': { factor: 1000, dims: { M: 1, L: -1, T: -2 } },
+  'mbar': { factor: 100, dims: { M: 1, L: -1, T: -2 } },
+  'bar': { factor: 1e5, dims: { M: 1, L: -1, T: -2 } },
+  'atm': { factor: 101325, dims: { M: 1, L: -1, T: -2 } },
+  'psi': { factor: 6894.757293168, dims: { M: 1, L: -1, T: -2 } },
+  'inHg': { factor: 3386.389, dims: { M: 1, L: -1, T: -2 } },
+  'mmHg': { factor: 133.322387415, dims: { M: 1, L: -1, T: -2 } },
+
+  // Energy and power
+  'J': { factor: 1, dims: { M: 1, L: 2, T: -2 } },
+  'kJ': { factor: 1e3, dims: { M: 1, L: 2, T: -2 } },
+  'MJ': { factor: 1e6, dims: { M: 1, L: 2, T: -2 } },
+  'cal': { factor: 4.184, dims: { M: 1, L: 2, T: -2 } },
+  'W': { factor: 1, dims: { M: 1, L: 2, T: -3 } },
+  'kW': { factor: 1e3, dims: { M: 1, L: 2, T: -3 } },
+  'Ly': { factor: 41840, dims: { M: 1, T: -2 } }, // langley = 1 cal/cm²
+
+  // Temperature (affine when used on their own)
+  'K': { factor: 1, offset: 0, dims: { K: 1 } },
+  'degC': { factor: 1, offset: 273.15, dims: { K: 1 } },
+  'degF': { factor: 5 / 9, offset: 273.15 - 32 * 5 / 9, dims: { K: 1 } }
+};
+
+/**
+ * Alternate spellings mapped onto registry symbols (matched case-insensitively)
+ * @ignore
+ */
+const ALIASES = {
+  'meter': 'm', 'meters': 'm', 'metre': 'm', 'metres': 'm',
+  'millimeter': 'mm', 'millimeters': 'mm', 'inch': 'in', 'inches': 'in',
+  'feet': 'ft', 'foot': 'ft', 'mile': 'mi', 'miles': 'mi',
+  'l': 'L', 'liter': 'L', 'liters': 'L', 'litre': 'L', 'ml': 'mL',
+  'gallon': 'gal', 'gallons': 'gal', 'acre-ft': 'af', 'acre-feet': 'af', 'ac-ft': 'af',
+  'acres': 'acre', 'ac': 'acre',
+  'sec': 's', 'second': 's', 'seconds': 's',
+  'minute': 'min', 'minutes': 'min',
+  'hr': 'h', 'hrs': 'h', 'hour': 'h', 'hours': 'h',
+  'd': 'day', 'days': 'day', 'wk': 'week', 'weeks': 'week',
+  'year': 'yr', 'years': 'yr', 'a': 'yr',
+  'pa': 'Pa', 'hpa': 'hPa', 'kpa': 'kPa', 'mb': 'mbar', 'millibar': 'mbar', 'millibars': 'mbar',
+  'inhg': 'inHg', 'mmhg': 'mmHg',
+  'j': 'J', 'kj': 'kJ', 'mj': 'MJ', 'w': 'W', 'kw': 'kW',
+  'langley': 'Ly', 'ly': 'Ly',
+  'kelvin': 'K', 'k': 'K',
+  'c': 'degC', 'degc': 'degC', 'celsius': 'degC', 'deg_c': 'degC',
+  'f': 'degF', 'degf': 'degF', 'fahrenheit': 'degF', 'deg_f': 'degF',
+  'knot': 'kn', 'knots': 'kn', 'kt': 'kn', 'km/h': 'kph', 'kmh': 'kph',
+  'ft3/s': 'cfs', 'ft^3/s': 'cfs', 'cms': 'cms', 'm3/s': 'cms',
+  'unitless': 'dimensionless', 'none': 'dimensionless', '-': 'dimensionless'
+};
+
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4',
+  '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-'
+};
+
+/**
+ * Cache of parsed unit expressions
+ * @ignore
+ */
+const parsedCache = new Map();
+
+/**
+ * Normalize a unit string so it can be tokenized: superscripts become plain
+ * exponents, degree signs become degC/degF and micro signs become 'u'.
+ * @ignore
+ */
+function normalizeUnitString(units) {
+  return String(units)
+    .trim()
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]+/g, (match) => '^' + [...match].map(c => SUPERSCRIPTS[c]).join(''))
+    .replace(/°\s*C\b/g, 'degC')
+    .replace(/°\s*F\b/g, 'degF')
+    .replace(/[µμ]/g, 'u')
+    .replace(/\*\*/g, '^')
+    .replace(/\s+per\s+/gi, '/');
+}
+
+/**
+ * Look up a single unit symbol in the registry
+ * @ignore
+ */
+function lookupSymbol(symbol) {
+  if (UNITS[symbol]) return UNITS[symbol];
+  const alias = ALIASES[symbol.toLowerCase()];
+  if (alias && UNITS[alias]) return UNITS[alias];
+  return null;
+}
+
+/**
+ * Parse a unit expression (e.g. "kg/m²/s", "W m⁻²", "ft3/s", "mm/h") into
+ * an SI factor, an optional offset and a dimension vector.
+ *
+ * @param {string} units - Unit expression
+ * @returns {Object} Parsed unit { factor, offset, dims, affine, expression }
+ * @throws {Error} If any part of the expression is not a known unit
+ * @ignore
+ */
+export function parseUnits(units) {
+  if (units === null || units === undefined || units === '') {
+    throw new Error('Unit expression is empty');
+  }
+  if (parsedCache.has(units)) return parsedCache.get(units);
+
+  const normalized = normalizeUnitString(units);
+
+  // Whole-expression matches take priority (handles "cfs", "acre-ft", "km/h", "°C")
+  const whole = lookupSymbol(normalized);
+  if (whole) {
+    const parsed = {
+      factor: whole.factor,
+      offset: whole.offset || 0,
+      dims: { ...whole.dims },
+      affine: whole.offset !== undefined,
+      expression: units
+    };
+    parsedCache.set(units, parsed);
+    return parsed;
+  }
+
+  let factor = 1;
+  const dims = {};
+
+  // "a/b/c" means a * b^-1 * c^-1; within each part, terms are separated by spaces, '*', '·' or '.'
+  const parts = normalized.split('/');
+  parts.forEach((part, partIndex) => {
+    const sign = partIndex === 0 ? 1 : -1;
+    const terms = part.split(/[\s*·]+|\.(?=[A-Za-z])/).filter(Boolean);
+
+    if (terms.length === 0 && partIndex > 0) {
+      throw new Error(`Invalid unit expression '${units}'`);
+    }
+
+    for (const term of terms) {
+      const match = term.match(/^([A-Za-z%_]+?)\^?(-?\d+)?$/);
+      if (!match) {
+        // Numeric scale such as the "1" in "1/s"
+        if (/^\d+(\.\d+)?$/.test(term)) {
+          factor *= Math.pow(Number(term), sign);
+          continue;
+        }
+        throw new Error(`Unknown unit '${term}' in '${units}'`);
+      }
+
+      const [, symbol, exponentStr] = match;
+      const unit = lookupSymbol(symbol) || lookupSymbol(term);
+      if (!unit) {
+        throw new Error(`Unknown unit '${term}' in '${units}'`);
+      }
+
+      const exponent = (exponentStr !== undefined && lookupSymbol(symbol) ? Number(exponentStr) : 1) * sign;
+      factor *= Math.pow(unit.factor, exponent);
+      for (const [dim, power] of Object.entries(unit.dims)) {
+        dims[dim] = (dims[dim] || 0) + power * exponent;
+        if (dims[dim] === 0) delete dims[dim];
+      }
+    }
+  });
+
+  const parsed = { factor, offset: 0, dims, affine: false, expression: units };
+  parsedCache.set(units, parsed);
+  return parsed;
+}
+
+/**
+ * Format a dimension vector for error messages
+ * @ignore
+ */
+function formatDims(dims) {
+  const parts = DIMENSIONS.filter(d => dims[d]).map(d => (dims[d] === 1 ? d : `${d}^${dims[d]}`));
+  return parts.length ? parts.join('·') : 'dimensionless';
+}
+
+/**
+ * Difference between two dimension vectors (a - b)
+ * @ignore
+ */
+function dimsDifference(a, b) {
+  const diff = {};
+  for (const dim of DIMENSIONS) {
+    const value = (a[dim] || 0) - (b[dim] || 0);
+    if (value !== 0) diff[dim] = value;
+  }
+  return diff;
+}
+
+function sameDims(a, b) {
+  return Object.keys(dimsDifference(a, b)).length === 0;
+}
+
+/**
+ * Build a linear converter (value * factor + offset) between two unit expressions.
+ * Dimensional compatibility is validated; mass-per-area and depth units are
+ * treated as equivalent through the density of water unless disabled.
+ *
+ * @param {string} fromUnits - Source units
+ * @param {string} toUnits - Target units
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.waterEquivalent=true] - Allow kg/m² <-> mm style conversions
+ * @returns {Object} Converter { factor, offset, from, to, convert(value) }
+ * @throws {Error} If the units are unknown or dimensionally incompatible
+ * @ignore
+ */
+export function getUnitConverter(fromUnits, toUnits, options = {}) {
+  const { waterEquivalent = true } = options;
+  const from = parseUnits(fromUnits);
+  const to = parseUnits(toUnits);
+
+  let factor;
+  let offset = 0;
+
+  if (sameDims(from.dims, to.dims)) {
+    if (from.affine && to.affine) {
+      // Absolute temperatures: to SI (K) then to target scale
+      factor = from.factor / to.factor;
+      offset = (from.offset - to.offset) / to.factor;
+    } else {
+      factor = from.factor / to.factor;
+    }
+  } else {
+    const diff = dimsDifference(from.dims, to.dims);
+    const isMassPerVolume = sameDims(diff, { M: 1, L: -3 });
+    const isVolumePerMass = sameDims(diff, { M: -1, L: 3 });
+
+    if (waterEquivalent && (isMassPerVolume || isVolumePerMass)) {
+      const density = isMassPerVolume ? 1 / WATER_DENSITY : WATER_DENSITY;
+      factor = (from.factor / to.factor) * density;
+    } else {
+      throw new Error(
+        `Cannot convert from '${fromUnits}' (${formatDims(from.dims)}) to '${toUnits}' (${formatDims(to.dims)}): incompatible dimensions`
+      );
+    }
+  }
+
+  return {
+    from: fromUnits,
+    to: toUnits,
+    factor,
+    offset,
+    convert: (value) => value * factor + offset
+  };
+}
+
+/**
+ * Convert a single numeric value between units
+ *
+ * @param {number} value - Value in source units
+ * @param {string} fromUnits - Source units
+ * @param {string} toUnits - Target units
+ * @param {Object} [options] - Options forwarded to getUnitConverter
+ * @returns {number} Converted value
+ * @ignore
+ */
+export function convertUnits(value, fromUnits, toUnits, options = {}) {
+  return getUnitConverter(fromUnits, toUnits, options).convert(value);
+}
+
+/**
+ * Check whether two unit expressions can be converted into each other
+ * @ignore
+ */
+export function areUnitsCompatible(fromUnits, toUnits, options = {}) {
+  try {
+    getUnitConverter(fromUnits, toUnits, options);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Add a unit (or override an existing one) in the registry
+ *
+ * @param {string} symbol - Unit symbol
+ * @param {Object} definition - { factor, offset?, dims } or { units: 'expression', factor? }
+ * @ignore
+ */
+export function registerUnit(symbol, definition) {
+  if (definition.units) {
+    const base = parseUnits(definition.units);
+    UNITS[symbol] = { factor: base.factor * (definition.factor || 1), dims: { ...base.dims } };
+  } else {
+    UNITS[symbol] = { factor: definition.factor, dims: { ...definition.dims } };
+    if (definition.offset !== undefined) UNITS[symbol].offset = definition.offset;
+  }
+  parsedCache.clear();
+}
+
+/**
+ * Apply a converter to every numeric value in a data payload.
+ * Handles flat arrays, 2D grids, arrays of { value } records and arrays of { grid } frames.
+ * Null/undefined/NaN entries are preserved.
+ * @ignore
+ */
+export function convertValues(values, converter) {
+  if (typeof values === 'number') {
+    return Number.isFinite(values) ? converter.convert(values) : values;
+  }
+  if (Array.isArray(values)) {
+    return values.map(v => convertValues(v, converter));
+  }
+  if (values && typeof values === 'object') {
+    if ('value' in values) {
+      return { ...values, value: convertValues(values.value, converter) };
+    }
+    if ('grid' in values) {
+      return {
+        ...values,
+        grid: values.grid && typeof values.grid === 'object' && 'data' in values.grid && !Array.isArray(values.grid)
+          ? { ...values.grid, data: convertValues(values.grid.data, converter) }
+          : convertValues(values.grid, converter)
+      };
+    }
+    if ('values' in values) {
+      return { ...values, values: convertValues(values.values, converter) };
+    }
+  }
+  return values;
+}
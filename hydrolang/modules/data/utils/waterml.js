@@ -0,0 +1,435 @@
+/**
+ * WaterML utilities
+ * Reader for WaterML 1.1 (CUAHSI WaterOneFlow, USGS NWIS) and WaterML 2.0 / OGC TimeseriesML documents
+ * into TimeSeries objects, and a writer for both versions. Elements are matched by local name, so any
+ * namespace prefix (ns1:, wml2:, tsml:) is accepted, as are SOAP envelopes around the response and
+ * WaterOneFlow results that carry the document as escaped text (GetValues).
+ */
+
+import { TimeSeries, toISOTimestamp, toNumericValue } from './timeseries.js';
+import { parseXMLTree, escapeXml } from './xml-utils.js';
+
+const WATERML_1_NS = 'http://www.cuahsi.org/waterML/1.1/';
+const WATERML_2_NAMESPACES = {
+  wml2: 'http://www.opengis.net/waterml/2.0',
+  gml: 'http://www.opengis.net/gml/3.2',
+  om: 'http://www.opengis.net/om/2.0',
+  sa: 'http://www.opengis.net/sampling/2.0',
+  sams: 'http://www.opengis.net/samplingSpatial/2.0',
+  xlink: 'http://www.w3.org/1999/xlink',
+  xsi: 'http://www.w3.org/2001/XMLSchema-instance'
+};
+/**
+ * Element tree with local element and attribute names, so any prefix matches
+ * @ignore
+ */
+function localTree(node) {
+  return {
+    name: node.localName ?? node.name,
+    attributes: Object.fromEntries(Object.entries(node.attributes || {}).map(([name, value]) => [name.slice(name.indexOf(':') + 1), value])),
+    children: node.children.map(localTree),
+    text: node.text
+  };
+}
+
+const child = (node, name) => node?.children.find(item => item.name === name) ?? null;
+const childrenOf = (node, name) => node ? node.children.filter(item => item.name === name) : [];
+const textOf = (node, name) => {
+  const element = name ? child(node, name) : node;
+  const text = element?.text.trim();
+  return text ? text : null;
+};
+
+/**
+ * First descendant (depth first) with a local name
+ * @ignore
+ */
+function descendant(node, name) {
+  if (!node) return null;
+  for (const item of node.children) {
+    if (item.name === name) return item;
+    const found = descendant(item, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * All descendants with a local name, not looking inside matches
+ * @ignore
+ */
+function descendants(node, name, found = []) {
+  if (!node) return found;
+  for (const item of node.children) {
+    if (item.name === name) found.push(item);
+    else descendants(item, name, found);
+  }
+  return found;
+}
+
+/**
+ * Offset of a '+hh:mm' / '-hh:mm' string in minutes
+ * @ignore
+ */
+function offsetMinutes(offset) {
+  const match = String(offset || '').match(/^([+-])?(\d{1,2}):?(\d{2})?$/);
+  if (!match) return undefined;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3] || 0));
+}
+
+/**
+ * Code named by an xlink:href. URLs name it in their last path segment (percent-encoded);
+ * any other href is the code itself, which may contain '/' (e.g. '00060/DataType=Mean').
+ * @ignore
+ */
+function hrefCode(href) {
+  if (!href) return null;
+  if (!/^[a-z][\w+.-]*:\/\//i.test(href)) return href;
+  const segment = href.split('/').pop();
+  try {
+    return decodeURIComponent(segment) || null;
+  } catch (error) {
+    return segment || null;
+  }
+}
+
+const toNumber = (text) => {
+  const number = text === null || text === undefined ? NaN : Number(text);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * WaterML 1.1 timeSeries elements (one TimeSeries per values block)
+ * @ignore
+ */
+function readWaterML1(document) {
+  const series = [];
+  for (const timeSeries of descendants(document, 'timeSeries')) {
+    const info = child(timeSeries, 'sourceInfo');
+    const siteCode = child(info, 'siteCode');
+    const location = descendant(info, 'geogLocation');
+    const defaultZone = descendant(info, 'defaultTimeZone');
+    const zoneOffset = offsetMinutes(defaultZone?.attributes.zoneOffset);
+    const variable = child(timeSeries, 'variable');
+    const variableCode = child(variable, 'variableCode');
+    const unit = child(variable, 'unit') || child(variable, 'units');
+    const noData = toNumber(textOf(variable, 'noDataValue'));
+    const options = Object.fromEntries(descendants(child(variable, 'options'), 'option')
+      .map(option => [option.attributes.name, textOf(option) ?? option.attributes.optionCode ?? null]));
+
+    const site = {
+      id: textOf(siteCode),
+      name: textOf(info, 'siteName'),
+      agency: siteCode?.attributes.agencyCode || siteCode?.attributes.network || null,
+      latitude: toNumber(textOf(location, 'latitude')),
+      longitude: toNumber(textOf(location, 'longitude')),
+      elevation: toNumber(textOf(info, 'elevation_m')),
+      timezone: defaultZone?.attributes.zoneAbbreviation || defaultZone?.attributes.zoneOffset || null
+    };
+    const siteProperties = Object.fromEntries(childrenOf(info, 'siteProperty').map(item => [item.attributes.name, textOf(item)]));
+
+    for (const block of childrenOf(timeSeries, 'values')) {
+      const timestamps = [];
+      const values = [];
+      const qualifiers = [];
+      for (const value of childrenOf(block, 'value')) {
+        const { dateTime, dateTimeUTC, timeOffset } = value.attributes;
+        timestamps.push(dateTimeUTC
+          ? toISOTimestamp(dateTimeUTC)
+          : toISOTimestamp(dateTime, offsetMinutes(timeOffset) ?? zoneOffset));
+        values.push(toNumericValue(textOf(value), noData === null ? [] : [noData]));
+        const codes = (value.attributes.qualifiers || '').split(/[\s,]+/).filter(Boolean);
+        if (value.attributes.censorCode && value.attributes.censorCode !== 'nc') codes.push(value.attributes.censorCode);
+        qualifiers.push(codes);
+      }
+      const method = child(block, 'method');
+      series.push(new TimeSeries({
+        site,
+        variable: {
+          code: textOf(variableCode),
+          name: textOf(variable, 'variableName'),
+          description: textOf(variable, 'variableDescription'),
+          statistic: options.Statistic || textOf(variable, 'dataType'),
+          method: textOf(method, 'methodDescription'),
+          vocabulary: variableCode?.attributes.vocabulary ?? null
+        },
+        units: textOf(unit, 'unitAbbreviation') || textOf(unit, 'unitCode') || unit?.attributes.unitsAbbreviation || textOf(unit),
+        timestamps,
+        values,
+        qualifiers,
+        metadata: {
+          format: 'WaterML 1.1',
+          siteProperties,
+          valueType: textOf(variable, 'valueType'),
+          sampleMedium: textOf(variable, 'sampleMedium'),
+          generalCategory: textOf(variable, 'generalCategory'),
+          noDataValue: noData,
+          qualifierDefinitions: Object.fromEntries(childrenOf(block, 'qualifier')
+            .map(item => [textOf(item, 'qualifierCode'), textOf(item, 'qualifierDescription')])),
+          qualityControlLevel: textOf(child(block, 'qualityControlLevel'), 'definition'),
+          source: textOf(child(block, 'source'), 'organization')
+        }
+      }));
+    }
+  }
+  return series;
+}
+
+/**
+ * Qualifier codes of a WaterML 2.0 point or default metadata block
+ * @ignore
+ */
+function qualifierCodes(metadata) {
+  return descendants(metadata, 'qualifier').map(qualifier => textOf(descendant(qualifier, 'value'))
+    || qualifier.attributes.title
+    || hrefCode(qualifier.attributes.href)).filter(Boolean);
+}
+
+/**
+ * Values of a WaterML 2.0 / TimeseriesML MeasurementTimeseries
+ * @ignore
+ */
+function readMeasurementTimeseries(timeseries) {
+  const defaults = descendant(child(timeseries, 'defaultPointMetadata'), 'DefaultTVPMeasurementMetadata');
+  const defaultQualifiers = qualifierCodes(defaults);
+  const timestamps = [];
+  const values = [];
+  const qualifiers = [];
+  for (const point of childrenOf(timeseries, 'point')) {
+    const tvp = point.children[0];
+    if (!tvp) continue;
+    const value = child(tvp, 'value');
+    const own = qualifierCodes(child(tvp, 'metadata'));
+    timestamps.push(toISOTimestamp(textOf(tvp, 'time')));
+    values.push(!value || value.attributes.nil === 'true' ? null : toNumericValue(textOf(value)));
+    qualifiers.push(own.length ? own : defaultQualifiers.slice());
+  }
+  const uom = child(defaults, 'uom');
+  const interpolationType = child(defaults, 'interpolationType');
+  return {
+    units: uom?.attributes.code || uom?.attributes.title || null,
+    interpolation: interpolationType?.attributes.title || hrefCode(interpolationType?.attributes.href),
+    timestamps,
+    values,
+    qualifiers
+  };
+}
+
+/**
+ * WaterML 2.0 observations, or bare (TimeseriesML) MeasurementTimeseries documents
+ * @ignore
+ */
+function readWaterML2(document) {
+  const series = [];
+  const observations = descendants(document, 'OM_Observation');
+  for (const observation of observations) {
+    const feature = child(observation, 'featureOfInterest');
+    const point = descendant(feature, 'MonitoringPoint') || descendant(feature, 'SF_SpatialSamplingFeature');
+    const identifier = child(point, 'identifier');
+    const [latitude, longitude] = (textOf(descendant(point, 'pos')) || '').split(/\s+/).map(toNumber);
+    const property = child(observation, 'observedProperty');
+    const procedure = child(observation, 'procedure');
+    for (const timeseries of descendants(child(observation, 'result'), 'MeasurementTimeseries')) {
+      const { units, interpolation, timestamps, values, qualifiers } = readMeasurementTimeseries(timeseries);
+      series.push(new TimeSeries({
+        site: {
+          id: textOf(identifier) || feature?.attributes.href || null,
+          name: textOf(point, 'name') || feature?.attributes.title || null,
+          agency: identifier?.attributes.codeSpace || null,
+          latitude: latitude ?? null,
+          longitude: longitude ?? null
+        },
+        variable: {
+          code: hrefCode(property?.attributes.href),
+          name: property?.attributes.title || null,
+          statistic: procedure?.attributes.title || textOf(descendant(procedure, 'processType')) || null
+        },
+        units,
+        timestamps,
+        values,
+        qualifiers,
+        metadata: { format: 'WaterML 2.0', interpolation, observedProperty: property?.attributes.href ?? null }
+      }));
+    }
+  }
+  if (!observations.length) {
+    for (const timeseries of descendants(document, 'MeasurementTimeseries')) {
+      const { units, interpolation, timestamps, values, qualifiers } = readMeasurementTimeseries(timeseries);
+      series.push(new TimeSeries({ units, timestamps, values, qualifiers, metadata: { format: 'TimeseriesML', interpolation } }));
+    }
+  }
+  return series;
+}
+
+/**
+ * Whether text is a WaterML 1.1 or 2.0 document (possibly in a SOAP envelope)
+ * @ignore
+ */
+export function isWaterML(text) {
+  return typeof text === 'string' && /<([\w.-]+:)?(timeSeriesResponse|OM_Observation|MeasurementTimeseries)[\s>]|&lt;([\w.-]+:)?timeSeriesResponse/.test(text);
+}
+
+/**
+ * Parse a WaterML 1.1 or WaterML 2.0 / TimeseriesML document into TimeSeries objects
+ * @param {string} xml - WaterML document, a SOAP response containing one, or WaterOneFlow text with the document escaped
+ * @returns {Array<TimeSeries>}
+ * @ignore
+ */
+export function parseWaterML(xml) {
+  if (typeof xml !== 'string') {
+    throw new Error('parseWaterML expects the WaterML document as text');
+  }
+  const document = localTree(parseXMLTree(xml));
+  if (descendant(document, 'timeSeriesResponse') || descendant(document, 'timeSeries')) {
+    return readWaterML1(document);
+  }
+  if (descendant(document, 'OM_Observation') || descendant(document, 'MeasurementTimeseries')) {
+    return readWaterML2(document);
+  }
+  // WaterOneFlow GetValues returns the document as the escaped text of the result element
+  const embedded = [document];
+  for (let i = 0; i < embedded.length; i++) {
+    const node = embedded[i];
+    if (node.text.includes('<') && isWaterML(node.text)) return parseWaterML(node.text);
+    embedded.push(...node.children);
+  }
+  throw new Error('Document is not WaterML 1.1 (timeSeriesResponse) or WaterML 2.0 (OM_Observation/MeasurementTimeseries)');
+}
+
+/**
+ * 'YYYY-MM-DDTHH:mm:ss' UTC wall time of an ISO timestamp
+ * @ignore
+ */
+const utcWallTime = (timestamp) => new Date(timestamp).toISOString().slice(0, 19);
+
+function writeWaterML1(series, { noDataValue }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<timeSeriesResponse xmlns="${WATERML_1_NS}" xmlns:xsi="${WATERML_2_NAMESPACES.xsi}">`,
+    `  <queryInfo><creationTime>${new Date().toISOString()}</creationTime><note>Generated by HydroLang</note></queryInfo>`
+  ];
+  for (const ts of series) {
+    const { site, variable } = ts;
+    const agency = site.agency ? ` network="${escapeXml(site.agency)}" agencyCode="${escapeXml(site.agency)}"` : '';
+    lines.push(`  <timeSeries name="${escapeXml([site.agency, site.id, variable.code].filter(Boolean).join(':'))}">`);
+    lines.push('    <sourceInfo xsi:type="SiteInfoType">');
+    if (site.name) lines.push(`      <siteName>${escapeXml(site.name)}</siteName>`);
+    lines.push(`      <siteCode${agency}>${escapeXml(site.id ?? '')}</siteCode>`);
+    if (site.timezone) {
+      // The reader takes the timezone from zoneAbbreviation, falling back to zoneOffset
+      const zone = offsetMinutes(site.timezone) === undefined ? 'zoneAbbreviation' : 'zoneOffset';
+      lines.push(`      <timeZoneInfo><defaultTimeZone ${zone}="${escapeXml(site.timezone)}"/></timeZoneInfo>`);
+    }
+    if (site.latitude !== null && site.latitude !== undefined && site.longitude !== null && site.longitude !== undefined) {
+      lines.push('      <geoLocation><geogLocation xsi:type="LatLonPointType" srs="EPSG:4326">'
+        + `<latitude>${site.latitude}</latitude><longitude>${site.longitude}</longitude></geogLocation></geoLocation>`);
+    }
+    if (site.elevation !== null && site.elevation !== undefined) lines.push(`      <elevation_m>${site.elevation}</elevation_m>`);
+    lines.push('    </sourceInfo>');
+    lines.push('    <variable>');
+    lines.push(`      <variableCode${variable.vocabulary ? ` vocabulary="${escapeXml(variable.vocabulary)}"` : ''} default="true">${escapeXml(variable.code ?? '')}</variableCode>`);
+    if (variable.name) lines.push(`      <variableName>${escapeXml(variable.name)}</variableName>`);
+    if (variable.description) lines.push(`      <variableDescription>${escapeXml(variable.description)}</variableDescription>`);
+    if (variable.statistic) lines.push(`      <dataType>${escapeXml(variable.statistic)}</dataType>`);
+    lines.push(`      <unit><unitAbbreviation>${escapeXml(ts.units ?? '')}</unitAbbreviation></unit>`);
+    lines.push(`      <noDataValue>${noDataValue}</noDataValue>`);
+    lines.push('    </variable>');
+    lines.push('    <values>');
+    const used = new Set();
+    ts.timestamps.forEach((timestamp, i) => {
+      const codes = ts.qualifiers[i] || [];
+      codes.forEach(code => used.add(code));
+      const time = utcWallTime(timestamp);
+      const value = ts.values[i] === null || ts.values[i] === undefined ? noDataValue : ts.values[i];
+      lines.push(`      <value dateTime="${time}" timeOffset="+00:00" dateTimeUTC="${time}"${codes.length ? ` qualifiers="${escapeXml(codes.join(' '))}"` : ''}>${value}</value>`);
+    });
+    const definitions = ts.metadata?.qualifierDefinitions || {};
+    for (const code of used) {
+      const description = definitions[code] ? `<qualifierDescription>${escapeXml(definitions[code])}</qualifierDescription>` : '';
+      lines.push(`      <qualifier><qualifierCode>${escapeXml(code)}</qualifierCode>${description}</qualifier>`);
+    }
+    if (variable.method) lines.push(`      <method><methodDescription>${escapeXml(variable.method)}</methodDescription></method>`);
+    lines.push('    </values>');
+    lines.push('  </timeSeries>');
+  }
+  lines.push('</timeSeriesResponse>');
+  return lines.join('\n');
+}
+
+function writeWaterML2(series) {
+  const namespaces = Object.entries(WATERML_2_NAMESPACES).map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`).join(' ');
+  const now = new Date().toISOString();
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<wml2:Collection ${namespaces} gml:id="collection">`,
+    `  <wml2:metadata><wml2:DocumentMetadata gml:id="metadata"><wml2:generationDate>${now}</wml2:generationDate>`
+    + '<wml2:generationSystem>HydroLang</wml2:generationSystem></wml2:DocumentMetadata></wml2:metadata>'
+  ];
+  series.forEach((ts, n) => {
+    const id = n + 1;
+    const { site, variable } = ts;
+    const range = ts.timeRange;
+    lines.push('  <wml2:observationMember>');
+    lines.push(`    <om:OM_Observation gml:id="obs.${id}">`);
+    if (range) {
+      lines.push(`      <om:phenomenonTime><gml:TimePeriod gml:id="time.${id}"><gml:beginPosition>${range.start}</gml:beginPosition>`
+        + `<gml:endPosition>${range.end}</gml:endPosition></gml:TimePeriod></om:phenomenonTime>`);
+    }
+    lines.push(`      <om:resultTime><gml:TimeInstant gml:id="result.${id}"><gml:timePosition>${now}</gml:timePosition></gml:TimeInstant></om:resultTime>`);
+    lines.push(`      <om:procedure${variable.statistic ? ` xlink:title="${escapeXml(variable.statistic)}"` : ''}/>`);
+    lines.push(`      <om:observedProperty xlink:href="${escapeXml(variable.code ?? '')}"${variable.name ? ` xlink:title="${escapeXml(variable.name)}"` : ''}/>`);
+    lines.push('      <om:featureOfInterest>');
+    lines.push(`        <wml2:MonitoringPoint gml:id="site.${id}">`);
+    lines.push(`          <gml:identifier codeSpace="${escapeXml(site.agency ?? '')}">${escapeXml(site.id ?? '')}</gml:identifier>`);
+    if (site.name) lines.push(`          <gml:name>${escapeXml(site.name)}</gml:name>`);
+    lines.push('          <sa:sampledFeature xsi:nil="true"/>');
+    if (site.latitude !== null && site.latitude !== undefined && site.longitude !== null && site.longitude !== undefined) {
+      lines.push(`          <sams:shape><gml:Point gml:id="point.${id}" srsName="urn:ogc:def:crs:EPSG::4326"><gml:pos>${site.latitude} ${site.longitude}</gml:pos></gml:Point></sams:shape>`);
+    }
+    lines.push('        </wml2:MonitoringPoint>');
+    lines.push('      </om:featureOfInterest>');
+    lines.push('      <om:result>');
+    lines.push(`        <wml2:MeasurementTimeseries gml:id="series.${id}">`);
+    const interpolation = ts.metadata?.interpolation || 'Continuous';
+    lines.push(`          <wml2:defaultPointMetadata><wml2:DefaultTVPMeasurementMetadata><wml2:uom code="${escapeXml(ts.units ?? '')}"/>`
+      + `<wml2:interpolationType xlink:href="http://www.opengis.net/def/waterml/2.0/interpolationType/${escapeXml(encodeURIComponent(interpolation))}"`
+      + ` xlink:title="${escapeXml(interpolation)}"/>`
+      + '</wml2:DefaultTVPMeasurementMetadata></wml2:defaultPointMetadata>');
+    ts.timestamps.forEach((timestamp, i) => {
+      const value = ts.values[i];
+      const codes = ts.qualifiers[i] || [];
+      const missing = value === null || value === undefined;
+      const metadata = codes.length || missing
+        ? '<wml2:metadata><wml2:TVPMeasurementMetadata>'
+          + codes.map(code => `<wml2:qualifier xlink:title="${escapeXml(code)}"/>`).join('')
+          + (missing ? '<wml2:nilReason xlink:href="missing"/>' : '')
+          + '</wml2:TVPMeasurementMetadata></wml2:metadata>'
+        : '';
+      lines.push(`          <wml2:point><wml2:MeasurementTVP><wml2:time>${timestamp}</wml2:time>`
+        + (missing ? '<wml2:value xsi:nil="true"/>' : `<wml2:value>${value}</wml2:value>`)
+        + `${metadata}</wml2:MeasurementTVP></wml2:point>`);
+    });
+    lines.push('        </wml2:MeasurementTimeseries>');
+    lines.push('      </om:result>');
+    lines.push('    </om:OM_Observation>');
+    lines.push('  </wml2:observationMember>');
+  });
+  lines.push('</wml2:Collection>');
+  return lines.join('\n');
+}
+
+/**
+ * Write TimeSeries as a WaterML document
+ * @param {TimeSeries|Array<TimeSeries>} series - TimeSeries objects or their JSON form
+ * @param {Object} [options]
+ * @param {string} [options.version='1.1'] - '1.1' (CUAHSI WaterML 1.1) or '2.0' (OGC WaterML 2.0)
+ * @param {number} [options.noDataValue=-9999] - Written for null values in WaterML 1.1
+ * @returns {string} XML document
+ * @ignore
+ */
+export function writeWaterML(series, { version = '1.1', noDataValue = -9999 } = {}) {
+  const list = (Array.isArray(series) ? series : [series]).map(item => TimeSeries.from(item));
+  if (String(version) === '1.1' || String(version) === '1') return writeWaterML1(list, { noDataValue });
+  if (String(version) === '2.0' || String(version) === '2') return writeWaterML2(list);
+  throw new Error(`Unsupported WaterML version '${version}'. Use '1.1' or '2.0'`);
+}
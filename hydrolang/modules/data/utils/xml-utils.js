@@ -0,0 +1,320 @@
+/**
+ * XML utilities
+ * Dependency-free, namespace-aware XML parser for SOAP envelopes, KML, WaterML and other XML responses.
+ * It does not use DOMParser, so it runs in Web Workers and Node.js. Documents are read into either
+ *   - an element tree ({ name, localName, prefix, namespace, attributes, children, text }), or
+ *   - a plain object in the xml2json layout: attributes as '@name', text as '#text', CDATA as '#cdata',
+ *     repeated elements as arrays and text-only elements as strings:
+ *
+ *   parseXML('<s:Envelope xmlns:s="..."><s:Body><v id="1">2.5</v><v id="2"/></s:Body></s:Envelope>')
+ *   // { 's:Envelope': { '@xmlns:s': '...', 's:Body': { v: [{ '@id': '1', '#text': '2.5' }, { '@id': '2' }] } } }
+ */
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const NAMESPACE_MODES = ['keep', 'strip', 'expand'];
+
+/**
+ * Replace the predefined XML entities and character references (other entities are left as written)
+ * @ignore
+ */
+export function decodeEntities(text) {
+  if (!text.includes('&')) return text;
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[\w.-]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[ref] ?? match;
+  });
+}
+
+/**
+ * Escape text for XML content and attribute values
+ * @ignore
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Line number of a position, for error messages
+ * @ignore
+ */
+function lineAt(xml, index) {
+  let line = 1;
+  for (let i = xml.indexOf('\n'); i !== -1 && i < index; i = xml.indexOf('\n', i + 1)) line++;
+  return line;
+}
+
+function parseError(xml, index, message) {
+  return new Error(`XML parse error at line ${lineAt(xml, index)}: ${message}`);
+}
+
+/**
+ * Index just past the '>' closing a tag, skipping '>' inside quoted attribute values
+ * @ignore
+ */
+function tagEnd(xml, start) {
+  let quote = null;
+  for (let i = start; i < xml.length; i++) {
+    const char = xml[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Attributes of a start tag as [[qualifiedName, value]]
+ * @ignore
+ */
+function readAttributes(xml, source, offset) {
+  const attributes = [];
+  const pattern = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')|(\S)/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    if (match[4] !== undefined) {
+      if (match[4] === '/') continue;
+      throw parseError(xml, offset, `malformed attribute near '${source.slice(match.index, match.index + 20).trim()}'`);
+    }
+    attributes.push([match[1], decodeEntities(match[2] ?? match[3])]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse an XML document into an element tree.
+ * Each element is { name, localName, prefix, namespace, attributes, children, text }: `attributes` is keyed by
+ * qualified name, `children` holds the child elements and `text` the element's own text and CDATA.
+ * Prefixes are resolved against the xmlns declarations in scope.
+ * @param {string} xml - XML document
+ * @returns {Object} Document node ({ name: '#document', children: [root element] })
+ * @ignore
+ */
+export function parseXMLTree(xml) {
+  if (typeof xml !== 'string') {
+    throw new Error('XML input must be a string');
+  }
+  const document = { name: '#document', children: [], text: '', namespaces: Object.assign(Object.create(null), { xml: XML_NAMESPACE }) };
+  const stack = [document];
+  let index = xml.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  while (index < xml.length) {
+    const open = xml.indexOf('<', index);
+    const current = stack[stack.length - 1];
+    if (open === -1 || open > index) {
+      const text = xml.slice(index, open === -1 ? xml.length : open);
+      if (text.trim()) {
+        if (current === document) throw parseError(xml, index, 'text outside the root element');
+        current.text += decodeEntities(text);
+      }
+      if (open === -1) break;
+      index = open;
+      continue;
+    }
+
+    if (xml.startsWith('<!--', index)) {
+      const end = xml.indexOf('-->', index + 4);
+      if (end === -1) throw parseError(xml, index, 'unterminated comment');
+      index = end + 3;
+    } else if (xml.startsWith('<![CDATA[', index)) {
+      const end = xml.indexOf(']]>', index + 9);
+      if (end === -1) throw parseError(xml, index, 'unterminated CDATA section');
+      current.text += xml.slice(index + 9, end);
+      current.cdata = (current.cdata || '') + xml.slice(index + 9, end);
+      index = end + 3;
+    } else if (xml.startsWith('<?', index)) {
+      const end = xml.indexOf('?>', index + 2);
+      if (end === -1) throw parseError(xml, index, 'unterminated processing instruction');
+      index = end + 2;
+    } else if (xml.startsWith('<!', index)) {
+      // DOCTYPE, possibly with an internal subset in [...]
+      const bracket = xml.indexOf('[', index);
+      const close = xml.indexOf('>', index);
+      let end = close + 1;
+      if (bracket !== -1 && bracket < close) {
+        // The subset closes with ']', optionally followed by whitespace, then '>'
+        const subsetEnd = /\]\s*>/g;
+        subsetEnd.lastIndex = bracket;
+        const match = subsetEnd.exec(xml);
+        end = match ? match.index + match[0].length : 0;
+      }
+      if (end <= index) throw parseError(xml, index, 'unterminated declaration');
+      index = end;
+    } else if (xml[index + 1] === '/') {
+      const end = xml.indexOf('>', index);
+      if (end === -1) throw parseError(xml, index, 'unterminated end tag');
+      const name = xml.slice(index + 2, end).trim();
+      if (current === document || current.name !== name) {
+        throw parseError(xml, index, current === document ? `unexpected </${name}>` : `expected </${current.name}> but found </${name}>`);
+      }
+      stack.pop();
+      index = end + 1;
+    } else {
+      const end = tagEnd(xml, index + 1);
+      if (end === -1) throw parseError(xml, index, 'unterminated start tag');
+      const selfClosing = xml[end - 2] === '/';
+      const body = xml.slice(index + 1, selfClosing ? end - 2 : end - 1);
+      const name = body.match(/^[^\s/>]+/)?.[0];
+      if (!name) throw parseError(xml, index, 'missing element name');
+      if (current === document && document.children.length) throw parseError(xml, index, 'more than one root element');
+
+      const attributes = {};
+      const namespaces = Object.create(current.namespaces);
+      for (const [attribute, value] of readAttributes(xml, body.slice(name.length), index)) {
+        attributes[attribute] = value;
+        if (attribute === 'xmlns') namespaces[''] = value;
+        else if (attribute.startsWith('xmlns:')) namespaces[attribute.slice(6)] = value;
+      }
+      const colon = name.indexOf(':');
+      const prefix = colon === -1 ? '' : name.slice(0, colon);
+      const element = {
+        name,
+        localName: name.slice(colon + 1),
+        prefix,
+        namespace: namespaces[prefix] ?? null,
+        attributes,
+        children: [],
+        text: '',
+        namespaces
+      };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+      index = end;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw parseError(xml, xml.length, `unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  if (!document.children.length) throw new Error('XML parse error: no root element');
+  return document;
+}
+
+/**
+ * Namespace URI of a qualified attribute name within an element's scope
+ * @ignore
+ */
+function attributeNamespace(element, attribute) {
+  if (attribute === 'xmlns' || attribute.startsWith('xmlns:')) return XMLNS_NAMESPACE;
+  const colon = attribute.indexOf(':');
+  return colon === -1 ? null : (element.namespaces[attribute.slice(0, colon)] ?? null);
+}
+
+/**
+ * Key of an element or attribute name in the object layout
+ * @ignore
+ */
+function keyOf(name, namespace, mode) {
+  if (mode === 'keep') return name;
+  const local = name.slice(name.indexOf(':') + 1);
+  return mode === 'expand' && namespace ? `{${namespace}}${local}` : local;
+}
+
+/**
+ * Convert an element of parseXMLTree to the object layout
+ * @ignore
+ */
+function toObject(element, options) {
+  const { namespaces: mode, arrays, attributePrefix, textKey, cdataKey, parseValues } = options;
+  const value = (text) => {
+    if (!parseValues) return text;
+    const trimmed = text.trim();
+    if (trimmed !== '' && !Number.isNaN(Number(trimmed)) && !/^0\d/.test(trimmed)) return Number(trimmed);
+    if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+    return text;
+  };
+
+  const obj = {};
+  for (const [name, attribute] of Object.entries(element.attributes)) {
+    if (mode !== 'keep' && (name === 'xmlns' || name.startsWith('xmlns:'))) continue;
+    obj[`${attributePrefix}${keyOf(name, attributeNamespace(element, name), mode)}`] = value(attribute);
+  }
+  for (const child of element.children) {
+    const key = keyOf(child.name, child.namespace, mode);
+    const converted = toObject(child, options);
+    if (obj[key] === undefined) {
+      obj[key] = arrays.includes(key) || arrays.includes(child.localName) ? [converted] : converted;
+    } else {
+      if (!Array.isArray(obj[key])) obj[key] = [obj[key]];
+      obj[key].push(converted);
+    }
+  }
+
+  const text = element.text.trim();
+  const hasContent = Object.keys(obj).length > 0;
+  if (element.cdata !== undefined && cdataKey) {
+    // CDATA kept apart from the surrounding text
+    const plain = element.text.replace(element.cdata, '').trim();
+    if (!hasContent && !plain) return element.cdata;
+    obj[cdataKey] = element.cdata;
+    if (plain) obj[textKey] = value(plain);
+    return obj;
+  }
+  if (!hasContent) return text ? value(text) : (Object.keys(element.attributes).length ? obj : '');
+  if (text) obj[textKey] = value(text);
+  return obj;
+}
+
+/**
+ * Parse an XML document into a plain object.
+ * Attributes become '@name' keys, text '#text', CDATA '#cdata'; repeated elements become arrays and elements
+ * with only text become strings.
+ * @param {string} xml - XML document
+ * @param {Object} [options]
+ * @param {string} [options.namespaces='keep'] - 'keep' qualified names ('soap:Body'), 'strip' prefixes ('Body'),
+ *   or 'expand' to '{namespace-uri}Body'. xmlns declarations are kept as attributes only with 'keep'
+ * @param {Array<string>} [options.arrays=[]] - Element names that are always arrays, even when they occur once
+ * @param {boolean} [options.parseValues=false] - Convert numeric and boolean text and attributes
+ * @param {string} [options.attributePrefix='@']
+ * @param {string} [options.textKey='#text']
+ * @param {string|false} [options.cdataKey='#cdata'] - false merges CDATA into the text
+ * @returns {Object} { rootName: {...} }
+ * @ignore
+ */
+export function parseXML(xml, options = {}) {
+  const {
+    namespaces = 'keep',
+    arrays = [],
+    parseValues = false,
+    attributePrefix = '@',
+    textKey = '#text',
+    cdataKey = '#cdata'
+  } = options || {};
+  const settings = { namespaces, arrays, parseValues, attributePrefix, textKey, cdataKey };
+  if (!NAMESPACE_MODES.includes(settings.namespaces)) {
+    throw new Error(`Unsupported namespaces option '${settings.namespaces}'. Use ${NAMESPACE_MODES.join(', ')}`);
+  }
+  const [root] = parseXMLTree(xml).children;
+  return { [keyOf(root.name, root.namespace, settings.namespaces)]: toObject(root, settings) };
+}
+
+/**
+ * Body of a SOAP envelope (whatever its prefix) from parseXML output, or the object itself
+ * @ignore
+ */
+export function soapBody(obj) {
+  const find = (node, local) => node && typeof node === 'object'
+    ? Object.entries(node).find(([key]) => !key.startsWith('@') && key.replace(/^\{[^}]*\}/, '').split(':').pop() === local)?.[1]
+    : undefined;
+  return find(find(obj, 'Envelope'), 'Body') ?? obj;
+}
+
+/**
+ * Whether text looks like an XML document
+ * @ignore
+ */
+export function isXML(text) {
+  return typeof text === 'string' && /^\s*\uFEFF?<(?:\?xml|[A-Za-z_][\w.:-]*[\s>/])/.test(text);
+}
@@ -0,0 +1,240 @@
+/**
+ * ZIP utilities
+ * Minimal ZIP archive reader and writer (stored and deflated entries) built on
+ * DecompressionStream / CompressionStream
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Convert Blob/ArrayBuffer/typed array input to a Uint8Array
+ * @ignore
+ */
+export async function toUint8Array(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  if (input && typeof input.arrayBuffer === 'function') return new Uint8Array(await input.arrayBuffer());
+  throw new Error('Expected a Blob, ArrayBuffer or Uint8Array');
+}
+
+/**
+ * Inflate raw DEFLATE data
+ * @ignore
+ */
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('DecompressionStream is not available in this environment; cannot read compressed ZIP entries');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Deflate data to raw DEFLATE, or return null when CompressionStream is unavailable
+ * @ignore
+ */
+async function deflateRaw(bytes) {
+  if (typeof CompressionStream === 'undefined') return null;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+let CRC_TABLE = null;
+
+/**
+ * CRC-32 (IEEE 802.3) checksum as used by ZIP
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ * @ignore
+ */
+export function crc32(bytes) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a Date into MS-DOS time and date fields
+ * @ignore
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive. Entries are deflated when CompressionStream is available and it
+ * makes them smaller, and stored otherwise. Archives are limited to 4 GB (no ZIP64).
+ * @param {Array<Object>} files - [{ name, data: Uint8Array|ArrayBuffer|string }]
+ * @param {Object} [options] - { compress: true, date: new Date() }
+ * @returns {Promise<Uint8Array>} Archive bytes
+ * @ignore
+ */
+export async function writeZip(files, options = {}) {
+  const { compress = true, date = new Date() } = options;
+  const encoder = new TextEncoder();
+  const { time, date: dosDate } = toDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const raw = typeof file.data === 'string' ? encoder.encode(file.data) : await toUint8Array(file.data);
+    const crc = crc32(raw);
+
+    let method = 0;
+    let payload = raw;
+    if (compress && raw.length > 0) {
+      const deflated = await deflateRaw(raw);
+      if (deflated && deflated.length < raw.length) {
+        method = 8;
+        payload = deflated;
+      }
+    }
+
+    if (offset + payload.length > 0xFFFFFFFF) {
+      throw new Error('ZIP archive exceeds 4 GB; export fewer entries per archive');
+    }
+
+    // Local file header
+    const local = new Uint8Array(30 + name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, LOCAL_SIGNATURE, true);
+    lv.setUint16(4, 20, true); // version needed
+    lv.setUint16(6, 0x0800, true); // UTF-8 names
+    lv.setUint16(8, method, true);
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, dosDate, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, payload.length, true);
+    lv.setUint32(22, raw.length, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    // Central directory record
+    const central = new Uint8Array(46 + name.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, CENTRAL_SIGNATURE, true);
+    cv.setUint16(4, 20, true); // version made by
+    cv.setUint16(6, 20, true); // version needed
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, method, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, dosDate, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, payload.length, true);
+    cv.setUint32(24, raw.length, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    localParts.push(local, payload);
+    centralParts.push(central);
+    offset += local.length + payload.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const eocd = new Uint8Array(22);
+  const ev = new DataView(eocd.buffer);
+  ev.setUint32(0, EOCD_SIGNATURE, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, eocd];
+  const archive = new Uint8Array(offset + centralSize + eocd.length);
+  let position = 0;
+  for (const part of parts) {
+    archive.set(part, position);
+    position += part.length;
+  }
+  return archive;
+}
+
+/**
+ * Check whether a buffer starts with the ZIP local file header signature
+ * @ignore
+ */
+export function isZip(bytes) {
+  return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === LOCAL_SIGNATURE;
+}
+
+/**
+ * Read all file entries of a ZIP archive using its central directory
+ * @param {Blob|ArrayBuffer|Uint8Array} input - Archive contents
+ * @param {Object} [options] - { filter: (name) => boolean, verify: false (check CRC-32 of each entry) }
+ * @returns {Promise<Array<Object>>} [{ name, data: Uint8Array }]
+ * @ignore
+ */
+export async function readZip(input, options = {}) {
+  const bytes = await toUint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Invalid ZIP archive: end of central directory not found');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('Invalid ZIP archive: corrupt central directory');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const crc = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || (options.filter && !options.filter(name))) continue;
+
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + localNameLength + localExtraLength;
+    const raw = bytes.subarray(start, start + compressedSize);
+
+    let data;
+    if (method === 0) data = raw.slice();
+    else if (method === 8) data = await inflateRaw(raw);
+    else throw new Error(`Unsupported ZIP compression method ${method} for entry '${name}'`);
+
+    if (options.verify && crc32(data) !== crc) {
+      throw new Error(`ZIP entry '${name}' is corrupt (CRC mismatch)`);
+    }
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+}
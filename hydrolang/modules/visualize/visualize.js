@@ -751,7 +751,7 @@ function table({ params, args, data } = {}) {
  * @param {string} [options.args.font="monospace"] - Font family for text elements
  * @param {Object} [options.args.vAxes] - Vertical axes configuration
  * @param {Object} [options.args.series] - Series-specific styling
- * @param {Array} [options.data=[]] - Data to visualize in supported format
+ * @param {Array|Object} [options.data=[]] - Data to visualize in supported format, or TimeSeries object(s) from hydro.data.normalize
  * @returns {void|Element} Creates visualization or returns DOM element if returnEle is true
  * 
  * @example
@@ -901,6 +901,17 @@ function table({ params, args, data } = {}) {
  * });
  */
 
+/**
+ * Returns the list of TimeSeries in data (a single series or an array of them), or null.
+ * @ignore
+ */
+function timeSeriesList(data) {
+  const isSeries = (d) => d && d.type === "TimeSeries" && Array.isArray(d.timestamps) && Array.isArray(d.values);
+  if (isSeries(data)) return [data];
+  if (Array.isArray(data) && data.length && data.every(isSeries)) return data;
+  return null;
+}
+
 function draw({ params = {}, args = {}, data = [] } = {}) {
   // Ensure Google Charts is loaded before proceeding
   if (!window.google || !window.google.charts) {
@@ -933,6 +944,24 @@ function draw({ params = {}, args = {}, data = [] } = {}) {
   var dat = data,
     pm;
   if (type !== "json") {
+    //canonical TimeSeries objects (hydro.data.normalize) are drawn as [timestamps, values...]
+    const series = timeSeriesList(data);
+    if (series) {
+      const times = [...new Set(series.flatMap((s) => s.timestamps))].sort();
+      data = [
+        times,
+        ...series.map((s) => {
+          const byTime = new Map(s.timestamps.map((t, i) => [t, s.values[i]]));
+          return times.map((t) => (byTime.has(t) ? byTime.get(t) : null));
+        }),
+      ];
+      if (args.names === undefined) {
+        args = {
+          ...args,
+          names: series.map((s) => `${s.variable?.name || s.variable?.code || "value"}${s.units ? ` (${s.units})` : ""}`),
+        };
+      }
+    }
     //change the input in case its just a 1d array
     if (Array.isArray(data) && typeof data[0] === "number") {
       // Single array of numbers, convert to [x, y]
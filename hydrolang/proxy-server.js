@@ -0,0 +1,258 @@
+/**
+ * Reference CORS proxy for HydroLang (Node.js 20+).
+ * Lets a team keep data requests on infrastructure it controls instead of public proxies. The proxy only
+ * forwards to allow-listed hosts (by default the hosts of the built-in datasource endpoints), adds CORS
+ * headers and follows redirects only to allowed hosts.
+ * Requests use the same form as the built-in proxies: the target URL is appended to the proxy URL
+ * (http://localhost:8787/https://api.host/path?query), or passed URL-encoded as ?url=.
+ *
+ * Run it with:
+ *   node hydrolang/proxy-server.js --port 8787 --allow datasources,www.hydroshare.org
+ * and point HydroLang at it:
+ *   new Hydrolang({ proxy: { proxies: { campus: 'http://localhost:8787/' }, order: ['campus'], allow: ['campus'] } });
+ * @module proxy-server
+ */
+
+import http from "node:http";
+import { Readable } from "node:stream";
+import { pathToFileURL } from "node:url";
+import datasources from "./modules/data/datasources.js";
+
+// Headers that describe a single connection and are not forwarded
+const HOP_BY_HOP = ["connection", "keep-alive", "proxy-authenticate", "proxy-authorization", "te", "trailer", "transfer-encoding", "upgrade"];
+// Request headers that identify the browser page rather than the request
+const DROPPED_REQUEST_HEADERS = ["host", "origin", "referer", "cookie", "content-length", "accept-encoding"];
+// fetch decodes compressed bodies, so the upstream encoding and length no longer apply
+const DROPPED_RESPONSE_HEADERS = ["content-encoding", "content-length", "set-cookie"];
+const METHODS = ["GET", "HEAD", "POST"];
+const MAX_REDIRECTS = 5;
+
+/**
+ * Hosts of every endpoint declared by the built-in datasources
+ * @returns {Array<string>}
+ */
+export function datasourceHosts() {
+  const hosts = new Set();
+  const visit = (value, depth) => {
+    if (!value || typeof value !== "object" || depth > 4) return;
+    for (const [key, item] of Object.entries(value)) {
+      if (key === "endpoint" && typeof item === "string") {
+        const match = item.match(/^https?:\/\/([^/?#{}:]+)/i);
+        if (match) hosts.add(match[1].toLowerCase());
+      } else {
+        visit(item, depth + 1);
+      }
+    }
+  };
+  for (const [name, config] of Object.entries(datasources)) {
+    if (name !== "proxies") visit(config, 0);
+  }
+  return [...hosts].sort();
+}
+
+function hostAllowed(host, allow) {
+  if (allow.includes("*")) return true;
+  const lower = host.toLowerCase();
+  return allow.some(pattern => {
+    const bare = pattern.toLowerCase().replace(/^\*?\./, "");
+    return lower === bare || lower.endsWith(`.${bare}`);
+  });
+}
+
+/**
+ * Target URL of a proxy request ('/https://host/...' or '/?url=...')
+ * @ignore
+ */
+function targetOf(requestUrl) {
+  const query = requestUrl.indexOf("?");
+  if (query >= 0 && requestUrl.slice(0, query).replace(/\/+$/, "") === "") {
+    const encoded = new URLSearchParams(requestUrl.slice(query + 1)).get("url");
+    if (encoded) return encoded;
+  }
+  return requestUrl.replace(/^\/+/, "");
+}
+
+function sendError(res, status, message, cors) {
+  res.writeHead(status, { ...cors, "content-type": "application/json" });
+  res.end(JSON.stringify({ error: message }));
+}
+
+async function readBody(req, maxBodySize) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBodySize) throw Object.assign(new Error(`Request body exceeds ${maxBodySize} bytes`), { status: 413 });
+    chunks.push(chunk);
+  }
+  return chunks.length ? Buffer.concat(chunks) : undefined;
+}
+
+/**
+ * Create the proxy request handler
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allow] - Upstream hosts that may be requested ('*.example.org' and 'example.org' also match
+ *   subdomains, '*' allows any host). Defaults to datasourceHosts()
+ * @param {string|Array<string>} [options.origins='*'] - Browser origins allowed to call the proxy
+ * @param {number} [options.timeout=120000] - Upstream timeout in milliseconds
+ * @param {number} [options.maxBodySize=10485760] - Largest accepted request body in bytes
+ * @param {Function} [options.log] - Called with one line per request (method, upstream host and path, status); query strings are never logged
+ * @returns {Function} (req, res) handler for http.createServer
+ */
+export function createProxyHandler(options = {}) {
+  const {
+    allow = datasourceHosts(),
+    origins = "*",
+    timeout = 120000,
+    maxBodySize = 10 * 1024 * 1024,
+    log = console.log,
+  } = options;
+  const allowedOrigins = [].concat(origins);
+
+  return async (req, res) => {
+    const origin = req.headers.origin;
+    const cors = {
+      "access-control-allow-origin": allowedOrigins.includes("*") ? "*" : (allowedOrigins.includes(origin) ? origin : allowedOrigins[0]),
+      "access-control-expose-headers": "*",
+      vary: "Origin",
+    };
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        ...cors,
+        "access-control-allow-methods": METHODS.join(", "),
+        "access-control-allow-headers": req.headers["access-control-request-headers"] || "*",
+        "access-control-max-age": "86400",
+      });
+      return res.end();
+    }
+    if (!METHODS.includes(req.method)) {
+      return sendError(res, 405, `Method ${req.method} is not supported`, cors);
+    }
+
+    let target;
+    try {
+      target = new URL(targetOf(req.url));
+    } catch (error) {
+      return sendError(res, 400, "Append an absolute http(s) URL to the proxy address, or pass it as ?url=", cors);
+    }
+    if (!/^https?:$/.test(target.protocol)) {
+      return sendError(res, 400, "Only http and https URLs can be proxied", cors);
+    }
+    if (!hostAllowed(target.hostname, allow)) {
+      log(`${req.method} ${target.hostname} 403 (host not allowed)`);
+      return sendError(res, 403, `Host '${target.hostname}' is not allowed by this proxy`, cors);
+    }
+
+    const headers = Object.fromEntries(Object.entries(req.headers)
+      .filter(([name]) => !HOP_BY_HOP.includes(name) && !DROPPED_REQUEST_HEADERS.includes(name)));
+
+    try {
+      const body = req.method === "POST" ? await readBody(req, maxBodySize) : undefined;
+      const signal = AbortSignal.timeout(timeout);
+
+      // Redirects are followed here so every hop is checked against the allow-list
+      let url = target;
+      let method = req.method;
+      let payload = body;
+      let upstream;
+      for (let hop = 0; ; hop++) {
+        upstream = await fetch(url, { method, headers, body: payload, redirect: "manual", signal });
+        const location = upstream.headers.get("location");
+        if (upstream.status < 300 || upstream.status >= 400 || !location) break;
+        if (hop >= MAX_REDIRECTS) throw Object.assign(new Error("Too many redirects"), { status: 502 });
+        url = new URL(location, url);
+        // As browsers do, 303 (and 301/302 after a POST) continue with a GET
+        if (upstream.status === 303 || (method === "POST" && [301, 302].includes(upstream.status))) {
+          method = "GET";
+          payload = undefined;
+        }
+        if (!hostAllowed(url.hostname, allow)) {
+          throw Object.assign(new Error(`Redirect to '${url.hostname}' is not allowed by this proxy`), { status: 403 });
+        }
+      }
+
+      const responseHeaders = { ...cors };
+      upstream.headers.forEach((value, name) => {
+        if (!HOP_BY_HOP.includes(name) && !DROPPED_RESPONSE_HEADERS.includes(name) && !name.startsWith("access-control-")) {
+          responseHeaders[name] = value;
+        }
+      });
+      res.writeHead(upstream.status, responseHeaders);
+      log(`${req.method} ${url.hostname}${url.pathname} ${upstream.status}`);
+
+      if (!upstream.body || req.method === "HEAD") return res.end();
+      Readable.fromWeb(upstream.body).on("error", () => res.destroy()).pipe(res);
+    } catch (error) {
+      const status = error.status || (error.name === "TimeoutError" ? 504 : 502);
+      log(`${req.method} ${target.hostname}${target.pathname} ${status} (${error.message})`);
+      if (res.headersSent) return res.destroy();
+      sendError(res, status, error.message, cors);
+    }
+  };
+}
+
+/**
+ * Start the proxy server
+ * @param {Object} [options] - createProxyHandler options, plus:
+ * @param {number} [options.port=8787] - Port to listen on
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on; use '0.0.0.0' to serve other machines
+ * @returns {Promise<Object>} { server, url, close() }
+ * @example
+ * import { startProxyServer, datasourceHosts } from "hydrolang/proxy-server.js";
+ * const proxy = await startProxyServer({ port: 8787, allow: [...datasourceHosts(), "www.hydroshare.org"] });
+ * hydro.data.proxy.configure({ proxies: { campus: proxy.url }, order: ["campus"], allow: ["campus"] });
+ */
+export function startProxyServer(options = {}) {
+  const { port = 8787, host = "127.0.0.1" } = options;
+  const server = http.createServer(createProxyHandler(options));
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        server,
+        url: `http://${host.includes(":") ? `[${host}]` : host}:${address.port}/`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Command line options: --port, --host, --allow (comma separated; 'datasources' expands to
+ * datasourceHosts()), --origin (comma separated), --timeout (ms)
+ * @ignore
+ */
+function parseArguments(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split("=");
+    const value = inline ?? argv[++i];
+    switch (flag) {
+      case "--port": options.port = Number(value); break;
+      case "--host": options.host = value; break;
+      case "--timeout": options.timeout = Number(value); break;
+      case "--origin": options.origins = value.split(","); break;
+      case "--allow":
+        options.allow = value.split(",").flatMap(item => (item === "datasources" ? datasourceHosts() : [item.trim()]));
+        break;
+      default:
+        throw new Error(`Unknown option ${flag}. Options: --port, --host, --allow, --origin, --timeout`);
+    }
+  }
+  return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  let options;
+  Promise.resolve()
+    .then(() => startProxyServer(options = parseArguments(process.argv.slice(2))))
+    .then(({ url }) => {
+      const allow = options.allow || datasourceHosts();
+      console.log(`HydroLang proxy listening on ${url} (${allow.includes("*") ? "any host" : `${allow.length} allowed hosts`})`);
+    }).catch(error => {
+      console.error(`HydroLang proxy failed to start: ${error.message}`);
+      process.exit(1);
+    });
+}
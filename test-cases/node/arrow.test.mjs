@@ -0,0 +1,65 @@
+// Arrow IPC reader against files written by other Arrow implementations.
+// Run with: node --test test-cases/node/
+//
+// fixtures/apache-arrow-js.arrow - apache-arrow (JS) tableToIPC(table, 'file'): the schema is only in the footer
+//   site: Dictionary<Int32, Utf8> ['A', 'B', 'A', null], flow: Float64 [1.5, 2.5, 3.5, 4.5],
+//   count: Int32 [1, 2, 3, 4], name: Dictionary<Int32, Utf8> ['x', 'y', null, 'z']
+// fixtures/pyarrow-lz4.feather - pyarrow feather.write_feather(table, chunksize=2): LZ4 frames, two record batches
+//   site: dictionary ['05454500', '05453520', '05454500', null], time: timestamp[ns, UTC] 2020-01-01T00..03,
+//   flow: double [1.5, null, 3.25, 4.0], qc: int8 [1, 2, 3, 4], nested: list<int64> (not read)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { readArrow, readArrowBatches, writeArrow } from '../../hydrolang/modules/data/utils/arrow.js';
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+
+test('reads an Arrow IPC file written by apache-arrow JS', async () => {
+  const table = await readArrow(fixture('apache-arrow-js.arrow'));
+  assert.deepEqual(table.columns, ['site', 'flow', 'count', 'name']);
+  assert.equal(table.numRows, 4);
+  assert.deepEqual(table.data.site, ['A', 'B', 'A', null]);
+  assert.deepEqual(table.data.flow, [1.5, 2.5, 3.5, 4.5]);
+  assert.deepEqual(table.data.count, [1, 2, 3, 4]);
+  assert.deepEqual(table.data.name, ['x', 'y', null, 'z']);
+});
+
+test('projects and filters an apache-arrow JS file', async () => {
+  const table = await readArrow(fixture('apache-arrow-js.arrow'), { columns: ['flow'], filters: { site: 'A' } });
+  assert.deepEqual(table.columns, ['flow']);
+  assert.deepEqual(table.data.flow, [1.5, 3.5]);
+});
+
+test('reads an LZ4-compressed Feather v2 file written by pyarrow', async () => {
+  const table = await readArrow(fixture('pyarrow-lz4.feather'));
+  assert.deepEqual(table.columns, ['site', 'time', 'flow', 'qc']);
+  assert.deepEqual(table.data.site, ['05454500', '05453520', '05454500', null]);
+  assert.deepEqual(table.data.time.map(date => date.toISOString()),
+    ['2020-01-01T00:00:00.000Z', '2020-01-01T01:00:00.000Z', '2020-01-01T02:00:00.000Z', '2020-01-01T03:00:00.000Z']);
+  assert.deepEqual(table.data.flow, [1.5, null, 3.25, 4]);
+  assert.deepEqual(table.data.qc, [1, 2, 3, 4]);
+});
+
+test('filters pyarrow record batches on time', async () => {
+  const batches = [];
+  for await (const rows of readArrowBatches(fixture('pyarrow-lz4.feather'), { columns: ['qc'], filters: { time: { min: '2020-01-01T02:00:00Z' } } })) {
+    batches.push(rows);
+  }
+  assert.deepEqual(batches, [[{ qc: 3 }, { qc: 4 }]]);
+});
+
+test('rejects nested columns by name', async () => {
+  await assert.rejects(readArrow(fixture('pyarrow-lz4.feather'), { columns: ['nested'] }), /List column 'nested' is not supported/);
+});
+
+test('round-trips its own file and stream output', async () => {
+  const columns = [['time', '2020-01-01T00:00:00Z', '2020-01-02T00:00:00Z'], ['flow', 1.5, null], ['site', 'a', 'b']];
+  for (const format of ['file', 'stream']) {
+    const table = await readArrow(writeArrow(columns, { format, metadata: { source: 'test' } }));
+    assert.deepEqual(table.data.flow, [1.5, null]);
+    assert.deepEqual(table.data.site, ['a', 'b']);
+    assert.equal(table.data.time[1].toISOString(), '2020-01-02T00:00:00.000Z');
+    assert.deepEqual(table.metadata, { source: 'test' });
+  }
+});
@@ -0,0 +1,106 @@
+// Cache eviction, chunk reassembly and the filesystem backend.
+// Run with: node --test test-cases/node/
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { HydroLangCache } from '../../hydrolang/modules/data/utils/data-cache.js';
+import { FileSystemBackend } from '../../hydrolang/modules/data/utils/cache-backends.js';
+
+const directories = [];
+const tempDirectory = async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'hydrolang-cache-'));
+  directories.push(directory);
+  return directory;
+};
+after(() => Promise.all(directories.map(directory => rm(directory, { recursive: true, force: true }))));
+
+const bytes = (length, fill = 1) => new Uint8Array(length).fill(fill).buffer;
+const keys = async (cache) => (await cache._getAllEntries()).map(entry => entry.cacheKey).sort();
+
+// cleanupInterval: Infinity so eviction only runs when the test forces it
+for (const backend of ['memory', 'filesystem']) {
+  const createCache = async (options) => {
+    const cache = new HydroLangCache({
+      backend,
+      directory: backend === 'filesystem' ? await tempDirectory() : undefined,
+      cleanupInterval: Infinity,
+      ...options
+    });
+    await cache.init();
+    return cache;
+  };
+
+  test(`${backend}: evicts least recently used entries over maxCacheSize and keeps pinned ones`, async () => {
+    const cache = await createCache({ maxCacheSize: 300 });
+    await cache.put('oldest', bytes(100), { source: 'test', lastAccessed: 1 });
+    await cache.put('pinned', bytes(100), { source: 'test', lastAccessed: 0, pinned: true });
+    await cache.put('middle', bytes(100), { source: 'test', lastAccessed: 2 });
+    await cache.put('newest', bytes(100), { source: 'test', lastAccessed: 3 });
+
+    await cache.cleanupIfNeeded(true);
+    assert.deepEqual(await keys(cache), ['middle', 'newest', 'pinned']);
+  });
+
+  test(`${backend}: evicts least frequently used entries with eviction 'lfu'`, async () => {
+    const cache = await createCache({ maxCacheSize: 250, eviction: 'lfu' });
+    await cache.put('rare', bytes(100), { source: 'test', lastAccessed: 3, accessCount: 1 });
+    await cache.put('common', bytes(100), { source: 'test', lastAccessed: 1, accessCount: 9 });
+    await cache.put('frequent', bytes(100), { source: 'test', lastAccessed: 2, accessCount: 5 });
+
+    await cache.cleanupIfNeeded(true);
+    assert.deepEqual(await keys(cache), ['common', 'frequent']);
+  });
+
+  test(`${backend}: reassembles chunked entries in order`, async () => {
+    const cache = await createCache();
+    const buffer = Uint8Array.from({ length: 10 }, (_, i) => i).buffer;
+    await cache.putChunked('large', buffer, { source: 'test' }, 4);
+
+    assert.equal((await keys(cache)).length, 3);
+    const { data, metadata } = await cache.get('large');
+    assert.deepEqual([...new Uint8Array(data)], [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.equal(metadata.reassembled, true);
+    assert.equal(metadata.chunkCount, 3);
+    assert.equal(metadata.totalSize, 10);
+    assert.deepEqual([...new Uint8Array(await cache.getChunk('large', 1))], [4, 5, 6, 7]);
+  });
+}
+
+test('filesystem: hashes cache keys too long for a file name and keeps the key in the metadata', async () => {
+  const directory = await tempDirectory();
+  const backend = new FileSystemBackend({ directory });
+  await backend.init();
+
+  const cacheKey = `https://example.com/data?sites=${'05454500,'.repeat(100)}`;
+  await backend.put({ cacheKey, data: bytes(8, 7), source: 'test' });
+
+  const files = await readdir(directory);
+  assert.equal(files.length, 2);
+  assert.ok(files.every(file => /^=[0-9a-f]{64}\.(bin|json)$/.test(file)));
+  assert.deepEqual([...new Uint8Array((await backend.get(cacheKey)).data)], new Array(8).fill(7));
+  assert.deepEqual((await backend.getAll()).map(entry => entry.cacheKey), [cacheKey]);
+
+  await backend.delete(cacheKey);
+  assert.deepEqual(await readdir(directory), []);
+});
+
+test('filesystem: stores string and JSON payloads and rejects ones it cannot serialize', async () => {
+  const backend = new FileSystemBackend({ directory: await tempDirectory() });
+  await backend.init();
+
+  await backend.put({ cacheKey: 'text', data: 'site,flow\n05454500,1.5' });
+  await backend.put({ cacheKey: 'json', data: { site: '05454500', values: [1.5, null] } });
+  await backend.put({ cacheKey: 'blob', data: new Blob([new Uint8Array([1, 2, 3])]) });
+
+  assert.equal((await backend.get('text')).data, 'site,flow\n05454500,1.5');
+  assert.deepEqual((await backend.get('json')).data, { site: '05454500', values: [1.5, null] });
+  assert.deepEqual([...new Uint8Array((await backend.get('blob')).data)], [1, 2, 3]);
+  assert.ok((await backend.getAll()).every(entry => !('payload' in entry)));
+
+  await assert.rejects(backend.put({ cacheKey: 'function', data: () => 1 }), /Cannot write a function payload/);
+  await assert.rejects(backend.put({ cacheKey: 'bigint', data: { count: 1n } }), /Cannot write the payload of cache entry 'bigint'/);
+  assert.equal(await backend.get('function'), null);
+});
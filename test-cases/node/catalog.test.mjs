@@ -0,0 +1,31 @@
+// Datasource catalog search over the built-in sources.
+// Run with: node --test test-cases/node/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as datasources from '../../hydrolang/modules/data/datasources.js';
+import { buildCatalog, searchCatalog } from '../../hydrolang/modules/data/utils/catalog.js';
+
+const catalog = buildCatalog(datasources);
+const IOWA = [-96.6, 40.4, -90.1, 43.5];
+
+test('marks forecast and nowcast sources', () => {
+  const forecast = catalog.filter(entry => entry.coverage.forecast).map(entry => entry.source);
+  for (const source of ['metno', 'nws', 'hrrr']) assert.ok(forecast.includes(source), source);
+  assert.ok(!forecast.includes('usgs'));
+});
+
+test('leaves forecast sources out of historical queries', () => {
+  const results = searchCatalog(catalog, { variable: 'precipitation', bbox: IOWA, start: '2015-01-01', end: '2020-12-31' });
+  const sources = results.map(entry => entry.source);
+  assert.ok(results.length > 0);
+  for (const source of ['metno', 'nws', 'hrrr']) assert.ok(!sources.includes(source), source);
+  assert.ok(results.every(entry => entry.match.temporal !== 'forecast'));
+});
+
+test('keeps forecast sources for periods reaching into the future', () => {
+  const start = new Date(Date.now() - 3600 * 1000).toISOString();
+  const end = new Date(Date.now() + 2 * 86400 * 1000).toISOString();
+  const nws = searchCatalog(catalog, { variable: 'temperature', bbox: IOWA, start, end }).find(entry => entry.source === 'nws');
+  assert.equal(nws?.match.temporal, 'forecast');
+});
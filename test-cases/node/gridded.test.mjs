@@ -0,0 +1,58 @@
+// Headless Zarr and NetCDF reading through the gridded data sources.
+// Needs the zarrita and netcdfjs npm packages (npm install zarrita netcdfjs).
+// Run with: node --test test-cases/node/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { gzipSync } from 'node:zlib';
+import { ZarrDataSource, NetCDFDataSource } from '../../hydrolang/modules/data/utils/gridded-data-utils.js';
+import { writeNetCDF } from '../../hydrolang/modules/data/utils/netcdf.js';
+
+const missing = async (name) => import(name).then(() => false, () => `${name} is not installed`);
+const skipZarr = await missing('zarrita');
+const skipNetCDF = await missing('netcdfjs');
+
+// 2x3 float32 array in one gzip chunk, and a NetCDF file with the same grid
+const values = [0.5, 1.5, 2.5, 3.5, 4.5, 5.5];
+const files = {
+  '/precip.zarr/.zarray': JSON.stringify({
+    zarr_format: 2, shape: [2, 3], chunks: [2, 3], dtype: '<f4', order: 'C',
+    compressor: { id: 'gzip', level: 1 }, fill_value: null, filters: null
+  }),
+  '/precip.zarr/.zattrs': JSON.stringify({ units: 'mm' }),
+  '/precip.zarr/0.0': gzipSync(Buffer.from(new Float32Array(values).buffer)),
+  '/precip.nc': Buffer.from(writeNetCDF({
+    dimensions: { y: 2, x: 3 },
+    variables: { precip: { type: 'float', dimensions: ['y', 'x'], data: values, attributes: { units: 'mm' } } }
+  }))
+};
+
+let server;
+let base;
+before(async () => {
+  server = createServer((request, response) => {
+    const body = files[new URL(request.url, 'http://localhost').pathname];
+    response.writeHead(body ? 200 : 404).end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('opens a Zarr array over HTTP without a document', { skip: skipZarr }, async () => {
+  const source = new ZarrDataSource({ sourceName: 'test' });
+  const array = await source.openZarrArray(`${base}/precip.zarr`);
+  assert.deepEqual(array.shape, [2, 3]);
+
+  const { data, shape } = await source.getZarrArrayData(array);
+  assert.deepEqual(shape, [2, 3]);
+  assert.deepEqual([...data], values);
+});
+
+test('opens a NetCDF file over HTTP without a document', { skip: skipNetCDF }, async () => {
+  const source = new NetCDFDataSource({ sourceName: 'test' });
+  const file = await source.openNetCDF(`${base}/precip.nc`);
+  assert.deepEqual(file.variables.map(variable => variable.name), ['precip']);
+  assert.deepEqual([...source.getNetCDFVariable(file, 'precip')], values);
+});
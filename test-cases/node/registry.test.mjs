@@ -0,0 +1,34 @@
+// Registered datasources through registerSource and retrieve.
+// Run with: node --test test-cases/node/
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import data from '../../hydrolang/modules/data/data.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('retrieves from a source registered with only a datatype entry', async () => {
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    return new Response(JSON.stringify({ values: [1.5, 2.5] }), { headers: { 'content-type': 'application/json' } });
+  };
+
+  assert.deepEqual(data.registerSource('minimal', {
+    obs: { endpoint: 'https://example.org/stations/{station}/obs', params: { limit: 10 }, methods: { type: 'json', method: 'GET' } }
+  }), ['obs']);
+
+  const text = await data.retrieve({ params: { source: 'minimal', datatype: 'obs' }, args: { station: 'A1' } });
+  assert.deepEqual(JSON.parse(text), { values: [1.5, 2.5] });
+  assert.deepEqual(requested, ['https://example.org/stations/A1/obs?limit=10']);
+  assert.equal(data.catalog.describe('minimal').datatypes.length, 1);
+});
+
+test('rejects the names of gridded sources', () => {
+  assert.throws(() => data.registerSource('aorc', {
+    obs: { endpoint: 'https://example.org/obs', methods: { type: 'json' } }
+  }), /'aorc' is a gridded source/);
+});